@@ -0,0 +1,9 @@
+// IIM Service Worker - the pages' copy, beside index.html and prototype.html
+// A service worker only controls pages in its own folder, so it is registered from
+// here; the worker itself is js/iim-service-worker.js. Blazor hosts serve this
+// library under _content/IIM.Components/, standalone pages serve it at the root.
+try {
+    importScripts('_content/IIM.Components/js/iim-service-worker.js');
+} catch (error) {
+    importScripts('js/iim-service-worker.js');
+}
@@ -0,0 +1,226 @@
+// IIM Audit - tamper-evident trail of investigator actions
+// Every entry carries the SHA-256 of the one before it, so editing, removing or
+// reordering entries breaks the chain and verify() reports where. Entries are kept
+// in IndexedDB (see iim-session-store.js) and flushed to the audit API by the
+// leader tab whenever it is online. Payloads are stored only as digests.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const GENESIS_HASH = '0'.repeat(64);
+    const FLUSH_BATCH = 100;
+
+    let user = 'unknown';
+    let pending = Promise.resolve();
+    let flushing = null;
+    let flushTimer = null;
+    let started = false;
+    // Used when IndexedDB is unavailable; the chain then lasts only as long as the page
+    const memoryLog = [];
+
+    IIM.i18n.addMessages('en', {
+        'audit.writeFailed': 'An action could not be written to the audit trail',
+        'audit.verify': 'Verify audit trail',
+        'audit.intact': { one: 'Audit trail intact ({count} entry)', other: 'Audit trail intact ({count} entries)' },
+        'audit.broken': {
+            one: 'Audit trail broken at entry {seq} ({count} problem)',
+            other: 'Audit trail broken at entry {seq} ({count} problems)'
+        },
+        'audit.unreadable': 'The audit trail could not be read'
+    });
+
+    IIM.audit = {
+        // Blazor sets the signed-in analyst; a string id or { id, name }
+        setUser: function(value) {
+            user = value && typeof value === 'object' ? String(value.id || value.name) : String(value || 'unknown');
+        },
+
+        getUser: function() {
+            return user;
+        },
+
+        // Appends an entry; entries from this tab are written in call order.
+        // Resolves with the stored entry, or null if it could not be written.
+        record: function(action, payload = {}, sessionId) {
+            const digest = IIM.sha256.digestText(IIM.sessionExport.canonicalize(payload));
+            const details = {
+                id: IIM.generateId(),
+                timestamp: new Date().toISOString(),
+                user: user,
+                sessionId: sessionId !== undefined ? sessionId : IIM.state.currentSession,
+                action: action,
+                payloadDigest: digest
+            };
+
+            const result = pending.then(() => append(details));
+            pending = result.catch(() => {});
+            return result.then(entry => {
+                scheduleFlush();
+                return entry;
+            }).catch(error => {
+                console.error(`Audit entry ${action} could not be written:`, error);
+                IIM.showNotification(IIM.t('audit.writeFailed'), 'error');
+                return null;
+            });
+        },
+
+        getEntries: function() {
+            return pending.then(() => readEntries());
+        },
+
+        // Recomputes every hash and link. Resolves with
+        // { valid, count, breaks: [{ seq, reason }] }; reason is hash_mismatch, chain_broken or sequence_gap
+        verify: function() {
+            return IIM.audit.getEntries().then(entries => {
+                const breaks = [];
+                let previous = null;
+                entries.forEach(entry => {
+                    if (hashEntry(entry) !== entry.hash) {
+                        breaks.push({ seq: entry.seq, reason: 'hash_mismatch' });
+                    }
+                    if (previous && entry.seq !== previous.seq + 1) {
+                        breaks.push({ seq: entry.seq, reason: 'sequence_gap' });
+                    }
+                    if (!previous && entry.seq !== 1) {
+                        breaks.push({ seq: entry.seq, reason: 'sequence_gap' });
+                    }
+                    if (entry.previousHash !== (previous ? previous.hash : GENESIS_HASH)) {
+                        breaks.push({ seq: entry.seq, reason: 'chain_broken' });
+                    }
+                    previous = entry;
+                });
+                return { valid: breaks.length === 0, count: entries.length, breaks: breaks };
+            });
+        },
+
+        // Sends unflushed entries to the audit API in order; only the leader tab does this
+        flush: function() {
+            if (flushing) return flushing;
+            if (!navigator.onLine || (IIM.tabSync && !IIM.tabSync.isLeader())) {
+                return Promise.resolve(0);
+            }
+
+            let sent = 0;
+            const sendBatch = () => readUnflushed().then(entries => {
+                const batch = entries.slice(0, FLUSH_BATCH);
+                if (!batch.length) return sent;
+                return request('POST', '/audit', { entries: batch.map(stripLocal) })
+                    .then(() => markFlushed(batch.map(entry => entry.seq)))
+                    .then(() => {
+                        sent += batch.length;
+                        return entries.length > batch.length ? sendBatch() : sent;
+                    });
+            });
+
+            flushing = sendBatch()
+                .catch(error => {
+                    // Entries stay unflushed and go out on the next attempt
+                    console.warn('Audit flush failed:', error);
+                    return sent;
+                })
+                .finally(() => {
+                    flushing = null;
+                });
+            return flushing;
+        },
+
+        start: function() {
+            if (started) return;
+            started = true;
+            window.addEventListener('online', () => IIM.audit.flush());
+            setInterval(() => IIM.audit.flush(), IIM.config.auditFlushInterval);
+            IIM.audit.flush();
+        }
+    };
+
+    // --- Chain ---
+    function append(details) {
+        const build = previous => {
+            const entry = Object.assign({
+                seq: previous ? previous.seq + 1 : 1,
+                previousHash: previous ? previous.hash : GENESIS_HASH
+            }, details);
+            entry.hash = hashEntry(entry);
+            entry.flushed = 0;
+            return entry;
+        };
+
+        if (!IIM.sessionStore.isSupported()) {
+            const entry = build(memoryLog[memoryLog.length - 1] || null);
+            memoryLog.push(entry);
+            return Promise.resolve(entry);
+        }
+        return IIM.sessionStore.appendAuditEntry(build);
+    }
+
+    // Covers every recorded field except the hash itself and the local flushed flag
+    function hashEntry(entry) {
+        return IIM.sha256.digestText(IIM.sessionExport.canonicalize({
+            seq: entry.seq,
+            id: entry.id,
+            timestamp: entry.timestamp,
+            user: entry.user,
+            sessionId: entry.sessionId,
+            action: entry.action,
+            payloadDigest: entry.payloadDigest,
+            previousHash: entry.previousHash
+        }));
+    }
+
+    function stripLocal(entry) {
+        const copy = Object.assign({}, entry);
+        delete copy.flushed;
+        return copy;
+    }
+
+    // --- Storage ---
+    function readEntries() {
+        if (!IIM.sessionStore.isSupported()) return Promise.resolve(memoryLog.slice());
+        return IIM.sessionStore.getAuditEntries();
+    }
+
+    function readUnflushed() {
+        if (!IIM.sessionStore.isSupported()) return Promise.resolve(memoryLog.filter(entry => !entry.flushed));
+        return IIM.sessionStore.getUnflushedAuditEntries().then(entries => entries.sort((a, b) => a.seq - b.seq));
+    }
+
+    function markFlushed(seqs) {
+        if (!IIM.sessionStore.isSupported()) {
+            memoryLog.forEach(entry => {
+                if (seqs.includes(entry.seq)) entry.flushed = 1;
+            });
+            return Promise.resolve();
+        }
+        return IIM.sessionStore.markAuditFlushed(seqs);
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        // Batch bursts of actions into one request
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            IIM.audit.flush();
+        }, 1000);
+    }
+
+    function request(method, path, json) {
+        return IIM.http.request(method, path, { json: json }).then(() => null);
+    }
+
+    // Command palette entry
+    if (IIM.quickSearch) {
+        IIM.quickSearch.actions.push({
+            id: 'verify-audit',
+            title: () => IIM.t('audit.verify'),
+            run: () => IIM.audit.verify().then(result => {
+                if (result.valid) {
+                    IIM.showNotification(IIM.t('audit.intact', { count: result.count }), 'success');
+                } else {
+                    IIM.showNotification(IIM.t('audit.broken', { seq: result.breaks[0].seq, count: result.breaks.length }), 'error');
+                }
+            }, () => IIM.showNotification(IIM.t('audit.unreadable'), 'error'))
+        });
+    }
+
+})(window.IIM);
@@ -0,0 +1,643 @@
+// IIM Comparison - one prompt, two to four models, side by side
+// The prompt goes out once as a compare_request; the server streams each model's
+// answer under its own streamId, and those streams render into parallel columns
+// (with latency and token counts) instead of the transcript. Finished answers can
+// be diffed word by word against a baseline column, and the preferred one kept.
+// The server echoes the comparisonId on each stream's stream_start. Other tabs get
+// the same streams relayed (see iim-tab-sync.js); they drop them, so the answers
+// that weren't kept never reach a transcript.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const MIN_MODELS = 2;
+    const MAX_MODELS = 4;
+    // Word-level LCS is quadratic; past this many cells the diff is skipped
+    const MAX_DIFF_CELLS = 4000000;
+
+    let overlay = null;
+    let run = null;
+    let previousFocus = null;
+    // Streams of comparisons run by another tab, until they end
+    const foreignStreams = new Set();
+
+    IIM.i18n.addMessages('en', {
+        'comparison.title': 'Compare models',
+        'comparison.pickCount': 'Pick between {min} and {max} models to compare',
+        'comparison.needPrompt': 'Enter a prompt to compare',
+        'comparison.running': 'A comparison is already running',
+        'comparison.kept': 'Kept the answer from {model}',
+        'comparison.generationFailed': 'Generation failed',
+        'comparison.prompt': 'Prompt to send to every selected model...',
+        'comparison.compare': 'Compare',
+        'comparison.stop': 'Stop',
+        'comparison.new': 'New comparison',
+        'comparison.highlight': 'Highlight differences',
+        'comparison.noModels': 'No models available',
+        'comparison.baseline': 'Baseline',
+        'comparison.loadingModel': 'Loading model...',
+        'comparison.tooLongToDiff': 'too long to diff',
+        'comparison.keep': 'Keep this answer',
+        'comparison.useAsBaseline': 'Use as baseline',
+        'comparison.waitingForLoad': 'Waiting for the model to load',
+        'comparison.waitingForToken': 'Waiting for the first token',
+        'comparison.firstToken': 'First token {duration}',
+        'comparison.total': '{duration} total',
+        'comparison.tokens': { one: '{count} token', other: '{count} tokens' },
+        'comparison.tokensEstimated': { one: '~{count} token', other: '~{count} tokens' },
+        'comparison.rate': '{rate} tok/s',
+        'comparison.stopped': 'stopped',
+        'comparison.open': 'Compare models side by side'
+    });
+
+    IIM.comparison = {
+        MIN_MODELS: MIN_MODELS,
+        MAX_MODELS: MAX_MODELS,
+
+        // modelIds preselects the models; defaults to the active one
+        open: function(modelIds) {
+            if (!overlay) overlay = buildOverlay();
+            previousFocus = document.activeElement;
+            overlay.backdrop.hidden = false;
+
+            if (!run) {
+                const input = document.querySelector('.iim-input-field');
+                overlay.prompt.value = input ? input.value : '';
+                renderPicker(modelIds || (IIM.state.activeModel ? [IIM.state.activeModel] : []));
+            }
+            render();
+            (run ? overlay.dialog : overlay.prompt).focus();
+        },
+
+        close: function() {
+            if (!overlay || overlay.backdrop.hidden) return;
+            overlay.backdrop.hidden = true;
+            if (previousFocus && previousFocus.focus) previousFocus.focus();
+        },
+
+        isOpen: function() {
+            return !!overlay && !overlay.backdrop.hidden;
+        },
+
+        // Loads the models if needed, records the prompt in the current session and
+        // sends it to all of them. Resolves with the comparison id.
+        start: function(prompt, modelIds) {
+            const ids = Array.from(new Set(modelIds || []));
+            if (ids.length < MIN_MODELS || ids.length > MAX_MODELS) {
+                return Promise.reject(new Error(IIM.t('comparison.pickCount', { min: MIN_MODELS, max: MAX_MODELS })));
+            }
+            if (!prompt || !prompt.trim()) {
+                return Promise.reject(new Error(IIM.t('comparison.needPrompt')));
+            }
+            if (run && isRunning()) {
+                return Promise.reject(new Error(IIM.t('comparison.running')));
+            }
+            if (!IIM.state.currentSession) {
+                IIM.createNewSession();
+            }
+
+            run = {
+                id: IIM.generateId(),
+                sessionId: IIM.state.currentSession,
+                prompt: prompt,
+                baseline: ids[0],
+                showDiff: false,
+                columns: ids.map(modelId => createColumn(modelId))
+            };
+            const current = run;
+            render();
+
+            // Compared models stay loaded while room is made for the others
+            return ids.reduce((chain, modelId) => chain.then(() => IIM.models.load(modelId, { evict: true, keep: ids })), Promise.resolve())
+                .then(() => {
+                    // Reset or stopped while the models were loading
+                    if (run !== current || current.columns.some(column => column.status !== 'pending')) return current.id;
+
+                    const message = { id: IIM.generateId(), role: 'user', content: prompt, timestamp: new Date().toISOString() };
+                    IIM.store.dispatch('message/added', { sessionId: current.sessionId, message: message });
+                    if (current.sessionId === IIM.state.currentSession) {
+                        IIM.appendMessage(message);
+                    }
+
+                    const sentAt = performance.now();
+                    current.columns.forEach(column => {
+                        column.status = 'waiting';
+                        column.sentAt = sentAt;
+                    });
+                    IIM.connection.send({
+                        type: 'compare_request',
+                        comparisonId: current.id,
+                        sessionId: current.sessionId,
+                        content: prompt,
+                        targets: current.columns.map(column => ({ modelId: column.modelId, streamId: column.streamId }))
+                    });
+                    render();
+                    return current.id;
+                })
+                .catch(error => {
+                    if (run === current) {
+                        current.columns.forEach(column => {
+                            if (column.status === 'pending') column.status = 'error';
+                        });
+                        render();
+                    }
+                    throw error;
+                });
+        },
+
+        // Stops every column still loading or generating
+        cancel: function() {
+            if (!run) return;
+            run.columns.forEach(column => {
+                if (column.status === 'waiting' || column.status === 'streaming') {
+                    IIM.connection.send({ type: 'stream_cancel', streamId: column.streamId }, { queue: false });
+                } else if (column.status !== 'pending') {
+                    return;
+                }
+                column.status = 'cancelled';
+                column.finishedAt = performance.now();
+            });
+            render();
+        },
+
+        // Adds the chosen answer to the session transcript and ends the comparison
+        keep: function(modelId) {
+            const column = run && run.columns.find(c => c.modelId === modelId);
+            if (!column || column.status !== 'complete') return null;
+
+            const message = {
+                id: column.messageId || IIM.generateId(),
+                role: 'assistant',
+                content: column.buffer,
+                model: modelId,
+                timestamp: new Date().toISOString(),
+                comparison: {
+                    id: run.id,
+                    models: run.columns.map(c => c.modelId),
+                    latencyMs: column.firstTokenAt ? Math.round(column.firstTokenAt - column.sentAt) : null,
+                    durationMs: Math.round(column.finishedAt - column.sentAt),
+                    tokens: column.tokens
+                }
+            };
+            IIM.store.dispatch('message/added', { sessionId: run.sessionId, message: message });
+            if (run.sessionId === IIM.state.currentSession) {
+                IIM.appendMessage(message);
+            }
+            IIM.audit.record('comparison.kept', { comparison: message.comparison, model: modelId, content: message.content }, run.sessionId);
+
+            IIM.comparison.reset();
+            IIM.comparison.close();
+            IIM.showNotification(IIM.t('comparison.kept', { model: modelName(modelId) }), 'success');
+            return message;
+        },
+
+        setBaseline: function(modelId) {
+            if (!run || !run.columns.some(c => c.modelId === modelId)) return;
+            run.baseline = modelId;
+            render();
+        },
+
+        setDiff: function(enabled) {
+            if (!run) return;
+            run.showDiff = !!enabled;
+            render();
+        },
+
+        // Discards the current comparison (cancelling anything still streaming)
+        reset: function() {
+            IIM.comparison.cancel();
+            run = null;
+            if (overlay) render();
+        },
+
+        // A copy of the current comparison for callers outside this module
+        getRun: function() {
+            if (!run) return null;
+            return {
+                id: run.id,
+                sessionId: run.sessionId,
+                prompt: run.prompt,
+                baseline: run.baseline,
+                columns: run.columns.map(column => ({
+                    modelId: column.modelId,
+                    streamId: column.streamId,
+                    status: column.status,
+                    content: column.buffer,
+                    latencyMs: column.firstTokenAt ? Math.round(column.firstTokenAt - column.sentAt) : null,
+                    durationMs: column.finishedAt ? Math.round(column.finishedAt - column.sentAt) : null,
+                    tokens: column.tokens,
+                    tokensEstimated: column.tokensEstimated
+                }))
+            };
+        },
+
+        // Called for every WebSocket message; returns true when it belonged to a comparison column
+        handleStreamMessage: function(data) {
+            if (!data || !data.streamId) return false;
+            const column = run && run.columns.find(c => c.streamId === data.streamId);
+            if (!column) return dropForeign(data);
+
+            switch (data.type) {
+                case 'stream_start':
+                    column.status = 'streaming';
+                    if (data.message && data.message.id) column.messageId = data.message.id;
+                    break;
+                case 'stream_delta':
+                    if (column.status !== 'waiting' && column.status !== 'streaming') break;
+                    if (!column.firstTokenAt) column.firstTokenAt = performance.now();
+                    column.status = 'streaming';
+                    column.buffer += data.delta || '';
+                    column.deltas++;
+                    column.tokens = column.deltas;
+                    break;
+                case 'stream_end':
+                    if (typeof data.content === 'string') column.buffer = data.content;
+                    column.status = 'complete';
+                    column.finishedAt = performance.now();
+                    if (!column.firstTokenAt) column.firstTokenAt = column.finishedAt;
+                    // Prefer the server's count; otherwise one delta is roughly one token
+                    if (data.usage && typeof data.usage.completionTokens === 'number') {
+                        column.tokens = data.usage.completionTokens;
+                        column.tokensEstimated = false;
+                    } else {
+                        column.tokens = column.deltas;
+                        column.tokensEstimated = true;
+                    }
+                    break;
+                case 'stream_error':
+                    column.status = 'error';
+                    column.error = data.error || IIM.t('comparison.generationFailed');
+                    column.finishedAt = performance.now();
+                    break;
+                default:
+                    return false;
+            }
+
+            scheduleRender(column);
+            return true;
+        },
+
+        // Splits b into [{ text, added }] runs relative to a, by words; null if too long to compare
+        diffWords: diffWords
+    };
+
+    function createColumn(modelId) {
+        return {
+            modelId: modelId,
+            streamId: IIM.generateId(),
+            messageId: null,
+            status: 'pending',
+            buffer: '',
+            deltas: 0,
+            tokens: 0,
+            tokensEstimated: true,
+            sentAt: 0,
+            firstTokenAt: 0,
+            finishedAt: 0,
+            error: null,
+            renderPending: false
+        };
+    }
+
+    function isRunning() {
+        return run.columns.some(c => c.status === 'pending' || c.status === 'waiting' || c.status === 'streaming');
+    }
+
+    // Swallows the messages of a stream that belongs to another tab's comparison
+    function dropForeign(data) {
+        if (data.type === 'stream_start' && data.comparisonId && !(run && run.id === data.comparisonId)) {
+            foreignStreams.add(data.streamId);
+            return true;
+        }
+        if (!foreignStreams.has(data.streamId)) return false;
+        if (data.type === 'stream_end' || data.type === 'stream_error') {
+            foreignStreams.delete(data.streamId);
+        }
+        return true;
+    }
+
+    function modelName(modelId) {
+        const model = IIM.state.models.find(m => m.id === modelId);
+        return model ? model.name : modelId;
+    }
+
+    // --- Diff ---
+    function diffWords(a, b) {
+        const wordsA = (a || '').match(/\S+/g) || [];
+        const tokensB = (b || '').match(/\s+|\S+/g) || [];
+        const wordsB = tokensB.filter(token => /\S/.test(token));
+        const n = wordsA.length;
+        const m = wordsB.length;
+        if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) return null;
+
+        // lengths[i][j]: LCS of wordsA[i..] and wordsB[j..]
+        const width = m + 1;
+        const lengths = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * width + j] = wordsA[i] === wordsB[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const common = new Array(m).fill(false);
+        for (let i = 0, j = 0; i < n && j < m;) {
+            if (wordsA[i] === wordsB[j]) {
+                common[j] = true;
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        // Whitespace joins the run around it, so neighbouring changed words form one span
+        const parts = [];
+        let word = 0;
+        tokensB.forEach(token => {
+            const added = /\S/.test(token)
+                ? !common[word++]
+                : word > 0 && word < m && !common[word - 1] && !common[word];
+            const last = parts[parts.length - 1];
+            if (last && last.added === added) {
+                last.text += token;
+            } else {
+                parts.push({ text: token, added: added });
+            }
+        });
+        return parts;
+    }
+
+    // --- Rendering ---
+    function scheduleRender(column) {
+        if (column.renderPending) return;
+        column.renderPending = true;
+        requestAnimationFrame(() => {
+            column.renderPending = false;
+            render();
+        });
+    }
+
+    function buildOverlay() {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'iim-comparison-backdrop';
+        backdrop.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'iim-comparison';
+        dialog.tabIndex = -1;
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'iim-comparison-title');
+
+        const header = document.createElement('div');
+        header.className = 'iim-comparison-header';
+        const title = document.createElement('h2');
+        title.id = 'iim-comparison-title';
+        title.className = 'iim-comparison-title';
+        title.textContent = IIM.t('comparison.title');
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'iim-comparison-close';
+        closeButton.setAttribute('aria-label', IIM.t('common.close'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => IIM.comparison.close());
+        header.append(title, closeButton);
+
+        const composer = document.createElement('div');
+        composer.className = 'iim-comparison-composer';
+        const picker = document.createElement('div');
+        picker.className = 'iim-comparison-picker';
+        const prompt = document.createElement('textarea');
+        prompt.className = 'iim-comparison-prompt';
+        prompt.rows = 3;
+        prompt.placeholder = IIM.t('comparison.prompt');
+        const actions = document.createElement('div');
+        actions.className = 'iim-comparison-actions';
+        const compareButton = document.createElement('button');
+        compareButton.type = 'button';
+        compareButton.className = 'iim-comparison-start';
+        compareButton.textContent = IIM.t('comparison.compare');
+        compareButton.addEventListener('click', () => {
+            const selected = Array.from(picker.querySelectorAll('input:checked')).map(input => input.value);
+            IIM.comparison.start(prompt.value, selected).catch(error => IIM.showNotification(error.message, 'error'));
+        });
+        const stopButton = document.createElement('button');
+        stopButton.type = 'button';
+        stopButton.className = 'iim-comparison-stop';
+        stopButton.textContent = IIM.t('comparison.stop');
+        stopButton.addEventListener('click', () => IIM.comparison.cancel());
+        const newButton = document.createElement('button');
+        newButton.type = 'button';
+        newButton.className = 'iim-comparison-new';
+        newButton.textContent = IIM.t('comparison.new');
+        newButton.addEventListener('click', () => {
+            const previous = run ? run.columns.map(c => c.modelId) : [];
+            IIM.comparison.reset();
+            renderPicker(previous);
+            render();
+            overlay.prompt.focus();
+        });
+        const diffLabel = document.createElement('label');
+        diffLabel.className = 'iim-comparison-diff-toggle';
+        const diffToggle = document.createElement('input');
+        diffToggle.type = 'checkbox';
+        diffToggle.addEventListener('change', () => IIM.comparison.setDiff(diffToggle.checked));
+        diffLabel.append(diffToggle, document.createTextNode(` ${IIM.t('comparison.highlight')}`));
+        actions.append(compareButton, stopButton, newButton, diffLabel);
+        composer.append(picker, prompt, actions);
+
+        const columns = document.createElement('div');
+        columns.className = 'iim-comparison-columns';
+
+        dialog.append(header, composer, columns);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+
+        backdrop.addEventListener('mousedown', e => {
+            if (e.target === backdrop) IIM.comparison.close();
+        });
+        picker.addEventListener('change', () => render());
+        prompt.addEventListener('input', () => render());
+
+        return {
+            backdrop: backdrop,
+            dialog: dialog,
+            picker: picker,
+            prompt: prompt,
+            compareButton: compareButton,
+            stopButton: stopButton,
+            newButton: newButton,
+            diffToggle: diffToggle,
+            columns: columns
+        };
+    }
+
+    function renderPicker(selectedIds) {
+        const selected = new Set(selectedIds);
+        overlay.picker.replaceChildren(...IIM.state.models.map(model => {
+            const label = document.createElement('label');
+            label.className = 'iim-comparison-model';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = model.id;
+            checkbox.checked = selected.has(model.id);
+            label.append(checkbox, document.createTextNode(` ${model.name}`));
+            return label;
+        }));
+        if (!IIM.state.models.length) {
+            overlay.picker.textContent = IIM.t('comparison.noModels');
+        }
+    }
+
+    function render() {
+        if (!overlay) return;
+
+        const checked = Array.from(overlay.picker.querySelectorAll('input:checked'));
+        const running = !!run && isRunning();
+        const baseline = run && run.columns.find(c => c.modelId === run.baseline);
+        // Diffs need a finished baseline and nothing still changing
+        const diffable = !!run && !running && baseline.status === 'complete';
+
+        overlay.picker.querySelectorAll('input').forEach(input => {
+            // Lock the selection while a comparison is shown; cap it at MAX_MODELS
+            input.disabled = !!run || (!input.checked && checked.length >= MAX_MODELS);
+        });
+        overlay.prompt.readOnly = !!run;
+        if (run) overlay.prompt.value = run.prompt;
+        overlay.compareButton.hidden = !!run;
+        overlay.compareButton.disabled = checked.length < MIN_MODELS || !overlay.prompt.value.trim();
+        overlay.stopButton.hidden = !running;
+        overlay.newButton.hidden = !run || running;
+        overlay.diffToggle.parentElement.hidden = !diffable;
+        overlay.diffToggle.checked = !!run && run.showDiff;
+
+        if (!run) {
+            overlay.columns.replaceChildren();
+            return;
+        }
+
+        overlay.columns.style.setProperty('--iim-comparison-count', run.columns.length);
+        overlay.columns.replaceChildren(...run.columns.map(column => renderColumn(column, baseline, diffable && run.showDiff)));
+    }
+
+    function renderColumn(column, baseline, showDiff) {
+        const element = document.createElement('section');
+        element.className = `iim-comparison-column ${column.status}`;
+        element.dataset.modelId = column.modelId;
+
+        const header = document.createElement('header');
+        header.className = 'iim-comparison-column-header';
+        const name = document.createElement('span');
+        name.className = 'iim-comparison-model-name';
+        name.textContent = modelName(column.modelId);
+        header.appendChild(name);
+        if (column === baseline) {
+            const badge = document.createElement('span');
+            badge.className = 'iim-comparison-baseline';
+            badge.textContent = IIM.t('comparison.baseline');
+            header.appendChild(badge);
+        }
+
+        const stats = document.createElement('div');
+        stats.className = 'iim-comparison-stats';
+        stats.textContent = describeStats(column);
+
+        const content = document.createElement('div');
+        content.className = 'iim-message-content iim-comparison-content';
+        if (column.status === 'pending') {
+            content.textContent = IIM.t('comparison.loadingModel');
+        } else if (showDiff && column !== baseline && column.status === 'complete') {
+            const parts = diffWords(baseline.buffer, column.buffer);
+            if (parts) {
+                const pre = document.createElement('div');
+                pre.className = 'iim-comparison-diff';
+                parts.forEach(part => {
+                    if (part.added) {
+                        const mark = document.createElement('mark');
+                        mark.textContent = part.text;
+                        pre.appendChild(mark);
+                    } else {
+                        pre.appendChild(document.createTextNode(part.text));
+                    }
+                });
+                content.appendChild(pre);
+            } else {
+                content.appendChild(IIM.formatMessageContent(column.buffer));
+                stats.textContent += ` · ${IIM.t('comparison.tooLongToDiff')}`;
+            }
+        } else {
+            content.appendChild(IIM.formatMessageContent(column.buffer));
+        }
+        if (column.status === 'streaming' || column.status === 'waiting') {
+            const cursor = document.createElement('span');
+            cursor.className = 'iim-stream-cursor';
+            content.appendChild(cursor);
+        }
+        if (column.error) {
+            const error = document.createElement('div');
+            error.className = 'iim-stream-error';
+            error.textContent = column.error;
+            content.appendChild(error);
+        }
+
+        const footer = document.createElement('footer');
+        footer.className = 'iim-comparison-column-actions';
+        if (column.status === 'complete') {
+            const keepButton = document.createElement('button');
+            keepButton.type = 'button';
+            keepButton.className = 'iim-comparison-keep';
+            keepButton.textContent = IIM.t('comparison.keep');
+            keepButton.addEventListener('click', () => IIM.comparison.keep(column.modelId));
+            footer.appendChild(keepButton);
+            if (column !== baseline) {
+                const baselineButton = document.createElement('button');
+                baselineButton.type = 'button';
+                baselineButton.className = 'iim-comparison-set-baseline';
+                baselineButton.textContent = IIM.t('comparison.useAsBaseline');
+                baselineButton.addEventListener('click', () => IIM.comparison.setBaseline(column.modelId));
+                footer.appendChild(baselineButton);
+            }
+        }
+
+        element.append(header, stats, content, footer);
+        return element;
+    }
+
+    function describeStats(column) {
+        const now = performance.now();
+        const parts = [];
+        if (column.status === 'pending') return IIM.t('comparison.waitingForLoad');
+        if (column.status === 'waiting') return IIM.t('comparison.waitingForToken');
+        if (column.firstTokenAt) {
+            parts.push(IIM.t('comparison.firstToken', { duration: formatDuration(column.firstTokenAt - column.sentAt) }));
+        }
+        parts.push(IIM.t('comparison.total', { duration: formatDuration((column.finishedAt || now) - column.sentAt) }));
+        parts.push(IIM.t(column.tokensEstimated ? 'comparison.tokensEstimated' : 'comparison.tokens', { count: column.tokens }));
+        const seconds = ((column.finishedAt || now) - (column.firstTokenAt || column.sentAt)) / 1000;
+        if (column.status === 'complete' && seconds > 0 && column.tokens) {
+            parts.push(IIM.t('comparison.rate', { rate: IIM.i18n.formatNumber(column.tokens / seconds, { maximumFractionDigits: 1, minimumFractionDigits: 1 }) }));
+        }
+        if (column.status === 'cancelled') parts.push(IIM.t('comparison.stopped'));
+        return parts.join(' · ');
+    }
+
+    function formatDuration(ms) {
+        const options = ms < 1000
+            ? { style: 'unit', unit: 'millisecond', unitDisplay: 'short', maximumFractionDigits: 0 }
+            : { style: 'unit', unit: 'second', unitDisplay: 'short', minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        return IIM.i18n.formatNumber(ms < 1000 ? ms : ms / 1000, options);
+    }
+
+    // Command palette entry
+    if (IIM.quickSearch) {
+        IIM.quickSearch.actions.push(
+            { id: 'compare-models', title: () => IIM.t('comparison.open'), run: () => IIM.comparison.open() }
+        );
+    }
+
+})(window.IIM);
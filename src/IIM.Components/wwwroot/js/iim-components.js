@@ -9,21 +9,100 @@ window.IIM = window.IIM || {};
         animationDuration: 300,
         messageLimit: 100,
         autoSaveInterval: 30000, // 30 seconds
-        maxFileSize: 100 * 1024 * 1024, // 100MB
-        supportedFormats: ['.pdf', '.docx', '.txt', '.json', '.csv', '.png', '.jpg', '.mp3', '.wav'],
+        maxFileSize: 64 * 1024 * 1024 * 1024, // 64GB - disk images and phone extractions
+        uploadChunkSize: 8 * 1024 * 1024, // 8MB
+        maxParallelUploads: 3,
+        uploadRetries: 5,
+        supportedFormats: ['.pdf', '.docx', '.zip', '.txt', '.json', '.csv', '.png', '.jpg', '.mp3', '.wav'],
+        // Per detected type (see iim-file-types.js); falls back to maxFileSize
+        maxFileSizes: {
+            pdf: 2 * 1024 * 1024 * 1024, // 2GB
+            docx: 500 * 1024 * 1024, // 500MB
+            png: 200 * 1024 * 1024, // 200MB
+            jpeg: 200 * 1024 * 1024, // 200MB
+            mp3: 2 * 1024 * 1024 * 1024, // 2GB
+            wav: 8 * 1024 * 1024 * 1024, // 8GB
+            json: 2 * 1024 * 1024 * 1024, // 2GB
+            text: 2 * 1024 * 1024 * 1024 // 2GB
+        },
+        // Development defaults; deployments set these at runtime (see iim-config.js)
         apiEndpoint: 'https://localhost:7001/api',
-        wsEndpoint: 'wss://localhost:7001/ws'
+        wsEndpoint: 'wss://localhost:7001/ws',
+        // Where a hard authentication failure sends the page ('' leaves it to the host)
+        authRedirectUrl: '/authentication/login',
+        tokenRefreshMargin: 60000, // refresh bearer tokens a minute before they expire
+        // Refuse to upload evidence without a bearer token; only hosts without sign-in turn this off
+        requireUploadAuth: true,
+        reconnectBaseDelay: 1000,
+        reconnectMaxDelay: 30000,
+        heartbeatInterval: 15000,
+        heartbeatTimeout: 10000,
+        outboxLimit: 500,
+        // Failed uploads up to this size are kept on the device until the server is back (see iim-offline.js)
+        offlineUploadLimit: 2 * 1024 * 1024 * 1024, // 2GB
+        offlineRetryInterval: 30000, // 30 seconds
+        interopTimeout: 10000,
+        auditFlushInterval: 30000, // 30 seconds
+        modelMemoryBudget: 16 * 1024 * 1024 * 1024, // 16GB; the API may report its own
+        modelOperationTimeout: 10 * 60 * 1000, // 10 minutes - large models load slowly
+        // How long toasts stay up by severity; 0 keeps them until dismissed
+        notificationDurations: {
+            success: 3000,
+            info: 4000,
+            warning: 8000,
+            error: 0
+        }
     };
 
-    // State Management
-    IIM.state = {
-        currentSession: null,
-        sessions: [],
-        models: [],
-        activeModel: null,
-        isProcessing: false,
-        connectionStatus: 'disconnected'
-    };
+    // English messages for this file; other locales come from i18n/<locale>.json (see iim-i18n.js)
+    IIM.i18n.addMessages('en', {
+        'shortcut.quickSearch': 'Quick search',
+        'shortcut.newSession': 'New session',
+        'shortcut.saveSession': 'Save session',
+        'shortcut.showShortcuts': 'Show keyboard shortcuts',
+        'shortcut.sendMessage': 'Send message',
+        'shortcut.closeDialog': 'Close dialog',
+        'stream.stop': 'Stop',
+        'stream.stopTitle': 'Stop generating',
+        'stream.failed': 'Generation failed',
+        'stream.failedNotice': 'Response generation failed',
+        'session.defaultName': 'New Investigation',
+        'session.messageCount': { one: '{count} message', other: '{count} messages' },
+        'session.evidenceCount': { one: '{count} evidence item', other: '{count} evidence items' },
+        'session.saved': 'Session saved',
+        'session.saveFailed': 'Failed to save session',
+        'session.loadFailed': 'Saved investigations could not be loaded',
+        'session.openElsewhere': 'Also open in another tab',
+        'file.executable': 'File {name} is an executable and cannot be added as evidence',
+        'file.unsupported': 'File {name} has unrecognized or unsupported content',
+        'file.tooLarge': 'File {name} is too large (max {max} for {type})',
+        'file.mismatch': 'File {name} looks like a {type}, not {extension}',
+        'file.unreadable': 'File {name} could not be read',
+        'file.processed': 'File {name} processed successfully',
+        'file.failed': 'Failed to process {name}',
+        'file.queuedOffline': 'The server is unreachable; {name} is kept on this device and will be sent once it answers',
+        'model.budget': '{used} of {budget} in use',
+        'model.waiting': { one: '{count} waiting', other: '{count} waiting' },
+        'model.unload': 'Unload',
+        'model.loadingProgress': 'Loading {percent}',
+        'model.status.loading': 'Loading',
+        'model.status.queued': 'Queued',
+        'model.status.unloading': 'Unloading',
+        'model.status.loaded': 'Loaded',
+        'model.status.unloaded': 'Not loaded',
+        'model.status.error': 'Error',
+        'message.avatarUser': 'U',
+        'message.avatarAssistant': 'AI',
+        'connection.connected': 'Connected',
+        'connection.connecting': 'Connecting...',
+        'connection.reconnectingIn': 'Reconnecting in {seconds}s (attempt {attempt})',
+        'connection.reconnecting': 'Reconnecting...',
+        'connection.offline': 'Offline - waiting for network',
+        'connection.error': 'Connection error',
+        'connection.disconnected': 'Disconnected'
+    });
+
+    // State Management: IIM.state is a read-only snapshot; changes go through IIM.store (see iim-store.js)
 
     // Initialize IIM Components
     IIM.init = function() {
@@ -36,12 +115,27 @@ window.IIM = window.IIM || {};
         
         // Setup event listeners
         IIM.setupEventListeners();
+
+        // Keep the DOM in step with the store
+        IIM.bindState();
+
+        // Notification history bell; hosts may provide a slot for it
+        IIM.notifications.mountBell(document.querySelector('.iim-notification-bell-host'));
         
         // Initialize WebSocket connection
         IIM.initWebSocket();
         
         // Load saved state
         IIM.loadState();
+
+        // Fetch the model catalogue
+        IIM.models.fetch().catch(() => {});
+
+        // Send audit entries recorded while offline or before this load
+        IIM.audit.start();
+
+        // Send uploads, model loads and messages kept while the server was unreachable
+        IIM.offline.start();
         
         // Setup auto-save
         IIM.setupAutoSave();
@@ -71,6 +165,11 @@ window.IIM = window.IIM || {};
 
         // Model selection
         document.addEventListener('click', function(e) {
+            const unloadButton = e.target.closest('.iim-model-unload');
+            if (unloadButton) {
+                IIM.models.unload(unloadButton.closest('.iim-model-card').dataset.modelId).catch(() => {});
+                return;
+            }
             if (e.target.closest('.iim-model-card')) {
                 const modelId = e.target.closest('.iim-model-card').dataset.modelId;
                 IIM.selectModel(modelId);
@@ -98,70 +197,76 @@ window.IIM = window.IIM || {};
             }
         });
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', function(e) {
-            // Ctrl/Cmd + K - Quick search
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                IIM.openQuickSearch();
-            }
-            
-            // Ctrl/Cmd + N - New session
-            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-                e.preventDefault();
-                IIM.createNewSession();
-            }
-            
-            // Ctrl/Cmd + S - Save
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                IIM.saveCurrentSession();
+        // Keyboard shortcuts (see iim-shortcuts.js)
+        IIM.registerDefaultShortcuts();
+        IIM.shortcuts.start();
+    };
+
+    IIM.registerDefaultShortcuts = function() {
+        const defaults = [
+            { id: 'quick-search', keys: 'Mod+K', description: () => IIM.t('shortcut.quickSearch'), allowInInputs: true, handler: () => IIM.openQuickSearch() },
+            { id: 'new-session', keys: 'Mod+N', description: () => IIM.t('shortcut.newSession'), handler: () => IIM.createNewSession() },
+            { id: 'save-session', keys: 'Mod+S', description: () => IIM.t('shortcut.saveSession'), handler: () => IIM.saveCurrentSession() },
+            { id: 'show-shortcuts', keys: '?', description: () => IIM.t('shortcut.showShortcuts'), handler: () => IIM.shortcuts.showHelp() },
+            {
+                id: 'send-message', keys: 'Mod+Enter', scope: 'chat-input', description: () => IIM.t('shortcut.sendMessage'),
+                handler: () => {
+                    const sendButton = document.querySelector('.iim-send-button');
+                    if (sendButton && !sendButton.disabled) sendButton.click();
+                }
+            },
+            {
+                id: 'close-dialog', keys: 'Escape', scope: 'modal', description: () => IIM.t('shortcut.closeDialog'),
+                handler: () => {
+                    IIM.shortcuts.hideHelp();
+                    IIM.closeQuickSearch();
+                    IIM.comparison.close();
+                }
             }
+        ];
+
+        // Repeated IIM.init calls re-register the same ids; drop the old ones first
+        defaults.forEach(shortcut => {
+            IIM.shortcuts.unregister(shortcut.id);
+            IIM.shortcuts.register(shortcut);
         });
     };
 
-    // WebSocket Management
+    // WebSocket Management (see iim-connection.js)
     IIM.initWebSocket = function() {
-        try {
-            IIM.ws = new WebSocket(IIM.config.wsEndpoint);
-            
-            IIM.ws.onopen = function() {
-                console.log('WebSocket connected');
-                IIM.updateConnectionStatus('connected');
-            };
-            
-            IIM.ws.onmessage = function(event) {
-                const data = JSON.parse(event.data);
-                IIM.handleWebSocketMessage(data);
-            };
-            
-            IIM.ws.onerror = function(error) {
-                console.error('WebSocket error:', error);
-                IIM.updateConnectionStatus('error');
-            };
-            
-            IIM.ws.onclose = function() {
-                console.log('WebSocket disconnected');
-                IIM.updateConnectionStatus('disconnected');
-                // Attempt reconnection after 5 seconds
-                setTimeout(IIM.initWebSocket, 5000);
-            };
-        } catch (error) {
-            console.error('Failed to initialize WebSocket:', error);
+        // Only the leader tab connects; the others get traffic relayed (see iim-tab-sync.js)
+        IIM.tabSync.start();
+        if (IIM.tabSync.isLeader()) {
+            IIM.connection.connect(IIM.config.wsEndpoint);
         }
     };
 
     IIM.handleWebSocketMessage = function(data) {
+        // Streams started by a comparison render in its columns, not the transcript
+        if (IIM.comparison.handleStreamMessage(data)) return;
+
         switch(data.type) {
             case 'model_status':
-                IIM.updateModelStatus(data.modelId, data.status);
+                IIM.models.handleStatus(data);
                 break;
             case 'processing_update':
-                IIM.updateProcessingStatus(data);
+                IIM.context.updateStatus(data);
                 break;
             case 'new_message':
                 IIM.appendMessage(data.message);
                 break;
+            case 'stream_start':
+                IIM.startStream(data);
+                break;
+            case 'stream_delta':
+                IIM.appendStreamDelta(data.streamId, data.delta);
+                break;
+            case 'stream_end':
+                IIM.endStream(data.streamId, data);
+                break;
+            case 'stream_error':
+                IIM.failStream(data.streamId, data.error);
+                break;
             case 'session_update':
                 IIM.updateSession(data.session);
                 break;
@@ -170,44 +275,170 @@ window.IIM = window.IIM || {};
         }
     };
 
+    // Streaming Messages
+    IIM.streams = {};
+
+    IIM.startStream = function(data) {
+        const messagesArea = document.querySelector('.iim-messages-area');
+        if (!messagesArea || !data.streamId) return;
+
+        const message = Object.assign({ role: 'assistant', content: '' }, data.message, { content: '' });
+        const element = IIM.createMessageElement(message);
+        element.classList.add('streaming');
+        element.dataset.streamId = data.streamId;
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'iim-stream-cancel';
+        cancelButton.title = IIM.t('stream.stopTitle');
+        cancelButton.textContent = IIM.t('stream.stop');
+        cancelButton.addEventListener('click', () => IIM.cancelStream(data.streamId));
+        element.appendChild(cancelButton);
+
+        IIM.streams[data.streamId] = {
+            id: data.streamId,
+            sessionId: data.sessionId || IIM.state.currentSession,
+            message: message,
+            element: element,
+            contentElement: element.querySelector('.iim-message-content'),
+            buffer: '',
+            renderPending: false
+        };
+
+        // The list keeps this element (instead of re-creating it) while tokens arrive
+        IIM.messageList.append(message, { element: element, stickToBottom: true });
+        IIM.renderStream(IIM.streams[data.streamId]);
+    };
+
+    IIM.appendStreamDelta = function(streamId, delta) {
+        const stream = IIM.streams[streamId];
+        if (!stream || !delta) return;
+
+        stream.buffer += delta;
+
+        // Coalesce bursts of tokens into one render per frame
+        if (!stream.renderPending) {
+            stream.renderPending = true;
+            requestAnimationFrame(() => {
+                stream.renderPending = false;
+                if (IIM.streams[streamId] === stream) {
+                    IIM.renderStream(stream);
+                }
+            });
+        }
+    };
+
+    IIM.renderStream = function(stream) {
+        stream.contentElement.replaceChildren(IIM.formatMessageContent(stream.buffer));
+
+        // Place the cursor at the end of the last text block, not below it
+        let anchor = stream.contentElement;
+        while (anchor.lastChild && /^(P|UL|OL|LI|BLOCKQUOTE|DIV|PRE|CODE|TABLE|TBODY|TR|TD|H[1-6])$/.test(anchor.lastChild.nodeName)) {
+            anchor = anchor.lastChild;
+        }
+        const cursor = document.createElement('span');
+        cursor.className = 'iim-stream-cursor';
+        anchor.appendChild(cursor);
+
+        // Re-measure; follows the stream only if the user hasn't scrolled up to read
+        IIM.messageList.refresh();
+    };
+
+    IIM.endStream = function(streamId, data = {}) {
+        const stream = IIM.finishStream(streamId, 'complete');
+        if (!stream) return;
+
+        if (typeof data.content === 'string') {
+            stream.buffer = data.content;
+        }
+        // Update in place; the message list tracks this object
+        Object.assign(stream.message, data.message, { content: stream.buffer });
+        stream.contentElement.replaceChildren(IIM.formatMessageContent(stream.buffer));
+        IIM.context.linkCitations(stream.contentElement, stream.message);
+        IIM.messageList.release(stream.message);
+        IIM.messageList.refresh();
+
+        IIM.store.dispatch('message/added', { sessionId: stream.sessionId, message: stream.message });
+    };
+
+    IIM.failStream = function(streamId, error) {
+        const stream = IIM.finishStream(streamId, 'error');
+        if (!stream) return;
+
+        stream.contentElement.replaceChildren(IIM.formatMessageContent(stream.buffer));
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'iim-stream-error';
+        errorElement.textContent = error || IIM.t('stream.failed');
+        stream.contentElement.appendChild(errorElement);
+        IIM.messageList.refresh();
+
+        IIM.showNotification(IIM.t('stream.failedNotice'), 'error');
+    };
+
+    IIM.cancelStream = function(streamId) {
+        const stream = IIM.finishStream(streamId, 'cancelled');
+        if (!stream) return;
+
+        IIM.connection.send({ type: 'stream_cancel', streamId: streamId }, { queue: false });
+
+        stream.contentElement.replaceChildren(IIM.formatMessageContent(stream.buffer));
+
+        // Keep whatever was generated so far, marked as incomplete
+        if (stream.buffer) {
+            Object.assign(stream.message, { content: stream.buffer, cancelled: true });
+            IIM.messageList.release(stream.message);
+            IIM.store.dispatch('message/added', { sessionId: stream.sessionId, message: stream.message });
+        }
+        IIM.messageList.refresh();
+    };
+
+    IIM.finishStream = function(streamId, status) {
+        const stream = IIM.streams[streamId];
+        if (!stream) return null;
+
+        delete IIM.streams[streamId];
+        stream.element.classList.remove('streaming');
+        stream.element.classList.add(`stream-${status}`);
+
+        const cancelButton = stream.element.querySelector('.iim-stream-cancel');
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+        return stream;
+    };
+
     // Session Management
     IIM.createNewSession = function() {
         const session = {
             id: IIM.generateId(),
-            name: 'New Investigation',
+            name: IIM.t('session.defaultName'),
             created: new Date().toISOString(),
             messages: [],
             context: [],
             status: 'active'
         };
         
-        IIM.state.sessions.unshift(session);
-        IIM.state.currentSession = session.id;
-        IIM.renderSessions();
+        IIM.store.dispatch('session/created', { session: session });
+        IIM.audit.record('session.created', { sessionId: session.id, name: session.name }, session.id);
+        IIM.tabSync.publishSession(session);
+        IIM.tabSync.publishSelection(session.id);
         IIM.clearWorkspace();
         
-        // Notify Blazor
-        if (window.DotNet) {
-            DotNet.invokeMethodAsync('IIM.Components', 'OnSessionCreated', session);
-        }
+        // Notify Blazor (see iim-interop.js)
+        IIM.interop.emit('sessionCreated', { session: session });
     };
 
     IIM.selectSession = function(sessionId) {
-        IIM.state.currentSession = sessionId;
+        IIM.store.dispatch('session/selected', { sessionId: sessionId });
+        IIM.tabSync.publishSelection(sessionId);
         const session = IIM.state.sessions.find(s => s.id === sessionId);
         
         if (session) {
             IIM.loadSession(session);
             
-            // Update UI
-            document.querySelectorAll('.iim-session-item').forEach(item => {
-                item.classList.toggle('active', item.dataset.sessionId === sessionId);
-            });
-            
             // Notify Blazor
-            if (window.DotNet) {
-                DotNet.invokeMethodAsync('IIM.Components', 'OnSessionSelected', sessionId);
-            }
+            IIM.interop.emit('sessionSelected', { sessionId: sessionId });
         }
     };
 
@@ -215,10 +446,8 @@ window.IIM = window.IIM || {};
         // Clear current workspace
         IIM.clearWorkspace();
         
-        // Load messages
-        session.messages.forEach(msg => {
-            IIM.appendMessage(msg, false);
-        });
+        // Load messages; only the visible ones are rendered
+        IIM.messageList.setMessages(session.messages);
         
         // Load context
         IIM.updateContext(session.context);
@@ -227,129 +456,236 @@ window.IIM = window.IIM || {};
         IIM.updateWorkspaceHeader(session);
     };
 
-    IIM.saveCurrentSession = function() {
+    // The panel reads the current session's context itself (see iim-context.js)
+    IIM.updateContext = function() {
+        IIM.context.render();
+    };
+
+    IIM.updateWorkspaceHeader = function(session) {
+        const title = document.querySelector('.iim-workspace-title');
+        if (title) {
+            title.textContent = session ? session.name : '';
+        }
+
+        const meta = document.querySelector('.iim-workspace-meta');
+        if (meta) {
+            const messages = session ? (session.messages || []).length : 0;
+            const evidence = session ? (session.context || []).length : 0;
+            meta.textContent = session
+                ? `${IIM.t('session.messageCount', { count: messages })} · ${IIM.t('session.evidenceCount', { count: evidence })}`
+                : '';
+        }
+    };
+
+    // Selects the session if needed and scrolls to one of its messages
+    IIM.revealMessage = function(sessionId, messageIndex) {
+        if (IIM.state.currentSession !== sessionId) {
+            IIM.selectSession(sessionId);
+        }
+
+        const session = IIM.state.sessions.find(s => s.id === sessionId);
+        const message = session && session.messages[messageIndex];
+        const element = message && IIM.messageList.scrollToMessage(message);
+        if (element) {
+            element.classList.add('iim-message-highlight');
+            setTimeout(() => element.classList.remove('iim-message-highlight'), 2000);
+        }
+    };
+
+    // What each session looked like when it was last written, so auto-save skips
+    // (and doesn't audit) sessions that haven't changed since
+    const savedFingerprints = new Map();
+
+    // options.auto: the auto-save timer, which only writes sessions that changed and shows no toast
+    IIM.saveCurrentSession = function(options = {}) {
         const session = IIM.state.sessions.find(s => s.id === IIM.state.currentSession);
-        if (session) {
-            // Save to local storage
-            localStorage.setItem(`iim_session_${session.id}`, JSON.stringify(session));
-            
-            // Show save indicator
-            IIM.showNotification('Session saved', 'success');
-            
+        if (!session) {
+            return Promise.resolve(null);
+        }
+        const content = IIM.tabSync.fingerprint(session);
+        if (options.auto && savedFingerprints.get(session.id) === content) {
+            return Promise.resolve(null);
+        }
+
+        // Save to IndexedDB (see iim-session-store.js)
+        return IIM.sessionStore.saveSession(session).then(saved => {
+            savedFingerprints.set(session.id, content);
+            IIM.store.dispatch('session/updated', { sessionId: session.id, changes: { updated: saved.updated } });
+            IIM.audit.record('session.saved', { sessionId: session.id, updated: saved.updated, messages: (saved.messages || []).length }, session.id);
+            IIM.tabSync.publishChanges();
+
+            // Show save indicator; auto-saves stay quiet so they don't flood the history
+            if (!options.auto) {
+                IIM.showNotification(IIM.t('session.saved'), 'success');
+            }
+
             // Notify Blazor
-            if (window.DotNet) {
-                DotNet.invokeMethodAsync('IIM.Components', 'OnSessionSaved', session);
+            IIM.interop.emit('sessionSaved', { session: IIM.state.sessions.find(s => s.id === session.id) || session });
+            return saved;
+        }).catch(error => {
+            console.error('Failed to save session:', error);
+            if (!error || error.name !== 'QuotaExceededError') {
+                IIM.showNotification(IIM.t('session.saveFailed'), 'error');
             }
-        }
+            return null;
+        });
     };
 
     // Model Management
     IIM.selectModel = function(modelId) {
-        IIM.state.activeModel = modelId;
+        IIM.store.dispatch('model/selected', { modelId: modelId });
+        IIM.audit.record('model.selected', { modelId: modelId });
         
-        // Update UI
-        document.querySelectorAll('.iim-model-card').forEach(card => {
-            card.classList.toggle('active', card.dataset.modelId === modelId);
-        });
-        
-        // Load model if needed
-        IIM.loadModel(modelId);
+        // Load model if needed; failures are reported by IIM.models
+        IIM.loadModel(modelId).catch(() => {});
         
         // Notify Blazor
-        if (window.DotNet) {
-            DotNet.invokeMethodAsync('IIM.Components', 'OnModelSelected', modelId);
-        }
+        IIM.interop.emit('modelSelected', { modelId: modelId });
     };
 
+    // Queued behind any running load/unload; evicts idle models if memory is short (see iim-models.js).
+    // While the server can't be reached the selection is kept and loaded once it answers.
     IIM.loadModel = function(modelId) {
-        const model = IIM.state.models.find(m => m.id === modelId);
-        if (model && model.status !== 'loaded') {
-            IIM.updateModelStatus(modelId, 'loading');
-            
-            // Simulate model loading (replace with actual API call)
-            fetch(`${IIM.config.apiEndpoint}/models/${modelId}/load`, {
-                method: 'POST'
-            }).then(response => {
-                if (response.ok) {
-                    IIM.updateModelStatus(modelId, 'loaded');
-                } else {
-                    IIM.updateModelStatus(modelId, 'error');
-                }
-            }).catch(error => {
-                console.error('Failed to load model:', error);
-                IIM.updateModelStatus(modelId, 'error');
-            });
-        }
+        return IIM.models.switchTo(modelId).catch(error => {
+            if (IIM.offline.isUnreachable(error)) {
+                IIM.offline.queueModelLoad(modelId);
+            }
+            throw error;
+        });
     };
 
     IIM.updateModelStatus = function(modelId, status) {
-        const model = IIM.state.models.find(m => m.id === modelId);
-        if (model) {
-            model.status = status;
-            
-            // Update UI
-            const card = document.querySelector(`[data-model-id="${modelId}"]`);
-            if (card) {
-                const statusElement = card.querySelector('.iim-model-status');
-                if (statusElement) {
-                    statusElement.textContent = status;
-                    statusElement.className = `iim-model-status ${status}`;
-                }
-            }
-        }
+        IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: status });
     };
 
     // File Handling
     IIM.handleFileDrop = function(event) {
         const files = Array.from(event.dataTransfer.files);
-        
+
         files.forEach(file => {
-            if (IIM.validateFile(file)) {
-                IIM.processFile(file);
-            }
+            IIM.audit.record('evidence.dropped', { name: file.name, size: file.size, type: file.type, lastModified: file.lastModified });
+            IIM.validateFile(file).then(result => {
+                if (result.valid) {
+                    IIM.processFile(file, {
+                        detectedType: result.detectedType,
+                        detectedMime: result.detectedMime,
+                        extensionMismatch: result.mismatch
+                    });
+                } else {
+                    IIM.audit.record('evidence.rejected', { name: file.name, size: file.size, detectedType: result.detectedType });
+                }
+            });
         });
     };
 
+    // Validates by content, not name. Resolves with
+    // { valid, detectedType, detectedMime, extension, mismatch }
     IIM.validateFile = function(file) {
-        // Check file size
-        if (file.size > IIM.config.maxFileSize) {
-            IIM.showNotification(`File ${file.name} is too large (max ${IIM.config.maxFileSize / 1024 / 1024}MB)`, 'error');
-            return false;
-        }
-        
-        // Check file format
-        const extension = '.' + file.name.split('.').pop().toLowerCase();
-        if (!IIM.config.supportedFormats.includes(extension)) {
-            IIM.showNotification(`File format ${extension} is not supported`, 'error');
-            return false;
-        }
-        
-        return true;
+        const extension = IIM.fileTypes.getExtension(file.name);
+
+        return IIM.fileTypes.detect(file).then(detectedType => {
+            const type = detectedType && IIM.fileTypes.types[detectedType];
+            const result = {
+                valid: false,
+                detectedType: detectedType,
+                detectedMime: type ? type.mime : null,
+                extension: extension,
+                mismatch: false
+            };
+
+            if (detectedType === 'executable') {
+                IIM.showNotification(IIM.t('file.executable', { name: file.name }), 'error');
+                return result;
+            }
+
+            // Check file format against what the content actually is
+            const supported = type && type.extensions.some(ext => IIM.config.supportedFormats.includes(ext));
+            if (!supported) {
+                IIM.showNotification(IIM.t('file.unsupported', { name: file.name }), 'error');
+                return result;
+            }
+
+            // Check file size
+            const maxSize = IIM.config.maxFileSizes[detectedType] || IIM.config.maxFileSize;
+            if (file.size > maxSize) {
+                IIM.showNotification(IIM.t('file.tooLarge', { name: file.name, max: IIM.formatFileSize(maxSize), type: type.label }), 'error');
+                return result;
+            }
+
+            // A missing extension is fine; a wrong one is flagged on the evidence
+            result.mismatch = extension !== '' && !IIM.fileTypes.matchesExtension(detectedType, extension);
+            if (result.mismatch) {
+                IIM.showNotification(IIM.t('file.mismatch', { name: file.name, type: type.label, extension: extension }), 'warning');
+            }
+
+            result.valid = true;
+            return result;
+        }).catch(error => {
+            console.error('File validation failed:', error);
+            IIM.showNotification(IIM.t('file.unreadable', { name: file.name }), 'error');
+            return { valid: false, detectedType: null, detectedMime: null, extension: extension, mismatch: false };
+        });
     };
 
-    IIM.processFile = function(file) {
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('sessionId', IIM.state.currentSession);
-        
-        // Show processing indicator
-        IIM.showProcessingIndicator(true);
-        
-        fetch(`${IIM.config.apiEndpoint}/files/process`, {
-            method: 'POST',
-            body: formData
-        }).then(response => response.json())
-          .then(data => {
-              IIM.addToContext(data);
-              IIM.showNotification(`File ${file.name} processed successfully`, 'success');
-          })
-          .catch(error => {
-              console.error('File processing failed:', error);
-              IIM.showNotification(`Failed to process ${file.name}`, 'error');
-          })
-          .finally(() => {
-              IIM.showProcessingIndicator(false);
-          });
+    // Chunked, resumable upload with client-side hashing (see iim-uploads.js). If the
+    // server can't be reached the file is kept on this device and sent later (see
+    // iim-offline.js). options: sessionId, offlineId (set when replaying a kept file).
+    IIM.processFile = function(file, metadata = {}, options = {}) {
+        // The evidence belongs to the session it was dropped on, even if the user moves on
+        const sessionId = options.sessionId !== undefined ? options.sessionId : IIM.state.currentSession;
+        const settle = upload => upload
+            .then(data => {
+                if (options.offlineId) IIM.offline.remove(options.offlineId);
+                const item = IIM.addToContext(Object.assign({
+                    name: file.name,
+                    size: file.size,
+                    mime: metadata.detectedMime,
+                    detectedType: metadata.detectedType,
+                    extensionMismatch: !!metadata.extensionMismatch
+                }, data), sessionId);
+                IIM.audit.record('evidence.added', { evidenceId: item.id, name: item.name, size: item.size, sha256: item.sha256 }, sessionId);
+                IIM.showNotification(IIM.t('file.processed', { name: file.name }), 'success');
+                return data;
+            })
+            .catch(error => {
+                if (error && error.name === 'AbortError') {
+                    // Cancelled by the user: don't send a kept copy later either
+                    if (options.offlineId) IIM.offline.remove(options.offlineId);
+                    return null;
+                }
+                console.error('File processing failed:', error);
+                if (IIM.offline.isUnreachable(error)) {
+                    return IIM.offline.queueUpload(file, metadata, sessionId, options.offlineId).then(queued => {
+                        if (!queued) return report(error);
+                        if (error.uploadId) IIM.uploads.discard(error.uploadId);
+                        if (!options.offlineId) {
+                            IIM.showNotification(IIM.t('file.queuedOffline', { name: file.name }), 'info');
+                        }
+                        return null;
+                    });
+                }
+                return report(error);
+            });
+        const report = error => {
+            if (options.offlineId) IIM.offline.remove(options.offlineId);
+            const actions = [];
+            if (error && error.uploadId) {
+                actions.push({
+                    label: IIM.t('common.retry'),
+                    run: () => {
+                        const retried = IIM.uploads.retry(error.uploadId);
+                        if (retried) settle(retried);
+                    }
+                });
+            }
+            IIM.showNotification(IIM.t('file.failed', { name: file.name }), 'error', { actions: actions });
+            return null;
+        };
+        return settle(IIM.uploads.enqueue(file, metadata, sessionId));
+    };
+
+    IIM.addToContext = function(item, sessionId) {
+        return IIM.context.add(item, sessionId);
     };
 
     // UI Helpers
@@ -363,28 +699,205 @@ window.IIM = window.IIM || {};
         }
     };
 
-    IIM.showNotification = function(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `iim-notification iim-notification-${type}`;
-        notification.textContent = message;
-        
-        // Add to DOM
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => notification.classList.add('show'), 10);
-        
-        // Remove after 3 seconds
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
+    // options: title, duration, actions, dedupeKey (see iim-notifications.js)
+    IIM.showNotification = function(message, type = 'info', options = {}) {
+        return IIM.notifications.show(message, Object.assign({ type: type }, options));
     };
 
     IIM.showProcessingIndicator = function(show) {
-        IIM.state.isProcessing = show;
-        
+        IIM.store.dispatch('processing/changed', { isProcessing: show });
+    };
+
+    // State-driven rendering: these run from store subscriptions, not from the actions
+    let stateBound = false;
+
+    IIM.bindState = function() {
+        if (stateBound) return;
+        stateBound = true;
+
+        const shallowEqual = IIM.createStore.shallowEqual;
+        IIM.store.subscribe(state => state.isProcessing, IIM.renderProcessingIndicator);
+        IIM.store.subscribe(state => [state.sessions, state.currentSession], () => IIM.renderSessions(),
+            { equals: shallowEqual, immediate: true });
+        IIM.store.subscribe(state => [state.models, state.activeModel], () => IIM.renderModelCards(),
+            { equals: shallowEqual, immediate: true });
+        IIM.store.subscribe(state => [state.connectionStatus, state.connectionDetail],
+            ([status, detail]) => IIM.renderConnectionStatus(status, detail), { equals: shallowEqual });
+        IIM.store.subscribe(state => state.sessions.find(s => s.id === state.currentSession) || null, session => {
+            IIM.updateContext();
+            IIM.updateWorkspaceHeader(session);
+        });
+        IIM.store.subscribe(state => state.localeRevision, () => IIM.renderLocale());
+    };
+
+    // Re-renders text that was built in the previous locale
+    IIM.renderLocale = function() {
+        const session = IIM.state.sessions.find(s => s.id === IIM.state.currentSession) || null;
+        IIM.renderSessions();
+        IIM.renderModelCards();
+        IIM.renderConnectionStatus(IIM.state.connectionStatus, IIM.state.connectionDetail);
+        IIM.updateContext();
+        IIM.updateWorkspaceHeader(session);
+        // Message bodies are the user's and the model's text; only the avatars are ours
+        document.querySelectorAll('.iim-message').forEach(element => {
+            const avatar = element.querySelector('.iim-message-avatar');
+            if (avatar) {
+                avatar.textContent = element.classList.contains('user') ? IIM.t('message.avatarUser') : IIM.t('message.avatarAssistant');
+            }
+        });
+    };
+
+    // Rebuilds .iim-session-list when the page has one; otherwise only marks the active item
+    IIM.renderSessions = function() {
+        const list = document.querySelector('.iim-session-list');
+        if (list) {
+            list.replaceChildren(...IIM.state.sessions.map(session => {
+                const item = document.createElement('div');
+                item.className = 'iim-session-item';
+                item.dataset.sessionId = session.id;
+
+                const header = document.createElement('div');
+                header.className = 'iim-session-header';
+                const icon = document.createElement('div');
+                icon.className = 'iim-session-icon';
+                icon.innerHTML = '<i class="fas fa-folder-open"></i>';
+                const title = document.createElement('div');
+                title.className = 'iim-session-title';
+                title.textContent = session.name;
+                header.appendChild(icon);
+                header.appendChild(title);
+
+                const time = document.createElement('div');
+                time.className = 'iim-session-time';
+                time.textContent = IIM.i18n.formatDate(session.updated || session.created);
+
+                item.appendChild(header);
+                item.appendChild(time);
+                return item;
+            }));
+        }
+
+        // Sessions other tabs have open (see iim-tab-sync.js)
+        const openElsewhere = new Set(IIM.tabSync.getPeers().values());
+        document.querySelectorAll('.iim-session-item').forEach(item => {
+            const elsewhere = openElsewhere.has(item.dataset.sessionId);
+            item.classList.toggle('active', item.dataset.sessionId === IIM.state.currentSession);
+            item.classList.toggle('open-elsewhere', elsewhere);
+            if (elsewhere) {
+                item.title = IIM.t('session.openElsewhere');
+                item.dataset.elsewhereTitle = 'true';
+            } else if (item.dataset.elsewhereTitle) {
+                item.removeAttribute('title');
+                delete item.dataset.elsewhereTitle;
+            }
+        });
+    };
+
+    // A .iim-model-list container is filled with cards built here; cards rendered elsewhere
+    // only have the status, progress, memory and unload parts they contain updated.
+    IIM.renderModelCards = function() {
+        const list = document.querySelector('.iim-model-list');
+        if (list) {
+            const existing = new Map(Array.from(list.querySelectorAll('.iim-model-card')).map(card => [card.dataset.modelId, card]));
+            list.replaceChildren(...IIM.state.models.map(model => existing.get(model.id) || IIM.createModelCard(model)));
+        }
+
+        document.querySelectorAll('.iim-model-card').forEach(card => {
+            card.classList.toggle('active', card.dataset.modelId === IIM.state.activeModel);
+
+            const model = IIM.state.models.find(m => m.id === card.dataset.modelId);
+            if (!model) return;
+
+            const statusElement = card.querySelector('.iim-model-status');
+            if (model.status && statusElement) {
+                statusElement.textContent = describeModelStatus(model);
+                statusElement.className = `iim-model-status ${model.status}`;
+                if (model.error) {
+                    statusElement.title = model.error;
+                } else {
+                    statusElement.removeAttribute('title');
+                }
+            }
+
+            const progress = card.querySelector('.iim-model-progress');
+            if (progress) {
+                progress.hidden = model.status !== 'loading';
+                progress.firstElementChild.style.width = `${Math.round((model.progress || 0) * 100)}%`;
+            }
+
+            const memory = card.querySelector('.iim-model-memory');
+            if (memory) {
+                memory.textContent = model.memory ? IIM.formatFileSize(model.memory) : '';
+            }
+
+            const unload = card.querySelector('.iim-model-unload');
+            if (unload) {
+                unload.hidden = model.status !== 'loaded';
+                unload.textContent = IIM.t('model.unload');
+            }
+        });
+
+        const budget = document.querySelector('.iim-model-budget');
+        if (budget) {
+            const usage = IIM.models.getMemoryUsage();
+            const queued = IIM.models.getQueueLength();
+            budget.textContent = IIM.t('model.budget', { used: IIM.formatFileSize(usage.used), budget: IIM.formatFileSize(usage.budget) }) +
+                (queued > 1 ? ` \u00b7 ${IIM.t('model.waiting', { count: queued - 1 })}` : '');
+            budget.classList.toggle('full', usage.available === 0);
+        }
+    };
+
+    IIM.createModelCard = function(model) {
+        const card = document.createElement('div');
+        card.className = 'iim-model-card';
+        card.dataset.modelId = model.id;
+
+        const header = document.createElement('div');
+        header.className = 'iim-model-header';
+
+        const info = document.createElement('div');
+        info.className = 'iim-model-info';
+        const name = document.createElement('div');
+        name.className = 'iim-model-name';
+        name.textContent = model.name;
+        const type = document.createElement('div');
+        type.className = 'iim-model-type';
+        type.textContent = model.type || '';
+        const memory = document.createElement('div');
+        memory.className = 'iim-model-memory';
+        info.append(name, type, memory);
+
+        const status = document.createElement('span');
+        status.className = 'iim-model-status';
+
+        header.append(info, status);
+
+        const progress = document.createElement('div');
+        progress.className = 'iim-model-progress';
+        progress.appendChild(document.createElement('div'));
+
+        const unload = document.createElement('button');
+        unload.type = 'button';
+        unload.className = 'iim-model-unload';
+        unload.textContent = IIM.t('model.unload');
+
+        card.append(header, progress, unload);
+        return card;
+    };
+
+    function describeModelStatus(model) {
+        switch (model.status) {
+            case 'loading':
+                return model.progress
+                    ? IIM.t('model.loadingProgress', { percent: IIM.i18n.formatNumber(model.progress, { style: 'percent' }) })
+                    : IIM.t('model.status.loading');
+            default:
+                // Statuses the API adds later are shown as sent
+                return IIM.i18n.has(`model.status.${model.status}`) ? IIM.t(`model.status.${model.status}`) : model.status;
+        }
+    }
+
+    IIM.renderProcessingIndicator = function(show) {
         const indicator = document.querySelector('.iim-processing-indicator');
         if (indicator) {
             indicator.style.display = show ? 'flex' : 'none';
@@ -398,54 +911,43 @@ window.IIM = window.IIM || {};
     };
 
     IIM.clearWorkspace = function() {
-        const messagesArea = document.querySelector('.iim-messages-area');
-        if (messagesArea) {
-            messagesArea.innerHTML = '';
-        }
+        IIM.messageList.reset();
     };
 
     IIM.appendMessage = function(message, animate = true) {
-        const messagesArea = document.querySelector('.iim-messages-area');
-        if (!messagesArea) return;
-        
-        const messageElement = IIM.createMessageElement(message);
-        
-        if (animate) {
-            messageElement.style.opacity = '0';
-            messagesArea.appendChild(messageElement);
-            setTimeout(() => {
-                messageElement.style.opacity = '1';
-            }, 10);
-        } else {
-            messagesArea.appendChild(messageElement);
-        }
-        
-        // Scroll to bottom
-        messagesArea.scrollTop = messagesArea.scrollHeight;
+        IIM.messageList.append(message, { animate: animate, stickToBottom: true });
     };
 
     IIM.createMessageElement = function(message) {
         const div = document.createElement('div');
         div.className = `iim-message ${message.role}`;
-        div.innerHTML = `
-            <div class="iim-message-avatar">
-                ${message.role === 'user' ? 'U' : 'AI'}
-            </div>
-            <div class="iim-message-content">
-                ${IIM.formatMessageContent(message.content)}
-            </div>
-        `;
+
+        const avatar = document.createElement('div');
+        avatar.className = 'iim-message-avatar';
+        avatar.textContent = message.role === 'user' ? IIM.t('message.avatarUser') : IIM.t('message.avatarAssistant');
+
+        const content = document.createElement('div');
+        content.className = 'iim-message-content';
+        content.appendChild(IIM.formatMessageContent(message.content));
+        IIM.context.linkCitations(content, message);
+
+        div.appendChild(avatar);
+        div.appendChild(content);
+        // Toolbar, pin and analyst note (see iim-message-actions.js)
+        IIM.messageActions.decorate(div, message);
         return div;
     };
 
+    // Renders Markdown into a sanitized DocumentFragment (see iim-markdown.js)
     IIM.formatMessageContent = function(content) {
-        // Basic markdown-like formatting
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            .replace(/```(.*?)```/gs, '<pre><code>$1</code></pre>')
-            .replace(/`(.*?)`/g, '<code>$1</code>')
-            .replace(/\n/g, '<br>');
+        if (IIM.markdown) {
+            return IIM.markdown.render(content);
+        }
+
+        // Renderer not loaded - fall back to plain text, never HTML
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(document.createTextNode(content || ''));
+        return fragment;
     };
 
     // Utility Functions
@@ -453,17 +955,29 @@ window.IIM = window.IIM || {};
         return 'iim-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     };
 
+    // In the current locale's digits and unit names (see iim-i18n.js)
+    IIM.formatFileSize = function(bytes) {
+        return IIM.i18n.formatFileSize(bytes);
+    };
+
     IIM.loadState = function() {
-        // Load sessions from local storage
-        const savedSessions = localStorage.getItem('iim_sessions');
-        if (savedSessions) {
-            try {
-                IIM.state.sessions = JSON.parse(savedSessions);
-            } catch (error) {
+        // Load sessions from IndexedDB; the first run imports any localStorage sessions
+        IIM.sessionStore.open()
+            .then(() => IIM.sessionStore.getAllSessions())
+            .then(savedSessions => {
+                // Sessions created while the store was still opening are kept
+                IIM.store.dispatch('sessions/loaded', { sessions: savedSessions });
+                const stored = IIM.state.sessions.filter(s => savedSessions.some(saved => saved.id === s.id));
+                IIM.tabSync.markSynced(stored);
+                stored.forEach(s => savedFingerprints.set(s.id, IIM.tabSync.fingerprint(s)));
+            })
+            .catch(error => {
                 console.error('Failed to load sessions:', error);
-            }
-        }
-        
+                IIM.showNotification(IIM.t('session.loadFailed'), 'error');
+            });
+
+        IIM.sessionStore.requestPersistence().catch(() => {});
+
         // Load sidebar preference
         const sidebarCollapsed = localStorage.getItem('iim_sidebar_collapsed') === 'true';
         if (sidebarCollapsed) {
@@ -474,26 +988,64 @@ window.IIM = window.IIM || {};
         }
     };
 
+    let autoSaveTimer = null;
+
     IIM.setupAutoSave = function() {
-        setInterval(() => {
-            if (IIM.state.currentSession) {
-                IIM.saveCurrentSession();
+        if (autoSaveTimer) return;
+        autoSaveTimer = setInterval(() => {
+            // Every tab shares its edits, but only the leader writes on a timer
+            IIM.tabSync.publishChanges();
+            if (IIM.tabSync.isLeader() && IIM.state.currentSession) {
+                IIM.saveCurrentSession({ auto: true });
             }
         }, IIM.config.autoSaveInterval);
     };
 
-    IIM.updateConnectionStatus = function(status) {
-        IIM.state.connectionStatus = status;
-        
+    IIM.updateConnectionStatus = function(status, detail = {}) {
+        IIM.store.dispatch('connection/changed', { status: status, detail: detail });
+        IIM.tabSync.relayConnectionStatus(status, detail);
+    };
+
+    IIM.renderConnectionStatus = function(status, detail = {}) {
         const indicator = document.querySelector('.iim-status-indicator');
         if (indicator) {
-            indicator.classList.remove('warning', 'error');
+            indicator.classList.remove('warning', 'error', 'connecting', 'offline');
             if (status === 'error') {
                 indicator.classList.add('error');
-            } else if (status === 'disconnected') {
+            } else if (status === 'disconnected' || status === 'reconnecting') {
                 indicator.classList.add('warning');
+            } else if (status === 'connecting') {
+                indicator.classList.add('connecting');
+            } else if (status === 'offline') {
+                indicator.classList.add('offline');
             }
         }
+
+        const label = document.querySelector('.iim-connection-status-text');
+        if (label) {
+            label.textContent = IIM.describeConnectionStatus(status, detail);
+        }
+
+        IIM.offline.renderBanner(status);
+    };
+
+    IIM.describeConnectionStatus = function(status, detail = {}) {
+        switch (status) {
+            case 'connected':
+                return IIM.t('connection.connected');
+            case 'connecting':
+                return IIM.t('connection.connecting');
+            case 'reconnecting':
+                return detail.secondsRemaining
+                    ? IIM.t('connection.reconnectingIn', { seconds: detail.secondsRemaining, attempt: detail.attempt })
+                    : IIM.t('connection.reconnecting');
+            case 'offline':
+                return IIM.t('connection.offline');
+            case 'error':
+                return IIM.t('connection.error');
+            default:
+                return IIM.t('connection.disconnected');
+        }
     };
 
     IIM.initializeUIComponents = function() {
@@ -506,28 +1058,166 @@ window.IIM = window.IIM || {};
         }
     };
 
+    // Store subscriptions held on behalf of Blazor, by id
+    const apiSubscriptions = new Map();
+
     // Export public API
     IIM.api = {
-        init: IIM.init,
+        // Waits for the runtime configuration so the first connection uses it
+        init: function() {
+            return IIM.configuration.ready.then(() => IIM.init());
+        },
         createSession: IIM.createNewSession,
         selectSession: IIM.selectSession,
         selectModel: IIM.selectModel,
         sendMessage: function(content) {
-            // Public API for sending messages
-            if (window.DotNet) {
-                return DotNet.invokeMethodAsync('IIM.Components', 'SendMessage', content);
-            }
+            // Public API for sending messages; rejects with an InteropError if .NET fails or times out.
+            // Edits and regenerations call the same method with options (see iim-message-actions.js)
+            return IIM.interop.request('SendMessage', [content]);
+        },
+        // Blazor calls this once with a DotNetObjectReference whose OnInteropEvent(name, payload) receives events
+        registerInterop: function(dotNetRef, options) {
+            return IIM.interop.register(dotNetRef, options);
+        },
+        publishEvent: function(name, payload) {
+            IIM.interop.receive(name, payload);
+        },
+        cancelStream: IIM.cancelStream,
+        // Blazor passes a DotNetObjectReference; its callback method receives the shortcut id
+        registerShortcut: function(definition, dotNetRef, callbackMethod = 'OnShortcut') {
+            IIM.shortcuts.register(Object.assign({}, definition, {
+                handler: function() {
+                    dotNetRef.invokeMethodAsync(callbackMethod, definition.id)
+                        .catch(error => console.error(`Shortcut callback ${callbackMethod} failed:`, error));
+                }
+            }));
+            // Blazor can't hold the returned unregister function; report whether the binding took
+            return IIM.shortcuts.getBindings().some(binding => binding.id === definition.id);
+        },
+        unregisterShortcut: function(id) {
+            return IIM.shortcuts.unregister(id);
+        },
+        rebindShortcut: function(id, keys) {
+            return IIM.shortcuts.rebind(id, keys);
+        },
+        getShortcuts: function() {
+            return IIM.shortcuts.getBindings();
+        },
+        openQuickSearch: function() {
+            IIM.openQuickSearch();
+        },
+        // Opens the comparison view with the given models (2-4) preselected
+        openComparison: function(modelIds) {
+            IIM.comparison.open(modelIds);
+        },
+        // Sends one prompt to 2-4 models; resolves with the comparison id
+        compareModels: function(prompt, modelIds) {
+            IIM.comparison.open(modelIds);
+            return IIM.comparison.start(prompt, modelIds);
+        },
+        keepComparisonAnswer: function(modelId) {
+            return !!IIM.comparison.keep(modelId);
+        },
+        // Downloads the current (or given) session as 'json', 'markdown' or 'zip'
+        exportSession: function(format, sessionId) {
+            return IIM.sessionExport.download(sessionId, format).then(() => true, () => false);
+        },
+        importSession: function() {
+            IIM.sessionExport.openImportDialog();
+        },
+        // Messages are addressed by session id and index (see iim-message-actions.js);
+        // the replaced messages are kept in session.branches
+        editMessage: function(sessionId, messageIndex, content) {
+            return IIM.messageActions.resend(sessionId, messageIndex, content).then(message => message.id);
+        },
+        // modelId is optional; the answer's own model is used by default
+        regenerateMessage: function(sessionId, messageIndex, modelId) {
+            return IIM.messageActions.regenerate(sessionId, messageIndex, modelId);
+        },
+        // Resolves with the id of the new session
+        branchSession: function(sessionId, messageIndex) {
+            return IIM.messageActions.branch(sessionId, messageIndex).then(session => session.id);
+        },
+        pinMessage: function(sessionId, messageIndex, pinned = true) {
+            return IIM.messageActions.setPinned(sessionId, messageIndex, pinned).then(() => true);
+        },
+        // An empty note removes it
+        setMessageNote: function(sessionId, messageIndex, text) {
+            return IIM.messageActions.setNote(sessionId, messageIndex, text).then(() => true);
         },
         getState: function() {
             return IIM.state;
+        },
+        dispatch: function(type, payload) {
+            IIM.store.dispatch(type, payload);
+        },
+        // Blazor passes a dotted state path (e.g. 'connectionStatus') and a DotNetObjectReference;
+        // its callback method receives the new value. Returns an id for unsubscribe.
+        subscribe: function(path, dotNetRef, callbackMethod = 'OnStateChanged') {
+            const id = IIM.generateId();
+            const select = state => path.split('.').reduce((value, key) => (value == null ? value : value[key]), state);
+            apiSubscriptions.set(id, IIM.store.subscribe(select, value => {
+                dotNetRef.invokeMethodAsync(callbackMethod, path, value)
+                    .catch(error => console.error(`State callback ${callbackMethod} failed:`, error));
+            }));
+            return id;
+        },
+        unsubscribe: function(id) {
+            const unsubscribe = apiSubscriptions.get(id);
+            if (!unsubscribe) return false;
+            unsubscribe();
+            apiSubscriptions.delete(id);
+            return true;
+        },
+        // Blazor passes the signed-in analyst (id string or { id, name }) for the audit trail
+        setAuditUser: function(user) {
+            IIM.audit.setUser(user);
+        },
+        verifyAuditLog: function() {
+            return IIM.audit.verify();
+        },
+        setActionLogging: function(enabled) {
+            IIM.store.setLogging(enabled);
+        },
+        getActionLog: function() {
+            return IIM.store.getLog();
+        },
+        // Blazor passes a DotNetObjectReference whose method returns a bearer token
+        // (string or { accessToken, expiresAt }); it is called again before expiry.
+        // Register before init so the first requests and the socket carry it.
+        registerTokenProvider: function(dotNetRef, method = 'GetAccessToken') {
+            return IIM.http.setTokenProvider(() => dotNetRef.invokeMethodAsync(method));
+        },
+        setAccessToken: function(token, expiresAt) {
+            IIM.http.setToken(token, expiresAt);
+        },
+        // Blazor pushes deployment values (endpoints, limits); see iim-config.js.
+        // Returns { changed, errors }; endpoints that change reconnect.
+        setConfig: function(values) {
+            return IIM.configuration.update(values);
+        },
+        getConfig: function() {
+            return JSON.parse(JSON.stringify(IIM.config));
+        },
+        setEnvironment: function(name) {
+            return IIM.configuration.setEnvironment(name);
+        },
+        // Sends what was kept while the server was unreachable now instead of waiting;
+        // resolves with how many uploads and model loads were started
+        retryOffline: function() {
+            return IIM.offline.retryNow();
+        },
+        // BCP 47 tag such as 'de' or 'ar-EG'; resolves with the locale in use
+        setLocale: function(locale) {
+            return IIM.i18n.setLocale(locale);
+        },
+        getLocale: function() {
+            return IIM.i18n.getLocale();
+        },
+        // .NET-side strings (e.g. Razor components) can be merged into the catalogs
+        addMessages: function(locale, messages) {
+            IIM.i18n.addMessages(locale, messages);
         }
     };
 
 })(window.IIM);
-
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', window.IIM.init);
-} else {
-    window.IIM.init();
-}
\ No newline at end of file
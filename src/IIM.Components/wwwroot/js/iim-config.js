@@ -0,0 +1,377 @@
+// IIM Configuration - runtime values for IIM.config
+// IIM.config starts with the defaults in iim-components.js. At startup they are
+// overlaid, in this order (later wins), by:
+//   <meta name="iim-config" content='{"apiEndpoint": "/api"}'>   page-level values
+//   iim-config.json beside the page (or <meta name="iim-config-url">)  deployment file
+//   IIM.configuration.update(...) / IIM.api.setConfig(...)         the host, at runtime
+// Each source may carry "profiles": { "<environment>": { ... } }; the profile for
+// the active environment (IIM.configuration.setEnvironment, <meta name="iim-environment">
+// or "environment" in a source) applies right after that source's own values.
+// Values are checked against SCHEMA; invalid ones are reported and skipped. Relative
+// endpoints resolve against the page, so '/api' and '/ws' suit same-origin hosting.
+// When the endpoints change, the WebSocket and unfinished uploads reconnect.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const DEFAULT_FILE = 'iim-config.json';
+    const SOURCES = ['meta', 'file', 'host'];
+
+    // key -> rule; numbers are integers within [min, max]
+    const SCHEMA = {
+        animationDuration: { type: 'number', min: 0, max: 10000 },
+        messageLimit: { type: 'number', min: 1 },
+        autoSaveInterval: { type: 'number', min: 1000 },
+        maxFileSize: { type: 'number', min: 1 },
+        uploadChunkSize: { type: 'number', min: 64 * 1024, max: 1024 * 1024 * 1024 },
+        maxParallelUploads: { type: 'number', min: 1, max: 16 },
+        uploadRetries: { type: 'number', min: 0, max: 20 },
+        supportedFormats: { type: 'extensions' },
+        maxFileSizes: { type: 'sizes' },
+        apiEndpoint: { type: 'url', protocols: ['http:', 'https:'] },
+        wsEndpoint: { type: 'url', protocols: ['ws:', 'wss:'] },
+        authRedirectUrl: { type: 'string', allowEmpty: true },
+        tokenRefreshMargin: { type: 'number', min: 0 },
+        requireUploadAuth: { type: 'boolean' },
+        reconnectBaseDelay: { type: 'number', min: 100 },
+        reconnectMaxDelay: { type: 'number', min: 100 },
+        heartbeatInterval: { type: 'number', min: 1000 },
+        heartbeatTimeout: { type: 'number', min: 1000 },
+        outboxLimit: { type: 'number', min: 0 },
+        offlineUploadLimit: { type: 'number', min: 0 },
+        offlineRetryInterval: { type: 'number', min: 1000 },
+        // '' turns the service worker off; unset uses iim-service-worker.js beside the page
+        serviceWorkerUrl: { type: 'string', allowEmpty: true },
+        interopTimeout: { type: 'number', min: 100 },
+        auditFlushInterval: { type: 'number', min: 1000 },
+        modelMemoryBudget: { type: 'number', min: 0 },
+        modelOperationTimeout: { type: 'number', min: 1000 },
+        notificationDurations: { type: 'durations', keys: ['success', 'info', 'warning', 'error'] },
+        localePath: { type: 'string' }
+    };
+
+    // Deep copies, so later edits to IIM.config can't leak back in
+    const defaults = JSON.parse(JSON.stringify(IIM.config));
+    // source -> { values, profiles: { name: values }, environment }, already validated
+    const layers = { meta: emptyLayer(), file: emptyLayer(), host: emptyLayer() };
+    const origins = {};
+    let chosenEnvironment = null;
+    let loaded = false;
+
+    IIM.i18n.addMessages('en', {
+        'config.invalid': {
+            one: '{count} configuration value was ignored; see the console for details',
+            other: '{count} configuration values were ignored; see the console for details'
+        },
+        'config.fileInvalid': 'The configuration file {url} could not be read'
+    });
+
+    IIM.configuration = {
+        schema: SCHEMA,
+
+        // Resolves once the meta tag and the configuration file have been applied
+        ready: null,
+
+        // (Re)reads the meta tag and the configuration file; resolves with
+        // { changed, errors } like update()
+        load: function() {
+            const meta = readMeta();
+            return readFile(meta.url).then(file => {
+                const errors = [];
+                layers.meta = sanitize(meta.values, 'meta', errors);
+                layers.file = sanitize(file, 'file', errors);
+                return finish(apply(), errors);
+            });
+        },
+
+        // Host-supplied values (e.g. pushed from Blazor); they win over the meta tag
+        // and the file. Pass null for a key to drop the override.
+        // Returns { changed: [keys], errors: [messages] }.
+        update: function(values) {
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                return { changed: [], errors: ['Configuration must be an object'] };
+            }
+            const errors = [];
+            const cleared = Object.keys(values).filter(key => values[key] === null);
+            const incoming = sanitize(values, 'host', errors);
+            const host = layers.host;
+            cleared.forEach(key => delete host.values[key]);
+            Object.assign(host.values, incoming.values);
+            Object.assign(host.profiles, incoming.profiles);
+            if (incoming.environment) host.environment = incoming.environment;
+            return finish(apply(), errors);
+        },
+
+        // Drops every host override
+        reset: function() {
+            layers.host = emptyLayer();
+            return apply();
+        },
+
+        // Picks the profile by name; null goes back to the one the sources name
+        setEnvironment: function(name) {
+            chosenEnvironment = name || null;
+            return apply();
+        },
+
+        getEnvironment: function() {
+            return environment();
+        },
+
+        // Profile names across all sources
+        getProfiles: function() {
+            const names = new Set();
+            SOURCES.forEach(source => Object.keys(layers[source].profiles).forEach(name => names.add(name)));
+            return Array.from(names);
+        },
+
+        // 'default', 'meta', 'file' or 'host', optionally with ':<environment>' for a profile
+        getSource: function(key) {
+            return origins[key] || 'default';
+        }
+    };
+
+    // --- Sources ---
+    function readMeta() {
+        const values = {};
+        const tag = document.querySelector('meta[name="iim-config"]');
+        if (tag && tag.content) {
+            try {
+                Object.assign(values, JSON.parse(tag.content));
+            } catch (error) {
+                console.warn('Ignoring <meta name="iim-config">, it is not valid JSON:', error);
+            }
+        }
+        const environmentTag = document.querySelector('meta[name="iim-environment"]');
+        if (environmentTag && environmentTag.content && !values.environment) {
+            values.environment = environmentTag.content;
+        }
+        const urlTag = document.querySelector('meta[name="iim-config-url"]');
+        return { values: values, url: urlTag && urlTag.content ? urlTag.content : DEFAULT_FILE };
+    }
+
+    // A missing file is normal (every value may come from elsewhere); anything else is reported
+    function readFile(url) {
+        return fetch(new URL(url, document.baseURI).href, { cache: 'no-store' }).then(response => {
+            if (response.status === 404) return {};
+            if (!response.ok) {
+                const error = new Error(`Configuration file request failed with status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.json().then(values => {
+                if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                    throw new Error('Configuration file must contain a JSON object');
+                }
+                return values;
+            });
+        }).catch(error => {
+            console.warn(`Configuration file ${url} was not applied:`, error);
+            IIM.showNotification(IIM.t('config.fileInvalid', { url: url }), 'warning');
+            return {};
+        });
+    }
+
+    function emptyLayer() {
+        return { values: {}, profiles: {}, environment: null };
+    }
+
+    // Splits raw source values into a layer, keeping only what passes SCHEMA
+    function sanitize(raw, source, errors) {
+        const layer = emptyLayer();
+        if (!isPlainObject(raw)) return layer;
+        layer.values = validate(raw, source, errors);
+        if (typeof raw.environment === 'string' && raw.environment) {
+            layer.environment = raw.environment;
+        }
+        if (raw.profiles !== undefined) {
+            if (!isPlainObject(raw.profiles)) {
+                errors.push(`${source}: profiles must map environment names to settings`);
+            } else {
+                Object.keys(raw.profiles).forEach(name => {
+                    layer.profiles[name] = validate(raw.profiles[name], `${source}:${name}`, errors);
+                });
+            }
+        }
+        return layer;
+    }
+
+    function validate(values, source, errors) {
+        const valid = {};
+        if (!isPlainObject(values)) {
+            errors.push(`${source}: settings must be an object`);
+            return valid;
+        }
+        Object.keys(values).forEach(key => {
+            if (key === 'profiles' || key === 'environment' || values[key] === null) return;
+            if (!SCHEMA[key]) {
+                errors.push(`${source}: unknown setting ${key}`);
+                return;
+            }
+            const result = check(key, values[key]);
+            if (result.error) {
+                errors.push(`${source}: ${key} ${result.error}`);
+            } else {
+                valid[key] = result.value;
+            }
+        });
+        return valid;
+    }
+
+    function environment() {
+        if (chosenEnvironment) return chosenEnvironment;
+        // The last source that names one decides
+        for (let i = SOURCES.length - 1; i >= 0; i--) {
+            if (layers[SOURCES[i]].environment) return layers[SOURCES[i]].environment;
+        }
+        return null;
+    }
+
+    // --- Applying ---
+    // Rebuilds IIM.config from the defaults and the layers; returns the changed keys
+    function apply() {
+        const env = environment();
+        const next = JSON.parse(JSON.stringify(defaults));
+        const nextOrigins = {};
+
+        SOURCES.forEach(source => {
+            const layer = layers[source];
+            merge(next, nextOrigins, layer.values, source);
+            if (env && layer.profiles[env]) merge(next, nextOrigins, layer.profiles[env], `${source}:${env}`);
+        });
+
+        const changed = Object.keys(SCHEMA).filter(key => JSON.stringify(next[key]) !== JSON.stringify(IIM.config[key]));
+        // Modules read IIM.config when they need a value, so update it in place
+        changed.forEach(key => {
+            IIM.config[key] = next[key];
+        });
+        Object.keys(origins).forEach(key => delete origins[key]);
+        Object.assign(origins, nextOrigins);
+
+        if (changed.length) {
+            IIM.store.dispatch('config/changed', { keys: changed });
+            IIM.interop.emit('configChanged', { keys: changed, environment: env || '' });
+            react(changed);
+        }
+        return { changed: changed, errors: [] };
+    }
+
+    // Invalid values are reported once, when their source is read
+    function finish(result, errors) {
+        if (errors.length) {
+            errors.forEach(message => console.warn(`Configuration: ${message}`));
+            IIM.showNotification(IIM.t('config.invalid', { count: errors.length }), 'warning', { dedupeKey: 'config-invalid' });
+        }
+        return { changed: result.changed, errors: errors };
+    }
+
+    function merge(target, targetOrigins, values, source) {
+        Object.keys(values).forEach(key => {
+            target[key] = JSON.parse(JSON.stringify(values[key]));
+            targetOrigins[key] = source;
+        });
+    }
+
+    // Returns { value } (normalised) or { error }
+    function check(key, value) {
+        const rule = SCHEMA[key];
+        switch (rule.type) {
+            case 'number':
+                if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+                if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+                if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+                return { value: value };
+            case 'boolean':
+                return typeof value === 'boolean' ? { value: value } : { error: 'must be true or false' };
+            case 'string':
+                if (typeof value !== 'string') return { error: 'must be a string' };
+                return value || rule.allowEmpty ? { value: value } : { error: 'must not be empty' };
+            case 'url':
+                return checkUrl(value, rule.protocols);
+            case 'extensions':
+                if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && /^\.[\w.-]+$/.test(item))) {
+                    return { error: 'must be a list of extensions such as ".pdf"' };
+                }
+                return { value: value.map(item => item.toLowerCase()) };
+            case 'sizes':
+                if (!isPlainObject(value) || !Object.values(value).every(size => Number.isInteger(size) && size > 0)) {
+                    return { error: 'must map file types to sizes in bytes' };
+                }
+                return { value: Object.assign({}, value) };
+            case 'durations':
+                if (!isPlainObject(value) || !Object.keys(value).every(type => rule.keys.includes(type)) ||
+                    !Object.values(value).every(ms => Number.isInteger(ms) && ms >= 0)) {
+                    return { error: `must map ${rule.keys.join(', ')} to milliseconds` };
+                }
+                // Partial maps only change the severities they name
+                return { value: Object.assign({}, defaults[key], value) };
+            default:
+                return { error: 'has no rule' };
+        }
+    }
+
+    function checkUrl(value, protocols) {
+        if (typeof value !== 'string' || !value) return { error: 'must be a URL' };
+        let url;
+        try {
+            url = new URL(value, document.baseURI);
+        } catch (error) {
+            return { error: 'must be a URL' };
+        }
+        // '/ws' relative to an https page means wss://same-host/ws
+        if (protocols.includes('ws:') && (url.protocol === 'http:' || url.protocol === 'https:')) {
+            url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        }
+        if (!protocols.includes(url.protocol)) {
+            return { error: `must use ${protocols.join(' or ')}` };
+        }
+        // Paths are appended to it ('/models'), so no trailing slash
+        return { value: url.href.replace(/\/+$/, '') };
+    }
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // --- Reacting to changes ---
+    function react(changed) {
+        // The saved locale was requested before this file could say where catalogs live
+        if (changed.includes('localePath') && IIM.i18n.getLocale() !== 'en') {
+            IIM.i18n.setLocale(IIM.i18n.getLocale());
+        }
+        if (changed.includes('wsEndpoint') && IIM.connection.getEndpoint()) {
+            IIM.connection.reconnect(IIM.config.wsEndpoint);
+        }
+        // Before the first load nothing has talked to the API yet
+        if (changed.includes('apiEndpoint') && loaded) {
+            IIM.uploads.restartActive();
+            IIM.models.fetch().catch(() => {});
+            IIM.audit.flush().catch(() => {});
+        }
+    }
+
+    IIM.configuration.ready = IIM.configuration.load().then(result => {
+        loaded = true;
+        return result;
+    }, error => {
+        // Start with whatever applied rather than not at all
+        console.error('Runtime configuration failed to load:', error);
+        loaded = true;
+        return { changed: [], errors: [error.message] };
+    });
+
+    // Auto-initialize when DOM is ready and the runtime configuration is in. This runs here,
+    // not in iim-components.js, because IIM.configuration does not exist before this file
+    function start() {
+        IIM.configuration.ready.then(() => IIM.init()).catch(error => {
+            console.error('IIM failed to start:', error);
+        });
+    }
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+
+})(window.IIM);
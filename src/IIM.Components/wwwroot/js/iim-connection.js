@@ -0,0 +1,325 @@
+// IIM Connection - resilient WebSocket client
+// Reconnects with exponential backoff and jitter, detects dead sockets with
+// ping/pong heartbeats, queues outgoing messages while disconnected and resumes
+// the server stream from the last sequence number seen. The outbox is mirrored to
+// IndexedDB by iim-offline.js, so queued messages survive a reload.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    let socket = null;
+    let url = null;
+    let attempt = 0;
+    let manuallyClosed = false;
+    let lastSeq = null;
+    let reconnectTimer = null;
+    let countdownTimer = null;
+    let heartbeatTimer = null;
+    let heartbeatTimeoutTimer = null;
+    let browserListenersBound = false;
+    // Bumped by every connect and reconnect; a socket whose token arrives late is dropped
+    let generation = 0;
+    let opening = false;
+    const outbox = [];
+
+    IIM.connection = {
+        connect: function(endpoint) {
+            url = endpoint || url || IIM.config.wsEndpoint;
+            manuallyClosed = false;
+
+            // Repeated IIM.init calls must not open a second socket
+            if (opening || (socket && (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN))) {
+                return;
+            }
+
+            bindBrowserListeners();
+            clearReconnectTimers();
+
+            if (navigator.onLine === false) {
+                IIM.updateConnectionStatus('offline');
+                return;
+            }
+
+            IIM.updateConnectionStatus(attempt === 0 ? 'connecting' : 'reconnecting', { attempt: attempt });
+
+            // The handshake carries the bearer token (see iim-http.js)
+            const current = ++generation;
+            opening = true;
+            IIM.http.socketUrl(url).then(authorized => {
+                if (current !== generation) return;
+                opening = false;
+                if (!manuallyClosed) open(authorized);
+            }, error => {
+                if (current !== generation) return;
+                opening = false;
+                console.error('Failed to prepare WebSocket URL:', error);
+                scheduleReconnect();
+            });
+        },
+
+        // Sends now if connected, otherwise queues for replay after reconnect.
+        // Pass { queue: false } for messages that are meaningless once stale.
+        send: function(message, options = {}) {
+            // Only the leader tab holds the socket (see iim-tab-sync.js)
+            if (IIM.tabSync && IIM.tabSync.getTabId() && !IIM.tabSync.isLeader()) {
+                return IIM.tabSync.forwardToLeader(message, options);
+            }
+
+            if (IIM.connection.isOpen()) {
+                socket.send(JSON.stringify(message));
+                return true;
+            }
+
+            if (options.queue !== false) {
+                outbox.push(message);
+                trimOutbox();
+                persistOutbox();
+            }
+            return false;
+        },
+
+        // Puts messages saved by an earlier page load ahead of anything queued since
+        restoreOutbox: function(messages) {
+            if (!messages.length) return;
+            outbox.unshift(...messages);
+            trimOutbox();
+            persistOutbox();
+            flushOutbox();
+        },
+
+        close: function() {
+            manuallyClosed = true;
+            generation++;
+            opening = false;
+            clearReconnectTimers();
+            stopHeartbeat();
+            if (socket) {
+                socket.close(1000, 'Client closed');
+            }
+            IIM.updateConnectionStatus('disconnected');
+        },
+
+        // Drops the current socket and connects to a (possibly new) endpoint
+        reconnect: function(endpoint) {
+            generation++;
+            opening = false;
+            if (socket) {
+                socket.onclose = null;
+                socket.close(1000, 'Reconnecting');
+                socket = null;
+            }
+            stopHeartbeat();
+            attempt = 0;
+            IIM.connection.connect(endpoint);
+        },
+
+        // The URL in use, or null before the first connect
+        getEndpoint: function() {
+            return url;
+        },
+
+        isOpen: function() {
+            return !!socket && socket.readyState === WebSocket.OPEN;
+        },
+
+        getLastSequence: function() {
+            return lastSeq;
+        },
+
+        getPendingCount: function() {
+            return outbox.length;
+        }
+    };
+
+    // --- Socket events ---
+    function open(authorized) {
+        try {
+            socket = new WebSocket(authorized);
+        } catch (error) {
+            console.error('Failed to initialize WebSocket:', error);
+            scheduleReconnect();
+            return;
+        }
+        IIM.ws = socket;
+
+        socket.onopen = handleOpen;
+        socket.onmessage = handleMessage;
+        socket.onerror = function(error) {
+            console.error('WebSocket error:', error);
+        };
+        socket.onclose = handleClose;
+    }
+
+    function handleOpen() {
+        console.log('WebSocket connected');
+        const wasReconnect = attempt > 0;
+        attempt = 0;
+        IIM.updateConnectionStatus('connected');
+
+        // Ask the server to replay anything we missed while away
+        if (lastSeq !== null) {
+            socket.send(JSON.stringify({ type: 'resume', lastSeq: lastSeq }));
+        }
+
+        flushOutbox();
+        startHeartbeat();
+
+        if (wasReconnect) {
+            console.log('WebSocket reconnected, resumed from sequence', lastSeq);
+        }
+    }
+
+    function handleMessage(event) {
+        // Any traffic proves the connection is alive
+        resetHeartbeatTimeout();
+
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Ignoring malformed WebSocket message:', error, event.data);
+            return;
+        }
+        if (!data || typeof data !== 'object') return;
+
+        if (data.type === 'pong') return;
+
+        if (typeof data.seq === 'number') {
+            // Drop duplicates replayed around a resume
+            if (lastSeq !== null && data.seq <= lastSeq) return;
+            lastSeq = data.seq;
+        }
+
+        try {
+            IIM.handleWebSocketMessage(data);
+        } catch (error) {
+            console.error('Failed to handle WebSocket message:', data.type, error);
+        }
+
+        if (IIM.tabSync) {
+            IIM.tabSync.relayMessage(data);
+        }
+    }
+
+    function handleClose(event) {
+        console.log('WebSocket disconnected', event.code, event.reason);
+        stopHeartbeat();
+        socket = null;
+
+        if (manuallyClosed) return;
+        // Rejected credentials (policy violation or the 4401 convention): get a fresh token first
+        if (event.code === 1008 || event.code === 4401) {
+            IIM.http.getToken({ forceRefresh: true }).catch(() => {}).then(scheduleReconnect);
+            return;
+        }
+        scheduleReconnect();
+    }
+
+    // --- Reconnection ---
+    function scheduleReconnect() {
+        clearReconnectTimers();
+
+        if (navigator.onLine === false) {
+            IIM.updateConnectionStatus('offline');
+            return;
+        }
+
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const cap = Math.min(IIM.config.reconnectMaxDelay, IIM.config.reconnectBaseDelay * Math.pow(2, attempt));
+        const delay = Math.round(cap / 2 + Math.random() * cap / 2);
+        const retryAt = Date.now() + delay;
+        attempt++;
+
+        const report = () => {
+            IIM.updateConnectionStatus('reconnecting', {
+                attempt: attempt,
+                secondsRemaining: Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))
+            });
+        };
+        report();
+        countdownTimer = setInterval(report, 1000);
+        reconnectTimer = setTimeout(() => IIM.connection.connect(), delay);
+    }
+
+    function clearReconnectTimers() {
+        clearTimeout(reconnectTimer);
+        clearInterval(countdownTimer);
+        reconnectTimer = null;
+        countdownTimer = null;
+    }
+
+    function bindBrowserListeners() {
+        if (browserListenersBound) return;
+        browserListenersBound = true;
+
+        window.addEventListener('offline', () => {
+            clearReconnectTimers();
+            IIM.updateConnectionStatus('offline');
+        });
+
+        // Don't wait out the backoff once the network is back
+        window.addEventListener('online', () => {
+            if (!manuallyClosed && !IIM.connection.isOpen()) {
+                attempt = 0;
+                IIM.connection.connect();
+            }
+        });
+    }
+
+    // --- Heartbeat ---
+    function startHeartbeat() {
+        stopHeartbeat();
+        heartbeatTimer = setInterval(() => {
+            if (!IIM.connection.isOpen()) return;
+            socket.send(JSON.stringify({ type: 'ping', ts: Date.now() }));
+            if (!heartbeatTimeoutTimer) {
+                heartbeatTimeoutTimer = setTimeout(handleHeartbeatTimeout, IIM.config.heartbeatTimeout);
+            }
+        }, IIM.config.heartbeatInterval);
+    }
+
+    function resetHeartbeatTimeout() {
+        clearTimeout(heartbeatTimeoutTimer);
+        heartbeatTimeoutTimer = null;
+    }
+
+    function stopHeartbeat() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+        resetHeartbeatTimeout();
+    }
+
+    function handleHeartbeatTimeout() {
+        heartbeatTimeoutTimer = null;
+        console.warn('WebSocket heartbeat timed out, reconnecting');
+        // A half-open socket may never fire onclose on its own
+        const stale = socket;
+        if (stale) {
+            stale.onclose = null;
+            stale.close(4000, 'Heartbeat timeout');
+            handleClose({ code: 4000, reason: 'Heartbeat timeout' });
+        }
+    }
+
+    // --- Outbox ---
+    function flushOutbox() {
+        const queued = outbox.length;
+        while (outbox.length && IIM.connection.isOpen()) {
+            socket.send(JSON.stringify(outbox.shift()));
+        }
+        if (outbox.length !== queued) persistOutbox();
+    }
+
+    function trimOutbox() {
+        while (outbox.length > IIM.config.outboxLimit) {
+            const dropped = outbox.shift();
+            console.warn('WebSocket outbox full, dropped oldest message:', dropped.type);
+        }
+    }
+
+    function persistOutbox() {
+        if (IIM.offline) IIM.offline.saveMessages(outbox);
+    }
+
+})(window.IIM);
@@ -0,0 +1,400 @@
+// IIM Context - the evidence attached to a session, and citations into it
+// Each session.context item records what was attached (type, SHA-256, processing
+// status) and whether it goes into the prompt. Assistant messages may carry
+// citations: [{ marker, evidenceId, passage, location }]; matching [marker] text
+// in the response becomes a link that shows the cited passage in this panel.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    // Elements whose text is never scanned for citation markers
+    const SKIP_CITATIONS = 'code, pre, a, .iim-citation';
+    const STATUSES = ['processing', 'ready', 'failed'];
+
+    let panel = null;
+    let citation = null;
+
+    IIM.i18n.addMessages('en', {
+        'context.title': 'Evidence',
+        'context.label': 'Evidence context',
+        'context.closePanel': 'Close evidence panel',
+        'context.excluded': '{name} left out of the prompt',
+        'context.evidence': 'Evidence',
+        'context.processingFailed': 'Processing {name} failed',
+        'context.summary': {
+            one: '{count} item, {included} in prompt',
+            other: '{count} items, {included} in prompt'
+        },
+        'context.empty': 'No evidence attached',
+        'context.include': 'Include in prompt',
+        'context.status.processing': 'Processing',
+        'context.status.ready': 'Ready',
+        'context.status.failed': 'Failed',
+        'context.unknownType': 'Unknown type',
+        'context.mismatch': 'extension does not match content',
+        'context.source': 'Source [{marker}]: {name}',
+        'context.hideSource': 'Hide source',
+        'context.noPassage': 'The passage was not included with this citation.',
+        'context.notAttached': 'This evidence is not attached to the session.',
+        'context.page': 'Page {page}',
+        'context.line': 'Line {line}',
+        'context.characters': 'Characters {start}-{end}',
+        'context.showSource': 'Show source',
+        'context.open': 'Show evidence context'
+    });
+
+    IIM.context = {
+        // Adds (or refreshes) an evidence item on the session; defaults to the current one
+        add: function(item, sessionId) {
+            if (!sessionId && !IIM.state.currentSession) {
+                IIM.createNewSession();
+            }
+            const targetId = sessionId || IIM.state.currentSession;
+            const existing = getItems(targetId).find(candidate => candidate.id === item.id);
+            const normalized = normalize(item, existing);
+
+            IIM.store.dispatch('context/added', { sessionId: targetId, item: normalized });
+            announce(targetId);
+            if (targetId === IIM.state.currentSession) {
+                IIM.context.open();
+            }
+            return normalized;
+        },
+
+        // Include or exclude an item from the prompt
+        setIncluded: function(itemId, included, sessionId) {
+            const targetId = sessionId || IIM.state.currentSession;
+            IIM.store.dispatch('context/updated', { sessionId: targetId, itemId: itemId, changes: { included: !!included } });
+            IIM.audit.record(included ? 'evidence.included' : 'evidence.excluded', { evidenceId: itemId }, targetId);
+            announce(targetId);
+
+            if (!included) {
+                const item = getItems(targetId).find(candidate => candidate.id === itemId);
+                IIM.showNotification(IIM.t('context.excluded', { name: item ? item.name : IIM.t('context.evidence') }), 'info', {
+                    dedupeKey: `context-excluded:${itemId}`,
+                    actions: [{ label: IIM.t('common.undo'), run: () => IIM.context.setIncluded(itemId, true, targetId) }]
+                });
+            }
+        },
+
+        // processing_update messages: { fileId (or evidenceId), status, progress?, error? }
+        updateStatus: function(data) {
+            const itemId = data && (data.evidenceId || data.fileId || data.id);
+            if (!itemId) return false;
+
+            const session = IIM.state.sessions.find(s => (s.context || []).some(item => item.id === itemId));
+            if (!session) return false;
+
+            const changes = {};
+            if (data.status) changes.status = normalizeStatus(data.status);
+            if (typeof data.progress === 'number') changes.progress = Math.max(0, Math.min(1, data.progress));
+            if (data.error) changes.error = data.error;
+            IIM.store.dispatch('context/updated', { sessionId: session.id, itemId: itemId, changes: changes });
+
+            if (changes.status === 'failed') {
+                const item = getItems(session.id).find(candidate => candidate.id === itemId);
+                IIM.showNotification(IIM.t('context.processingFailed', { name: item.name }), 'error');
+            }
+            announce(session.id);
+            return true;
+        },
+
+        getItems: function(sessionId) {
+            return getItems(sessionId || IIM.state.currentSession);
+        },
+
+        // What the next prompt may draw on: included items that didn't fail processing
+        getIncluded: function(sessionId) {
+            return getItems(sessionId || IIM.state.currentSession).filter(item => isIncluded(item) && item.status !== 'failed');
+        },
+
+        open: function() {
+            if (!panel) panel = buildPanel();
+            panel.root.hidden = false;
+            IIM.context.render();
+        },
+
+        close: function() {
+            if (panel && panel.floating) panel.root.hidden = true;
+        },
+
+        toggle: function() {
+            if (panel && !panel.root.hidden) {
+                IIM.context.close();
+            } else {
+                IIM.context.open();
+            }
+        },
+
+        // Opens the panel on the passage behind one of a message's citation markers.
+        // Takes the message itself or its id (looked up in the current session).
+        showCitation: function(messageOrId, marker) {
+            const session = IIM.state.sessions.find(s => s.id === IIM.state.currentSession);
+            const message = typeof messageOrId === 'object'
+                ? messageOrId
+                : session && session.messages.find(m => m.id === messageOrId);
+            const entry = message && (message.citations || []).find(c => String(c.marker) === String(marker));
+            if (!entry) return false;
+
+            citation = { sessionId: IIM.state.currentSession, citation: entry };
+            IIM.context.open();
+            const item = Array.from(panel.list.children).find(element => element.dataset.evidenceId === entry.evidenceId);
+            if (item) item.scrollIntoView({ block: 'nearest' });
+            return true;
+        },
+
+        // Turns [marker] text into citation links; code and links are left alone
+        linkCitations: function(container, message) {
+            const markers = new Set((message.citations || []).map(c => String(c.marker)));
+            if (!markers.size) return;
+
+            const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => (node.parentElement && node.parentElement.closest(SKIP_CITATIONS)
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT)
+            });
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            nodes.forEach(node => {
+                const pattern = /\[\^?([\w.-]+)\]/g;
+                const text = node.nodeValue;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+                let match;
+                while ((match = pattern.exec(text))) {
+                    if (!markers.has(match[1])) continue;
+                    fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+                    fragment.appendChild(createCitationLink(message, match[1]));
+                    last = match.index + match[0].length;
+                }
+                if (last === 0) return;
+                fragment.appendChild(document.createTextNode(text.slice(last)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        },
+
+        render: function() {
+            if (!panel || panel.root.hidden) return;
+
+            const items = getItems(IIM.state.currentSession);
+            if (citation && citation.sessionId !== IIM.state.currentSession) {
+                citation = null;
+            }
+            const included = items.filter(isIncluded).length;
+            panel.title.textContent = IIM.t('context.title');
+            panel.summary.textContent = items.length
+                ? IIM.t('context.summary', { count: items.length, included: included })
+                : IIM.t('context.empty');
+
+            panel.list.replaceChildren(...items.map(renderItem));
+            renderCitation(items);
+        }
+    };
+
+    // --- State ---
+    function getItems(sessionId) {
+        const session = IIM.state.sessions.find(s => s.id === sessionId);
+        return (session && session.context) || [];
+    }
+
+    // Items saved before inclusion could be toggled have no flag and are included
+    function isIncluded(item) {
+        return item.included !== false;
+    }
+
+    function normalize(item, existing) {
+        const base = existing || { included: true, added: new Date().toISOString() };
+        return Object.assign({}, base, item, {
+            id: item.id || item.evidenceId || item.fileId || (existing && existing.id) || IIM.generateId(),
+            name: item.name || item.fileName || (existing && existing.name) || 'Evidence',
+            status: normalizeStatus(item.status || (existing && existing.status) || 'ready'),
+            included: item.included !== undefined ? !!item.included : base.included
+        });
+    }
+
+    function normalizeStatus(status) {
+        const value = String(status).toLowerCase();
+        if (value === 'completed' || value === 'complete' || value === 'processed') return 'ready';
+        if (value === 'error') return 'failed';
+        return STATUSES.includes(value) ? value : 'processing';
+    }
+
+    // Blazor builds the prompt, so it is told what the session's prompt context now is
+    function announce(sessionId) {
+        IIM.interop.emit('contextChanged', {
+            sessionId: sessionId,
+            included: IIM.context.getIncluded(sessionId).map(item => item.id)
+        });
+    }
+
+    // --- Rendering ---
+    function buildPanel() {
+        // Hosts can place the panel themselves; otherwise it floats at the right edge
+        const existing = document.querySelector('.iim-context-panel');
+        const root = existing || document.createElement('aside');
+        root.classList.add('iim-context-panel');
+        root.setAttribute('aria-label', IIM.t('context.label'));
+        root.replaceChildren();
+
+        const header = document.createElement('div');
+        header.className = 'iim-context-header';
+        const title = document.createElement('h2');
+        title.className = 'iim-context-title';
+        title.textContent = IIM.t('context.title');
+        const summary = document.createElement('span');
+        summary.className = 'iim-context-summary';
+        header.append(title, summary);
+
+        if (!existing) {
+            root.classList.add('floating');
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'iim-context-close';
+            closeButton.setAttribute('aria-label', IIM.t('context.closePanel'));
+            closeButton.textContent = '×';
+            closeButton.addEventListener('click', () => IIM.context.close());
+            header.appendChild(closeButton);
+        }
+
+        const source = document.createElement('section');
+        source.className = 'iim-context-citation';
+        source.hidden = true;
+
+        const list = document.createElement('ul');
+        list.className = 'iim-context-list';
+        list.addEventListener('change', e => {
+            const checkbox = e.target.closest('.iim-context-include');
+            if (checkbox) {
+                IIM.context.setIncluded(checkbox.closest('.iim-context-item').dataset.evidenceId, checkbox.checked);
+            }
+        });
+
+        root.append(header, source, list);
+        if (!existing) {
+            root.hidden = true;
+            document.body.appendChild(root);
+        }
+        return { root: root, title: title, summary: summary, source: source, list: list, floating: !existing };
+    }
+
+    function renderItem(item) {
+        const li = document.createElement('li');
+        li.className = `iim-context-item ${item.status}${isIncluded(item) ? '' : ' excluded'}`;
+        li.dataset.evidenceId = item.id;
+        if (citation && citation.citation.evidenceId === item.id) {
+            li.classList.add('cited');
+        }
+
+        const label = document.createElement('label');
+        label.className = 'iim-context-item-header';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'iim-context-include';
+        checkbox.checked = isIncluded(item);
+        checkbox.title = IIM.t('context.include');
+        const name = document.createElement('span');
+        name.className = 'iim-context-name';
+        name.textContent = item.name;
+        const status = document.createElement('span');
+        status.className = `iim-context-status ${item.status}`;
+        status.textContent = item.status === 'processing' && item.progress
+            ? `${IIM.t('context.status.processing')} ${IIM.i18n.formatNumber(item.progress, { style: 'percent' })}`
+            : IIM.t(`context.status.${item.status}`);
+        if (item.error) status.title = item.error;
+        label.append(checkbox, name, status);
+
+        const details = document.createElement('div');
+        details.className = 'iim-context-details';
+        const type = IIM.fileTypes.types[item.detectedType];
+        details.textContent = [
+            type ? type.label : (item.detectedType || item.mime || IIM.t('context.unknownType')),
+            item.size ? IIM.formatFileSize(item.size) : null,
+            item.extensionMismatch ? IIM.t('context.mismatch') : null
+        ].filter(Boolean).join(' · ');
+
+        li.append(label, details);
+
+        if (item.sha256) {
+            const hash = document.createElement('code');
+            hash.className = 'iim-context-hash';
+            hash.textContent = `SHA-256 ${item.sha256}`;
+            li.appendChild(hash);
+        }
+        return li;
+    }
+
+    function renderCitation(items) {
+        const source = panel.source;
+        if (!citation) {
+            source.hidden = true;
+            source.replaceChildren();
+            return;
+        }
+
+        const entry = citation.citation;
+        const item = items.find(candidate => candidate.id === entry.evidenceId);
+
+        const heading = document.createElement('div');
+        heading.className = 'iim-context-citation-header';
+        const title = document.createElement('strong');
+        title.textContent = IIM.t('context.source', { marker: entry.marker, name: item ? item.name : entry.evidenceId });
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'iim-context-citation-close';
+        closeButton.setAttribute('aria-label', IIM.t('context.hideSource'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => {
+            citation = null;
+            IIM.context.render();
+        });
+        heading.append(title, closeButton);
+
+        const location = document.createElement('div');
+        location.className = 'iim-context-location';
+        location.textContent = describeLocation(entry.location);
+
+        const passage = document.createElement('blockquote');
+        passage.className = 'iim-context-passage';
+        passage.textContent = entry.passage || IIM.t('context.noPassage');
+
+        source.replaceChildren(heading, location, passage);
+        if (!item) {
+            const missing = document.createElement('div');
+            missing.className = 'iim-context-missing';
+            missing.textContent = IIM.t('context.notAttached');
+            source.appendChild(missing);
+        }
+        source.hidden = false;
+    }
+
+    // location may be a string or { page, line, start, end }
+    function describeLocation(location) {
+        if (!location) return '';
+        if (typeof location === 'string') return location;
+        return [
+            location.page !== undefined ? IIM.t('context.page', { page: location.page }) : null,
+            location.line !== undefined ? IIM.t('context.line', { line: location.line }) : null,
+            location.start !== undefined ? IIM.t('context.characters', { start: location.start, end: location.end }) : null
+        ].filter(Boolean).join(', ');
+    }
+
+    function createCitationLink(message, marker) {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'iim-citation';
+        link.textContent = marker;
+        link.title = IIM.t('context.showSource');
+        link.addEventListener('click', () => IIM.context.showCitation(message, marker));
+        return link;
+    }
+
+    // Command palette entry
+    if (IIM.quickSearch) {
+        IIM.quickSearch.actions.push(
+            { id: 'toggle-context', title: () => IIM.t('context.open'), run: () => IIM.context.open() }
+        );
+    }
+
+})(window.IIM);
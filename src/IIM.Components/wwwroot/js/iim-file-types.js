@@ -0,0 +1,127 @@
+// IIM File Types - content sniffing for evidence files
+// Identifies files by their leading bytes rather than their name, so renamed
+// executables are caught and files without an extension can still be accepted.
+// Text is UTF-8, or UTF-16 with a byte order mark (Windows log and event exports);
+// a .txt/.csv/.log file in a single-byte encoding such as Windows-1252 is accepted
+// as text as long as it has no control characters.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    // How much of the file to read; enough to find OOXML part names in a ZIP
+    const SNIFF_BYTES = 64 * 1024;
+
+    const TYPES = {
+        pdf: { label: 'PDF document', mime: 'application/pdf', extensions: ['.pdf'] },
+        docx: { label: 'Word document', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'] },
+        zip: { label: 'ZIP archive', mime: 'application/zip', extensions: ['.zip'] },
+        png: { label: 'PNG image', mime: 'image/png', extensions: ['.png'] },
+        jpeg: { label: 'JPEG image', mime: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+        wav: { label: 'WAV audio', mime: 'audio/wav', extensions: ['.wav'] },
+        mp3: { label: 'MP3 audio', mime: 'audio/mpeg', extensions: ['.mp3'] },
+        json: { label: 'JSON document', mime: 'application/json', extensions: ['.json'] },
+        text: { label: 'Text document', mime: 'text/plain', extensions: ['.txt', '.csv', '.log'] },
+        executable: { label: 'Executable', mime: 'application/octet-stream', extensions: ['.exe', '.dll', '.so', '.dylib', '.bin'] }
+    };
+
+    IIM.fileTypes = {
+        types: TYPES,
+
+        // Resolves with a key of TYPES, or null when the content is not recognised
+        detect: function(file) {
+            const extension = IIM.fileTypes.getExtension(file.name || '');
+            return file.slice(0, SNIFF_BYTES).arrayBuffer().then(buffer => {
+                return detectBytes(new Uint8Array(buffer), extension);
+            });
+        },
+
+        getExtension: function(fileName) {
+            const dot = fileName.lastIndexOf('.');
+            return dot > 0 ? fileName.slice(dot).toLowerCase() : '';
+        },
+
+        matchesExtension: function(type, extension) {
+            return !!TYPES[type] && TYPES[type].extensions.includes(extension);
+        }
+    };
+
+    function detectBytes(bytes, extension) {
+        if (startsWith(bytes, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'pdf'; // %PDF-
+        if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+        if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg';
+        if (startsWith(bytes, [0x52, 0x49, 0x46, 0x46]) && startsWith(bytes, [0x57, 0x41, 0x56, 0x45], 8)) return 'wav'; // RIFF....WAVE
+        if (startsWith(bytes, [0x49, 0x44, 0x33])) return 'mp3'; // ID3 tag
+        // Before the MPEG frame sync check, which FF FE would also pass
+        if (startsWith(bytes, [0xff, 0xfe])) return detectUtf16(bytes, 'utf-16le');
+        if (startsWith(bytes, [0xfe, 0xff])) return detectUtf16(bytes, 'utf-16be');
+        if (bytes.length > 1 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0 && (bytes[1] & 0x06) !== 0) return 'mp3'; // MPEG audio frame sync
+
+        if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) || startsWith(bytes, [0x50, 0x4b, 0x05, 0x06])) {
+            // DOCX is a ZIP whose parts live under word/
+            return containsAscii(bytes, 'word/') ? 'docx' : 'zip';
+        }
+
+        if (startsWith(bytes, [0x4d, 0x5a]) || // MZ (Windows PE)
+            startsWith(bytes, [0x7f, 0x45, 0x4c, 0x46]) || // ELF
+            startsWith(bytes, [0xfe, 0xed, 0xfa, 0xce]) || startsWith(bytes, [0xfe, 0xed, 0xfa, 0xcf]) ||
+            startsWith(bytes, [0xce, 0xfa, 0xed, 0xfe]) || startsWith(bytes, [0xcf, 0xfa, 0xed, 0xfe])) { // Mach-O
+            return 'executable';
+        }
+
+        return detectText(bytes, extension);
+    }
+
+    function detectText(bytes, extension) {
+        if (bytes.includes(0)) return null;
+
+        let text;
+        try {
+            // The sniffed window may cut a multi-byte character in half; streaming mode tolerates that
+            text = new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: bytes.length === SNIFF_BYTES });
+        } catch (error) {
+            // Not UTF-8; a text file by name may still be in a single-byte encoding
+            return TYPES.text.extensions.includes(extension) && !hasControlBytes(bytes) ? 'text' : null;
+        }
+        return classifyText(text);
+    }
+
+    function detectUtf16(bytes, encoding) {
+        let text;
+        try {
+            text = new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: bytes.length === SNIFF_BYTES });
+        } catch (error) {
+            return null;
+        }
+        return /[\u0000-\u0008\u000e-\u001f]/.test(text) ? null : classifyText(text);
+    }
+
+    function classifyText(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+        return trimmed.startsWith('{') || trimmed.startsWith('[') ? 'json' : 'text';
+    }
+
+    // Anything below 0x20 except tab, line feed, vertical tab, form feed, carriage return and
+    // the old DOS end-of-file marker, plus DEL
+    function hasControlBytes(bytes) {
+        return bytes.some(byte => (byte < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1a].includes(byte)) || byte === 0x7f);
+    }
+
+    function startsWith(bytes, signature, offset = 0) {
+        if (bytes.length < offset + signature.length) return false;
+        return signature.every((value, index) => bytes[offset + index] === value);
+    }
+
+    function containsAscii(bytes, needle) {
+        const codes = Array.from(needle, ch => ch.charCodeAt(0));
+        outer:
+        for (let i = 0; i <= bytes.length - codes.length; i++) {
+            for (let j = 0; j < codes.length; j++) {
+                if (bytes[i + j] !== codes[j]) continue outer;
+            }
+            return true;
+        }
+        return false;
+    }
+
+})(window.IIM);
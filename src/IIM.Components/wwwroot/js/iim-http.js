@@ -0,0 +1,239 @@
+// IIM HTTP - the one client for API calls
+// Every request gets an X-Correlation-ID (kept across its retry, and attached to
+// errors) and, once the host has supplied one, an Authorization: Bearer token.
+// Tokens come from a provider the host registers (IIM.api.registerTokenProvider)
+// or are pushed with setToken; they are refreshed tokenRefreshMargin before they
+// expire. A 401 refreshes the token and retries once; a second 401, or a failed
+// refresh, is a hard failure: 'authFailed' goes to Blazor and the page moves to
+// IIM.config.authRedirectUrl. Without a provider a 401 is an ordinary error, so
+// hosts that don't sign in aren't bounced around. Requests made with
+// { auth: 'required' } (evidence, unless IIM.config.requireUploadAuth is turned off)
+// are never sent without a token. WebSockets can't carry headers, so socketUrl() puts
+// the token and a correlation id in the query string. Proxies and servers log query
+// strings: the socket endpoint must keep access_token out of its access logs, and
+// tokens should be short-lived (the provider's expiresAt), as a logged one stays
+// usable until it expires.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const CORRELATION_HEADER = 'X-Correlation-ID';
+    // setTimeout can't wait longer than this
+    const MAX_TIMER = 2147483647;
+
+    let provider = null;
+    let token = null;
+    let expiresAt = null;
+    let refreshing = null;
+    let refreshTimer = null;
+    let redirecting = false;
+
+    IIM.i18n.addMessages('en', {
+        'http.signInRequired': 'Sign in to send evidence to the server'
+    });
+
+    IIM.http = {
+        // provider() resolves with a token string or { accessToken, expiresAt }
+        // (expiresAt as a timestamp or ISO string; expiresIn in seconds also works)
+        setTokenProvider: function(tokenProvider) {
+            provider = tokenProvider;
+            token = null;
+            expiresAt = null;
+            clearTimeout(refreshTimer);
+            return IIM.http.getToken().then(value => !!value);
+        },
+
+        // For hosts that push tokens instead of registering a provider
+        setToken: function(value, expiry) {
+            store({ accessToken: value, expiresAt: expiry });
+        },
+
+        clearToken: function() {
+            provider = null;
+            token = null;
+            expiresAt = null;
+            clearTimeout(refreshTimer);
+        },
+
+        hasToken: function() {
+            return !!token && !isExpired(0);
+        },
+
+        // Resolves with the current token (refreshing one about to expire), or null
+        getToken: function(options = {}) {
+            if (!options.forceRefresh && token && !isExpired(IIM.config.tokenRefreshMargin)) {
+                return Promise.resolve(token);
+            }
+            if (!provider) {
+                return Promise.resolve(token && !isExpired(0) ? token : null);
+            }
+            if (!refreshing) {
+                refreshing = Promise.resolve()
+                    .then(() => provider())
+                    .then(result => {
+                        store(result);
+                        return token;
+                    })
+                    .finally(() => {
+                        refreshing = null;
+                    });
+            }
+            return refreshing;
+        },
+
+        // Resolves with the parsed JSON body (null for other content). Options: json,
+        // body, headers, signal, auth ('optional' or 'required'), correlationId.
+        // Rejects with an Error carrying status and correlationId, or with network set
+        // when the server could not be reached at all.
+        request: function(method, path, options = {}) {
+            const correlationId = options.correlationId || IIM.http.createCorrelationId();
+            const send = function(forceRefresh) {
+                return authorize(options.auth, forceRefresh).then(bearer => {
+                    const init = {
+                        method: method,
+                        headers: Object.assign({}, options.headers, { [CORRELATION_HEADER]: correlationId }),
+                        signal: options.signal
+                    };
+                    if (bearer) init.headers.Authorization = `Bearer ${bearer}`;
+                    if (options.json !== undefined) {
+                        init.headers['Content-Type'] = 'application/json';
+                        init.body = JSON.stringify(options.json);
+                    } else if (options.body !== undefined) {
+                        init.body = options.body;
+                    }
+                    return fetch(`${IIM.config.apiEndpoint}${path}`, init).catch(error => {
+                        // Nothing answered (offline, or the API is still starting); see iim-offline.js
+                        if (error && error.name !== 'AbortError') error.network = true;
+                        throw error;
+                    });
+                });
+            };
+
+            return send(false).then(response => {
+                if (response.status !== 401 || !provider) return response;
+                // The token may have been revoked or expired early; one fresh try
+                return send(true).then(retried => {
+                    if (retried.status === 401) {
+                        fail('unauthorized', correlationId);
+                    }
+                    return retried;
+                });
+            }).then(response => {
+                if (!response.ok) {
+                    const error = new Error(`${method} ${path} failed with status ${response.status}`);
+                    error.status = response.status;
+                    error.correlationId = correlationId;
+                    throw error;
+                }
+                const contentType = response.headers.get('Content-Type') || '';
+                return contentType.includes('json') ? response.json() : null;
+            }).catch(error => {
+                if (!error.correlationId) error.correlationId = correlationId;
+                throw error;
+            });
+        },
+
+        // Adds access_token (when there is one) and correlationId to a WebSocket URL.
+        // The token ends up in the URL, so keep it out of access logs (see above)
+        socketUrl: function(url) {
+            return IIM.http.getToken().catch(error => {
+                console.warn('Connecting without a token, refresh failed:', error);
+                return null;
+            }).then(bearer => {
+                const authorized = new URL(url, document.baseURI);
+                if (bearer) authorized.searchParams.set('access_token', bearer);
+                authorized.searchParams.set('correlationId', IIM.http.createCorrelationId());
+                return authorized.href;
+            });
+        },
+
+        createCorrelationId: function() {
+            return window.crypto && crypto.randomUUID ? crypto.randomUUID() : IIM.generateId();
+        }
+    };
+
+    // Resolves with the bearer token to send, or rejects for required auth without one
+    function authorize(auth, forceRefresh) {
+        return IIM.http.getToken({ forceRefresh: forceRefresh }).catch(error => {
+            console.error('Token refresh failed:', error);
+            // Offline the sign-in page can't load either; treat it like any unreachable server
+            if (navigator.onLine === false) {
+                error.network = true;
+                throw error;
+            }
+            fail('refresh_failed');
+        }).then(bearer => {
+            if (!bearer && auth === 'required') {
+                throw authError('no_token');
+            }
+            return bearer;
+        });
+    }
+
+    function store(result) {
+        const value = result && typeof result === 'object' ? (result.accessToken || result.token) : result;
+        if (!value) {
+            token = null;
+            expiresAt = null;
+            clearTimeout(refreshTimer);
+            return;
+        }
+        token = value;
+        expiresAt = parseExpiry(result);
+        scheduleRefresh();
+    }
+
+    function parseExpiry(result) {
+        if (!result || typeof result !== 'object') return null;
+        if (typeof result.expiresIn === 'number') return Date.now() + result.expiresIn * 1000;
+        if (typeof result.expiresAt === 'number') return result.expiresAt;
+        if (typeof result.expiresAt === 'string') {
+            const parsed = Date.parse(result.expiresAt);
+            return isNaN(parsed) ? null : parsed;
+        }
+        return null;
+    }
+
+    function isExpired(margin) {
+        return expiresAt !== null && Date.now() + margin >= expiresAt;
+    }
+
+    // Refresh ahead of expiry so requests rarely wait on it
+    function scheduleRefresh() {
+        clearTimeout(refreshTimer);
+        if (!provider || expiresAt === null) return;
+        const delay = Math.max(0, expiresAt - IIM.config.tokenRefreshMargin - Date.now());
+        refreshTimer = setTimeout(() => {
+            IIM.http.getToken({ forceRefresh: true }).catch(error => {
+                // The next request tries again and fails hard if it must
+                console.warn('Background token refresh failed:', error);
+            });
+        }, Math.min(delay, MAX_TIMER));
+    }
+
+    // Hard authentication failure: tell the host, then leave for the sign-in page
+    function fail(reason, correlationId) {
+        const error = authError(reason, correlationId);
+        IIM.interop.emit('authFailed', { reason: reason, correlationId: correlationId || '' });
+        const target = IIM.config.authRedirectUrl;
+        if (target && !redirecting) {
+            redirecting = true;
+            const redirect = new URL(target, document.baseURI);
+            redirect.searchParams.set('returnUrl', window.location.href);
+            window.location.assign(redirect.href);
+        }
+        throw error;
+    }
+
+    function authError(reason, correlationId) {
+        const error = new Error(reason === 'no_token'
+            ? IIM.t('http.signInRequired')
+            : `Authentication failed (${reason})`);
+        error.status = 401;
+        error.code = reason;
+        error.correlationId = correlationId;
+        return error;
+    }
+
+})(window.IIM);
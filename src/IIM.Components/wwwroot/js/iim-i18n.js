@@ -0,0 +1,221 @@
+// IIM I18n - message catalogs, plural rules and locale-aware formatting
+// Each module adds its English messages with addMessages('en', ...). Other locales
+// are fetched as i18n/<locale>.json (beside the js folder, or IIM.config.localePath)
+// when selected: a flat object of key -> message, with only the keys it translates.
+// i18n/en.json lists every English message and is the template for a new catalog;
+// it is never fetched. IIM.t(key, params) fills {name} placeholders; a message written as
+// { one, other, ... } is chosen by the locale's plural rules from params.count.
+// The locale is saved, sets <html lang> and switches right-to-left languages to
+// dir="rtl". Changes go through the store ('locale/changed') so views re-render.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+    const STORAGE_KEY = 'iim-locale';
+    const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'yi', 'dv', 'ckb', 'sd', 'ug'];
+    const FILE_SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+    const FALLBACK_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+    // Resolved now: document.currentScript is only set while this file runs
+    const defaultPath = document.currentScript && document.currentScript.src
+        ? new URL('../i18n/', document.currentScript.src).href
+        : 'i18n/';
+
+    const catalogs = {};
+    const loaded = new Map();
+    const formatters = new Map();
+    let locale = DEFAULT_LOCALE;
+
+    IIM.i18n = {
+        // Merges messages into a locale's catalog; later keys win
+        addMessages: function(target, messages) {
+            const key = normalize(target);
+            catalogs[key] = Object.assign(catalogs[key] || {}, messages);
+        },
+
+        getLocale: function() {
+            return locale;
+        },
+
+        // 'rtl' or 'ltr' for a locale (the current one by default)
+        getDirection: function(target = locale) {
+            return RTL_LANGUAGES.includes(language(normalize(target))) ? 'rtl' : 'ltr';
+        },
+
+        // Fetches the catalog if needed, then switches. A missing catalog still
+        // switches formatting and direction; messages fall back to English.
+        setLocale: function(target) {
+            const next = normalize(target);
+            localStorage.setItem(STORAGE_KEY, next);
+            apply(next, true);
+            return loadCatalog(next)
+                .catch(error => {
+                    console.warn(`No messages for ${next}, using English:`, error);
+                })
+                .then(() => {
+                    // Re-render now that the messages are here
+                    if (locale === next) IIM.store.dispatch('locale/changed', { locale: next });
+                    return next;
+                });
+        },
+
+        t: function(key, params = {}) {
+            let message = lookup(key);
+            if (message === undefined) {
+                console.warn(`Missing message: ${key}`);
+                return key;
+            }
+            if (typeof message === 'object') {
+                const category = typeof params.count === 'number' ? pluralRules().select(params.count) : 'other';
+                message = message[category] !== undefined ? message[category] : message.other;
+            }
+            return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+                if (params[name] === undefined) return match;
+                return typeof params[name] === 'number' ? IIM.i18n.formatNumber(params[name]) : String(params[name]);
+            });
+        },
+
+        has: function(key) {
+            return lookup(key) !== undefined;
+        },
+
+        formatNumber: function(value, options = {}) {
+            return formatter('number', options, () => new Intl.NumberFormat(locale, options)).format(value);
+        },
+
+        // Dates, ISO strings or timestamps; medium date and short time by default
+        formatDate: function(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date)) return '';
+            return formatter('date', options, () => new Intl.DateTimeFormat(locale, options)).format(date);
+        },
+
+        // "a, b and c" in the current language
+        formatList: function(items) {
+            if (!Intl.ListFormat) return items.join(', ');
+            return formatter('list', {}, () => new Intl.ListFormat(locale, { type: 'conjunction' })).format(items);
+        },
+
+        formatFileSize: function(bytes) {
+            let value = bytes || 0;
+            let unit = 0;
+            while (value >= 1024 && unit < FILE_SIZE_UNITS.length - 1) {
+                value /= 1024;
+                unit++;
+            }
+            const digits = unit === 0 ? 0 : (value < 10 ? 1 : 0);
+            try {
+                const options = {
+                    style: 'unit',
+                    unit: FILE_SIZE_UNITS[unit],
+                    unitDisplay: 'short',
+                    minimumFractionDigits: digits,
+                    maximumFractionDigits: digits
+                };
+                return formatter('number', options, () => new Intl.NumberFormat(locale, options)).format(value);
+            } catch (error) {
+                // Runtimes without unit formatting
+                return `${value.toFixed(digits)} ${FALLBACK_UNITS[unit]}`;
+            }
+        }
+    };
+
+    IIM.t = IIM.i18n.t;
+
+    // Messages shared by several modules
+    IIM.i18n.addMessages('en', {
+        'common.retry': 'Retry',
+        'common.cancel': 'Cancel',
+        'common.undo': 'Undo',
+        'common.close': 'Close',
+        'common.apply': 'Apply',
+        'common.reset': 'Reset',
+        'common.change': 'Change',
+        'common.clear': 'Clear',
+        'common.untitledSession': 'Untitled session'
+    });
+
+    function normalize(target) {
+        try {
+            return Intl.getCanonicalLocales(target || DEFAULT_LOCALE)[0];
+        } catch (error) {
+            return DEFAULT_LOCALE;
+        }
+    }
+
+    function language(target) {
+        return target.split('-')[0];
+    }
+
+    // ar-EG, then ar, then English
+    function lookup(key) {
+        const chain = [locale, language(locale), DEFAULT_LOCALE];
+        for (const candidate of chain) {
+            if (catalogs[candidate] && catalogs[candidate][key] !== undefined) {
+                return catalogs[candidate][key];
+            }
+        }
+        return undefined;
+    }
+
+    function pluralRules() {
+        return formatter('plural', {}, () => new Intl.PluralRules(locale));
+    }
+
+    // Intl formatters are costly to build; keep one per locale and options
+    function formatter(kind, options, create) {
+        const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+        if (!formatters.has(key)) formatters.set(key, create());
+        return formatters.get(key);
+    }
+
+    function loadCatalog(target) {
+        if (language(target) === DEFAULT_LOCALE) return Promise.resolve();
+        if (!loaded.has(target)) {
+            const base = (IIM.config && IIM.config.localePath) || defaultPath;
+            const fetchCatalog = name => fetch(`${base.replace(/\/?$/, '/')}${name}.json`).then(response => {
+                if (!response.ok) {
+                    const error = new Error(`Catalog ${name} failed with status ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.json();
+            }).then(messages => IIM.i18n.addMessages(name, messages));
+
+            // A regional catalog is optional when the language has one
+            const request = target === language(target)
+                ? fetchCatalog(target)
+                : fetchCatalog(language(target)).then(() => fetchCatalog(target).catch(() => {}));
+            loaded.set(target, request.catch(error => {
+                loaded.delete(target);
+                throw error;
+            }));
+        }
+        return loaded.get(target);
+    }
+
+    function apply(next, announce) {
+        locale = next;
+        const html = document.documentElement;
+        html.setAttribute('lang', next);
+        const direction = IIM.i18n.getDirection(next);
+        if (window.IIMThemeIntegration && window.IIMThemeIntegration.setDirection) {
+            // Saved with the theme settings, so a later manual choice still wins
+            window.IIMThemeIntegration.setDirection(direction);
+        } else {
+            html.setAttribute('dir', direction);
+        }
+        if (announce) IIM.store.dispatch('locale/changed', { locale: next });
+    }
+
+    // Restore the saved locale before anything renders
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+        apply(normalize(saved), true);
+        loadCatalog(locale).then(() => IIM.store.dispatch('locale/changed', { locale: locale }), error => {
+            console.warn(`No messages for ${locale}, using English:`, error);
+        });
+    }
+
+})(window.IIM);
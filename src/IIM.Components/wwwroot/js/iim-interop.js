@@ -0,0 +1,223 @@
+// IIM Interop - typed event bus between this module and Blazor
+// Blazor registers one DotNetObjectReference; named events are validated against
+// a schema, then delivered to its OnInteropEvent(name, payload) method and to any
+// JS listeners. request() calls a .NET method with a timeout and rejects with an
+// InteropError instead of failing silently. createTestDouble() stands in for the
+// .NET side so the module can run (and be exercised) without Blazor.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const QUEUE_LIMIT = 100;
+
+    // Payload schemas: field -> type; a trailing '?' marks the field optional
+    const EVENTS = {
+        sessionCreated: { session: 'object' },
+        sessionSelected: { sessionId: 'string' },
+        sessionSaved: { session: 'object' },
+        sessionImported: { session: 'object' },
+        sessionBranched: { session: 'object', fromSessionId: 'string', messageId: 'string' },
+        messageUpdated: { sessionId: 'string', messageId: 'string', action: 'string' },
+        modelSelected: { modelId: 'string' },
+        contextChanged: { sessionId: 'string', included: 'array' },
+        configChanged: { keys: 'array', environment: 'string' },
+        authFailed: { reason: 'string', correlationId: 'string' },
+        interopError: { event: 'string?', method: 'string?', code: 'string', message: 'string' }
+    };
+
+    let dotNetRef = null;
+    let eventMethod = 'OnInteropEvent';
+    const listeners = new Map();
+    const pending = [];
+
+    IIM.interop = {
+        events: EVENTS,
+
+        // options.eventMethod: the [JSInvokable] method that receives (name, payload)
+        register: function(reference, options = {}) {
+            if (!reference || typeof reference.invokeMethodAsync !== 'function') {
+                throw interopError('invalid_reference', 'register() needs a DotNetObjectReference');
+            }
+            dotNetRef = reference;
+            eventMethod = options.eventMethod || 'OnInteropEvent';
+
+            // Deliver what happened before Blazor was ready
+            pending.splice(0).forEach(event => deliver(event.name, event.payload));
+            return true;
+        },
+
+        unregister: function() {
+            dotNetRef = null;
+        },
+
+        isRegistered: function() {
+            return !!dotNetRef;
+        },
+
+        // Adds (or replaces) an event schema; plugins use this for their own events
+        defineEvent: function(name, schema) {
+            EVENTS[name] = schema;
+        },
+
+        on: function(name, handler) {
+            assertKnown(name);
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(handler);
+            return () => listeners.get(name).delete(handler);
+        },
+
+        // Validates, notifies JS listeners and forwards to .NET (queued until registered).
+        // Resolves true once .NET handled it, false if it failed or is still queued. An
+        // unknown event or a bad payload is logged, reported as interopError and resolves
+        // false too, so callers that fire and forget never see an unhandled rejection.
+        emit: function(name, payload = {}) {
+            try {
+                assertKnown(name);
+                validate(name, payload);
+            } catch (error) {
+                console.error(error.message);
+                reportError({ event: name, code: error.code, message: error.message });
+                return Promise.resolve(false);
+            }
+            notifyListeners(name, payload);
+
+            if (!dotNetRef) {
+                pending.push({ name: name, payload: payload });
+                if (pending.length > QUEUE_LIMIT) {
+                    console.warn('Interop queue full, dropped event:', pending.shift().name);
+                }
+                return Promise.resolve(false);
+            }
+            return deliver(name, payload);
+        },
+
+        // Events raised by .NET (via IIM.api.publishEvent) go to JS listeners only
+        receive: function(name, payload = {}) {
+            assertKnown(name);
+            validate(name, payload);
+            notifyListeners(name, payload);
+        },
+
+        // Calls a [JSInvokable] method on the registered reference
+        request: function(method, args = [], options = {}) {
+            if (!dotNetRef) {
+                const error = interopError('not_registered', `Cannot call ${method}: Blazor has not registered with IIM.interop`);
+                reportError({ method: method, code: error.code, message: error.message });
+                return Promise.reject(error);
+            }
+
+            const timeout = options.timeout || IIM.config.interopTimeout;
+            let timer = null;
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(interopError('timeout', `${method} did not respond within ${timeout}ms`)), timeout);
+            });
+
+            return Promise.race([dotNetRef.invokeMethodAsync(method, ...args), timedOut])
+                .catch(error => {
+                    const failure = error && error.name === 'InteropError'
+                        ? error
+                        : interopError('remote_error', `${method} failed: ${error && error.message ? error.message : error}`, error);
+                    reportError({ method: method, code: failure.code, message: failure.message });
+                    throw failure;
+                })
+                .finally(() => clearTimeout(timer));
+        },
+
+        // A stand-in DotNetObjectReference. handlers: { MethodName: (...args) => result };
+        // every call is recorded in double.calls. Unhandled methods reject like a missing [JSInvokable].
+        createTestDouble: function(handlers = {}) {
+            const double = {
+                calls: [],
+                events: [],
+                invokeMethodAsync: function(method, ...args) {
+                    double.calls.push({ method: method, args: args });
+                    if (method === eventMethod && !handlers[method]) {
+                        double.events.push({ name: args[0], payload: args[1] });
+                        return Promise.resolve();
+                    }
+                    if (!handlers[method]) {
+                        return Promise.reject(new Error(`The method '${method}' is not JSInvokable on the test double`));
+                    }
+                    try {
+                        return Promise.resolve(handlers[method](...args));
+                    } catch (error) {
+                        return Promise.reject(error);
+                    }
+                }
+            };
+            return double;
+        },
+
+        validate: function(name, payload) {
+            assertKnown(name);
+            validate(name, payload);
+            return true;
+        }
+    };
+
+    function deliver(name, payload) {
+        return dotNetRef.invokeMethodAsync(eventMethod, name, payload).then(() => true, error => {
+            console.error(`Interop event ${name} failed in .NET:`, error);
+            reportError({ event: name, code: 'remote_error', message: error && error.message ? error.message : String(error) });
+            return false;
+        });
+    }
+
+    function notifyListeners(name, payload) {
+        (listeners.get(name) || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Listener for ${name} failed:`, error);
+            }
+        });
+    }
+
+    // Errors are surfaced to JS listeners; they are not sent back to .NET, which may be the problem
+    function reportError(detail) {
+        notifyListeners('interopError', Object.assign({}, detail));
+    }
+
+    function assertKnown(name) {
+        if (!EVENTS[name]) {
+            throw interopError('unknown_event', `Unknown interop event: ${name}`);
+        }
+    }
+
+    function validate(name, payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw interopError('invalid_payload', `${name} payload must be an object`);
+        }
+
+        const schema = EVENTS[name];
+        Object.keys(schema).forEach(field => {
+            const optional = schema[field].endsWith('?');
+            const type = optional ? schema[field].slice(0, -1) : schema[field];
+            const value = payload[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    throw interopError('invalid_payload', `${name} payload is missing ${field}`);
+                }
+                return;
+            }
+            if (typeOf(value) !== type) {
+                throw interopError('invalid_payload', `${name}.${field} must be ${type}, got ${typeOf(value)}`);
+            }
+        });
+    }
+
+    function typeOf(value) {
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    function interopError(code, message, cause) {
+        const error = new Error(message);
+        error.name = 'InteropError';
+        error.code = code;
+        if (cause) error.cause = cause;
+        return error;
+    }
+
+})(window.IIM);
@@ -0,0 +1,700 @@
+// IIM Markdown - Markdown-to-DOM renderer for chat messages
+// Builds DOM nodes directly (never innerHTML), so raw HTML in model or evidence
+// text is always rendered as text. The output is run through an allowlist
+// sanitizer as a second line of defence.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    IIM.i18n.addMessages('en', {
+        'markdown.copyCode': 'Copy code',
+        'markdown.copy': 'Copy',
+        'markdown.copied': 'Copied',
+        'markdown.copyFailed': 'Copy failed'
+    });
+
+    // --- Allowlist ---
+    const ALLOWED_TAGS = {
+        A: ['href', 'title', 'target', 'rel', 'referrerpolicy'],
+        BLOCKQUOTE: [],
+        BR: [],
+        BUTTON: ['type', 'title', 'aria-label'],
+        CODE: [],
+        DEL: [],
+        DIV: [],
+        EM: [],
+        H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+        HR: [],
+        INPUT: ['type', 'checked', 'disabled'],
+        LI: [],
+        OL: ['start'],
+        P: [],
+        PRE: [],
+        SPAN: [],
+        STRONG: [],
+        TABLE: [], THEAD: [], TBODY: [], TR: [],
+        TH: ['style'],
+        TD: ['style'],
+        UL: []
+    };
+
+    const SAFE_PROTOCOLS = ['http', 'https', 'mailto'];
+
+    // Block-level patterns
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w#+.-]*)[^`]*$/;
+    const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}> ?(.*)$/;
+    const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+    const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // --- Public API ---
+    IIM.markdown = {
+        render: function(source) {
+            const fragment = document.createDocumentFragment();
+            const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+            parseBlocks(lines).forEach(node => fragment.appendChild(node));
+            IIM.markdown.sanitize(fragment);
+            return fragment;
+        },
+
+        renderInline: function(text) {
+            const fragment = document.createDocumentFragment();
+            parseInline(String(text || '')).forEach(node => fragment.appendChild(node));
+            IIM.markdown.sanitize(fragment);
+            return fragment;
+        },
+
+        // Removes any element, attribute or URL not on the allowlist
+        sanitize: function(root) {
+            Array.from(root.childNodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) return;
+                if (node.nodeType !== Node.ELEMENT_NODE || !ALLOWED_TAGS[node.tagName]) {
+                    node.replaceWith(document.createTextNode(node.textContent || ''));
+                    return;
+                }
+
+                const allowed = ALLOWED_TAGS[node.tagName];
+                Array.from(node.attributes).forEach(attr => {
+                    const name = attr.name.toLowerCase();
+                    if (name === 'class' && /^(iim-|language-)[\w\s-]*$/.test(attr.value)) return;
+                    if (name.startsWith('data-iim-')) return;
+                    if (!allowed.includes(name)) {
+                        node.removeAttribute(attr.name);
+                    }
+                });
+
+                if (node.tagName === 'A' && !IIM.markdown.isSafeUrl(node.getAttribute('href'))) {
+                    node.removeAttribute('href');
+                }
+                if (node.hasAttribute('style') && !/^text-align: (left|center|right);?$/.test(node.getAttribute('style'))) {
+                    node.removeAttribute('style');
+                }
+
+                IIM.markdown.sanitize(node);
+            });
+            return root;
+        },
+
+        isSafeUrl: function(url) {
+            if (typeof url !== 'string') return false;
+            // Browsers ignore control characters and whitespace inside schemes, and read
+            // backslashes as slashes, so /\host and \\host are protocol-relative too
+            const normalized = url.replace(/[\u0000-\u0020\u007f]/g, '').replace(/\\/g, '/');
+            const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+            if (!scheme) {
+                // Relative and fragment links stay inside the app
+                return !normalized.startsWith('//');
+            }
+            return SAFE_PROTOCOLS.includes(scheme[1].toLowerCase());
+        },
+
+        highlight: function(code, language) {
+            return highlightCode(code, language);
+        }
+    };
+
+    // --- Block parsing ---
+    function parseBlocks(lines) {
+        const nodes = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            let match = FENCE.exec(line);
+            if (match) {
+                const fence = match[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !isClosingFence(lines[i], fence)) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence (or end of an unterminated, still-streaming block)
+                nodes.push(createCodeBlock(code.join('\n'), match[2]));
+                continue;
+            }
+
+            match = HEADING.exec(line);
+            if (match) {
+                const heading = document.createElement('h' + match[1].length);
+                appendInline(heading, match[2] || '');
+                nodes.push(heading);
+                i++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                nodes.push(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && (match = QUOTE.exec(lines[i]))) {
+                    quoted.push(match[1]);
+                    i++;
+                }
+                const blockquote = document.createElement('blockquote');
+                parseBlocks(quoted).forEach(node => blockquote.appendChild(node));
+                nodes.push(blockquote);
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                i = parseTable(lines, i, nodes);
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                i = parseList(lines, i, nodes);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            const p = document.createElement('p');
+            appendInline(p, paragraph.join('\n'));
+            nodes.push(p);
+        }
+
+        return nodes;
+    }
+
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+            QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+    }
+
+    function isClosingFence(line, fence) {
+        const trimmed = line.trim();
+        return trimmed.length >= fence.length &&
+            trimmed === fence[0].repeat(trimmed.length);
+    }
+
+    function parseList(lines, start, nodes) {
+        const first = LIST_ITEM.exec(lines[start]);
+        const baseIndent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+        if (ordered && parseInt(first[2], 10) !== 1) {
+            list.setAttribute('start', parseInt(first[2], 10));
+        }
+
+        const items = [];
+        let current = null;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const match = LIST_ITEM.exec(line);
+            const indent = line.length - line.trimStart().length;
+
+            if (match && match[1].length <= baseIndent + 1 && /\d/.test(match[2]) === ordered) {
+                current = {
+                    lines: [match[3] || ''],
+                    contentIndent: match[1].length + match[2].length + 1,
+                    loose: false
+                };
+                items.push(current);
+                i++;
+                continue;
+            }
+
+            if (!line.trim()) {
+                // A blank line only continues the list if indented content or another item follows
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim()) next++;
+                if (next >= lines.length) break;
+                const nextLine = lines[next];
+                const nextIndent = nextLine.length - nextLine.trimStart().length;
+                const nextItem = LIST_ITEM.exec(nextLine);
+                if (nextIndent >= current.contentIndent) {
+                    current.lines.push('');
+                    current.loose = true;
+                    i++;
+                    continue;
+                }
+                if (nextItem && nextItem[1].length <= baseIndent + 1 && /\d/.test(nextItem[2]) === ordered) {
+                    current.loose = true;
+                    i = next;
+                    continue;
+                }
+                break;
+            }
+
+            if (indent > baseIndent) {
+                current.lines.push(line.slice(Math.min(indent, current.contentIndent)));
+                i++;
+                continue;
+            }
+
+            // Lazy continuation of the item's paragraph
+            const previous = current.lines[current.lines.length - 1];
+            if (previous.trim() && !startsBlock(lines, i)) {
+                current.lines.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        const loose = items.some(item => item.loose);
+        items.forEach(item => {
+            const li = document.createElement('li');
+            const task = /^\[([ xX])\]\s+/.exec(item.lines[0]);
+            if (task) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.disabled = true;
+                checkbox.checked = task[1] !== ' ';
+                li.appendChild(checkbox);
+                li.className = 'iim-task-item';
+                item.lines[0] = item.lines[0].slice(task[0].length);
+            }
+
+            parseBlocks(item.lines).forEach(node => {
+                // Tight lists render their paragraphs inline
+                if (!loose && node.tagName === 'P') {
+                    while (node.firstChild) li.appendChild(node.firstChild);
+                } else {
+                    li.appendChild(node);
+                }
+            });
+            list.appendChild(li);
+        });
+
+        nodes.push(list);
+        return i;
+    }
+
+    function isTableStart(lines, i) {
+        return i + 1 < lines.length &&
+            lines[i].includes('|') &&
+            lines[i + 1].includes('-') &&
+            TABLE_DELIMITER.test(lines[i + 1]) &&
+            splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+    }
+
+    function parseTable(lines, start, nodes) {
+        const headers = splitRow(lines[start]);
+        const alignments = splitRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'iim-table-wrapper';
+        const table = document.createElement('table');
+        const thead = document.createElement('thead');
+        const tbody = document.createElement('tbody');
+
+        thead.appendChild(createRow('th', headers, alignments));
+
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = splitRow(lines[i]);
+            // GFM pads short rows and drops overflow cells
+            while (cells.length < headers.length) cells.push('');
+            tbody.appendChild(createRow('td', cells.slice(0, headers.length), alignments));
+            i++;
+        }
+
+        table.appendChild(thead);
+        if (tbody.childNodes.length) table.appendChild(tbody);
+        wrapper.appendChild(table);
+        nodes.push(wrapper);
+        return i;
+    }
+
+    function splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    function createRow(cellTag, cells, alignments) {
+        const tr = document.createElement('tr');
+        cells.forEach((text, index) => {
+            const cell = document.createElement(cellTag);
+            if (alignments[index]) {
+                cell.setAttribute('style', `text-align: ${alignments[index]};`);
+            }
+            appendInline(cell, text);
+            tr.appendChild(cell);
+        });
+        return tr;
+    }
+
+    function createCodeBlock(code, language) {
+        const lang = (language || '').toLowerCase();
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'iim-code-block';
+
+        const header = document.createElement('div');
+        header.className = 'iim-code-header';
+
+        const label = document.createElement('span');
+        label.className = 'iim-code-language';
+        label.textContent = lang || 'text';
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'iim-code-copy';
+        copyButton.title = IIM.t('markdown.copyCode');
+        copyButton.setAttribute('aria-label', IIM.t('markdown.copyCode'));
+        copyButton.textContent = IIM.t('markdown.copy');
+        copyButton.addEventListener('click', () => {
+            copyToClipboard(code).then(() => {
+                copyButton.textContent = IIM.t('markdown.copied');
+                setTimeout(() => { copyButton.textContent = IIM.t('markdown.copy'); }, 2000);
+            }).catch(() => {
+                copyButton.textContent = IIM.t('markdown.copyFailed');
+            });
+        });
+
+        header.appendChild(label);
+        header.appendChild(copyButton);
+
+        const pre = document.createElement('pre');
+        const codeElement = document.createElement('code');
+        if (lang) {
+            codeElement.className = 'language-' + lang.replace(/[^\w-]/g, '');
+        }
+        codeElement.appendChild(highlightCode(code, lang));
+        pre.appendChild(codeElement);
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(pre);
+        return wrapper;
+    }
+
+    function copyToClipboard(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        // Fallback for non-secure contexts (e.g. the desktop WebView over http)
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+            copied ? resolve() : reject(new Error('Copy command was rejected'));
+        });
+    }
+
+    // --- Inline parsing ---
+    function appendInline(parent, text) {
+        parseInline(text).forEach(node => parent.appendChild(node));
+    }
+
+    function parseInline(text) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push(document.createTextNode(buffer));
+                buffer = '';
+            }
+        };
+        const push = (node, next) => {
+            flush();
+            nodes.push(node);
+            i = next;
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+            const rest = text.slice(i);
+            let match;
+
+            // Backslash escapes
+            if (ch === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\n') {
+                push(document.createElement('br'), i + 1);
+                continue;
+            }
+
+            // Code spans
+            if (ch === '`') {
+                const run = /^`+/.exec(rest)[0];
+                const close = text.indexOf(run, i + run.length);
+                if (close !== -1) {
+                    const code = document.createElement('code');
+                    code.textContent = text.slice(i + run.length, close).replace(/^ (.+) $/, '$1');
+                    push(code, close + run.length);
+                    continue;
+                }
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+
+            // Autolinks: <https://example.com>
+            if (ch === '<' && (match = /^<((?:https?|mailto):[^\s<>]+)>/i.exec(rest))) {
+                push(createLink(match[1], [document.createTextNode(match[1])]), i + match[0].length);
+                continue;
+            }
+
+            // Links and images: [text](url "title") / ![alt](url)
+            if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+                const link = parseLink(text, ch === '!' ? i + 1 : i);
+                if (link) {
+                    // Images are shown as links so remote content is never fetched implicitly
+                    const label = ch === '!'
+                        ? [document.createTextNode(link.label || link.url)]
+                        : parseInline(link.label);
+                    push(createLink(link.url, label, link.title), link.end);
+                    continue;
+                }
+            }
+
+            // Bare URLs
+            if ((ch === 'h' || ch === 'H') && !/\w/.test(text[i - 1] || '') &&
+                (match = /^https?:\/\/[^\s<]*[^\s<.,:;"')\]*_~]/i.exec(rest))) {
+                push(createLink(match[0], [document.createTextNode(match[0])]), i + match[0].length);
+                continue;
+            }
+
+            // Emphasis, strong and strikethrough
+            if (ch === '*' || ch === '_' || ch === '~') {
+                const emphasis = parseEmphasis(text, i);
+                if (emphasis) {
+                    push(emphasis.node, emphasis.end);
+                    continue;
+                }
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    function parseEmphasis(text, start) {
+        const ch = text[start];
+        const run = text.slice(start).match(ch === '~' ? /^~~/ : (ch === '*' ? /^\*{1,3}/ : /^_{1,3}/));
+        if (!run) return null;
+
+        const delimiter = run[0];
+        const contentStart = start + delimiter.length;
+
+        // Openers must be followed by non-whitespace
+        if (!text[contentStart] || /\s/.test(text[contentStart])) return null;
+        // Underscores inside words (snake_case identifiers) are literal
+        if (ch === '_' && /\w/.test(text[start - 1] || '')) return null;
+
+        let close = text.indexOf(delimiter, contentStart + 1);
+        while (close !== -1) {
+            const before = text[close - 1];
+            const after = text[close + delimiter.length] || '';
+            const validClose = !/\s/.test(before) &&
+                after !== ch &&
+                !(ch === '_' && /\w/.test(after));
+            if (validClose) break;
+            close = text.indexOf(delimiter, close + 1);
+        }
+        if (close === -1) return null;
+
+        const inner = parseInline(text.slice(contentStart, close));
+        let node;
+        if (ch === '~') {
+            node = wrap('del', inner);
+        } else if (delimiter.length === 3) {
+            node = wrap('strong', [wrap('em', inner)]);
+        } else {
+            node = wrap(delimiter.length === 2 ? 'strong' : 'em', inner);
+        }
+        return { node: node, end: close + delimiter.length };
+    }
+
+    function parseLink(text, start) {
+        // Find the matching closing bracket
+        let depth = 0;
+        let labelEnd = -1;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '\\') { i++; continue; }
+            if (text[i] === '[') depth++;
+            if (text[i] === ']' && --depth === 0) { labelEnd = i; break; }
+        }
+        if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+        const target = /^\(\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+(["'])(.*?)\2)?\s*\)/
+            .exec(text.slice(labelEnd + 1));
+        if (!target) return null;
+
+        return {
+            label: text.slice(start + 1, labelEnd),
+            url: target[1],
+            title: target[3],
+            end: labelEnd + 1 + target[0].length
+        };
+    }
+
+    function createLink(url, children, title) {
+        if (!IIM.markdown.isSafeUrl(url)) {
+            // Unsafe targets keep their text but lose the link
+            return wrap('span', children);
+        }
+
+        const a = wrap('a', children);
+        a.setAttribute('href', url);
+        if (title) a.setAttribute('title', title);
+        if (!url.startsWith('#')) {
+            a.setAttribute('target', '_blank');
+            a.setAttribute('rel', 'noopener noreferrer nofollow');
+            a.setAttribute('referrerpolicy', 'no-referrer');
+        }
+        return a;
+    }
+
+    function wrap(tag, children) {
+        const element = document.createElement(tag);
+        children.forEach(child => element.appendChild(child));
+        return element;
+    }
+
+    // --- Syntax highlighting ---
+    const KEYWORDS = {
+        javascript: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+        csharp: 'abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event false finally float for foreach get if in int interface internal is long namespace new null object out override params private protected public readonly record ref return sealed set static string struct switch this throw true try typeof using var virtual void while',
+        python: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+        sql: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary right select set table then union update values view when where',
+        bash: 'case do done echo elif else esac exit export fi for function if in local read return set then until while',
+        powershell: 'begin break catch continue else elseif end exit filter finally foreach function if in param process return switch throw trap try until while',
+        json: 'true false null'
+    };
+
+    const LANGUAGE_ALIASES = {
+        js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', tsx: 'javascript',
+        cs: 'csharp', 'c#': 'csharp',
+        py: 'python',
+        sh: 'bash', shell: 'bash', zsh: 'bash',
+        ps1: 'powershell', pwsh: 'powershell'
+    };
+
+    const COMMENT_PATTERNS = {
+        python: '#.*',
+        bash: '#.*',
+        powershell: '<#[\\s\\S]*?#>|#.*',
+        sql: '--.*|\\/\\*[\\s\\S]*?\\*\\/',
+        json: null
+    };
+
+    function highlightCode(code, language) {
+        const fragment = document.createDocumentFragment();
+        const lang = LANGUAGE_ALIASES[language] || language;
+        const keywords = KEYWORDS[lang];
+
+        if (!keywords) {
+            fragment.appendChild(document.createTextNode(code));
+            return fragment;
+        }
+
+        const keywordSet = new Set(keywords.split(' '));
+        const comment = lang in COMMENT_PATTERNS ? COMMENT_PATTERNS[lang] : '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/';
+        const token = new RegExp(
+            `(${comment || '(?!)'})|` +
+            '("(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)|' +
+            '(\\b\\d+(?:\\.\\d+)?\\b)|' +
+            '([A-Za-z_$][\\w$]*)',
+            'g'
+        );
+
+        let last = 0;
+        let match;
+        while ((match = token.exec(code)) !== null) {
+            let kind = null;
+            if (match[1]) kind = 'comment';
+            else if (match[2]) kind = 'string';
+            else if (match[3]) kind = 'number';
+            else if (match[4] && (keywordSet.has(match[4]) || (lang === 'sql' && keywordSet.has(match[4].toLowerCase())))) kind = 'keyword';
+
+            if (!kind) continue;
+
+            if (match.index > last) {
+                fragment.appendChild(document.createTextNode(code.slice(last, match.index)));
+            }
+            const span = document.createElement('span');
+            span.className = 'iim-token-' + kind;
+            span.textContent = match[0];
+            fragment.appendChild(span);
+            last = match.index + match[0].length;
+        }
+
+        if (last < code.length) {
+            fragment.appendChild(document.createTextNode(code.slice(last)));
+        }
+        return fragment;
+    }
+
+})(window.IIM);
@@ -0,0 +1,464 @@
+// IIM Message Actions - copy, edit and resend, regenerate, branch, pin and note
+// IIM.createMessageElement hands every message to decorate(), which adds the
+// toolbar, the pin marker and the analyst note. Changes go through store actions
+// and are kept in the session itself, so they are saved, synced and exported:
+//   message.pinned, message.note = { text, author, updated }
+//   session.branches: { id, type: 'revision', messageId, reason, created, messages }
+//     an edit or regeneration moves the replaced message and everything after it here
+//   session.branches: { id, type: 'fork', messageId, sessionId, created }
+//     a branch into a new session, which carries branchedFrom: { sessionId, messageId, created }
+// Edited prompts and regenerations are sent by .NET, like any other prompt, through
+//   SendMessage(content, { sessionId, modelId, replaces })
+// where replaces is the id of the first message that left the conversation (a
+// plain send passes no options). The answer streams back like any other
+// (stream_start / stream_delta / stream_end); regenerate resolves with whatever
+// SendMessage returns.
+// Messages are addressed by session id and index, like IIM.revealMessage. Requests
+// this module refuses reject with an Error whose code says why (not_found,
+// not_prompt, empty_prompt, not_answer, no_prompt); a model that fails to load has
+// already been reported by iim-models.js.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    IIM.i18n.addMessages('en', {
+        'messageActions.label': 'Message actions',
+        'messageActions.copy': 'Copy',
+        'messageActions.copied': 'Message copied',
+        'messageActions.copyFailed': 'The message could not be copied',
+        'messageActions.edit': 'Edit and resend',
+        'messageActions.resend': 'Resend',
+        'messageActions.regenerate': 'Regenerate',
+        'messageActions.regenerateWith': 'Regenerate with...',
+        'messageActions.branch': 'Branch from here',
+        'messageActions.branchName': '{name} (branch)',
+        'messageActions.branched': 'Branched into "{name}"',
+        'messageActions.backToOriginal': 'Back to original',
+        'messageActions.pin': 'Pin',
+        'messageActions.unpin': 'Unpin',
+        'messageActions.pinned': 'Pinned',
+        'messageActions.note': 'Analyst note',
+        'messageActions.addNote': 'Add note',
+        'messageActions.editNote': 'Edit note',
+        'messageActions.notePlaceholder': 'Note for this message...',
+        'messageActions.save': 'Save',
+        'messageActions.notFound': 'This message is not part of a saved session',
+        'messageActions.notPrompt': 'Only analyst prompts can be edited and resent',
+        'messageActions.notAnswer': 'Only AI answers can be regenerated',
+        'messageActions.noPrompt': 'There is no prompt before this answer to regenerate it from',
+        'messageActions.emptyPrompt': 'The prompt cannot be empty',
+        'messageActions.sendFailed': 'The prompt could not be sent: {error}'
+    });
+
+    IIM.messageActions = {
+        // Finds a rendered message in the store: { sessionId, messageIndex } or null
+        locate: function(message) {
+            const sessions = IIM.state.sessions;
+            const ordered = sessions.filter(session => session.id === IIM.state.currentSession)
+                .concat(sessions.filter(session => session.id !== IIM.state.currentSession));
+            for (const session of ordered) {
+                const messages = session.messages || [];
+                let index = messages.indexOf(message);
+                if (index === -1 && message.id) index = messages.findIndex(candidate => candidate.id === message.id);
+                if (index !== -1) return { sessionId: session.id, messageIndex: index };
+            }
+            return null;
+        },
+
+        copy: function(sessionId, messageIndex) {
+            const message = getMessage(sessionId, messageIndex);
+            if (!message) return Promise.reject(notFound());
+            if (!navigator.clipboard || !navigator.clipboard.writeText) {
+                IIM.showNotification(IIM.t('messageActions.copyFailed'), 'error');
+                return Promise.resolve(false);
+            }
+            return navigator.clipboard.writeText(message.content || '').then(() => {
+                IIM.showNotification(IIM.t('messageActions.copied'), 'success');
+                return true;
+            }, error => {
+                console.error('Copy failed:', error);
+                IIM.showNotification(IIM.t('messageActions.copyFailed'), 'error');
+                return false;
+            });
+        },
+
+        // Replaces a user prompt with new text and asks for a fresh answer; the
+        // original prompt and what followed it are kept as a revision branch
+        resend: function(sessionId, messageIndex, content) {
+            const original = getMessage(sessionId, messageIndex);
+            if (!original) return Promise.reject(notFound());
+            if (original.role !== 'user') return Promise.reject(actionError('not_prompt', 'messageActions.notPrompt'));
+            const text = (content || '').trim();
+            if (!text) return Promise.reject(actionError('empty_prompt', 'messageActions.emptyPrompt'));
+
+            const modelId = IIM.state.activeModel;
+            return ready(modelId).then(() => {
+                const originalId = ensureId(sessionId, messageIndex);
+                revise(sessionId, messageIndex, originalId, 'edit');
+
+                const message = {
+                    id: IIM.generateId(),
+                    role: 'user',
+                    content: text,
+                    timestamp: new Date().toISOString(),
+                    revises: originalId
+                };
+                IIM.store.dispatch('message/added', { sessionId: sessionId, message: message });
+                showSession(sessionId);
+                IIM.audit.record('message.edited', { messageId: message.id, revises: originalId }, sessionId);
+                IIM.interop.emit('messageUpdated', { sessionId: sessionId, messageId: message.id, action: 'edited' });
+
+                request(sessionId, modelId, text, originalId).catch(() => {});
+                return message;
+            });
+        },
+
+        // Asks for a new answer to the prompt before an AI message, with the same
+        // model or another one; the old answer is kept as a revision branch
+        regenerate: function(sessionId, messageIndex, modelId) {
+            const answer = getMessage(sessionId, messageIndex);
+            if (!answer) return Promise.reject(notFound());
+            if (answer.role === 'user') return Promise.reject(actionError('not_answer', 'messageActions.notAnswer'));
+            const session = findSession(sessionId);
+            const prompt = session.messages.slice(0, messageIndex).reverse().find(message => message.role === 'user');
+            if (!prompt) {
+                IIM.showNotification(IIM.t('messageActions.noPrompt'), 'error');
+                return Promise.reject(actionError('no_prompt', 'messageActions.noPrompt'));
+            }
+
+            const targetModel = modelId || answer.modelId || answer.model || IIM.state.activeModel;
+            return ready(targetModel).then(() => {
+                const answerId = ensureId(sessionId, messageIndex);
+                revise(sessionId, messageIndex, answerId, 'regenerate');
+                showSession(sessionId);
+                IIM.audit.record('message.regenerated', { messageId: answerId, modelId: targetModel || null }, sessionId);
+                IIM.interop.emit('messageUpdated', { sessionId: sessionId, messageId: answerId, action: 'regenerated' });
+
+                return request(sessionId, targetModel, prompt.content, answerId);
+            });
+        },
+
+        // Starts a new session with the conversation up to and including this message
+        // (and the same evidence); resolves with the new session
+        branch: function(sessionId, messageIndex) {
+            if (!getMessage(sessionId, messageIndex)) return Promise.reject(notFound());
+
+            const messageId = ensureId(sessionId, messageIndex);
+            const created = new Date().toISOString();
+            const source = findSession(sessionId);
+            const session = {
+                id: IIM.generateId(),
+                name: IIM.t('messageActions.branchName', { name: source.name || IIM.t('common.untitledSession') }),
+                created: created,
+                messages: source.messages.slice(0, messageIndex + 1),
+                context: source.context || [],
+                status: 'active',
+                branchedFrom: { sessionId: sessionId, messageId: messageId, created: created }
+            };
+
+            IIM.store.dispatch('session/created', { session: session });
+            IIM.store.dispatch('session/branched', {
+                sessionId: sessionId,
+                branch: { id: IIM.generateId(), type: 'fork', messageId: messageId, sessionId: session.id, created: created }
+            });
+            IIM.audit.record('session.branched', { sessionId: session.id, fromSessionId: sessionId, messageId: messageId }, session.id);
+            IIM.tabSync.publishSession(session);
+            IIM.tabSync.publishSession(findSession(sessionId));
+            IIM.tabSync.publishSelection(session.id);
+            IIM.loadSession(findSession(session.id));
+
+            IIM.interop.emit('sessionBranched', { session: session, fromSessionId: sessionId, messageId: messageId });
+            IIM.showNotification(IIM.t('messageActions.branched', { name: session.name }), 'success', {
+                actions: [{ label: IIM.t('messageActions.backToOriginal'), run: () => IIM.selectSession(sessionId) }]
+            });
+            return Promise.resolve(findSession(session.id));
+        },
+
+        setPinned: function(sessionId, messageIndex, pinned) {
+            return update(sessionId, messageIndex, { pinned: !!pinned }, pinned ? 'pinned' : 'unpinned');
+        },
+
+        // An empty note removes it
+        setNote: function(sessionId, messageIndex, text) {
+            const trimmed = (text || '').trim();
+            const note = trimmed
+                ? { text: trimmed, author: IIM.audit.getUser(), updated: new Date().toISOString() }
+                : null;
+            return update(sessionId, messageIndex, { note: note }, trimmed ? 'noted' : 'noteRemoved');
+        },
+
+        // Adds the toolbar, pin marker and note to a freshly created message element
+        decorate: function(element, message) {
+            element.classList.toggle('pinned', !!message.pinned);
+
+            const toolbar = document.createElement('div');
+            toolbar.className = 'iim-message-actions';
+            toolbar.setAttribute('role', 'toolbar');
+            toolbar.setAttribute('aria-label', IIM.t('messageActions.label'));
+
+            const run = action => () => {
+                const target = IIM.messageActions.locate(message);
+                if (!target) {
+                    IIM.showNotification(IIM.t('messageActions.notFound'), 'warning');
+                    return;
+                }
+                action(target);
+            };
+
+            toolbar.appendChild(button('copy', 'fa-copy', IIM.t('messageActions.copy'),
+                run(target => IIM.messageActions.copy(target.sessionId, target.messageIndex).catch(() => {}))));
+
+            if (message.role === 'user') {
+                toolbar.appendChild(button('edit', 'fa-pen', IIM.t('messageActions.edit'),
+                    run(target => openEditor(element, target, message))));
+            } else {
+                toolbar.appendChild(button('regenerate', 'fa-rotate-right', IIM.t('messageActions.regenerate'),
+                    run(target => IIM.messageActions.regenerate(target.sessionId, target.messageIndex).catch(() => {}))));
+                if (IIM.state.models.length > 1) {
+                    toolbar.appendChild(modelSelect(modelId => run(target =>
+                        IIM.messageActions.regenerate(target.sessionId, target.messageIndex, modelId).catch(() => {}))()));
+                }
+            }
+
+            toolbar.appendChild(button('branch', 'fa-code-branch', IIM.t('messageActions.branch'),
+                run(target => IIM.messageActions.branch(target.sessionId, target.messageIndex).catch(() => {}))));
+            const pin = button('pin', 'fa-thumbtack', IIM.t(message.pinned ? 'messageActions.unpin' : 'messageActions.pin'),
+                run(target => IIM.messageActions.setPinned(target.sessionId, target.messageIndex, !message.pinned)));
+            pin.setAttribute('aria-pressed', message.pinned ? 'true' : 'false');
+            toolbar.appendChild(pin);
+            toolbar.appendChild(button('note', 'fa-note-sticky', IIM.t(message.note ? 'messageActions.editNote' : 'messageActions.addNote'),
+                run(target => openNoteEditor(element, target, message))));
+
+            element.appendChild(toolbar);
+
+            if (message.pinned) {
+                const marker = document.createElement('span');
+                marker.className = 'iim-message-pin';
+                marker.title = IIM.t('messageActions.pinned');
+                marker.innerHTML = '<i class="fas fa-thumbtack" aria-hidden="true"></i>';
+                element.appendChild(marker);
+            }
+
+            if (message.note && message.note.text) {
+                const note = document.createElement('div');
+                note.className = 'iim-message-note';
+                const label = document.createElement('span');
+                label.className = 'iim-message-note-label';
+                label.textContent = IIM.t('messageActions.note');
+                const text = document.createElement('span');
+                text.className = 'iim-message-note-text';
+                text.textContent = message.note.text;
+                note.appendChild(label);
+                note.appendChild(text);
+                element.querySelector('.iim-message-content').appendChild(note);
+            }
+            return element;
+        }
+    };
+
+    // --- Changes ---
+    function update(sessionId, messageIndex, changes, action) {
+        const previous = getMessage(sessionId, messageIndex);
+        if (!previous) return Promise.reject(notFound());
+        const messageId = previous.id || IIM.generateId();
+        IIM.store.dispatch('message/updated', {
+            sessionId: sessionId,
+            messageIndex: messageIndex,
+            changes: Object.assign({ id: messageId }, changes)
+        });
+        const next = getMessage(sessionId, messageIndex);
+        if (sessionId === IIM.state.currentSession) {
+            IIM.messageList.replace(previous, next);
+        }
+        IIM.audit.record(`message.${action}`, { messageId: messageId }, sessionId);
+        IIM.interop.emit('messageUpdated', { sessionId: sessionId, messageId: messageId, action: action });
+        return Promise.resolve(next);
+    }
+
+    // Branch records point at messages by id; older messages may not have one yet
+    function ensureId(sessionId, messageIndex) {
+        const message = getMessage(sessionId, messageIndex);
+        if (message.id) return message.id;
+        const id = IIM.generateId();
+        IIM.store.dispatch('message/updated', { sessionId: sessionId, messageIndex: messageIndex, changes: { id: id } });
+        return id;
+    }
+
+    function revise(sessionId, messageIndex, messageId, reason) {
+        IIM.store.dispatch('message/revised', {
+            sessionId: sessionId,
+            messageIndex: messageIndex,
+            branch: { id: IIM.generateId(), type: 'revision', messageId: messageId, reason: reason, created: new Date().toISOString() }
+        });
+    }
+
+    // The model has to be loaded before the request goes out; load failures are reported by IIM.models
+    function ready(modelId) {
+        return modelId ? IIM.models.load(modelId, { evict: true }) : Promise.resolve(null);
+    }
+
+    // Same .NET path as IIM.api.sendMessage; interop failures are also reported as interopError
+    function request(sessionId, modelId, content, replaces) {
+        const options = { sessionId: sessionId, modelId: modelId || null, replaces: replaces };
+        return IIM.interop.request('SendMessage', [content, options]).catch(error => {
+            IIM.showNotification(IIM.t('messageActions.sendFailed', { error: error.message }), 'error');
+            throw error;
+        });
+    }
+
+    // The transcript lost its tail; show it again from the store
+    function showSession(sessionId) {
+        if (sessionId !== IIM.state.currentSession) return;
+        IIM.messageList.setMessages(findSession(sessionId).messages);
+    }
+
+    // --- Helpers ---
+    function findSession(sessionId) {
+        return IIM.state.sessions.find(session => session.id === sessionId) || null;
+    }
+
+    function getMessage(sessionId, messageIndex) {
+        const session = findSession(sessionId);
+        return session && session.messages ? session.messages[messageIndex] || null : null;
+    }
+
+    function notFound() {
+        return actionError('not_found', 'messageActions.notFound');
+    }
+
+    function actionError(code, key) {
+        const error = new Error(IIM.t(key));
+        error.code = code;
+        return error;
+    }
+
+    // --- UI ---
+    function button(name, icon, label, onClick) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = `iim-message-action iim-message-action-${name}`;
+        element.title = label;
+        element.setAttribute('aria-label', label);
+        element.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+        element.addEventListener('click', onClick);
+        return element;
+    }
+
+    function modelSelect(onSelect) {
+        const select = document.createElement('select');
+        select.className = 'iim-message-action-model';
+        select.setAttribute('aria-label', IIM.t('messageActions.regenerateWith'));
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = IIM.t('messageActions.regenerateWith');
+        placeholder.disabled = true;
+        placeholder.selected = true;
+        select.appendChild(placeholder);
+        IIM.state.models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name || model.id;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            const modelId = select.value;
+            select.value = '';
+            if (modelId) onSelect(modelId);
+        });
+        return select;
+    }
+
+    // Inline textarea under the content; Escape cancels, Ctrl/Cmd+Enter saves
+    function openTextEditor(element, options) {
+        if (element.querySelector('.iim-message-editor')) return;
+
+        const editor = document.createElement('div');
+        editor.className = `iim-message-editor ${options.className}`;
+        const input = document.createElement('textarea');
+        input.value = options.value;
+        input.placeholder = options.placeholder || '';
+        input.rows = Math.min(10, Math.max(2, options.value.split('\n').length));
+
+        const close = () => {
+            editor.remove();
+            if (options.hideContent) element.querySelector('.iim-message-content').hidden = false;
+            IIM.messageList.refresh();
+        };
+        const save = () => {
+            const value = input.value;
+            close();
+            options.onSave(value);
+        };
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'iim-message-editor-save';
+        saveButton.textContent = options.saveLabel;
+        saveButton.addEventListener('click', save);
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'iim-message-editor-cancel';
+        cancelButton.textContent = IIM.t('common.cancel');
+        cancelButton.addEventListener('click', close);
+
+        input.addEventListener('keydown', event => {
+            // Keep the page's shortcuts (e.g. send message) out of the editor
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close();
+            } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                save();
+            }
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'iim-message-editor-buttons';
+        buttons.appendChild(saveButton);
+        buttons.appendChild(cancelButton);
+        editor.appendChild(input);
+        editor.appendChild(buttons);
+
+        if (options.hideContent) element.querySelector('.iim-message-content').hidden = true;
+        element.appendChild(editor);
+        IIM.messageList.refresh();
+        input.focus();
+    }
+
+    function openEditor(element, target, message) {
+        openTextEditor(element, {
+            className: 'prompt',
+            value: message.content || '',
+            saveLabel: IIM.t('messageActions.resend'),
+            hideContent: true,
+            onSave: value => {
+                if (!value.trim()) {
+                    IIM.showNotification(IIM.t('messageActions.emptyPrompt'), 'warning');
+                    return;
+                }
+                // Look it up again: the transcript may have moved on while editing
+                const current = IIM.messageActions.locate(message) || target;
+                IIM.messageActions.resend(current.sessionId, current.messageIndex, value).catch(error => {
+                    // Coded errors are refusals from this module; anything else was reported where it happened
+                    if (error.code) IIM.showNotification(error.message, 'warning');
+                });
+            }
+        });
+    }
+
+    function openNoteEditor(element, target, message) {
+        openTextEditor(element, {
+            className: 'note',
+            value: message.note ? message.note.text : '',
+            placeholder: IIM.t('messageActions.notePlaceholder'),
+            saveLabel: IIM.t('messageActions.save'),
+            onSave: value => {
+                const current = IIM.messageActions.locate(message) || target;
+                IIM.messageActions.setNote(current.sessionId, current.messageIndex, value).catch(() => {});
+            }
+        });
+    }
+
+})(window.IIM);
@@ -0,0 +1,343 @@
+// IIM Message List - virtualized rendering for .iim-messages-area
+// Only the messages in (or near) the viewport are in the DOM; the rest are
+// represented by two spacer elements sized from measured (or estimated) heights.
+// Sessions open on their newest IIM.config.messageLimit messages and older pages
+// are prepended as the user scrolls up, keeping the visible message in place.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const ESTIMATED_HEIGHT = 120;
+    const OVERSCAN_PX = 800;
+    const LOAD_OLDER_THRESHOLD = 200;
+    const BOTTOM_TOLERANCE = 40;
+
+    let container = null;
+    let topSpacer = null;
+    let bottomSpacer = null;
+    let items = [];
+    let source = [];
+    let heights = new WeakMap();
+    let mounted = new Map();
+    // Elements owned by someone else (e.g. a message that is still streaming)
+    let pinned = new Map();
+    let seen = new WeakSet();
+    let frame = null;
+    let resizeObserver = null;
+
+    IIM.messageList = {
+        mount: function(element) {
+            if (container === element) return true;
+            if (!element) return false;
+
+            container = element;
+            container.replaceChildren();
+            topSpacer = createSpacer('top');
+            bottomSpacer = createSpacer('bottom');
+            container.appendChild(topSpacer);
+            container.appendChild(bottomSpacer);
+            mounted = new Map();
+
+            container.addEventListener('scroll', scheduleRender, { passive: true });
+            if (window.ResizeObserver) {
+                // Width changes reflow every message; re-measure what is on screen
+                if (resizeObserver) resizeObserver.disconnect();
+                resizeObserver = new ResizeObserver(() => scheduleRender());
+                resizeObserver.observe(container);
+            }
+            return true;
+        },
+
+        // Shows a session's messages, newest page first
+        setMessages: function(messages) {
+            if (!ensureMounted()) return;
+            source = messages || [];
+            items = source.slice(-IIM.config.messageLimit);
+            unmountAll();
+            render({ stickToBottom: true });
+        },
+
+        append: function(message, options = {}) {
+            if (!ensureMounted()) return;
+            const stick = options.stickToBottom !== undefined ? options.stickToBottom : isAtBottom();
+            if (options.element) {
+                pinned.set(message, options.element);
+            }
+            if (options.animate === false) {
+                seen.add(message);
+            }
+            items.push(message);
+            render({ stickToBottom: stick });
+        },
+
+        // Inserts older messages above the current ones without moving the viewport
+        prepend: function(messages) {
+            if (!ensureMounted() || !messages.length) return;
+            messages.forEach(message => seen.add(message));
+            items = messages.concat(items);
+            render({ preserveAnchor: true });
+        },
+
+        loadOlder: function() {
+            const first = items[0];
+            const index = first ? source.indexOf(first) : -1;
+            if (index <= 0) return false;
+            IIM.messageList.prepend(source.slice(Math.max(0, index - IIM.config.messageLimit), index));
+            return true;
+        },
+
+        // Stops treating an element as externally owned; it is re-created on demand from now on
+        release: function(message) {
+            pinned.delete(message);
+        },
+
+        remove: function(message) {
+            const index = items.indexOf(message);
+            if (index === -1) return;
+            items.splice(index, 1);
+            pinned.delete(message);
+            const element = mounted.get(message);
+            if (element) element.remove();
+            mounted.delete(message);
+            render({ preserveAnchor: true });
+        },
+
+        // Swaps in the store's new copy of a message (e.g. pinned) and re-renders it in place
+        replace: function(previous, next) {
+            const index = items.indexOf(previous);
+            source = source.map(message => (message === previous ? next : message));
+            if (index === -1) return;
+            items[index] = next;
+            if (heights.has(previous)) heights.set(next, heights.get(previous));
+            seen.add(next);
+            pinned.delete(previous);
+            const element = mounted.get(previous);
+            if (element) element.remove();
+            mounted.delete(previous);
+            render({ preserveAnchor: true });
+        },
+
+        // Re-measures after a rendered message changed size (e.g. streaming tokens)
+        refresh: function() {
+            if (!container) return;
+            render({ stickToBottom: isAtBottom(), preserveAnchor: !isAtBottom() });
+        },
+
+        scrollToMessage: function(messageOrId, options = {}) {
+            if (!ensureMounted()) return null;
+            const matches = message => message === messageOrId || (message.id && message.id === messageOrId);
+
+            // Pull in older pages until the target is part of the list
+            if (!items.some(matches)) {
+                const target = source.findIndex(matches);
+                const first = source.indexOf(items[0]);
+                if (target === -1 || first === -1 || target > first) return null;
+                IIM.messageList.prepend(source.slice(target, first));
+            }
+
+            const index = items.findIndex(matches);
+            if (index === -1) return null;
+
+            // Jump to the estimated position, then correct once real heights are known
+            const align = () => {
+                const tops = computeTops();
+                const height = heightOf(items[index]);
+                const offset = options.block === 'start'
+                    ? tops[index]
+                    : tops[index] - (container.clientHeight - height) / 2;
+                container.scrollTop = Math.max(0, offset + listOffset());
+                render({});
+            };
+            align();
+            align();
+            return mounted.get(items[index]) || null;
+        },
+
+        scrollToBottom: function() {
+            if (!container) return;
+            render({ stickToBottom: true });
+        },
+
+        isAtBottom: function() {
+            return isAtBottom();
+        },
+
+        getElement: function(message) {
+            return mounted.get(message) || null;
+        },
+
+        getRenderedRange: function() {
+            const rendered = items.filter(message => mounted.has(message));
+            return { start: items.indexOf(rendered[0]), end: items.indexOf(rendered[rendered.length - 1]), total: items.length };
+        },
+
+        reset: function() {
+            items = [];
+            source = [];
+            pinned = new Map();
+            heights = new WeakMap();
+            seen = new WeakSet();
+            if (container) {
+                unmountAll();
+                topSpacer.style.height = '0px';
+                bottomSpacer.style.height = '0px';
+            }
+        }
+    };
+
+    // --- Rendering ---
+    function ensureMounted() {
+        const area = document.querySelector('.iim-messages-area');
+        if (area && area !== container) {
+            // Blazor re-rendered the chat; start over in the new element
+            IIM.messageList.mount(area);
+        }
+        return !!container && container.isConnected;
+    }
+
+    function createSpacer(position) {
+        const spacer = document.createElement('div');
+        spacer.className = `iim-message-spacer ${position}`;
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    function scheduleRender() {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            if (!container) return;
+            if (container.scrollTop < LOAD_OLDER_THRESHOLD && IIM.messageList.loadOlder()) return;
+            render({ preserveAnchor: true });
+        });
+    }
+
+    function heightOf(message) {
+        return heights.get(message) || ESTIMATED_HEIGHT;
+    }
+
+    function computeTops() {
+        const tops = new Array(items.length + 1);
+        tops[0] = 0;
+        for (let i = 0; i < items.length; i++) {
+            tops[i + 1] = tops[i] + heightOf(items[i]);
+        }
+        return tops;
+    }
+
+    // Distance from the top of the scrollable content to the first spacer (the area's padding)
+    function listOffset() {
+        return topSpacer.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+    }
+
+    function isAtBottom() {
+        return !container ||
+            container.scrollHeight - container.scrollTop - container.clientHeight < BOTTOM_TOLERANCE;
+    }
+
+    // Returns the first message whose bottom edge is below the viewport top, and its offset
+    function findAnchor() {
+        const viewportTop = container.getBoundingClientRect().top;
+        for (const message of items) {
+            const element = mounted.get(message);
+            if (!element) continue;
+            const rect = element.getBoundingClientRect();
+            if (rect.bottom > viewportTop) {
+                return { message: message, offset: rect.top - viewportTop };
+            }
+        }
+        return null;
+    }
+
+    function render(options) {
+        const anchor = options.preserveAnchor && !options.stickToBottom ? findAnchor() : null;
+
+        let tops = computeTops();
+        let viewportTop = options.stickToBottom
+            ? Math.max(0, tops[items.length] - container.clientHeight)
+            : container.scrollTop - listOffset();
+        if (anchor) {
+            viewportTop = Math.max(0, tops[items.indexOf(anchor.message)] - anchor.offset);
+        }
+
+        const range = visibleRange(tops, viewportTop);
+        mountRange(range);
+        measureMounted();
+
+        // Heights may have changed; lay out again from the corrected numbers
+        tops = computeTops();
+        topSpacer.style.height = `${tops[range.start]}px`;
+        bottomSpacer.style.height = `${tops[items.length] - tops[range.end + 1]}px`;
+
+        if (options.stickToBottom) {
+            container.scrollTop = container.scrollHeight;
+        } else if (anchor) {
+            const index = items.indexOf(anchor.message);
+            if (index !== -1) container.scrollTop = tops[index] + listOffset() - anchor.offset;
+        }
+    }
+
+    function visibleRange(tops, viewportTop) {
+        if (!items.length) return { start: 0, end: -1 };
+
+        const from = viewportTop - OVERSCAN_PX;
+        const to = viewportTop + container.clientHeight + OVERSCAN_PX;
+
+        let start = 0;
+        while (start < items.length - 1 && tops[start + 1] < from) start++;
+        let end = start;
+        while (end < items.length - 1 && tops[end + 1] < to) end++;
+
+        return { start: start, end: end };
+    }
+
+    function mountRange(range) {
+        const wanted = new Set(items.slice(range.start, range.end + 1));
+
+        mounted.forEach((element, message) => {
+            if (!wanted.has(message)) {
+                element.remove();
+                mounted.delete(message);
+            }
+        });
+
+        // Insert in order, right before the bottom spacer or the next mounted sibling
+        let next = bottomSpacer;
+        for (let i = range.end; i >= range.start; i--) {
+            const message = items[i];
+            let element = mounted.get(message);
+            if (!element) {
+                element = pinned.get(message) || IIM.createMessageElement(message);
+                if (seen.has(message)) {
+                    // Re-mounted while scrolling; don't replay the entrance animation
+                    element.classList.add('iim-message-static');
+                }
+                seen.add(message);
+                mounted.set(message, element);
+            }
+            if (element.nextSibling !== next || element.parentNode !== container) {
+                container.insertBefore(element, next);
+            }
+            next = element;
+        }
+    }
+
+    function unmountAll() {
+        mounted.forEach(element => element.remove());
+        mounted = new Map();
+    }
+
+    function measureMounted() {
+        // Differences between consecutive offsets include margins (unlike offsetHeight)
+        // and ignore the entrance animation's transform (unlike getBoundingClientRect)
+        const ordered = items.filter(message => mounted.has(message));
+        ordered.forEach((message, index) => {
+            const element = mounted.get(message);
+            const nextElement = index + 1 < ordered.length ? mounted.get(ordered[index + 1]) : bottomSpacer;
+            const height = nextElement.offsetTop - element.offsetTop;
+            if (height > 0) heights.set(message, height);
+        });
+    }
+
+})(window.IIM);
@@ -0,0 +1,257 @@
+// IIM Models - model catalogue and lifecycle
+// Models are fetched from the API and tracked in the store through
+// unloaded -> queued -> loading -> loaded (and unloading/error). Load and unload
+// requests run one at a time, progress arrives over the WebSocket model_status
+// channel, and a memory budget decides whether a load fits or must evict others.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    let queue = Promise.resolve();
+    let queueLength = 0;
+    let serverBudget = null;
+    // Why the last catalogue fetch failed, if it did
+    let fetchError = null;
+    // modelId -> { statuses, resolve, timer } for operations waiting on model_status
+    const waiters = new Map();
+
+    IIM.i18n.addMessages('en', {
+        'models.fetchFailed': 'Models could not be loaded',
+        'models.unknown': 'Unknown model: {id}',
+        'models.loadFailed': '{name} failed to load',
+        'models.unloadFailed': '{name} failed to unload',
+        'models.timedOut.load': 'Timed out waiting for the model to load',
+        'models.timedOut.unload': 'Timed out waiting for the model to unload',
+        'models.overBudget': '{name} needs {needed}, more than the {budget} memory budget',
+        'models.noRoom': 'Not enough memory to load {name}; unload another model first',
+        'models.noRoomAfterEvict': 'Not enough memory to load {name}, even after unloading other models'
+    });
+
+    IIM.models = {
+        // Accepts either an array of models or { models, memoryBudget }
+        fetch: function() {
+            return request('GET', '/models').then(response => {
+                const list = Array.isArray(response) ? response : (response && response.models) || [];
+                if (response && response.memoryBudget) {
+                    serverBudget = response.memoryBudget;
+                }
+                fetchError = null;
+                IIM.store.dispatch('models/loaded', { models: list.map(normalize) });
+                return IIM.state.models;
+            }).catch(error => {
+                console.error('Failed to fetch models:', error);
+                fetchError = error;
+                // The offline banner already says so, and iim-offline.js fetches again
+                if (!IIM.offline.isUnreachable(error)) {
+                    IIM.showNotification(IIM.t('models.fetchFailed'), 'error');
+                }
+                throw error;
+            });
+        },
+
+        // options.evict: unload least recently used models if the budget is exceeded;
+        // options.keep: ids that must not be evicted to make room;
+        // options.whenReachable: leave the model queued, without an error, if the server can't be reached
+        load: function(modelId, options = {}) {
+            const model = find(modelId);
+            if (model && model.status !== 'loaded' && model.status !== 'loading') {
+                IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'queued', progress: 0 });
+            }
+            return enqueue(() => runLoad(modelId, options));
+        },
+
+        unload: function(modelId) {
+            return enqueue(() => runUnload(modelId));
+        },
+
+        // Loads a model for selection, making room for it if necessary
+        switchTo: function(modelId) {
+            return IIM.models.load(modelId, { evict: true, whenReachable: true });
+        },
+
+        getMemoryUsage: function() {
+            const budget = getBudget();
+            const used = IIM.state.models
+                .filter(model => model.status === 'loaded' || model.status === 'loading' || model.status === 'unloading')
+                .reduce((total, model) => total + (model.memory || 0), 0);
+            return { used: used, budget: budget, available: Math.max(0, budget - used) };
+        },
+
+        getQueueLength: function() {
+            return queueLength;
+        },
+
+        // model_status messages: { modelId, status, progress?, memory?, error? }
+        handleStatus: function(data) {
+            if (!data || !data.modelId) return;
+
+            const changes = { modelId: data.modelId, status: data.status };
+            if (typeof data.progress === 'number') changes.progress = Math.max(0, Math.min(1, data.progress));
+            if (typeof data.memory === 'number') changes.memory = data.memory;
+            if (data.status === 'loaded') {
+                changes.progress = 1;
+                changes.error = null;
+                changes.lastUsed = Date.now();
+            } else if (data.status === 'error') {
+                changes.error = data.error || 'Model operation failed';
+            }
+            IIM.store.dispatch('model/statusChanged', changes);
+
+            const waiter = waiters.get(data.modelId);
+            if (waiter && waiter.statuses.includes(data.status)) {
+                waiters.delete(data.modelId);
+                clearTimeout(waiter.timer);
+                waiter.resolve(data.status);
+            }
+        }
+    };
+
+    // --- Operations ---
+    function enqueue(operation) {
+        queueLength++;
+        const result = queue.then(operation);
+        queue = result.catch(() => {}).then(() => {
+            queueLength--;
+        });
+        return result;
+    }
+
+    function runLoad(modelId, options) {
+        const model = find(modelId);
+        if (!model) {
+            // Possibly only unknown because the catalogue couldn't be fetched
+            return Promise.reject(new Error(IIM.t('models.unknown', { id: modelId }), { cause: fetchError || undefined }));
+        }
+        if (model.status === 'loaded') {
+            IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'loaded', lastUsed: Date.now() });
+            return Promise.resolve(find(modelId));
+        }
+
+        return makeRoom(model, options.evict, options.keep || []).then(() => {
+            IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'loading', progress: 0, error: null });
+            return perform(modelId, 'load', ['loaded', 'error']);
+        }).then(status => {
+            if (status === 'error') {
+                throw new Error(find(modelId).error || IIM.t('models.loadFailed', { name: model.name }));
+            }
+            return find(modelId);
+        }).catch(error => {
+            if (options.whenReachable && IIM.offline.isUnreachable(error)) {
+                IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'queued', progress: 0 });
+                throw error;
+            }
+            IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'error', error: error.message });
+            IIM.showNotification(error.message, 'error', {
+                actions: [{ label: IIM.t('common.retry'), run: () => IIM.models.load(modelId, options).catch(() => {}) }]
+            });
+            throw error;
+        });
+    }
+
+    function runUnload(modelId) {
+        const model = find(modelId);
+        if (!model) {
+            return Promise.reject(new Error(IIM.t('models.unknown', { id: modelId })));
+        }
+        if (model.status === 'unloaded') {
+            return Promise.resolve(model);
+        }
+
+        IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'unloading' });
+        return perform(modelId, 'unload', ['unloaded', 'error']).then(status => {
+            if (status === 'error') {
+                throw new Error(find(modelId).error || IIM.t('models.unloadFailed', { name: model.name }));
+            }
+            return find(modelId);
+        }).catch(error => {
+            IIM.store.dispatch('model/statusChanged', { modelId: modelId, status: 'error', error: error.message });
+            IIM.showNotification(error.message, 'error', {
+                actions: [{ label: IIM.t('common.retry'), run: () => IIM.models.unload(modelId).catch(() => {}) }]
+            });
+            throw error;
+        });
+    }
+
+    // POSTs the action, then waits for a terminal model_status. Backends that finish
+    // synchronously can answer the POST with { status } instead.
+    // A failed request rejects with its error (the callers record it), so they
+    // can tell an unreachable server from a model that failed
+    function perform(modelId, action, terminalStatuses) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                waiters.delete(modelId);
+                IIM.models.handleStatus({ modelId: modelId, status: 'error', error: IIM.t(`models.timedOut.${action}`) });
+                resolve('error');
+            }, IIM.config.modelOperationTimeout);
+            waiters.set(modelId, { statuses: terminalStatuses, resolve: resolve, timer: timer });
+
+            request('POST', `/models/${encodeURIComponent(modelId)}/${action}`).then(response => {
+                if (response && terminalStatuses.includes(response.status)) {
+                    IIM.models.handleStatus(Object.assign({ modelId: modelId }, response));
+                }
+            }).catch(error => {
+                if (waiters.get(modelId) && waiters.get(modelId).resolve === resolve) {
+                    waiters.delete(modelId);
+                }
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    // Unloads least recently used models until the new one fits, or explains why it can't
+    function makeRoom(model, evict, keep) {
+        const budget = getBudget();
+        const needed = model.memory || 0;
+        if (needed > budget) {
+            return Promise.reject(new Error(IIM.t('models.overBudget', { name: model.name, needed: IIM.formatFileSize(needed), budget: IIM.formatFileSize(budget) })));
+        }
+
+        const loaded = IIM.state.models
+            .filter(candidate => candidate.id !== model.id && candidate.status === 'loaded' && !keep.includes(candidate.id))
+            .sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0));
+        let used = IIM.models.getMemoryUsage().used;
+        if (used + needed <= budget) {
+            return Promise.resolve();
+        }
+        if (!evict) {
+            return Promise.reject(new Error(IIM.t('models.noRoom', { name: model.name })));
+        }
+
+        const victims = [];
+        for (const candidate of loaded) {
+            if (used + needed <= budget) break;
+            victims.push(candidate);
+            used -= candidate.memory || 0;
+        }
+        if (used + needed > budget) {
+            return Promise.reject(new Error(IIM.t('models.noRoomAfterEvict', { name: model.name })));
+        }
+
+        return victims.reduce((chain, victim) => chain.then(() => runUnload(victim.id)), Promise.resolve());
+    }
+
+    // --- Helpers ---
+    function getBudget() {
+        return serverBudget || IIM.config.modelMemoryBudget;
+    }
+
+    function find(modelId) {
+        return IIM.state.models.find(model => model.id === modelId);
+    }
+
+    function normalize(model) {
+        return Object.assign({}, model, {
+            name: model.name || model.id,
+            status: model.status || 'unloaded',
+            memory: model.memory || model.memoryBytes || 0,
+            progress: model.status === 'loaded' ? 1 : (model.progress || 0)
+        });
+    }
+
+    function request(method, path) {
+        return IIM.http.request(method, path);
+    }
+
+})(window.IIM);
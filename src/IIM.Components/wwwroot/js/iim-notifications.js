@@ -0,0 +1,437 @@
+// IIM Notifications - toast region, history panel and screen reader announcements
+// IIM.showNotification routes here. Toasts stack in one region (extra ones wait
+// in a queue), stay up for a time that depends on their severity, and may carry
+// action buttons. A repeat of a visible or queued message bumps its count instead
+// of adding another toast. Everything shown is kept in the bell panel's history.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const MAX_VISIBLE = 4;
+    const HISTORY_LIMIT = 200;
+    const TYPES = ['success', 'info', 'warning', 'error'];
+
+    let region = null;
+    let liveRegions = null;
+    let bell = null;
+    let panel = null;
+    const visible = [];
+    const queue = [];
+    const history = [];
+
+    IIM.i18n.addMessages('en', {
+        'notifications.title': 'Notifications',
+        'notifications.unread': 'Notifications ({count} unread)',
+        'notifications.history': 'Notification history',
+        'notifications.dismiss': 'Dismiss notification',
+        'notifications.closePanel': 'Close notifications',
+        'notifications.empty': 'No notifications',
+        'notifications.shownTimes': 'Shown {count} times',
+        'notifications.times': { one: '{count} time', other: '{count} times' },
+        'notifications.show': 'Show notifications'
+    });
+
+    IIM.notifications = {
+        // options: type, title, duration (ms, 0 = until dismissed), dedupeKey,
+        // actions: [{ label, run, keepOpen }]. A string is taken as the type.
+        // Returns the notification id.
+        show: function(message, options = {}) {
+            if (typeof options === 'string') options = { type: options };
+            const type = TYPES.includes(options.type) ? options.type : 'info';
+            const key = options.dedupeKey || `${type}|${options.title || ''}|${message}`;
+
+            const repeated = visible.concat(queue).find(entry => entry.key === key);
+            if (repeated) {
+                repeated.count++;
+                repeated.time = new Date();
+                repeated.read = false;
+                if (repeated.element) {
+                    renderToast(repeated);
+                    startTimer(repeated);
+                }
+                renderHistory();
+                return repeated.id;
+            }
+
+            const entry = {
+                id: IIM.generateId(),
+                key: key,
+                type: type,
+                title: options.title || '',
+                message: String(message),
+                actions: options.actions || [],
+                duration: options.duration !== undefined ? options.duration : IIM.config.notificationDurations[type],
+                count: 1,
+                time: new Date(),
+                read: false,
+                element: null,
+                timer: null,
+                remaining: 0
+            };
+            history.unshift(entry);
+            if (history.length > HISTORY_LIMIT) history.pop();
+
+            announce(entry);
+            if (visible.length < MAX_VISIBLE) {
+                display(entry);
+            } else {
+                queue.push(entry);
+            }
+            renderHistory();
+            return entry.id;
+        },
+
+        dismiss: function(id) {
+            const index = visible.findIndex(entry => entry.id === id);
+            if (index === -1) {
+                const queued = queue.findIndex(entry => entry.id === id);
+                if (queued !== -1) queue.splice(queued, 1);
+                return;
+            }
+
+            const entry = visible.splice(index, 1)[0];
+            clearTimeout(entry.timer);
+            const element = entry.element;
+            entry.element = null;
+            element.classList.remove('show');
+            setTimeout(() => element.remove(), 300);
+
+            if (queue.length) display(queue.shift());
+        },
+
+        dismissAll: function() {
+            queue.length = 0;
+            visible.slice().forEach(entry => IIM.notifications.dismiss(entry.id));
+        },
+
+        // History entries, newest first (without DOM or timer state)
+        getHistory: function() {
+            return history.map(entry => ({
+                id: entry.id,
+                type: entry.type,
+                title: entry.title,
+                message: entry.message,
+                count: entry.count,
+                time: entry.time.toISOString(),
+                read: entry.read
+            }));
+        },
+
+        getUnreadCount: function() {
+            return history.filter(entry => !entry.read).length;
+        },
+
+        clearHistory: function() {
+            history.length = 0;
+            renderHistory();
+        },
+
+        openPanel: function() {
+            if (!panel) panel = buildPanel();
+            panel.root.hidden = false;
+            if (bell) bell.button.setAttribute('aria-expanded', 'true');
+            history.forEach(entry => {
+                entry.read = true;
+            });
+            renderHistory();
+            panel.list.focus();
+        },
+
+        closePanel: function() {
+            if (!panel || panel.root.hidden) return;
+            panel.root.hidden = true;
+            if (bell) {
+                bell.button.setAttribute('aria-expanded', 'false');
+                bell.button.focus();
+            }
+        },
+
+        togglePanel: function() {
+            if (panel && !panel.root.hidden) {
+                IIM.notifications.closePanel();
+            } else {
+                IIM.notifications.openPanel();
+            }
+        },
+
+        // Puts the bell in container (a host element such as .iim-header-actions);
+        // without one it floats in the corner
+        mountBell: function(container) {
+            if (bell) return bell.button;
+            bell = buildBell(container);
+            renderHistory();
+            return bell.button;
+        }
+    };
+
+    // --- Toasts ---
+    function ensureRegion() {
+        if (region) return region;
+
+        region = document.createElement('div');
+        region.className = 'iim-toast-region';
+        region.setAttribute('aria-label', IIM.t('notifications.title'));
+        document.body.appendChild(region);
+
+        // Toasts are announced through these instead, so screen readers hear each message once
+        liveRegions = {
+            polite: createLiveRegion('status', 'polite'),
+            assertive: createLiveRegion('alert', 'assertive')
+        };
+        return region;
+    }
+
+    function createLiveRegion(role, politeness) {
+        const element = document.createElement('div');
+        element.className = 'iim-sr-only';
+        element.setAttribute('role', role);
+        element.setAttribute('aria-live', politeness);
+        element.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(element);
+        return element;
+    }
+
+    function announce(entry) {
+        ensureRegion();
+        const target = entry.type === 'error' ? liveRegions.assertive : liveRegions.polite;
+        // Clear first so the same text is announced again
+        target.textContent = '';
+        setTimeout(() => {
+            target.textContent = entry.title ? `${entry.title}: ${entry.message}` : entry.message;
+        }, 50);
+    }
+
+    function display(entry) {
+        ensureRegion();
+        const element = document.createElement('div');
+        element.className = `iim-notification iim-notification-${entry.type}`;
+        element.dataset.notificationId = entry.id;
+        entry.element = element;
+
+        // Hovering or focusing a toast holds it open
+        element.addEventListener('mouseenter', () => pauseTimer(entry));
+        element.addEventListener('mouseleave', () => resumeTimer(entry));
+        element.addEventListener('focusin', () => pauseTimer(entry));
+        element.addEventListener('focusout', () => resumeTimer(entry));
+
+        renderToast(entry);
+        region.appendChild(element);
+        visible.push(entry);
+        setTimeout(() => element.classList.add('show'), 10);
+        startTimer(entry);
+    }
+
+    function renderToast(entry) {
+        const element = entry.element;
+        element.replaceChildren();
+
+        const body = document.createElement('div');
+        body.className = 'iim-notification-body';
+        if (entry.title) {
+            const title = document.createElement('strong');
+            title.className = 'iim-notification-title';
+            title.textContent = entry.title;
+            body.appendChild(title);
+        }
+        const message = document.createElement('span');
+        message.className = 'iim-notification-message';
+        message.textContent = entry.message;
+        body.appendChild(message);
+        if (entry.count > 1) {
+            const count = document.createElement('span');
+            count.className = 'iim-notification-count';
+            count.textContent = `×${entry.count}`;
+            count.title = IIM.t('notifications.shownTimes', { count: entry.count });
+            body.appendChild(count);
+        }
+        element.appendChild(body);
+
+        if (entry.actions.length) {
+            element.appendChild(renderActions(entry, true));
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'iim-notification-close';
+        close.setAttribute('aria-label', IIM.t('notifications.dismiss'));
+        close.textContent = '×';
+        close.addEventListener('click', () => IIM.notifications.dismiss(entry.id));
+        element.appendChild(close);
+    }
+
+    function renderActions(entry, fromToast) {
+        const actions = document.createElement('div');
+        actions.className = 'iim-notification-actions';
+        entry.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'iim-notification-action';
+            button.textContent = action.label;
+            button.disabled = !!action.used;
+            button.addEventListener('click', () => {
+                // Retry/Undo are one-shot; the history keeps the button, disabled
+                action.used = true;
+                try {
+                    action.run();
+                } catch (error) {
+                    console.error(`Notification action ${action.label} failed:`, error);
+                }
+                if (fromToast && !action.keepOpen) {
+                    IIM.notifications.dismiss(entry.id);
+                }
+                renderHistory();
+            });
+            actions.appendChild(button);
+        });
+        return actions;
+    }
+
+    function startTimer(entry) {
+        clearTimeout(entry.timer);
+        entry.remaining = entry.duration;
+        if (entry.duration > 0) {
+            entry.startedAt = Date.now();
+            entry.timer = setTimeout(() => IIM.notifications.dismiss(entry.id), entry.duration);
+        }
+    }
+
+    function pauseTimer(entry) {
+        if (!entry.timer || entry.duration <= 0) return;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+    }
+
+    function resumeTimer(entry) {
+        if (entry.timer || entry.duration <= 0 || !entry.element) return;
+        entry.startedAt = Date.now();
+        // Leave a moment to finish reading after the pointer moves away
+        entry.timer = setTimeout(() => IIM.notifications.dismiss(entry.id), Math.max(entry.remaining, 1500));
+    }
+
+    // --- Bell and history panel ---
+    function buildBell(container) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'iim-notification-bell';
+        button.setAttribute('aria-label', IIM.t('notifications.title'));
+        button.setAttribute('aria-haspopup', 'true');
+        button.setAttribute('aria-expanded', 'false');
+        button.innerHTML = '<i class="fas fa-bell" aria-hidden="true"></i>';
+
+        const badge = document.createElement('span');
+        badge.className = 'iim-notification-badge';
+        badge.hidden = true;
+        button.appendChild(badge);
+        button.addEventListener('click', () => IIM.notifications.togglePanel());
+
+        if (container) {
+            container.insertBefore(button, container.firstChild);
+        } else {
+            button.classList.add('floating');
+            document.body.appendChild(button);
+        }
+        return { button: button, badge: badge };
+    }
+
+    function buildPanel() {
+        const root = document.createElement('section');
+        root.className = 'iim-notification-panel';
+        root.setAttribute('aria-label', IIM.t('notifications.history'));
+        root.hidden = true;
+        if (bell && bell.button.classList.contains('floating')) {
+            root.classList.add('floating');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'iim-notification-panel-header';
+        const title = document.createElement('h2');
+        title.textContent = IIM.t('notifications.title');
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'iim-notification-clear';
+        clear.textContent = IIM.t('common.clear');
+        clear.addEventListener('click', () => IIM.notifications.clearHistory());
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'iim-notification-close';
+        close.setAttribute('aria-label', IIM.t('notifications.closePanel'));
+        close.textContent = '×';
+        close.addEventListener('click', () => IIM.notifications.closePanel());
+        header.append(title, clear, close);
+
+        const list = document.createElement('ul');
+        list.className = 'iim-notification-history';
+        list.tabIndex = -1;
+
+        root.append(header, list);
+        root.addEventListener('keydown', e => {
+            if (e.key === 'Escape') IIM.notifications.closePanel();
+        });
+        document.body.appendChild(root);
+        return { root: root, list: list, title: title, clear: clear, close: close };
+    }
+
+    function renderHistory() {
+        if (bell) {
+            const unread = IIM.notifications.getUnreadCount();
+            bell.badge.hidden = unread === 0;
+            bell.badge.textContent = unread > 99 ? '99+' : String(unread);
+            bell.button.setAttribute('aria-label', unread
+                ? IIM.t('notifications.unread', { count: unread })
+                : IIM.t('notifications.title'));
+        }
+        if (!panel || panel.root.hidden) return;
+
+        // Built once, so relabel in case the locale changed
+        panel.root.setAttribute('aria-label', IIM.t('notifications.history'));
+        panel.title.textContent = IIM.t('notifications.title');
+        panel.clear.textContent = IIM.t('common.clear');
+        panel.close.setAttribute('aria-label', IIM.t('notifications.closePanel'));
+
+        if (!history.length) {
+            const empty = document.createElement('li');
+            empty.className = 'iim-notification-empty';
+            empty.textContent = IIM.t('notifications.empty');
+            panel.list.replaceChildren(empty);
+            return;
+        }
+
+        panel.list.replaceChildren(...history.map(entry => {
+            const item = document.createElement('li');
+            item.className = `iim-notification-entry ${entry.type}`;
+
+            const message = document.createElement('div');
+            message.className = 'iim-notification-message';
+            message.textContent = entry.title ? `${entry.title}: ${entry.message}` : entry.message;
+
+            const meta = document.createElement('div');
+            meta.className = 'iim-notification-time';
+            const time = document.createElement('time');
+            time.dateTime = entry.time.toISOString();
+            time.textContent = IIM.i18n.formatDate(entry.time, { timeStyle: 'medium' });
+            meta.appendChild(time);
+            if (entry.count > 1) {
+                meta.appendChild(document.createTextNode(` · ${IIM.t('notifications.times', { count: entry.count })}`));
+            }
+
+            item.append(message, meta);
+            if (entry.actions.length) {
+                item.appendChild(renderActions(entry, false));
+            }
+            return item;
+        }));
+    }
+
+    // Relabel the bell and the open panel when the locale changes
+    IIM.store.subscribe(state => state.localeRevision, () => renderHistory());
+
+    // Command palette entry
+    if (IIM.quickSearch) {
+        IIM.quickSearch.actions.push(
+            { id: 'show-notifications', title: () => IIM.t('notifications.show'), run: () => IIM.notifications.openPanel() }
+        );
+    }
+
+})(window.IIM);
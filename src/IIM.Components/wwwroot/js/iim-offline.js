@@ -0,0 +1,372 @@
+// IIM Offline - keeps work going while the server can't be reached
+// Field units often start before the local inference stack has finished booting.
+// Work that needs the server is kept on this device instead of failing:
+//   uploads that failed because nothing answered (the file itself is stored, up
+//     to offlineUploadLimit; larger ones keep the usual Retry toast)
+//   the model selected while the server was down (only the latest selection)
+//   the WebSocket outbox (see iim-connection.js), so queued messages survive a reload
+//   messages another tab forwarded to a leader that never answered (see iim-tab-sync.js)
+// Entries live in the IndexedDB 'outbox' store and are replayed by the leader tab
+// when the browser comes back online, when the WebSocket connects, when the service
+// worker's background sync fires, and every offlineRetryInterval.
+//
+// The service worker (iim-service-worker.js) caches the app shell so the page
+// opens without a network; it only relays background sync, since requests need the
+// page's token. A worker only controls pages in its own folder, so each host ships
+// a small iim-service-worker.js beside its page that imports the real one from
+// js/; that copy is the default serviceWorkerUrl. Without a service worker, e.g. in
+// the desktop WebView, everything else here works the same.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const SYNC_TAG = 'iim-outbox';
+    const MESSAGES_ID = 'messages';
+    const MODEL_ID = 'model';
+    const FORWARDED_PREFIX = 'forwarded-';
+    // What a proxy or the host answers while the API behind it is still starting
+    const UNREACHABLE_STATUSES = [502, 503, 504];
+    const BANNER_STATUSES = ['offline', 'reconnecting', 'error'];
+    // The host's copy beside the page; the one in js/ can't control the page's folder
+    const DEFAULT_WORKER = 'iim-service-worker.js';
+
+    let started = false;
+    let replaying = null;
+    let workerRegistration = null;
+    // The outbox saved by an earlier load is put back before this page's copy is written
+    let messagesRestored = false;
+    let latestMessages = null;
+    // Announced once per selection, not on every failed replay
+    let queuedModel = null;
+    let writing = Promise.resolve();
+    // Kept uploads being sent right now, by entry id
+    const inFlight = new Set();
+    // Used when IndexedDB is unavailable; the queue then lasts only as long as the page
+    const memoryOutbox = new Map();
+
+    IIM.i18n.addMessages('en', {
+        'offline.banner.offline': 'You are offline. Work is kept on this device and sent when the network returns.',
+        'offline.banner.unreachable': 'The server is not reachable yet. Work is kept on this device and sent once it answers.',
+        'offline.banner.pending': { one: '{count} item waiting', other: '{count} items waiting' },
+        'offline.retryNow': 'Retry now',
+        'offline.modelQueued': '{name} will load once the server answers'
+    });
+
+    IIM.offline = {
+        start: function() {
+            if (started) return;
+            started = true;
+
+            window.addEventListener('online', () => IIM.offline.replay());
+            IIM.store.subscribe(state => state.connectionStatus, status => {
+                if (status === 'connected') IIM.offline.replay();
+            });
+            IIM.store.subscribe(state => state.offlinePending, () => IIM.offline.renderBanner());
+            setInterval(() => IIM.offline.replay(), IIM.config.offlineRetryInterval);
+
+            registerWorker();
+            refreshPending();
+            IIM.offline.replay();
+        },
+
+        // True for failures that mean "nobody answered" rather than "the server said no"
+        isUnreachable: function(error) {
+            if (!error || error.name === 'AbortError') return false;
+            if (navigator.onLine === false) return true;
+            if (error.network || UNREACHABLE_STATUSES.includes(error.status)) return true;
+            return IIM.offline.isUnreachable(error.cause);
+        },
+
+        // Keeps a file for a later upload; resolves with false if it can't be kept.
+        // Pass the id of the entry being replayed to keep it in place.
+        queueUpload: function(file, metadata, sessionId, id) {
+            if (file.size > IIM.config.offlineUploadLimit) return Promise.resolve(false);
+            return save({
+                id: id || IIM.generateId(),
+                kind: 'upload',
+                file: file,
+                name: file.name,
+                lastModified: file.lastModified,
+                metadata: metadata || {},
+                sessionId: sessionId,
+                created: new Date().toISOString()
+            }).then(() => true).catch(error => {
+                console.warn(`Could not keep ${file.name} for later:`, error);
+                return false;
+            });
+        },
+
+        // Only the latest selection is loaded once the server answers
+        queueModelLoad: function(modelId) {
+            const model = IIM.state.models.find(candidate => candidate.id === modelId);
+            return save({ id: MODEL_ID, kind: 'model', modelId: modelId, created: new Date().toISOString() }).then(() => {
+                if (queuedModel === modelId) return;
+                queuedModel = modelId;
+                IIM.showNotification(IIM.t('offline.modelQueued', { name: model ? model.name : modelId }), 'info',
+                    { dedupeKey: 'offline-model' });
+            }).catch(error => {
+                console.warn(`Could not keep the load of ${modelId} for later:`, error);
+            });
+        },
+
+        // Called by iim-connection.js whenever its outbox changes
+        saveMessages: function(messages) {
+            latestMessages = messages.slice();
+            if (messagesRestored) writeMessages();
+        },
+
+        // Keeps a message the leader did not acknowledge; resolves with false if it
+        // can only be kept in this tab's memory, where the leader can't see it
+        keepForwarded: function(forwardId, message) {
+            if (!IIM.sessionStore.isSupported()) return Promise.resolve(false);
+            return save({
+                id: FORWARDED_PREFIX + forwardId,
+                kind: 'forwarded',
+                forwardId: forwardId,
+                message: message,
+                created: new Date().toISOString()
+            }).then(() => true).catch(error => {
+                console.warn('Could not keep a forwarded message:', error);
+                return false;
+            });
+        },
+
+        removeForwarded: function(forwardId) {
+            return IIM.offline.remove(FORWARDED_PREFIX + forwardId);
+        },
+
+        remove: function(id) {
+            return removeEntry(id).catch(error => {
+                console.warn('Could not remove a kept item:', error);
+            });
+        },
+
+        // Resolves with every kept entry
+        getPending: function() {
+            return readAll();
+        },
+
+        // Starts sending kept work if this tab may; resolves with how many uploads
+        // and model loads were started
+        replay: function() {
+            if (replaying) return replaying;
+            // The leader holds the socket and sends for every tab
+            if (isFollower()) {
+                return Promise.resolve(0);
+            }
+
+            replaying = readAll().then(entries => {
+                // Even offline, so messages queued from now on are saved alongside them
+                restoreMessages(entries.find(entry => entry.id === MESSAGES_ID));
+                adoptForwarded(entries.filter(entry => entry.kind === 'forwarded'));
+                if (navigator.onLine === false) return 0;
+
+                const work = entries.filter(entry => (entry.kind === 'upload' || entry.kind === 'model') && !inFlight.has(entry.id));
+
+                // The catalogue may never have arrived if the server was down at startup
+                const catalogue = IIM.state.models.length ? Promise.resolve() : IIM.models.fetch().catch(() => {});
+                return catalogue.then(() => {
+                    work.forEach(replayEntry);
+                    return work.length;
+                });
+            }).catch(error => {
+                console.warn('Replaying kept work failed:', error);
+                return 0;
+            }).finally(() => {
+                replaying = null;
+            });
+            return replaying;
+        },
+
+        // The banner's button: reconnect without waiting out the backoff, then replay
+        retryNow: function() {
+            if (!isFollower() && !IIM.connection.isOpen()) {
+                IIM.connection.reconnect();
+            }
+            return IIM.offline.replay();
+        },
+
+        // Shown while offline or while the server can't be reached (see IIM.renderConnectionStatus)
+        renderBanner: function(status = IIM.state.connectionStatus) {
+            let banner = document.querySelector('.iim-offline-banner');
+            const visible = BANNER_STATUSES.includes(status);
+            if (!visible) {
+                if (banner) banner.hidden = true;
+                return;
+            }
+
+            if (!banner) {
+                banner = document.createElement('div');
+                banner.className = 'iim-offline-banner';
+                banner.setAttribute('role', 'status');
+                banner.setAttribute('aria-live', 'polite');
+
+                const icon = document.createElement('i');
+                icon.className = 'fas fa-plug-circle-xmark';
+                icon.setAttribute('aria-hidden', 'true');
+                const text = document.createElement('span');
+                text.className = 'iim-offline-banner-text';
+                const pending = document.createElement('span');
+                pending.className = 'iim-offline-banner-pending';
+                const retry = document.createElement('button');
+                retry.type = 'button';
+                retry.className = 'iim-offline-banner-retry';
+                retry.addEventListener('click', () => IIM.offline.retryNow());
+
+                banner.appendChild(icon);
+                banner.appendChild(text);
+                banner.appendChild(pending);
+                banner.appendChild(retry);
+                document.body.prepend(banner);
+            }
+
+            banner.hidden = false;
+            banner.classList.toggle('offline', status === 'offline');
+            banner.querySelector('.iim-offline-banner-text').textContent =
+                IIM.t(status === 'offline' ? 'offline.banner.offline' : 'offline.banner.unreachable');
+            const count = IIM.state.offlinePending;
+            banner.querySelector('.iim-offline-banner-pending').textContent =
+                count ? IIM.t('offline.banner.pending', { count: count }) : '';
+            const retry = banner.querySelector('.iim-offline-banner-retry');
+            retry.textContent = IIM.t('offline.retryNow');
+            // Nothing to retry against until the network itself is back
+            retry.hidden = status === 'offline';
+        }
+    };
+
+    // Without tab sync, or before it has started, a tab acts on its own
+    function isFollower() {
+        return !!(IIM.tabSync && IIM.tabSync.getTabId() && !IIM.tabSync.isLeader());
+    }
+
+    function replayEntry(entry) {
+        if (entry.kind === 'upload') {
+            inFlight.add(entry.id);
+            // Some browsers hand a stored File back as a plain Blob
+            const file = entry.file.name ? entry.file
+                : new File([entry.file], entry.name, { type: entry.file.type, lastModified: entry.lastModified });
+            IIM.processFile(file, entry.metadata, { sessionId: entry.sessionId, offlineId: entry.id })
+                .finally(() => inFlight.delete(entry.id));
+        } else if (entry.kind === 'model') {
+            IIM.offline.remove(entry.id).then(() => {
+                // Selected something else since; that load has its own entry or already ran
+                if (IIM.state.activeModel && IIM.state.activeModel !== entry.modelId) return;
+                // After a reload nothing is selected yet; the kept choice (already audited) still stands
+                if (!IIM.state.activeModel) {
+                    IIM.store.dispatch('model/selected', { modelId: entry.modelId });
+                    IIM.interop.emit('modelSelected', { modelId: entry.modelId });
+                }
+                IIM.loadModel(entry.modelId).then(() => {
+                    queuedModel = null;
+                }, () => {});
+            });
+        }
+    }
+
+    function restoreMessages(record) {
+        if (messagesRestored) return;
+        messagesRestored = true;
+        if (record && record.messages.length) {
+            // Writes the combined outbox back through saveMessages
+            IIM.connection.restoreOutbox(record.messages);
+        } else if (latestMessages) {
+            writeMessages();
+        }
+    }
+
+    // Moves messages other tabs could not hand over into this leader's outbox, oldest first
+    function adoptForwarded(entries) {
+        entries.sort((a, b) => (a.created < b.created ? -1 : a.created > b.created ? 1 : 0)).forEach(entry => {
+            removeEntry(entry.id).then(() => {
+                if (!IIM.tabSync.wasDelivered(entry.forwardId)) IIM.connection.send(entry.message);
+            }, error => {
+                console.warn('Could not take over a forwarded message:', error);
+            });
+        });
+    }
+
+    // Writes run in order; each one saves the newest copy of the outbox
+    function writeMessages() {
+        writing = writing.then(() => (latestMessages.length
+            ? save({ id: MESSAGES_ID, kind: 'messages', messages: latestMessages })
+            : removeEntry(MESSAGES_ID)
+        )).catch(error => {
+            console.warn('Could not save the message outbox:', error);
+        });
+    }
+
+    // --- Storage ---
+    function save(entry) {
+        const saved = IIM.sessionStore.isSupported()
+            ? IIM.sessionStore.saveOutboxEntry(entry)
+            : Promise.resolve(memoryOutbox.set(entry.id, entry));
+        return saved.then(() => {
+            if (entry.kind !== 'messages') requestSync();
+            refreshPending();
+            return entry;
+        });
+    }
+
+    function removeEntry(id) {
+        const removed = IIM.sessionStore.isSupported()
+            ? IIM.sessionStore.deleteOutboxEntry(id)
+            : Promise.resolve(memoryOutbox.delete(id));
+        return removed.then(refreshPending);
+    }
+
+    function readAll() {
+        if (!IIM.sessionStore.isSupported()) return Promise.resolve(Array.from(memoryOutbox.values()));
+        return IIM.sessionStore.getOutboxEntries();
+    }
+
+    function refreshPending() {
+        return readAll().then(entries => {
+            const pending = entries.reduce((total, entry) =>
+                total + (entry.kind === 'messages' ? entry.messages.length : 1), 0);
+            IIM.store.dispatch('offline/changed', { pending: pending });
+        }).catch(error => {
+            console.warn('Could not count kept work:', error);
+        });
+    }
+
+    // --- Service worker ---
+    function registerWorker() {
+        const configured = IIM.config.serviceWorkerUrl !== undefined ? IIM.config.serviceWorkerUrl : DEFAULT_WORKER;
+        if (!configured || !('serviceWorker' in navigator)) return;
+        const url = new URL(configured, document.baseURI).href;
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'iim-replay') IIM.offline.replay();
+        });
+        navigator.serviceWorker.register(url, { scope: new URL('./', document.baseURI).href })
+            .then(registration => {
+                workerRegistration = registration;
+                return navigator.serviceWorker.ready;
+            })
+            .then(ready => {
+                if (ready.active) ready.active.postMessage({ type: 'iim-cache-shell', urls: shellUrls() });
+            })
+            .catch(error => {
+                console.warn('Service worker unavailable; the app shell will not be cached:', error);
+            });
+    }
+
+    // The page itself and everything it loaded with it
+    function shellUrls() {
+        const urls = [document.baseURI, window.location.href.split('#')[0]];
+        document.querySelectorAll('script[src]').forEach(script => urls.push(script.src));
+        document.querySelectorAll('link[rel="stylesheet"][href]').forEach(link => urls.push(link.href));
+        return Array.from(new Set(urls));
+    }
+
+    // Asks the browser to wake the worker once connectivity returns; where background
+    // sync isn't supported the online event and the retry interval cover it
+    function requestSync() {
+        if (!workerRegistration || !workerRegistration.sync) return;
+        workerRegistration.sync.register(SYNC_TAG).catch(error => {
+            console.warn('Background sync unavailable:', error);
+        });
+    }
+
+})(window.IIM);
@@ -0,0 +1,460 @@
+// IIM Quick Search - Ctrl/Cmd+K command palette
+// Fuzzy-searches sessions, models and actions, and does a substring search over
+// the messages of every session. Recently used entries are remembered.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const RECENT_KEY = 'iim_quick_search_recent';
+    const RECENT_LIMIT = 8;
+    const RESULT_LIMIT = 30;
+    const MESSAGE_RESULT_LIMIT = 15;
+
+    // Higher ranks sort first when scores tie
+    const KIND_WEIGHT = { action: 6, session: 4, model: 3, message: 0 };
+
+    let palette = null;
+    let results = [];
+    let activeIndex = 0;
+    let scope = 'all';
+    let previousFocus = null;
+
+    IIM.i18n.addMessages('en', {
+        'quickSearch.label': 'Quick search',
+        'quickSearch.placeholder': 'Search sessions, messages, models and actions...',
+        'quickSearch.placeholderModels': 'Select a model...',
+        'quickSearch.noResults': 'No results',
+        'quickSearch.recent': 'Recent',
+        'quickSearch.kind.action': 'Action',
+        'quickSearch.kind.session': 'Session',
+        'quickSearch.kind.model': 'Model',
+        'quickSearch.kind.message': 'Message',
+        'quickSearch.action.newSession': 'New session',
+        'quickSearch.action.switchModel': 'Switch model',
+        'quickSearch.action.toggleTheme': 'Toggle theme',
+        'quickSearch.action.saveSession': 'Save session',
+        'quickSearch.action.toggleSidebar': 'Toggle sidebar'
+    });
+
+    IIM.quickSearch = {
+        // Built-in actions; other modules may push their own { id, title, run }.
+        // title may be a function, so it follows the current locale.
+        actions: [
+            { id: 'new-session', title: () => IIM.t('quickSearch.action.newSession'), run: () => IIM.createNewSession() },
+            { id: 'switch-model', title: () => IIM.t('quickSearch.action.switchModel'), keepOpen: true, run: () => IIM.quickSearch.setScope('models') },
+            { id: 'toggle-theme', title: () => IIM.t('quickSearch.action.toggleTheme'), run: () => toggleTheme() },
+            { id: 'save-session', title: () => IIM.t('quickSearch.action.saveSession'), run: () => IIM.saveCurrentSession() },
+            { id: 'toggle-sidebar', title: () => IIM.t('quickSearch.action.toggleSidebar'), run: () => IIM.toggleSidebar() }
+        ],
+
+        open: function(initialScope) {
+            if (!palette) palette = buildPalette();
+            scope = initialScope || 'all';
+            previousFocus = document.activeElement;
+            palette.backdrop.hidden = false;
+            palette.input.value = '';
+            palette.input.placeholder = IIM.t(scope === 'models' ? 'quickSearch.placeholderModels' : 'quickSearch.placeholder');
+            update();
+            palette.input.focus();
+        },
+
+        close: function() {
+            if (!palette || palette.backdrop.hidden) return;
+            palette.backdrop.hidden = true;
+            if (previousFocus && previousFocus.focus) previousFocus.focus();
+        },
+
+        isOpen: function() {
+            return !!palette && !palette.backdrop.hidden;
+        },
+
+        setScope: function(newScope) {
+            scope = newScope;
+            if (palette) {
+                palette.input.value = '';
+                palette.input.placeholder = IIM.t(scope === 'models' ? 'quickSearch.placeholderModels' : 'quickSearch.placeholder');
+                update();
+                palette.input.focus();
+            }
+        },
+
+        search: function(query) {
+            return search(query);
+        },
+
+        fuzzyMatch: function(query, text) {
+            return fuzzyMatch(query, text);
+        }
+    };
+
+    IIM.openQuickSearch = function() {
+        IIM.quickSearch.open();
+    };
+
+    IIM.closeQuickSearch = function() {
+        IIM.quickSearch.close();
+    };
+
+    // --- Searching ---
+    function collectCandidates() {
+        const candidates = [];
+
+        if (scope === 'all') {
+            IIM.quickSearch.actions.forEach(action => {
+                const title = typeof action.title === 'function' ? action.title() : action.title;
+                candidates.push({ kind: 'action', id: action.id, title: title, action: action });
+            });
+            IIM.state.sessions.forEach(session => {
+                candidates.push({
+                    kind: 'session',
+                    id: session.id,
+                    title: session.name || IIM.t('common.untitledSession'),
+                    detail: session.created ? IIM.i18n.formatDate(session.created) : ''
+                });
+            });
+        }
+
+        IIM.state.models.forEach(model => {
+            candidates.push({
+                kind: 'model',
+                id: model.id,
+                title: model.name || model.id,
+                detail: model.status && IIM.i18n.has(`model.status.${model.status}`) ? IIM.t(`model.status.${model.status}`) : (model.status || '')
+            });
+        });
+
+        return candidates;
+    }
+
+    function search(query) {
+        const trimmed = query.trim();
+        const recent = loadRecent();
+        const recentRank = key => {
+            const index = recent.indexOf(key);
+            return index === -1 ? 0 : RECENT_LIMIT - index;
+        };
+
+        if (!trimmed) {
+            // Recently used first, then the remaining candidates in their natural order
+            return collectCandidates()
+                .map((item, order) => Object.assign(item, { positions: [], score: recentRank(item.kind + ':' + item.id) * 10 - order * 0.001 }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, RESULT_LIMIT);
+        }
+
+        const matches = [];
+        collectCandidates().forEach(item => {
+            const match = fuzzyMatch(trimmed, item.title);
+            if (match) {
+                item.positions = match.positions;
+                item.score = match.score + KIND_WEIGHT[item.kind] + recentRank(item.kind + ':' + item.id) * 2;
+                matches.push(item);
+            }
+        });
+
+        if (scope === 'all') {
+            matches.push(...searchMessages(trimmed));
+        }
+
+        return matches.sort((a, b) => b.score - a.score).slice(0, RESULT_LIMIT);
+    }
+
+    // Message bodies are long; fuzzy subsequences there are mostly noise, so use substrings
+    function searchMessages(query) {
+        const needle = query.toLowerCase();
+        const found = [];
+
+        for (const session of IIM.state.sessions) {
+            const messages = session.messages || [];
+            for (let index = 0; index < messages.length; index++) {
+                const content = messages[index].content || '';
+                const at = content.toLowerCase().indexOf(needle);
+                if (at === -1) continue;
+
+                const start = Math.max(0, at - 30);
+                const end = Math.min(content.length, at + needle.length + 50);
+                const prefix = start > 0 ? '...' : '';
+                const snippet = prefix + content.slice(start, end).replace(/\s+/g, ' ') + (end < content.length ? '...' : '');
+                const offset = prefix.length + content.slice(start, at).replace(/\s+/g, ' ').length;
+
+                found.push({
+                    kind: 'message',
+                    id: `${session.id}:${index}`,
+                    sessionId: session.id,
+                    messageIndex: index,
+                    title: snippet,
+                    detail: session.name || IIM.t('common.untitledSession'),
+                    positions: range(offset, needle.length),
+                    // Exact text hits rank between exact title hits and loose fuzzy ones
+                    score: 40 + KIND_WEIGHT.message + (messages[index].role === 'user' ? 1 : 0)
+                });
+
+                if (found.length >= MESSAGE_RESULT_LIMIT) return found;
+            }
+        }
+        return found;
+    }
+
+    // Subsequence match; rewards consecutive runs and word starts
+    function fuzzyMatch(query, text) {
+        const q = query.toLowerCase();
+        const t = (text || '').toLowerCase();
+
+        const exact = t.indexOf(q);
+        if (exact !== -1) {
+            const wordStart = exact === 0 || /[\s_\-./]/.test(t[exact - 1]);
+            return { score: 100 + (wordStart ? 20 : 0) - t.length * 0.01, positions: range(exact, q.length) };
+        }
+
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+
+        for (const ch of q) {
+            if (ch === ' ') continue;
+            const found = t.indexOf(ch, from);
+            if (found === -1) return null;
+
+            score += 1;
+            if (found === previous + 1) score += 5;
+            if (found === 0 || /[\s_\-./]/.test(t[found - 1])) score += 8;
+            score -= Math.min(found - from, 10) * 0.5;
+
+            positions.push(found);
+            previous = found;
+            from = found + 1;
+        }
+
+        return { score: score - t.length * 0.01, positions: positions };
+    }
+
+    function range(start, length) {
+        return Array.from({ length: length }, (_, i) => start + i);
+    }
+
+    // --- Executing ---
+    function execute(item) {
+        if (!item) return;
+        rememberRecent(item.kind + ':' + item.id);
+
+        if (!(item.kind === 'action' && item.action.keepOpen)) {
+            IIM.quickSearch.close();
+        }
+
+        switch (item.kind) {
+            case 'action':
+                item.action.run();
+                break;
+            case 'session':
+                IIM.selectSession(item.id);
+                break;
+            case 'model':
+                IIM.selectModel(item.id);
+                break;
+            case 'message':
+                IIM.revealMessage(item.sessionId, item.messageIndex);
+                break;
+        }
+    }
+
+    function toggleTheme() {
+        const current = document.documentElement.getAttribute('data-bs-theme') === 'light' ? 'light' : 'dark';
+        const next = current === 'dark' ? 'light' : 'dark';
+        if (window.IIMThemeIntegration && window.IIMThemeIntegration.setThemeMode) {
+            window.IIMThemeIntegration.setThemeMode(next);
+        } else {
+            document.documentElement.setAttribute('data-bs-theme', next);
+        }
+    }
+
+    function loadRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function rememberRecent(key) {
+        const recent = loadRecent().filter(entry => entry !== key);
+        recent.unshift(key);
+        localStorage.setItem(RECENT_KEY, JSON.stringify(recent.slice(0, RECENT_LIMIT)));
+    }
+
+    // --- UI ---
+    function buildPalette() {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'iim-palette-backdrop';
+        backdrop.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'iim-palette';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', IIM.t('quickSearch.label'));
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'iim-palette-input';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-controls', 'iim-palette-results');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+
+        const list = document.createElement('ul');
+        list.className = 'iim-palette-results';
+        list.id = 'iim-palette-results';
+        list.setAttribute('role', 'listbox');
+
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', handleKeydown);
+        backdrop.addEventListener('mousedown', e => {
+            if (e.target === backdrop) IIM.quickSearch.close();
+        });
+        list.addEventListener('mousemove', e => {
+            const option = e.target.closest('.iim-palette-item');
+            if (option && Number(option.dataset.index) !== activeIndex) {
+                setActive(Number(option.dataset.index));
+            }
+        });
+        list.addEventListener('click', e => {
+            const option = e.target.closest('.iim-palette-item');
+            if (option) execute(results[Number(option.dataset.index)]);
+        });
+
+        dialog.appendChild(input);
+        dialog.appendChild(list);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+
+        return { backdrop: backdrop, input: input, list: list };
+    }
+
+    function handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive((activeIndex + 1) % Math.max(results.length, 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive((activeIndex - 1 + results.length) % Math.max(results.length, 1));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                execute(results[activeIndex]);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                // Escape leaves a sub-scope first, then closes
+                if (scope !== 'all') IIM.quickSearch.setScope('all');
+                else IIM.quickSearch.close();
+                break;
+            case 'Backspace':
+                if (!palette.input.value && scope !== 'all') IIM.quickSearch.setScope('all');
+                break;
+        }
+    }
+
+    function update() {
+        results = search(palette.input.value);
+        activeIndex = 0;
+        renderResults();
+    }
+
+    function renderResults() {
+        const list = palette.list;
+        list.replaceChildren();
+
+        if (!results.length) {
+            const empty = document.createElement('li');
+            empty.className = 'iim-palette-empty';
+            empty.textContent = IIM.t('quickSearch.noResults');
+            list.appendChild(empty);
+            palette.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        const recent = loadRecent();
+        results.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.className = 'iim-palette-item';
+            option.id = `iim-palette-option-${index}`;
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+
+            const kind = document.createElement('span');
+            kind.className = `iim-palette-kind ${item.kind}`;
+            kind.textContent = IIM.t(`quickSearch.kind.${item.kind}`);
+
+            const title = document.createElement('span');
+            title.className = 'iim-palette-title';
+            appendHighlighted(title, item.title, item.positions || []);
+
+            option.appendChild(kind);
+            option.appendChild(title);
+
+            if (item.detail || recent.includes(item.kind + ':' + item.id)) {
+                const detail = document.createElement('span');
+                detail.className = 'iim-palette-detail';
+                detail.textContent = recent.includes(item.kind + ':' + item.id) && !palette.input.value.trim()
+                    ? IIM.t('quickSearch.recent')
+                    : item.detail;
+                option.appendChild(detail);
+            }
+
+            list.appendChild(option);
+        });
+        setActive(0);
+    }
+
+    function appendHighlighted(parent, text, positions) {
+        const marked = new Set(positions);
+        let run = '';
+        let inMark = false;
+
+        const flush = () => {
+            if (!run) return;
+            if (inMark) {
+                const mark = document.createElement('mark');
+                mark.textContent = run;
+                parent.appendChild(mark);
+            } else {
+                parent.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            if (marked.has(i) !== inMark) {
+                flush();
+                inMark = marked.has(i);
+            }
+            run += text[i];
+        }
+        flush();
+    }
+
+    function setActive(index) {
+        const options = palette.list.querySelectorAll('.iim-palette-item');
+        options.forEach(option => {
+            option.classList.remove('active');
+            option.removeAttribute('aria-selected');
+        });
+        activeIndex = index;
+
+        const option = options[index];
+        if (option) {
+            option.classList.add('active');
+            option.setAttribute('aria-selected', 'true');
+            palette.input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+})(window.IIM);
@@ -0,0 +1,112 @@
+// IIM Service Worker - app shell cache and background sync relay
+// Registered by iim-offline.js through the host's copy beside its page, which
+// imports this file (a worker can't control pages outside its folder). Pages,
+// scripts and styles are fetched network first and fall back to the cached copy,
+// so a deploy takes effect on the next load and never mixes old and new files;
+// fonts and images (the CDN ones included) are served from the cache and refreshed
+// in the background. API calls, the runtime configuration and message catalogues
+// are plain fetches and always go to the network. The page lists its own assets
+// in an 'iim-cache-shell' message.
+//
+// Background sync can't send the kept work itself - requests need the page's
+// bearer token - so the 'iim-outbox' sync asks an open page to replay; with no
+// page open it fails and the browser tries again later.
+'use strict';
+
+const CACHE_PREFIX = 'iim-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}v1`;
+const SYNC_TAG = 'iim-outbox';
+// Code has to match the page it runs in; assets can be a version behind
+const NETWORK_FIRST_DESTINATIONS = ['script', 'style'];
+const CACHE_FIRST_DESTINATIONS = ['font', 'image'];
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    if (data.type === 'iim-cache-shell' && Array.isArray(data.urls)) {
+        event.waitUntil(cacheShell(data.urls));
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate' || NETWORK_FIRST_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(networkFirst(request));
+    } else if (CACHE_FIRST_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== SYNC_TAG) return;
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(clients => {
+        if (!clients.length) {
+            throw new Error('No page open to replay the outbox');
+        }
+        clients.forEach(client => client.postMessage({ type: 'iim-replay' }));
+    }));
+});
+
+// One failed asset shouldn't keep the rest out of the cache
+function cacheShell(urls) {
+    return caches.open(CACHE_NAME).then(cache => Promise.all(urls.map(url =>
+        cache.match(url).then(cached => cached || fetch(url, { mode: sameOrigin(url) ? 'same-origin' : 'no-cors' })
+            .then(response => {
+                if (cacheable(response)) return cache.put(url, response);
+            })
+            .catch(error => {
+                console.warn(`Could not cache ${url}:`, error);
+            }))
+    )));
+}
+
+function networkFirst(request) {
+    return fetch(request).then(response => {
+        if (cacheable(response)) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    }).catch(error => caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+        if (cached) return cached;
+        throw error;
+    }));
+}
+
+function staleWhileRevalidate(request, event) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const refreshed = fetch(request).then(response => {
+            if (cacheable(response)) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        });
+        if (cached) {
+            event.waitUntil(refreshed.catch(() => {}));
+            return cached;
+        }
+        return refreshed;
+    }));
+}
+
+// CDN assets come back opaque (status 0); keep those, but never error pages
+function cacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+function sameOrigin(url) {
+    return new URL(url, self.location.href).origin === self.location.origin;
+}
@@ -0,0 +1,429 @@
+// IIM Session Export - portable investigation bundles
+// Sessions can be exported as a JSON bundle, a readable Markdown transcript or a
+// ZIP that also carries the evidence references and locally stored attachments.
+// Every bundle includes a manifest of SHA-256 checksums that is verified again on
+// import. The checksums are not signed: they catch files damaged in transit or
+// storage, but anyone who edits a bundle can recompute them.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const FORMAT = 'iim-session-bundle';
+    const VERSION = 1;
+    const ALGORITHM = 'SHA-256';
+    const TRANSCRIPT_MANIFEST = /\n<!-- iim-manifest: (\{.*\}) -->\n?$/;
+
+    IIM.i18n.addMessages('en', {
+        'export.sessionNotFound': 'Session not found',
+        'export.unknownFormat': 'Unknown export format: {format}',
+        'export.failed': 'Export failed: {reason}',
+        'export.imported': 'Imported "{name}"',
+        'export.importFailed': 'Import failed: {reason}',
+        'export.notBundle': 'File is not a session bundle',
+        'export.newerVersion': 'Bundle version {version} is newer than this application supports',
+        'export.noManifest': 'Bundle has no manifest',
+        'export.modified': 'Bundle checksum does not match; the file is damaged or was edited after export',
+        'export.noMessages': 'Bundle session has no messages',
+        'export.badModels': 'Bundle model list is not recognised',
+        'export.archiveNoManifest': 'Archive has no manifest',
+        'export.archiveManifestUnknown': 'Archive manifest is not recognised',
+        'export.archiveUnlisted': 'Archive contains a file not covered by the manifest: {path}',
+        'export.archiveMissing': 'Archive is missing {path}',
+        'export.archiveIntegrity': 'Checksum does not match for {path}; the archive is damaged or was edited',
+        'export.archiveNoSession': 'Archive has no session.json',
+        'export.json': 'Export session as JSON',
+        'export.markdown': 'Export session as Markdown',
+        'export.zip': 'Export session with evidence (ZIP)',
+        'export.import': 'Import session'
+    });
+
+    IIM.sessionExport = {
+        // Resolves with { blob, fileName }; format is 'json', 'markdown' or 'zip'
+        export: function(sessionId, format = 'json') {
+            const session = findSession(sessionId);
+            if (!session) {
+                return Promise.reject(new Error(IIM.t('export.sessionNotFound')));
+            }
+
+            const exported = new Date().toISOString();
+            const baseName = `${slugify(session.name)}-${exported.slice(0, 10)}`;
+
+            switch (format) {
+                case 'json':
+                    return Promise.resolve({
+                        blob: new Blob([JSON.stringify(buildBundle(session, exported), null, 2)], { type: 'application/json' }),
+                        fileName: `${baseName}.iim.json`
+                    });
+                case 'markdown':
+                    return Promise.resolve({
+                        blob: new Blob([buildTranscript(session, exported)], { type: 'text/markdown' }),
+                        fileName: `${baseName}.md`
+                    });
+                case 'zip':
+                    return buildZip(session, exported).then(blob => ({ blob: blob, fileName: `${baseName}.iim.zip` }));
+                default:
+                    return Promise.reject(new Error(IIM.t('export.unknownFormat', { format: format })));
+            }
+        },
+
+        download: function(sessionId, format) {
+            return IIM.sessionExport.export(sessionId || IIM.state.currentSession, format).then(result => {
+                const url = URL.createObjectURL(result.blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = result.fileName;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                IIM.audit.record('session.exported', { sessionId: sessionId || IIM.state.currentSession, format: format, fileName: result.fileName });
+                return result.fileName;
+            }).catch(error => {
+                console.error('Failed to export session:', error);
+                IIM.showNotification(IIM.t('export.failed', { reason: error.message }), 'error');
+                throw error;
+            });
+        },
+
+        // Accepts a .iim.json or .iim.zip file; resolves with the imported session
+        import: function(file) {
+            return file.slice(0, 4).arrayBuffer().then(buffer => {
+                const bytes = new Uint8Array(buffer);
+                const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+                return isZip ? readZip(file) : file.text().then(text => ({ bundle: parseBundle(text), attachments: [] }));
+            }).then(contents => {
+                verifyBundle(contents.bundle);
+                return storeImport(contents.bundle, contents.attachments);
+            }).then(session => {
+                IIM.showNotification(IIM.t('export.imported', { name: session.name }), 'success');
+                return session;
+            }).catch(error => {
+                console.error('Failed to import session:', error);
+                IIM.showNotification(IIM.t('export.importFailed', { reason: error.message }), 'error');
+                throw error;
+            });
+        },
+
+        // Lets the user pick a bundle from disk
+        openImportDialog: function() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,.zip,application/json,application/zip';
+            input.addEventListener('change', () => {
+                if (input.files[0]) {
+                    IIM.sessionExport.import(input.files[0]).catch(() => {});
+                }
+            });
+            input.click();
+        },
+
+        // Checks the checksum footer of an exported Markdown transcript (corruption, not forgery)
+        verifyTranscript: function(text) {
+            const match = text.match(TRANSCRIPT_MANIFEST);
+            if (!match) return false;
+            try {
+                const manifest = JSON.parse(match[1]);
+                return manifest.sha256 === IIM.sha256.digestText(text.slice(0, match.index));
+            } catch (error) {
+                return false;
+            }
+        },
+
+        canonicalize: canonicalize
+    };
+
+    // --- Building ---
+    function buildBundle(session, exported) {
+        const payload = {
+            session: JSON.parse(JSON.stringify(session)),
+            models: referencedModels(session)
+        };
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exported: exported,
+            manifest: {
+                algorithm: ALGORITHM,
+                payload: IIM.sha256.digestText(canonicalize(payload))
+            },
+            payload: payload
+        };
+    }
+
+    // Model metadata for every model that answered in this session, plus the active one;
+    // an imported session falls back to the metadata it came with
+    function referencedModels(session) {
+        const ids = new Set(session.messages.map(message => message.model || message.modelId).filter(Boolean));
+        if (IIM.state.activeModel) ids.add(IIM.state.activeModel);
+
+        const local = IIM.state.models.filter(model => ids.has(model.id));
+        const imported = (session.importedFrom && session.importedFrom.models || [])
+            .filter(model => ids.has(model.id) && !local.some(existing => existing.id === model.id));
+        return local.concat(imported)
+            .map(model => {
+                const copy = Object.assign({}, model);
+                // Runtime state means nothing on another machine
+                delete copy.status;
+                return copy;
+            });
+    }
+
+    function buildTranscript(session, exported) {
+        const lines = [
+            `# ${session.name}`,
+            '',
+            `- Session: \`${session.id}\``,
+            `- Created: ${session.created || 'unknown'}`,
+            `- Exported: ${exported}`
+        ];
+
+        const models = referencedModels(session);
+        if (models.length) {
+            lines.push(`- Models: ${models.map(model => model.name || model.id).join(', ')}`);
+        }
+
+        if (session.context && session.context.length) {
+            lines.push('', '## Evidence', '');
+            session.context.forEach(item => {
+                const details = [item.detectedType, item.sha256 && `SHA-256 \`${item.sha256}\``].filter(Boolean);
+                lines.push(`- ${item.name || item.fileName || item.id}${details.length ? ` (${details.join(', ')})` : ''}`);
+            });
+        }
+
+        lines.push('', '## Transcript');
+        session.messages.forEach(message => {
+            const speaker = message.role === 'user' ? 'Analyst' : `Assistant${message.model ? ` (${message.model})` : ''}`;
+            const time = message.timestamp || message.created;
+            lines.push('', `### ${speaker}${time ? ` - ${time}` : ''}${message.pinned ? ' (pinned)' : ''}`, '', message.content || '');
+            if (message.cancelled) {
+                lines.push('', '_Response stopped before completion._');
+            }
+            if (message.note && message.note.text) {
+                lines.push('', `> Analyst note (${message.note.author}, ${message.note.updated}): ${message.note.text.replace(/\n/g, '\n> ')}`);
+            }
+            if (message.citations && message.citations.length) {
+                lines.push('', 'Sources:');
+                message.citations.forEach(entry => {
+                    const item = (session.context || []).find(candidate => candidate.id === entry.evidenceId);
+                    const location = typeof entry.location === 'string'
+                        ? entry.location
+                        : (entry.location && entry.location.page !== undefined ? `page ${entry.location.page}` : '');
+                    lines.push(`- [${entry.marker}] ${item ? item.name : entry.evidenceId}${location ? `, ${location}` : ''}${entry.passage ? `: "${entry.passage}"` : ''}`);
+                });
+            }
+        });
+
+        const body = lines.join('\n') + '\n';
+        const manifest = { algorithm: ALGORITHM, sha256: IIM.sha256.digestText(body) };
+        return `${body}\n<!-- iim-manifest: ${JSON.stringify(manifest)} -->\n`;
+    }
+
+    function buildZip(session, exported) {
+        const bundleText = JSON.stringify(buildBundle(session, exported), null, 2);
+        const transcript = buildTranscript(session, exported);
+
+        return IIM.sessionStore.getAttachments(session.id).catch(() => []).then(attachments => {
+            const files = [
+                { path: 'session.json', data: new Blob([bundleText], { type: 'application/json' }) },
+                { path: 'transcript.md', data: new Blob([transcript], { type: 'text/markdown' }) }
+            ];
+
+            const references = {
+                context: session.context || [],
+                attachments: attachments.map(record => {
+                    const path = `evidence/${record.id}-${safeFileName(record.name || 'attachment')}`;
+                    files.push({ path: path, data: record.blob });
+                    const metadata = Object.assign({}, record, { path: path });
+                    delete metadata.blob;
+                    return metadata;
+                })
+            };
+            files.push({ path: 'evidence/references.json', data: new Blob([JSON.stringify(references, null, 2)]) });
+
+            // Hash every file, then describe them all in manifest.json
+            return files.reduce((chain, file) => chain.then(entries => {
+                return IIM.sha256.digestBlob(file.data).then(sha256 => {
+                    entries.push({ path: file.path, size: file.data.size, sha256: sha256 });
+                    return entries;
+                });
+            }), Promise.resolve([])).then(entries => {
+                const manifest = { format: FORMAT, version: VERSION, exported: exported, algorithm: ALGORITHM, files: entries };
+                return IIM.zip.create(files.concat([{ path: 'manifest.json', data: JSON.stringify(manifest, null, 2) }]));
+            });
+        });
+    }
+
+    // --- Reading ---
+    function parseBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(IIM.t('export.notBundle'));
+        }
+        if (!bundle || bundle.format !== FORMAT) {
+            throw new Error(IIM.t('export.notBundle'));
+        }
+        if (bundle.version > VERSION) {
+            throw new Error(IIM.t('export.newerVersion', { version: String(bundle.version) }));
+        }
+        return bundle;
+    }
+
+    function verifyBundle(bundle) {
+        const payload = bundle.payload;
+        if (!bundle.manifest || bundle.manifest.algorithm !== ALGORITHM || !payload || !payload.session) {
+            throw new Error(IIM.t('export.noManifest'));
+        }
+        if (IIM.sha256.digestText(canonicalize(payload)) !== bundle.manifest.payload) {
+            throw new Error(IIM.t('export.modified'));
+        }
+        if (!Array.isArray(payload.session.messages)) {
+            throw new Error(IIM.t('export.noMessages'));
+        }
+        // Optional; checked here so nothing is written for a bundle that can't be imported
+        if (payload.models !== undefined && (!Array.isArray(payload.models) ||
+            !payload.models.every(model => model && typeof model === 'object' && typeof model.id === 'string'))) {
+            throw new Error(IIM.t('export.badModels'));
+        }
+    }
+
+    function readZip(file) {
+        return IIM.zip.read(file).then(entries => {
+            const byPath = new Map(entries.map(entry => [entry.path, entry]));
+            const manifestEntry = byPath.get('manifest.json');
+            if (!manifestEntry) {
+                throw new Error(IIM.t('export.archiveNoManifest'));
+            }
+
+            return manifestEntry.blob.text().then(text => {
+                const manifest = JSON.parse(text);
+                if (manifest.format !== FORMAT || manifest.algorithm !== ALGORITHM || !Array.isArray(manifest.files)) {
+                    throw new Error(IIM.t('export.archiveManifestUnknown'));
+                }
+
+                // Every file in the archive must be listed, and every listed file must match
+                const listed = new Set(manifest.files.map(entry => entry.path));
+                const unlisted = entries.find(entry => entry.path !== 'manifest.json' && !listed.has(entry.path));
+                if (unlisted) {
+                    throw new Error(IIM.t('export.archiveUnlisted', { path: unlisted.path }));
+                }
+
+                return manifest.files.reduce((chain, expected) => chain.then(() => {
+                    const entry = byPath.get(expected.path);
+                    if (!entry) {
+                        throw new Error(IIM.t('export.archiveMissing', { path: expected.path }));
+                    }
+                    return IIM.sha256.digestBlob(entry.blob).then(sha256 => {
+                        if (sha256 !== expected.sha256) {
+                            throw new Error(IIM.t('export.archiveIntegrity', { path: expected.path }));
+                        }
+                    });
+                }), Promise.resolve());
+            }).then(() => {
+                const sessionEntry = byPath.get('session.json');
+                const referencesEntry = byPath.get('evidence/references.json');
+                if (!sessionEntry) {
+                    throw new Error(IIM.t('export.archiveNoSession'));
+                }
+                return Promise.all([
+                    sessionEntry.blob.text(),
+                    referencesEntry ? referencesEntry.blob.text() : Promise.resolve('{}')
+                ]).then(([sessionText, referencesText]) => {
+                    const references = JSON.parse(referencesText);
+                    return {
+                        bundle: parseBundle(sessionText),
+                        attachments: (references.attachments || [])
+                            .filter(metadata => byPath.has(metadata.path))
+                            .map(metadata => ({ metadata: metadata, blob: byPath.get(metadata.path).blob }))
+                    };
+                });
+            });
+        });
+    }
+
+    function storeImport(bundle, attachments) {
+        const session = bundle.payload.session;
+        const originalId = session.id;
+
+        return isTaken(originalId).then(taken => {
+            if (taken || !originalId) {
+                // Never overwrite a local investigation; the import becomes a new session
+                session.id = IIM.generateId();
+                session.name = `${session.name || 'Imported session'} (imported)`;
+            }
+            // The models stay with the session; the local server may not have them
+            session.importedFrom = {
+                id: originalId,
+                exported: bundle.exported,
+                imported: new Date().toISOString(),
+                models: bundle.payload.models || []
+            };
+            session.context = session.context || [];
+
+            // Attachments are re-keyed so they cannot collide with local ones either
+            return attachments.reduce((chain, attachment) => chain.then(() => {
+                const metadata = Object.assign({}, attachment.metadata, { originalId: attachment.metadata.id });
+                delete metadata.id;
+                delete metadata.path;
+                delete metadata.sessionId;
+                return IIM.sessionStore.saveAttachment(session.id, attachment.blob, metadata);
+            }), Promise.resolve());
+        }).then(() => IIM.sessionStore.saveSession(session)).then(() => {
+            IIM.store.dispatch('session/upserted', { session: session });
+            IIM.tabSync.publishSession(session);
+            IIM.selectSession(session.id);
+            const imported = IIM.state.sessions.find(s => s.id === session.id);
+
+            // Notify Blazor
+            IIM.audit.record('session.imported', { sessionId: imported.id, importedFrom: imported.importedFrom || null }, imported.id);
+            IIM.interop.emit('sessionImported', { session: imported });
+            return imported;
+        });
+    }
+
+    function isTaken(id) {
+        if (!id) return Promise.resolve(false);
+        if (IIM.state.sessions.some(s => s.id === id)) return Promise.resolve(true);
+        return IIM.sessionStore.getSession(id).then(existing => !!existing).catch(() => false);
+    }
+
+    // --- Helpers ---
+    function findSession(sessionId) {
+        return IIM.state.sessions.find(s => s.id === sessionId);
+    }
+
+    // JSON with sorted keys, so the hash doesn't depend on property order
+    function canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalize).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    function slugify(name) {
+        return (name || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+    }
+
+    function safeFileName(name) {
+        return name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_');
+    }
+
+    // Command palette entries
+    if (IIM.quickSearch) {
+        IIM.quickSearch.actions.push(
+            { id: 'export-session-json', title: () => IIM.t('export.json'), run: () => IIM.sessionExport.download(null, 'json').catch(() => {}) },
+            { id: 'export-session-markdown', title: () => IIM.t('export.markdown'), run: () => IIM.sessionExport.download(null, 'markdown').catch(() => {}) },
+            { id: 'export-session-zip', title: () => IIM.t('export.zip'), run: () => IIM.sessionExport.download(null, 'zip').catch(() => {}) },
+            { id: 'import-session', title: () => IIM.t('export.import'), run: () => IIM.sessionExport.openImportDialog() }
+        );
+    }
+
+})(window.IIM);
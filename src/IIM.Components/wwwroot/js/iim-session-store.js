@@ -0,0 +1,315 @@
+// IIM Session Store - IndexedDB persistence for investigation sessions
+// Sessions and attachment blobs outgrow localStorage's ~5MB quota quickly, so
+// they live in IndexedDB. Schema changes are applied through the numbered
+// MIGRATIONS list; add a new entry instead of editing an existing one.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const DB_NAME = 'iim';
+    const LEGACY_PREFIX = 'iim_session_';
+    const LEGACY_LIST_KEY = 'iim_sessions';
+
+    // MIGRATIONS[n] upgrades the database from version n to n + 1
+    const MIGRATIONS = [
+        function(db) {
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('updated', 'updated');
+
+            const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+            attachments.createIndex('sessionId', 'sessionId');
+
+            db.createObjectStore('meta', { keyPath: 'key' });
+        },
+        function(db) {
+            // Hash-chained audit trail (see iim-audit.js); flushed is 0 until the API has it
+            const audit = db.createObjectStore('audit', { keyPath: 'seq' });
+            audit.createIndex('flushed', 'flushed');
+        },
+        function(db) {
+            // Work waiting for the server (see iim-offline.js)
+            db.createObjectStore('outbox', { keyPath: 'id' });
+        }
+    ];
+
+    let dbPromise = null;
+
+    IIM.i18n.addMessages('en', {
+        'sessionStore.full': 'Browser storage is full. Export or delete old investigations to free space.'
+    });
+
+    IIM.sessionStore = {
+        isSupported: function() {
+            return typeof indexedDB !== 'undefined';
+        },
+
+        open: function() {
+            if (!dbPromise) {
+                dbPromise = openDatabase()
+                    .then(db => importLegacySessions(db).then(() => db))
+                    .catch(error => {
+                        dbPromise = null;
+                        throw error;
+                    });
+            }
+            return dbPromise;
+        },
+
+        // --- Sessions ---
+        saveSession: function(session) {
+            const record = Object.assign({}, session, { updated: new Date().toISOString() });
+            return write('sessions', store => store.put(record)).then(() => record);
+        },
+
+        getSession: function(id) {
+            return read('sessions', store => store.get(id));
+        },
+
+        getAllSessions: function() {
+            return read('sessions', store => store.getAll()).then(sessions =>
+                sessions.sort((a, b) => (b.updated || b.created || '').localeCompare(a.updated || a.created || ''))
+            );
+        },
+
+        deleteSession: function(id) {
+            return IIM.sessionStore.open().then(db => transaction(db, ['sessions', 'attachments'], 'readwrite', tx => {
+                tx.objectStore('sessions').delete(id);
+                const index = tx.objectStore('attachments').index('sessionId');
+                index.openKeyCursor(IDBKeyRange.only(id)).onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        tx.objectStore('attachments').delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            }));
+        },
+
+        // --- Attachments ---
+        saveAttachment: function(sessionId, blob, metadata = {}) {
+            const record = Object.assign({}, metadata, {
+                id: metadata.id || IIM.generateId(),
+                sessionId: sessionId,
+                blob: blob,
+                size: blob.size,
+                type: blob.type,
+                created: new Date().toISOString()
+            });
+            return write('attachments', store => store.put(record)).then(() => record.id);
+        },
+
+        getAttachment: function(id) {
+            return read('attachments', store => store.get(id));
+        },
+
+        getAttachments: function(sessionId) {
+            return read('attachments', store => store.index('sessionId').getAll(IDBKeyRange.only(sessionId)));
+        },
+
+        deleteAttachment: function(id) {
+            return write('attachments', store => store.delete(id));
+        },
+
+        // --- Audit trail ---
+        // build(previousEntry) runs inside the write transaction and returns the new entry,
+        // so tabs appending at the same time still form a single chain
+        appendAuditEntry: function(build) {
+            let entry = null;
+            return write('audit', store => {
+                store.openCursor(null, 'prev').onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    entry = build(cursor ? cursor.value : null);
+                    store.add(entry);
+                };
+            }).then(() => entry);
+        },
+
+        getAuditEntries: function() {
+            return read('audit', store => store.getAll());
+        },
+
+        getUnflushedAuditEntries: function() {
+            return read('audit', store => store.index('flushed').getAll(IDBKeyRange.only(0)));
+        },
+
+        markAuditFlushed: function(seqs) {
+            return write('audit', store => {
+                seqs.forEach(seq => {
+                    store.get(seq).onsuccess = function(event) {
+                        const entry = event.target.result;
+                        if (entry && !entry.flushed) {
+                            store.put(Object.assign({}, entry, { flushed: 1 }));
+                        }
+                    };
+                });
+            });
+        },
+
+        // --- Offline outbox ---
+        saveOutboxEntry: function(entry) {
+            return write('outbox', store => store.put(entry)).then(() => entry);
+        },
+
+        getOutboxEntries: function() {
+            return read('outbox', store => store.getAll());
+        },
+
+        deleteOutboxEntry: function(id) {
+            return write('outbox', store => store.delete(id));
+        },
+
+        // --- Quota ---
+        getUsage: function() {
+            if (!navigator.storage || !navigator.storage.estimate) {
+                return Promise.resolve(null);
+            }
+            return navigator.storage.estimate().then(estimate => ({
+                usage: estimate.usage,
+                quota: estimate.quota,
+                percent: estimate.quota ? Math.round(estimate.usage / estimate.quota * 100) : null
+            }));
+        },
+
+        // Asks the browser not to evict our data under storage pressure
+        requestPersistence: function() {
+            if (!navigator.storage || !navigator.storage.persist) {
+                return Promise.resolve(false);
+            }
+            return navigator.storage.persisted().then(persisted => persisted || navigator.storage.persist());
+        }
+    };
+
+    // --- IndexedDB helpers ---
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!IIM.sessionStore.isSupported()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+
+            request.onupgradeneeded = function(event) {
+                const db = request.result;
+                for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+                    console.log(`Migrating session store to version ${version + 1}`);
+                    MIGRATIONS[version](db, request.transaction);
+                }
+            };
+
+            request.onsuccess = function() {
+                const db = request.result;
+                // Another tab upgraded the schema; release our handle so it can proceed
+                db.onversionchange = function() {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = function() {
+                reject(request.error);
+            };
+
+            request.onblocked = function() {
+                console.warn('Session store upgrade is blocked by another open tab');
+            };
+        });
+    }
+
+    function transaction(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            let result;
+            const tx = db.transaction(storeNames, mode);
+            const request = work(tx);
+            if (request) {
+                request.onsuccess = function() {
+                    result = request.result;
+                };
+            }
+            tx.oncomplete = function() {
+                resolve(result);
+            };
+            tx.onabort = tx.onerror = function() {
+                reject(handleStorageError(tx.error));
+            };
+        });
+    }
+
+    function read(storeName, work) {
+        return IIM.sessionStore.open().then(db =>
+            transaction(db, [storeName], 'readonly', tx => work(tx.objectStore(storeName)))
+        );
+    }
+
+    function write(storeName, work) {
+        return IIM.sessionStore.open().then(db =>
+            transaction(db, [storeName], 'readwrite', tx => work(tx.objectStore(storeName)))
+        );
+    }
+
+    function handleStorageError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            IIM.showNotification(IIM.t('sessionStore.full'), 'error');
+            IIM.sessionStore.getUsage().then(usage => {
+                if (usage) {
+                    console.warn(`Session store quota exceeded (${usage.usage} of ${usage.quota} bytes used)`);
+                }
+            });
+        }
+        return error || new Error('Session store transaction failed');
+    }
+
+    // --- One-time import of localStorage sessions ---
+    function importLegacySessions(db) {
+        return transaction(db, ['meta'], 'readonly', tx => tx.objectStore('meta').get('legacyImport'))
+            .then(flag => {
+                if (flag) return;
+
+                const legacyKeys = [];
+                const sessions = [];
+
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.startsWith(LEGACY_PREFIX)) {
+                        legacyKeys.push(key);
+                    }
+                }
+
+                legacyKeys.forEach(key => {
+                    try {
+                        sessions.push(JSON.parse(localStorage.getItem(key)));
+                    } catch (error) {
+                        console.error(`Skipping unreadable legacy session ${key}:`, error);
+                    }
+                });
+
+                // Older builds read (but never wrote) a combined list; honour it if present
+                try {
+                    const list = JSON.parse(localStorage.getItem(LEGACY_LIST_KEY) || '[]');
+                    if (Array.isArray(list)) sessions.push(...list);
+                } catch (error) {
+                    console.error('Skipping unreadable legacy session list:', error);
+                }
+
+                return transaction(db, ['sessions', 'meta'], 'readwrite', tx => {
+                    const store = tx.objectStore('sessions');
+                    sessions.filter(session => session && session.id).forEach(session => store.put(session));
+                    tx.objectStore('meta').put({
+                        key: 'legacyImport',
+                        imported: sessions.length,
+                        date: new Date().toISOString()
+                    });
+                }).then(() => {
+                    // Only drop the old copies once they are safely committed
+                    legacyKeys.forEach(key => localStorage.removeItem(key));
+                    localStorage.removeItem(LEGACY_LIST_KEY);
+                    if (sessions.length) {
+                        console.log(`Imported ${sessions.length} session(s) from localStorage`);
+                    }
+                });
+            });
+    }
+
+})(window.IIM);
@@ -0,0 +1,239 @@
+// IIM SHA-256 - incremental hashing for evidence files
+// crypto.subtle.digest needs the whole input in memory, which rules it out for
+// multi-gigabyte disk images. This hasher is fed slice by slice instead, and
+// digestBlob runs it in a Worker (built from this file's own functions, so there is
+// no second script to deploy) to keep the page responsive. Where workers are
+// unavailable or blocked, e.g. by a Content-Security-Policy without worker-src blob:,
+// it hashes on the main thread.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    const SLICE_SIZE = 4 * 1024 * 1024;
+
+    function createHasher() {
+        const state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const block = new Uint8Array(64);
+        const w = new Uint32Array(64);
+        let blockLength = 0;
+        let totalLength = 0;
+        let finished = false;
+
+        function compress(bytes, offset) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const a = w[i - 15];
+                const b = w[i - 2];
+                const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+                const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let a = state[0], b = state[1], c = state[2], d = state[3];
+            let e = state[4], f = state[5], g = state[6], h = state[7];
+
+            for (let i = 0; i < 64; i++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+
+                h = g; g = f; f = e;
+                e = (d + t1) | 0;
+                d = c; c = b; b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+            state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+        }
+
+        return {
+            update: function(data) {
+                if (finished) throw new Error('SHA-256 digest already finalized');
+                const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+                let offset = 0;
+                totalLength += bytes.length;
+
+                // Top up a partially filled block first
+                if (blockLength > 0) {
+                    const take = Math.min(64 - blockLength, bytes.length);
+                    block.set(bytes.subarray(0, take), blockLength);
+                    blockLength += take;
+                    offset = take;
+                    if (blockLength < 64) return this;
+                    compress(block, 0);
+                    blockLength = 0;
+                }
+
+                for (; offset + 64 <= bytes.length; offset += 64) {
+                    compress(bytes, offset);
+                }
+
+                block.set(bytes.subarray(offset), 0);
+                blockLength = bytes.length - offset;
+                return this;
+            },
+
+            digest: function() {
+                if (!finished) {
+                    finished = true;
+                    const bitLength = totalLength * 8;
+                    block[blockLength++] = 0x80;
+                    if (blockLength > 56) {
+                        block.fill(0, blockLength);
+                        compress(block, 0);
+                        blockLength = 0;
+                    }
+                    block.fill(0, blockLength, 56);
+                    // 64-bit big-endian length; split because bitwise ops are 32-bit
+                    const high = Math.floor(bitLength / 0x100000000);
+                    const low = bitLength >>> 0;
+                    for (let i = 0; i < 4; i++) {
+                        block[56 + i] = (high >>> (24 - i * 8)) & 0xff;
+                        block[60 + i] = (low >>> (24 - i * 8)) & 0xff;
+                    }
+                    compress(block, 0);
+                }
+
+                return Array.from(state, word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+            }
+        };
+    }
+
+    // Feeds blob to hasher one slice at a time. Shared by both threads, so it may only
+    // use what a worker has too
+    function digestSlices(blob, hasher, onProgress, signal) {
+        let offset = 0;
+
+        const next = function() {
+            if (signal && signal.aborted) {
+                return Promise.reject(new DOMException('Hashing aborted', 'AbortError'));
+            }
+            if (offset >= blob.size) {
+                return Promise.resolve(hasher.digest());
+            }
+            const end = Math.min(offset + SLICE_SIZE, blob.size);
+            return blob.slice(offset, end).arrayBuffer().then(buffer => {
+                hasher.update(buffer);
+                offset = end;
+                if (onProgress) onProgress(offset, blob.size);
+                return next();
+            });
+        };
+        return next();
+    }
+
+    // --- Worker ---
+    // Messages: in, the Blob; out, { done } after each slice, then { sha256 } or { error }
+    function workerMain() {
+        self.onmessage = function(event) {
+            digestSlices(event.data, createHasher(), done => self.postMessage({ done: done }))
+                .then(sha256 => self.postMessage({ sha256: sha256 }))
+                .catch(error => self.postMessage({ error: error && error.message ? error.message : String(error) }));
+        };
+    }
+
+    let workerUrl = null;
+
+    // Null when this page can't start workers
+    function startWorker() {
+        if (typeof Worker === 'undefined' || typeof URL.createObjectURL !== 'function') return null;
+        try {
+            if (!workerUrl) {
+                const source = [
+                    '\'use strict\';',
+                    `const K = new Uint32Array([${Array.from(K).join(', ')}]);`,
+                    `const SLICE_SIZE = ${SLICE_SIZE};`,
+                    createHasher.toString(),
+                    digestSlices.toString(),
+                    `(${workerMain.toString()})();`
+                ].join('\n');
+                workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            }
+            return new Worker(workerUrl);
+        } catch (error) {
+            console.warn('Hashing on the main thread, a worker could not be started:', error);
+            return null;
+        }
+    }
+
+    function digestInWorker(worker, blob, onProgress, signal) {
+        return new Promise((resolve, reject) => {
+            let started = false;
+            const finish = function() {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', abort);
+            };
+            const abort = function() {
+                finish();
+                reject(new DOMException('Hashing aborted', 'AbortError'));
+            };
+
+            worker.onmessage = function(event) {
+                const message = event.data;
+                started = true;
+                if (message.done !== undefined) {
+                    if (onProgress) onProgress(message.done, blob.size);
+                    return;
+                }
+                finish();
+                if (message.error !== undefined) reject(new Error(`Hashing failed: ${message.error}`));
+                else resolve(message.sha256);
+            };
+            // A worker that fails before its first message was most likely blocked from loading
+            worker.onerror = function(event) {
+                if (event.preventDefault) event.preventDefault();
+                finish();
+                if (started) {
+                    reject(new Error(`Hashing failed: ${event.message || 'worker error'}`));
+                    return;
+                }
+                console.warn('Hashing on the main thread, the worker did not start:', event.message);
+                digestSlices(blob, createHasher(), onProgress, signal).then(resolve, reject);
+            };
+
+            if (signal) signal.addEventListener('abort', abort);
+            worker.postMessage(blob);
+        });
+    }
+
+    IIM.sha256 = {
+        create: createHasher,
+
+        // Hashes a Blob/File slice by slice, off the main thread when it can;
+        // onProgress receives bytes hashed so far. Pass an AbortSignal to stop early.
+        digestBlob: function(blob, onProgress, signal) {
+            if (signal && signal.aborted) {
+                return Promise.reject(new DOMException('Hashing aborted', 'AbortError'));
+            }
+            const worker = startWorker();
+            if (!worker) return digestSlices(blob, createHasher(), onProgress, signal);
+            return digestInWorker(worker, blob, onProgress, signal);
+        },
+
+        digestText: function(text) {
+            return createHasher().update(new TextEncoder().encode(text)).digest();
+        }
+    };
+
+})(window.IIM);
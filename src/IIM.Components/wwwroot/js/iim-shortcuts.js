@@ -0,0 +1,429 @@
+// IIM Shortcuts - keyboard shortcut registry
+// Bindings are written as "Mod+K" (Mod is Cmd on macOS, Ctrl elsewhere) and may
+// be chords of several strokes separated by spaces ("Mod+K Mod+S"). Each binding
+// belongs to a scope:
+//   global      anywhere, but not while typing unless allowInInputs is set
+//   chat-input  only while the chat input has focus
+//   modal       only while a modal dialog is open (global bindings are then off)
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const STORAGE_KEY = 'iim_shortcut_bindings';
+    const CHORD_TIMEOUT = 1500;
+    const SCOPES = ['global', 'chat-input', 'modal'];
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    const bindings = new Map();
+    let pending = null;
+    let pendingTimer = null;
+    let started = false;
+    let overlay = null;
+    let capturing = null;
+
+    IIM.i18n.addMessages('en', {
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.group.global': 'Global',
+        'shortcuts.group.chat-input': 'Chat input',
+        'shortcuts.group.modal': 'Dialogs',
+        'shortcuts.capturing': 'Press new keys...',
+        'shortcuts.then': 'then',
+        'shortcuts.conflict': '{keys} is already used by: {descriptions}'
+    });
+
+    IIM.shortcuts = {
+        // definition: { id, keys, scope, description, handler, allowInInputs }
+        // description may be a function, so it follows the current locale
+        // Returns an unregister function. Conflicting bindings are rejected.
+        register: function(definition) {
+            if (!definition || !definition.id || !definition.keys || typeof definition.handler !== 'function') {
+                throw new Error('Shortcut needs an id, keys and a handler');
+            }
+            const scope = definition.scope || 'global';
+            if (!SCOPES.includes(scope)) {
+                throw new Error(`Unknown shortcut scope "${scope}"`);
+            }
+
+            const binding = Object.assign({ allowInInputs: false, description: definition.id }, definition, {
+                scope: scope,
+                defaultKeys: normalizeSequence(definition.keys),
+                keys: normalizeSequence(loadOverrides()[definition.id] || definition.keys)
+            });
+
+            let conflicts = findConflicts(binding.keys, scope, binding.id);
+            if (conflicts.length && binding.keys !== binding.defaultKeys) {
+                // A stale user override collides with something new; fall back to the default
+                console.warn(`Ignoring saved binding for ${binding.id}; it conflicts with ${conflicts.map(c => c.id).join(', ')}`);
+                binding.keys = binding.defaultKeys;
+                conflicts = findConflicts(binding.keys, scope, binding.id);
+            }
+            if (conflicts.length) {
+                console.warn(`Shortcut ${binding.id} (${binding.keys}) conflicts with ${conflicts.map(c => c.id).join(', ')}`);
+                return function() {};
+            }
+
+            bindings.set(binding.id, binding);
+            refreshOverlay();
+            return () => IIM.shortcuts.unregister(binding.id);
+        },
+
+        unregister: function(id) {
+            const removed = bindings.delete(id);
+            refreshOverlay();
+            return removed;
+        },
+
+        // Changes a binding and persists it; returns { ok, conflicts }
+        rebind: function(id, keys) {
+            const binding = bindings.get(id);
+            if (!binding) return { ok: false, conflicts: [] };
+
+            const normalized = normalizeSequence(keys);
+            const conflicts = findConflicts(normalized, binding.scope, id);
+            if (conflicts.length) {
+                return { ok: false, conflicts: conflicts.map(c => ({ id: c.id, keys: c.keys, description: describe(c) })) };
+            }
+
+            binding.keys = normalized;
+            const overrides = loadOverrides();
+            if (normalized === binding.defaultKeys) delete overrides[id];
+            else overrides[id] = normalized;
+            saveOverrides(overrides);
+            refreshOverlay();
+            return { ok: true, conflicts: [] };
+        },
+
+        resetBinding: function(id) {
+            const binding = bindings.get(id);
+            return binding ? IIM.shortcuts.rebind(id, binding.defaultKeys) : { ok: false, conflicts: [] };
+        },
+
+        getBindings: function() {
+            return Array.from(bindings.values()).map(binding => ({
+                id: binding.id,
+                keys: binding.keys,
+                defaultKeys: binding.defaultKeys,
+                scope: binding.scope,
+                description: describe(binding),
+                allowInInputs: binding.allowInInputs
+            }));
+        },
+
+        format: function(keys) {
+            return formatSequence(keys);
+        },
+
+        start: function() {
+            if (started) return;
+            started = true;
+            document.addEventListener('keydown', handleKeydown);
+        },
+
+        showHelp: function() {
+            if (!overlay) overlay = buildOverlay();
+            refreshOverlay();
+            overlay.backdrop.hidden = false;
+            overlay.dialog.focus();
+        },
+
+        hideHelp: function() {
+            if (!overlay) return;
+            stopCapture();
+            overlay.backdrop.hidden = true;
+        },
+
+        isModalOpen: function() {
+            return Array.from(document.querySelectorAll('[aria-modal="true"], .modal.show'))
+                .some(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+        }
+    };
+
+    // Called by the header's user menu (AppHeader.razor)
+    IIM.showKeyboardShortcuts = function() {
+        IIM.shortcuts.showHelp();
+    };
+
+    // --- Key normalization ---
+    function normalizeSequence(keys) {
+        return String(keys).trim().split(/\s+/).map(normalizeStroke).join(' ');
+    }
+
+    // "mod+shift+k" -> "Ctrl+Shift+K" (or "Meta+Shift+K" on macOS)
+    function normalizeStroke(stroke) {
+        const parts = stroke.split('+');
+        // "Mod++" means the plus key
+        const key = parts.pop() || '+';
+
+        const modifiers = new Set(parts.map(part => {
+            const lower = part.toLowerCase();
+            if (lower === 'mod') return IS_MAC ? 'Meta' : 'Ctrl';
+            if (lower === 'cmd' || lower === 'command' || lower === 'meta') return 'Meta';
+            if (lower === 'control' || lower === 'ctrl') return 'Ctrl';
+            if (lower === 'option' || lower === 'alt') return 'Alt';
+            if (lower === 'shift') return 'Shift';
+            return part;
+        }).filter(Boolean));
+
+        return composeStroke(modifiers, normalizeKeyName(key));
+    }
+
+    function normalizeKeyName(key) {
+        if (key === ' ' || key.toLowerCase() === 'space') return 'Space';
+        if (key.toLowerCase() === 'esc') return 'Escape';
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    function composeStroke(modifiers, key) {
+        // Shift is implied by symbols such as "?", so it is only kept for letters, digits and named keys
+        const keepShift = key.length > 1 || /[A-Z0-9]/.test(key);
+        return ['Ctrl', 'Alt', 'Shift', 'Meta']
+            .filter(modifier => modifiers.has(modifier) && (modifier !== 'Shift' || keepShift))
+            .concat(key)
+            .join('+');
+    }
+
+    function strokeFromEvent(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+        let key;
+        if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+        else key = normalizeKeyName(e.key || '');
+        if (!key) return null;
+
+        const modifiers = new Set();
+        if (e.ctrlKey) modifiers.add('Ctrl');
+        if (e.altKey) modifiers.add('Alt');
+        if (e.shiftKey) modifiers.add('Shift');
+        if (e.metaKey) modifiers.add('Meta');
+        return composeStroke(modifiers, key);
+    }
+
+    function formatSequence(keys) {
+        const symbols = IS_MAC
+            ? { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' }
+            : { Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift', Meta: 'Win' };
+        return keys.split(' ').map(stroke =>
+            stroke.split('+').map(part => symbols[part] || part).join(IS_MAC ? '' : '+')
+        ).join(` ${IIM.t('shortcuts.then')} `);
+    }
+
+    function describe(binding) {
+        return typeof binding.description === 'function' ? binding.description() : binding.description;
+    }
+
+    // --- Conflicts ---
+    function scopesOverlap(a, b) {
+        // Global and chat-input bindings are live at the same time; modal ones never are
+        if (a === 'modal' || b === 'modal') return a === b;
+        return true;
+    }
+
+    function findConflicts(keys, scope, ignoreId) {
+        return Array.from(bindings.values()).filter(other => {
+            if (other.id === ignoreId || !scopesOverlap(scope, other.scope)) return false;
+            // Identical, or one is the start of the other's chord
+            return other.keys === keys ||
+                other.keys.startsWith(keys + ' ') ||
+                keys.startsWith(other.keys + ' ');
+        });
+    }
+
+    // --- Dispatch ---
+    function isEditable(element) {
+        return !!element && (element.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+    }
+
+    function activeScopes(target) {
+        if (IIM.shortcuts.isModalOpen()) return ['modal'];
+        if (target && target.closest && target.closest('.iim-input-field, .iim-input-area')) {
+            return ['chat-input', 'global'];
+        }
+        return ['global'];
+    }
+
+    function handleKeydown(e) {
+        if (e.defaultPrevented || e.isComposing || capturing) return;
+
+        const stroke = strokeFromEvent(e);
+        if (!stroke) return;
+
+        const scopes = activeScopes(e.target);
+        const editable = isEditable(e.target);
+        const live = Array.from(bindings.values()).filter(binding =>
+            scopes.includes(binding.scope) &&
+            (!editable || binding.scope !== 'global' || binding.allowInInputs)
+        );
+
+        const tryMatch = sequence => {
+            const exact = live.find(binding => binding.keys === sequence);
+            if (exact) {
+                clearPending();
+                e.preventDefault();
+                try {
+                    exact.handler(e);
+                } catch (error) {
+                    console.error(`Shortcut ${exact.id} failed:`, error);
+                }
+                return true;
+            }
+            if (live.some(binding => binding.keys.startsWith(sequence + ' '))) {
+                e.preventDefault();
+                setPending(sequence);
+                return true;
+            }
+            return false;
+        };
+
+        if (pending && tryMatch(pending + ' ' + stroke)) return;
+        clearPending();
+        tryMatch(stroke);
+    }
+
+    function setPending(sequence) {
+        pending = sequence;
+        clearTimeout(pendingTimer);
+        pendingTimer = setTimeout(clearPending, CHORD_TIMEOUT);
+    }
+
+    function clearPending() {
+        pending = null;
+        clearTimeout(pendingTimer);
+        pendingTimer = null;
+    }
+
+    // --- Overrides ---
+    function loadOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveOverrides(overrides) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+    }
+
+    // --- Help overlay ---
+    function buildOverlay() {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'iim-shortcut-backdrop';
+        backdrop.hidden = true;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'iim-shortcut-overlay';
+        dialog.tabIndex = -1;
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'iim-shortcut-title');
+
+        const title = document.createElement('h2');
+        title.id = 'iim-shortcut-title';
+        title.className = 'iim-shortcut-title';
+        title.textContent = IIM.t('shortcuts.title');
+
+        const body = document.createElement('div');
+        body.className = 'iim-shortcut-body';
+
+        dialog.appendChild(title);
+        dialog.appendChild(body);
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+
+        backdrop.addEventListener('mousedown', e => {
+            if (e.target === backdrop) IIM.shortcuts.hideHelp();
+        });
+
+        return { backdrop: backdrop, dialog: dialog, body: body };
+    }
+
+    function refreshOverlay() {
+        if (!overlay) return;
+
+        overlay.dialog.querySelector('.iim-shortcut-title').textContent = IIM.t('shortcuts.title');
+        overlay.body.replaceChildren();
+
+        SCOPES.forEach(scope => {
+            const scoped = Array.from(bindings.values()).filter(binding => binding.scope === scope);
+            if (!scoped.length) return;
+
+            const heading = document.createElement('h3');
+            heading.textContent = IIM.t(`shortcuts.group.${scope}`);
+            overlay.body.appendChild(heading);
+
+            const table = document.createElement('table');
+            table.className = 'iim-shortcut-table';
+            scoped.forEach(binding => {
+                const row = document.createElement('tr');
+
+                const description = document.createElement('td');
+                description.textContent = describe(binding);
+
+                const keys = document.createElement('td');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = capturing === binding.id ? IIM.t('shortcuts.capturing') : formatSequence(binding.keys);
+                keys.appendChild(kbd);
+
+                const actions = document.createElement('td');
+                const change = document.createElement('button');
+                change.type = 'button';
+                change.className = 'iim-shortcut-change';
+                change.textContent = IIM.t('common.change');
+                change.addEventListener('click', () => startCapture(binding.id));
+                actions.appendChild(change);
+
+                if (binding.keys !== binding.defaultKeys) {
+                    const reset = document.createElement('button');
+                    reset.type = 'button';
+                    reset.className = 'iim-shortcut-reset';
+                    reset.textContent = IIM.t('common.reset');
+                    reset.addEventListener('click', () => IIM.shortcuts.resetBinding(binding.id));
+                    actions.appendChild(reset);
+                }
+
+                row.appendChild(description);
+                row.appendChild(keys);
+                row.appendChild(actions);
+                table.appendChild(row);
+            });
+            overlay.body.appendChild(table);
+        });
+    }
+
+    // Records the next key stroke as the new binding for id
+    function startCapture(id) {
+        stopCapture();
+        capturing = id;
+        refreshOverlay();
+        document.addEventListener('keydown', captureKeydown, true);
+    }
+
+    function stopCapture() {
+        capturing = null;
+        document.removeEventListener('keydown', captureKeydown, true);
+    }
+
+    function captureKeydown(e) {
+        const stroke = strokeFromEvent(e);
+        if (!stroke) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = capturing;
+        stopCapture();
+        if (stroke !== 'Escape') {
+            const result = IIM.shortcuts.rebind(id, stroke);
+            if (!result.ok) {
+                IIM.showNotification(IIM.t('shortcuts.conflict', {
+                    keys: formatSequence(stroke),
+                    descriptions: IIM.i18n.formatList(result.conflicts.map(c => c.description))
+                }), 'error');
+            }
+        }
+        refreshOverlay();
+    }
+
+})(window.IIM);
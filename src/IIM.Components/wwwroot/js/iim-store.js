@@ -0,0 +1,291 @@
+// IIM Store - application state with actions and subscriptions
+// State changes only through named actions; every change produces a new frozen
+// snapshot, and subscribers are told when the part they selected changes.
+// IIM.state stays available as a read-only view of the current snapshot.
+// Set localStorage 'iim_debug_actions' to 'true' to keep an action log from startup.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const LOG_LIMIT = 200;
+
+    IIM.createStore = function(reducers, initialState) {
+        let state = deepFreeze(initialState);
+        let dispatching = false;
+        let log = null;
+        const subscriptions = new Set();
+
+        const store = {
+            getState: function() {
+                return state;
+            },
+
+            dispatch: function(type, payload = {}) {
+                const reducer = reducers[type];
+                if (!reducer) {
+                    throw new Error(`Unknown action: ${type}`);
+                }
+                if (dispatching) {
+                    throw new Error(`Cannot dispatch ${type} while another action is being reduced`);
+                }
+
+                const previous = state;
+                dispatching = true;
+                try {
+                    state = deepFreeze(reducer(state, payload));
+                } finally {
+                    dispatching = false;
+                }
+
+                if (log) {
+                    log.push({ type: type, payload: payload, time: new Date().toISOString(), changed: state !== previous });
+                    if (log.length > LOG_LIMIT) log.shift();
+                }
+                if (state !== previous) {
+                    notify();
+                }
+                return state;
+            },
+
+            // Calls callback(value, previousValue) whenever selector(state) changes.
+            // Options: immediate (call once now), equals (defaults to ===). Returns an unsubscribe function.
+            subscribe: function(selector, callback, options = {}) {
+                const subscription = {
+                    selector: selector,
+                    callback: callback,
+                    equals: options.equals || Object.is,
+                    value: selector(state)
+                };
+                subscriptions.add(subscription);
+                if (options.immediate) {
+                    invoke(subscription, subscription.value, undefined);
+                }
+                return () => subscriptions.delete(subscription);
+            },
+
+            setLogging: function(enabled) {
+                log = enabled ? (log || []) : null;
+            },
+
+            getLog: function() {
+                return log ? log.slice() : [];
+            }
+        };
+
+        function notify() {
+            // Copy first: callbacks may subscribe, unsubscribe or dispatch
+            Array.from(subscriptions).forEach(subscription => {
+                if (!subscriptions.has(subscription)) return;
+                const next = subscription.selector(state);
+                if (subscription.equals(next, subscription.value)) return;
+                const previous = subscription.value;
+                subscription.value = next;
+                invoke(subscription, next, previous);
+            });
+        }
+
+        function invoke(subscription, value, previous) {
+            try {
+                subscription.callback(value, previous);
+            } catch (error) {
+                console.error('State subscriber failed:', error);
+            }
+        }
+
+        return store;
+    };
+
+    // Compares arrays and plain objects one level deep
+    IIM.createStore.shallowEqual = function(a, b) {
+        if (Object.is(a, b)) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => Object.is(a[key], b[key]));
+    };
+
+    function deepFreeze(value) {
+        // Blobs, Files and the like are left alone; only plain data is frozen
+        if (!value || typeof value !== 'object' || Object.isFrozen(value)) return value;
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== Array.prototype && prototype !== null) return value;
+
+        Object.freeze(value);
+        Object.keys(value).forEach(key => deepFreeze(value[key]));
+        return value;
+    }
+
+    // --- Application state ---
+    function updateSession(state, sessionId, update) {
+        let found = false;
+        const sessions = state.sessions.map(session => {
+            if (session.id !== sessionId) return session;
+            found = true;
+            return update(session);
+        });
+        return found ? Object.assign({}, state, { sessions: sessions }) : state;
+    }
+
+    function updateModel(state, modelId, update) {
+        let found = false;
+        const models = state.models.map(model => {
+            if (model.id !== modelId) return model;
+            found = true;
+            return update(model);
+        });
+        return found ? Object.assign({}, state, { models: models }) : state;
+    }
+
+    const reducers = {
+        // Stored sessions arrived; keep any created while storage was still opening
+        'sessions/loaded': (state, { sessions }) => {
+            const loadedIds = new Set(sessions.map(session => session.id));
+            const unsaved = state.sessions.filter(session => !loadedIds.has(session.id));
+            return Object.assign({}, state, { sessions: unsaved.concat(sessions) });
+        },
+
+        'session/created': (state, { session }) => Object.assign({}, state, {
+            sessions: [session].concat(state.sessions),
+            currentSession: session.id
+        }),
+
+        'session/selected': (state, { sessionId }) => (state.currentSession === sessionId
+            ? state
+            : Object.assign({}, state, { currentSession: sessionId })),
+
+        // Adds the session, or replaces the one with the same id
+        'session/upserted': (state, { session }) => {
+            if (!state.sessions.some(existing => existing.id === session.id)) {
+                return Object.assign({}, state, { sessions: [session].concat(state.sessions) });
+            }
+            return updateSession(state, session.id, () => session);
+        },
+
+        'session/updated': (state, { sessionId, changes }) =>
+            updateSession(state, sessionId, session => Object.assign({}, session, changes)),
+
+        'message/added': (state, { sessionId, message }) =>
+            updateSession(state, sessionId, session => Object.assign({}, session, {
+                messages: (session.messages || []).concat([message])
+            })),
+
+        // Pins, notes and ids; messages are addressed by index, like IIM.revealMessage
+        'message/updated': (state, { sessionId, messageIndex, changes }) => updateSession(state, sessionId, session => {
+            const messages = session.messages || [];
+            if (!messages[messageIndex]) return session;
+            return Object.assign({}, session, {
+                messages: messages.map((message, index) => (index === messageIndex ? Object.assign({}, message, changes) : message))
+            });
+        }),
+
+        // An edit or regeneration: the message and everything after it move into a
+        // revision branch, so the earlier line of questioning is kept (see iim-message-actions.js)
+        'message/revised': (state, { sessionId, messageIndex, branch }) => updateSession(state, sessionId, session => {
+            const messages = session.messages || [];
+            if (!messages[messageIndex]) return session;
+            return Object.assign({}, session, {
+                messages: messages.slice(0, messageIndex),
+                branches: (session.branches || []).concat([Object.assign({}, branch, { messages: messages.slice(messageIndex) })])
+            });
+        }),
+
+        // Records a branch into another session on the session it came from
+        'session/branched': (state, { sessionId, branch }) =>
+            updateSession(state, sessionId, session => Object.assign({}, session, {
+                branches: (session.branches || []).concat([branch])
+            })),
+
+        // Adds the evidence item, or replaces the one with the same id
+        'context/added': (state, { sessionId, item }) => updateSession(state, sessionId, session => {
+            const context = session.context || [];
+            return Object.assign({}, session, {
+                context: context.some(existing => existing.id === item.id)
+                    ? context.map(existing => (existing.id === item.id ? item : existing))
+                    : context.concat([item])
+            });
+        }),
+
+        'context/updated': (state, { sessionId, itemId, changes }) => updateSession(state, sessionId, session => {
+            const context = session.context || [];
+            if (!context.some(item => item.id === itemId)) return session;
+            return Object.assign({}, session, {
+                context: context.map(item => (item.id === itemId ? Object.assign({}, item, changes) : item))
+            });
+        }),
+
+        'models/loaded': (state, { models }) => Object.assign({}, state, { models: models }),
+
+        'model/added': (state, { model }) => (state.models.some(existing => existing.id === model.id)
+            ? state
+            : Object.assign({}, state, { models: state.models.concat([model]) })),
+
+        'model/selected': (state, { modelId }) => Object.assign({}, state, { activeModel: modelId }),
+
+        // Also carries lifecycle details when known: progress (0-1), memory (bytes), error, lastUsed
+        'model/statusChanged': (state, payload) => updateModel(state, payload.modelId, model => {
+            const changes = {};
+            ['status', 'progress', 'memory', 'error', 'lastUsed'].forEach(key => {
+                if (payload[key] !== undefined && payload[key] !== model[key]) changes[key] = payload[key];
+            });
+            return Object.keys(changes).length ? Object.assign({}, model, changes) : model;
+        }),
+
+        'processing/changed': (state, { isProcessing }) => (state.isProcessing === isProcessing
+            ? state
+            : Object.assign({}, state, { isProcessing: isProcessing })),
+
+        'connection/changed': (state, { status, detail }) => Object.assign({}, state, {
+            connectionStatus: status,
+            connectionDetail: detail || {}
+        }),
+
+        // Also dispatched for the same locale once its messages arrive, so views re-render
+        'locale/changed': (state, { locale }) => Object.assign({}, state, {
+            locale: locale,
+            localeRevision: state.localeRevision + 1
+        }),
+
+        // IIM.config itself stays outside the store; this lets views and Blazor react
+        'config/changed': (state, { keys }) => Object.assign({}, state, {
+            configKeys: keys,
+            configRevision: state.configRevision + 1
+        }),
+
+        // Uploads, model loads and messages kept on this device for the server (see iim-offline.js)
+        'offline/changed': (state, { pending }) => (state.offlinePending === pending
+            ? state
+            : Object.assign({}, state, { offlinePending: pending }))
+    };
+
+    IIM.store = IIM.createStore(reducers, {
+        currentSession: null,
+        sessions: [],
+        models: [],
+        activeModel: null,
+        isProcessing: false,
+        connectionStatus: 'disconnected',
+        connectionDetail: {},
+        locale: 'en',
+        localeRevision: 0,
+        configKeys: [],
+        configRevision: 0,
+        offlinePending: 0
+    });
+
+    try {
+        IIM.store.setLogging(localStorage.getItem('iim_debug_actions') === 'true');
+    } catch (error) {
+        // Storage unavailable (e.g. sandboxed iframe); logging stays off
+    }
+
+    // Read-only view for existing callers; write through IIM.store.dispatch
+    Object.defineProperty(IIM, 'state', {
+        configurable: true,
+        enumerable: true,
+        get: function() {
+            return IIM.store.getState();
+        }
+    });
+
+})(window.IIM);
@@ -0,0 +1,464 @@
+// IIM Tab Sync - keeps IIM.state consistent across browser tabs
+// Tabs share session changes over a BroadcastChannel. One tab is elected leader
+// (via the Web Locks API, or heartbeats where that is unavailable); only the
+// leader runs auto-save and holds the WebSocket, relaying traffic to the others.
+// Sessions carry a revision number so concurrent edits are detected and merged.
+// Messages a follower forwards to the leader are acknowledged; one left without an
+// answer (no leader yet, or a handover) is kept in the offline outbox for the next
+// leader to send (see iim-offline.js).
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const CHANNEL_NAME = 'iim-tab-sync';
+    const LOCK_NAME = 'iim-tab-leader';
+    const HEARTBEAT_INTERVAL = 2000;
+    const LEADER_TIMEOUT = 5000;
+    const CLAIM_WINDOW = 500;
+    const FORWARD_TIMEOUT = 2000;
+    // Forward ids the leader has already put in its outbox; enough to cover a handover
+    const DELIVERED_LIMIT = 500;
+
+    let channel = null;
+    let tabId = null;
+    let leader = false;
+    let started = false;
+    let lastLeaderHeartbeat = 0;
+    let claimTimer = null;
+    const fingerprints = new Map();
+    const peers = new Map();
+    // Forwarded, not yet acknowledged: id -> { message, options, timer }
+    const forwarded = new Map();
+    // Forwarded messages that could not be kept in storage, sent again to the next leader
+    const waiting = [];
+    const delivered = new Set();
+
+    IIM.i18n.addMessages('en', {
+        'tabSync.merged': '"{name}" was also changed in another tab; the changes were merged'
+    });
+
+    IIM.tabSync = {
+        start: function() {
+            if (started) return;
+            started = true;
+            tabId = IIM.generateId();
+
+            if (!window.BroadcastChannel) {
+                // Nothing to coordinate with; behave like a single tab
+                becomeLeader();
+                return;
+            }
+
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = event => handleMessage(event.data);
+            window.addEventListener('pagehide', () => post({ type: 'tab_closed' }));
+
+            if (navigator.locks && navigator.locks.request) {
+                // Held until this tab goes away; the next waiting tab then takes over
+                navigator.locks.request(LOCK_NAME, () => {
+                    becomeLeader();
+                    return new Promise(() => {});
+                });
+            } else {
+                startHeartbeatElection();
+            }
+            post({ type: 'hello' });
+        },
+
+        isLeader: function() {
+            return leader;
+        },
+
+        getTabId: function() {
+            return tabId;
+        },
+
+        // Sessions the other tabs currently have open: Map of tabId -> sessionId
+        getPeers: function() {
+            return new Map(peers);
+        },
+
+        // Records sessions as matching what every tab already has (e.g. just loaded from storage)
+        markSynced: function(sessions) {
+            sessions.forEach(session => fingerprints.set(session.id, fingerprint(session)));
+        },
+
+        // Broadcasts every session changed in this tab since the last sync
+        publishChanges: function() {
+            IIM.state.sessions.forEach(session => {
+                if (fingerprints.get(session.id) !== fingerprint(session)) {
+                    IIM.tabSync.publishSession(session);
+                }
+            });
+        },
+
+        publishSession: function(session) {
+            const baseRevision = session.revision || 0;
+            IIM.store.dispatch('session/updated', {
+                sessionId: session.id,
+                changes: { revision: baseRevision + 1, updatedBy: tabId }
+            });
+            const published = findSession(session.id) || session;
+            fingerprints.set(published.id, fingerprint(published));
+            post({ type: 'session_updated', session: published, baseRevision: baseRevision });
+        },
+
+        publishSelection: function(sessionId) {
+            post({ type: 'session_selected', sessionId: sessionId });
+        },
+
+        // Called by the leader's connection for every server message
+        relayMessage: function(data) {
+            if (leader) post({ type: 'ws_message', data: data });
+        },
+
+        relayConnectionStatus: function(status, detail) {
+            if (leader) post({ type: 'connection_status', status: status, detail: detail });
+        },
+
+        // Followers hand outgoing WebSocket messages to the leader; returns false
+        // like a queued send, since the leader may not be connected either
+        forwardToLeader: function(message, options = {}) {
+            const id = IIM.generateId();
+            forwarded.set(id, {
+                message: message,
+                options: options,
+                timer: setTimeout(() => unacknowledged(id), FORWARD_TIMEOUT)
+            });
+            post({ type: 'ws_send', id: id, message: message, options: options });
+            return false;
+        },
+
+        // Whether this tab, as leader, already took the forwarded message with this id
+        wasDelivered: function(id) {
+            return delivered.has(id);
+        },
+
+        mergeSessions: mergeSessions,
+
+        // Content hash that ignores sync bookkeeping (revision, updated, updatedBy)
+        fingerprint: fingerprint
+    };
+
+    // --- Messaging ---
+    function post(message) {
+        if (!channel) return;
+        try {
+            // Structured clone; strip anything that can't be cloned (DOM nodes, functions)
+            channel.postMessage(Object.assign({ from: tabId }, JSON.parse(JSON.stringify(message))));
+        } catch (error) {
+            console.error('Failed to broadcast to other tabs:', message.type, error);
+        }
+    }
+
+    function handleMessage(message) {
+        if (!message || message.from === tabId) return;
+
+        switch (message.type) {
+            case 'hello':
+                // Tell the newcomer what we have open and who leads
+                post({ type: 'session_selected', sessionId: IIM.state.currentSession });
+                if (leader) {
+                    post({ type: 'leader' });
+                    post({ type: 'connection_status', status: IIM.state.connectionStatus, detail: {} });
+                }
+                break;
+            case 'leader':
+            case 'heartbeat':
+                lastLeaderHeartbeat = Date.now();
+                if (claimTimer) {
+                    clearTimeout(claimTimer);
+                    claimTimer = null;
+                }
+                if (message.type === 'leader') {
+                    waiting.splice(0).forEach(entry => IIM.tabSync.forwardToLeader(entry.message, entry.options));
+                }
+                break;
+            case 'claim':
+                if (leader) {
+                    post({ type: 'leader' });
+                }
+                // Lowest id wins a heartbeat election
+                if (claimTimer && message.from < tabId) {
+                    clearTimeout(claimTimer);
+                    claimTimer = null;
+                    lastLeaderHeartbeat = Date.now();
+                }
+                break;
+            case 'tab_closed':
+                peers.delete(message.from);
+                IIM.renderSessions();
+                break;
+            case 'session_selected':
+                peers.set(message.from, message.sessionId);
+                IIM.renderSessions();
+                break;
+            case 'session_updated':
+                receiveSession(message.session, message.baseRevision);
+                break;
+            case 'ws_message':
+                if (!leader) IIM.handleWebSocketMessage(message.data);
+                break;
+            case 'ws_send':
+                if (!leader) break;
+                // Sent or in the outbox (and saved) either way; that is what the sender waits for
+                IIM.connection.send(message.message, message.options);
+                remember(message.id);
+                post({ type: 'ws_ack', id: message.id, to: message.from });
+                break;
+            case 'ws_ack':
+                if (message.to === tabId) acknowledged(message.id);
+                break;
+            case 'outbox_waiting':
+                if (leader) IIM.offline.replay();
+                break;
+            case 'connection_status':
+                if (!leader) IIM.updateConnectionStatus(message.status, message.detail);
+                break;
+        }
+    }
+
+    // --- Leader election ---
+    function becomeLeader() {
+        if (leader) return;
+        leader = true;
+        console.log('This tab is now the IIM leader');
+        post({ type: 'leader' });
+
+        if (!navigator.locks && channel) {
+            setInterval(() => post({ type: 'heartbeat' }), HEARTBEAT_INTERVAL);
+        }
+
+        // Take over the WebSocket (a no-op for the first tab before init runs)
+        if (IIM.config.wsEndpoint && IIM.initWebSocket) {
+            IIM.initWebSocket();
+        }
+
+        // Whatever this tab forwarded to the old leader without an answer is ours to send now
+        forwarded.forEach((entry, id) => {
+            clearTimeout(entry.timer);
+            forwarded.delete(id);
+            IIM.connection.send(entry.message, entry.options);
+        });
+        waiting.splice(0).forEach(entry => IIM.connection.send(entry.message, entry.options));
+    }
+
+    // --- Forwarding ---
+    function acknowledged(id) {
+        const entry = forwarded.get(id);
+        if (entry) {
+            clearTimeout(entry.timer);
+            forwarded.delete(id);
+            return;
+        }
+        // Answered after all, but late: it was kept for the next leader, and must not go twice
+        IIM.offline.removeForwarded(id);
+    }
+
+    function unacknowledged(id) {
+        const entry = forwarded.get(id);
+        if (!entry) return;
+        forwarded.delete(id);
+        // Stale messages (e.g. stream_cancel) aren't worth keeping
+        if (entry.options.queue === false) return;
+        if (leader) {
+            IIM.connection.send(entry.message, entry.options);
+            return;
+        }
+        IIM.offline.keepForwarded(id, entry.message).then(kept => {
+            if (kept) {
+                post({ type: 'outbox_waiting' });
+            } else {
+                waiting.push(entry);
+            }
+        });
+    }
+
+    function remember(id) {
+        if (!id) return;
+        delivered.add(id);
+        if (delivered.size > DELIVERED_LIMIT) {
+            delivered.delete(delivered.values().next().value);
+        }
+    }
+
+    function startHeartbeatElection() {
+        lastLeaderHeartbeat = Date.now();
+        setInterval(() => {
+            if (leader || claimTimer || Date.now() - lastLeaderHeartbeat < LEADER_TIMEOUT) return;
+
+            // No leader heard from; claim it unless a tab with a lower id does too
+            post({ type: 'claim' });
+            claimTimer = setTimeout(() => {
+                claimTimer = null;
+                becomeLeader();
+            }, CLAIM_WINDOW);
+        }, HEARTBEAT_INTERVAL);
+
+        // Start without waiting a full timeout when we're the only tab
+        claimTimer = setTimeout(() => {
+            claimTimer = null;
+            if (Date.now() - lastLeaderHeartbeat >= CLAIM_WINDOW) {
+                post({ type: 'claim' });
+                claimTimer = setTimeout(() => {
+                    claimTimer = null;
+                    becomeLeader();
+                }, CLAIM_WINDOW);
+            }
+        }, CLAIM_WINDOW);
+    }
+
+    // --- Session sync ---
+    function receiveSession(incoming, baseRevision) {
+        const local = findSession(incoming.id);
+
+        if (!local) {
+            IIM.store.dispatch('session/upserted', { session: incoming });
+            fingerprints.set(incoming.id, fingerprint(incoming));
+            persist(incoming);
+            return;
+        }
+
+        const localRevision = local.revision || 0;
+        const changedHere = fingerprints.get(local.id) !== fingerprint(local);
+
+        if (!changedHere && (baseRevision === localRevision || incoming.revision > localRevision)) {
+            // A straightforward newer version
+            const next = applySession(local, incoming);
+            fingerprints.set(next.id, fingerprint(next));
+            persist(next);
+            return;
+        }
+
+        // Both tabs changed the session: merge, and share the result if it differs from theirs
+        const merged = mergeSessions(local, incoming);
+        const mergedPrint = fingerprint(merged);
+        const gainedRemote = mergedPrint !== fingerprint(local);
+        const gainedLocal = mergedPrint !== fingerprint(incoming);
+        merged.revision = Math.max(localRevision, incoming.revision || 0);
+        const next = applySession(local, merged);
+
+        if (gainedLocal) {
+            IIM.tabSync.publishSession(next);
+            if (gainedRemote) {
+                IIM.showNotification(IIM.t('tabSync.merged', { name: next.name }), 'warning');
+            }
+        } else {
+            fingerprints.set(next.id, fingerprint(next));
+        }
+        persist(findSession(next.id));
+    }
+
+    // Deterministic: both tabs arrive at the same result regardless of which merges
+    function mergeSessions(a, b) {
+        const newer = compareVersions(a, b) >= 0 ? a : b;
+        const merged = Object.assign({}, newer);
+
+        // Branches are only ever added; messages an edit or regeneration moved into a
+        // revision branch on either side stay out of the transcript
+        const branches = new Map();
+        (a.branches || []).concat(b.branches || []).forEach(branch => {
+            branches.set(branch.id, branch);
+        });
+        const archived = new Set();
+        branches.forEach(branch => {
+            (branch.messages || []).forEach(message => archived.add(messageKey(message)));
+        });
+        if (branches.size) merged.branches = Array.from(branches.values());
+
+        // Transcripts are append-only in practice: keep the shared prefix (the newer
+        // copy, which has the latest pins and notes), then both tails
+        const aMessages = (a.messages || []).filter(message => !archived.has(messageKey(message)));
+        const bMessages = (b.messages || []).filter(message => !archived.has(messageKey(message)));
+        let prefix = 0;
+        while (prefix < aMessages.length && prefix < bMessages.length &&
+            messageKey(aMessages[prefix]) === messageKey(bMessages[prefix])) {
+            prefix++;
+        }
+        const tails = new Map();
+        aMessages.slice(prefix).concat(bMessages.slice(prefix)).forEach(message => {
+            tails.set(messageKey(message), message);
+        });
+        merged.messages = (newer === a ? aMessages : bMessages).slice(0, prefix)
+            .concat(Array.from(tails.values()).sort(compareMessages));
+
+        const context = new Map();
+        (a.context || []).concat(b.context || []).forEach(item => {
+            context.set(item.id || JSON.stringify(item), item);
+        });
+        merged.context = Array.from(context.entries())
+            .sort((x, y) => (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0))
+            .map(entry => entry[1]);
+
+        return merged;
+    }
+
+    function compareVersions(a, b) {
+        const updatedA = a.updated || '';
+        const updatedB = b.updated || '';
+        if (updatedA !== updatedB) return updatedA > updatedB ? 1 : -1;
+        const byA = a.updatedBy || '';
+        const byB = b.updatedBy || '';
+        return byA === byB ? 0 : byA > byB ? 1 : -1;
+    }
+
+    function compareMessages(x, y) {
+        const timeX = x.timestamp || x.created || '';
+        const timeY = y.timestamp || y.created || '';
+        if (timeX !== timeY) return timeX < timeY ? -1 : 1;
+        const keyX = messageKey(x);
+        const keyY = messageKey(y);
+        return keyX < keyY ? -1 : keyX > keyY ? 1 : 0;
+    }
+
+    function messageKey(message) {
+        return message.id || `${message.role}|${message.timestamp || message.created || ''}|${message.content}`;
+    }
+
+    // Replaces the stored session, reusing local message objects where the transcript only grew
+    // (the message list keys its rendering on them); returns the new session
+    function applySession(local, incoming) {
+        const localMessages = local.messages || [];
+        const incomingMessages = incoming.messages || [];
+        const appendOnly = localMessages.length <= incomingMessages.length &&
+            localMessages.every((message, index) => messageKey(message) === messageKey(incomingMessages[index]));
+        const added = appendOnly ? incomingMessages.slice(localMessages.length) : [];
+
+        const next = Object.assign({}, incoming, { messages: appendOnly ? localMessages.concat(added) : incomingMessages });
+        IIM.store.dispatch('session/upserted', { session: next });
+
+        if (next.id === IIM.state.currentSession) {
+            if (appendOnly) {
+                added.forEach(message => IIM.messageList.append(message, { animate: false }));
+            } else {
+                IIM.loadSession(next);
+            }
+        }
+        return findSession(next.id);
+    }
+
+    // The leader is the tab that writes other tabs' changes to storage
+    function persist(session) {
+        if (!leader) return;
+        IIM.sessionStore.saveSession(session).catch(error => {
+            console.error('Failed to save session from another tab:', error);
+        });
+    }
+
+    function findSession(sessionId) {
+        return IIM.state.sessions.find(s => s.id === sessionId);
+    }
+
+    // Cheap change detection; sync bookkeeping fields are left out
+    function fingerprint(session) {
+        const json = JSON.stringify(Object.assign({}, session, { revision: undefined, updatedBy: undefined, updated: undefined }));
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < json.length; i++) {
+            hash ^= json.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${json.length}:${(hash >>> 0).toString(16)}`;
+    }
+
+})(window.IIM);
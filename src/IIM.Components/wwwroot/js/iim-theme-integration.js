@@ -29,18 +29,70 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
         document.cookie = name + "=; Max-Age=-99999999; path=/";
     }
 
-    // --- Theme Mode ---
+    // --- Messages ---
+    // English text, registered with IIM.i18n when it is loaded (the IIM hosts load it first)
+    // and used as is when this file runs on its own
+    const MESSAGES = {
+        'theme.variables': 'Theme variables',
+        'theme.variablePrimary': 'Primary',
+        'theme.variablePrimaryDark': 'Primary (dark)',
+        'theme.variableSecondary': 'Secondary',
+        'theme.variableTertiary': 'Tertiary',
+        'theme.variableSuccess': 'Success',
+        'theme.variableDanger': 'Danger',
+        'theme.variableWarning': 'Warning',
+        'theme.variableInfo': 'Info',
+        'theme.variableFontScale': 'Font scale',
+        'theme.variableSpacing': 'Spacing',
+        'theme.backgroundMissing': 'The custom background could not be found, so the theme cover is shown instead'
+    };
+    if (window.IIM && window.IIM.i18n) window.IIM.i18n.addMessages('en', MESSAGES);
+    function text(key, fallback) {
+        return window.IIM && window.IIM.t ? window.IIM.t(key) : (MESSAGES[key] || fallback);
+    }
+
+    // --- OS preferences ---
+    // Defaults for anything the user has not set explicitly; they follow the OS live
+    const MEDIA_QUERIES = {
+        dark: '(prefers-color-scheme: dark)',
+        reducedMotion: '(prefers-reduced-motion: reduce)',
+        moreContrast: '(prefers-contrast: more)',
+        forcedColors: '(forced-colors: active)'
+    };
+    function mediaMatches(query) {
+        return !!(window.matchMedia && window.matchMedia(query).matches);
+    }
+    function systemThemeMode() {
+        return mediaMatches(MEDIA_QUERIES.dark) ? 'dark' : 'light';
+    }
+    function systemHighContrast() {
+        return mediaMatches(MEDIA_QUERIES.moreContrast) || mediaMatches(MEDIA_QUERIES.forcedColors);
+    }
+    function systemAnimations() {
+        return !mediaMatches(MEDIA_QUERIES.reducedMotion);
+    }
+
+    // --- Theme Mode ("auto" follows prefers-color-scheme) ---
+    function applyThemeMode(mode) {
+        document.documentElement.setAttribute("data-bs-theme", mode === "dark" || mode === "light" ? mode : systemThemeMode());
+    }
     IIMTheme.setThemeMode = function (mode) {
         const html = document.documentElement;
-        if (mode === "dark" || mode === "light") {
-            html.setAttribute("data-bs-theme", mode);
+        if (mode === "dark" || mode === "light" || mode === "auto") {
+            applyThemeMode(mode);
             setCookie("app-theme-mode", mode, 365);
+            notifyChange();
             return true;
         }
         html.removeAttribute("data-bs-theme");
         deleteCookie("app-theme-mode");
         return false;
     };
+    // "dark" or "light" - what auto currently resolves to
+    IIMTheme.getResolvedThemeMode = function () {
+        const mode = getCookie("app-theme-mode") || "auto";
+        return mode === "auto" ? systemThemeMode() : mode;
+    };
 
     // --- Theme Color (still assumes a class, e.g. theme-color-blue) ---
     IIMTheme.setThemeColor = function (themeClass) {
@@ -71,22 +123,72 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
         return true;
     };
 
-    // --- Restore theme mode/cover at startup ---
+    // --- Restore theme mode/cover at startup (run at the end of this file) ---
     function restoreTheme() {
-        // Theme mode
-        const mode = getCookie("app-theme-mode");
-        if (mode) IIMTheme.setThemeMode(mode);
+        // Theme mode; without a saved choice it follows the OS
+        applyThemeMode(getCookie("app-theme-mode") || "auto");
         // Theme color
         const tColor = getCookie("app-theme");
         if (tColor) IIMTheme.setThemeColor(tColor);
         // Theme cover
         const cover = getCookie("app-theme-cover");
         if (cover) IIMTheme.setThemeCover(cover);
+        // Text direction; set with the locale, or chosen by hand afterwards
+        const direction = getCookie("app-theme-direction");
+        if (direction) document.documentElement.setAttribute("dir", direction);
+        // Edited CSS variables
+        setVariables(readStoredVariables());
+        // Custom background from IndexedDB
+        restoreBackground();
+        // Body classes, including OS-derived contrast and motion defaults
+        const settings = IIMTheme.loadIIMSettings();
+        toggleBodyClass('compact-mode', settings.compactMode);
+        toggleBodyClass('high-contrast', settings.highContrast);
+        toggleBodyClass('no-animations', !settings.animations);
+        watchSystemPreferences();
     }
-    if (document.readyState === "loading") {
-        document.addEventListener("DOMContentLoaded", restoreTheme);
-    } else {
-        restoreTheme();
+
+    // Re-applies OS-derived settings when the OS changes; explicit choices are untouched
+    function watchSystemPreferences() {
+        if (!window.matchMedia) return;
+        Object.keys(MEDIA_QUERIES).forEach(function (key) {
+            const list = window.matchMedia(MEDIA_QUERIES[key]);
+            const onChange = function () {
+                applyThemeMode(getCookie("app-theme-mode") || "auto");
+                const settings = IIMTheme.loadIIMSettings();
+                toggleBodyClass('high-contrast', settings.highContrast);
+                toggleBodyClass('no-animations', !settings.animations);
+                notifyChange();
+            };
+            if (list.addEventListener) list.addEventListener('change', onChange);
+            else if (list.addListener) list.addListener(onChange);
+        });
+    }
+
+    function toggleBodyClass(name, enabled) {
+        if (enabled) document.body.classList.add(name);
+        else document.body.classList.remove(name);
+    }
+
+    // Tells Blazor (through the IIM interop bus, when loaded) what is in effect now
+    function notifyChange() {
+        const IIM = window.IIM;
+        if (!IIM || !IIM.interop) return;
+        const settings = IIMTheme.loadIIMSettings();
+        IIM.interop.emit('themeChanged', {
+            themeMode: getCookie("app-theme-mode") || "auto",
+            resolvedThemeMode: IIMTheme.getResolvedThemeMode(),
+            highContrast: settings.highContrast,
+            animations: settings.animations
+        }).catch(function () {});
+    }
+    if (window.IIM && window.IIM.interop) {
+        window.IIM.interop.defineEvent('themeChanged', {
+            themeMode: 'string',
+            resolvedThemeMode: 'string',
+            highContrast: 'boolean',
+            animations: 'boolean'
+        });
     }
 
     // --- Direction (LTR/RTL, sets attribute) ---
@@ -105,7 +207,7 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
     // --- Get settings from cookies ---
     IIMTheme.getCurrentSettings = function () {
         return {
-            themeMode: getCookie('app-theme-mode') || 'dark',
+            themeMode: getCookie('app-theme-mode') || 'auto',
             themeClass: getCookie('app-theme') || '',
             themeCover: getCookie('app-theme-cover') || '',
             themeDirection: getCookie('app-theme-direction') || 'ltr'
@@ -118,38 +220,302 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
         else document.body.classList.remove('compact-mode');
         localStorage.setItem('iim-compact-mode', enabled.toString());
     };
+    // High contrast and animations default from the OS; null clears the user's choice
     IIMTheme.setHighContrast = function (enabled) {
-        if (enabled) document.body.classList.add('high-contrast');
-        else document.body.classList.remove('high-contrast');
-        localStorage.setItem('iim-high-contrast', enabled.toString());
+        if (enabled === null || enabled === undefined) localStorage.removeItem('iim-high-contrast');
+        else localStorage.setItem('iim-high-contrast', enabled.toString());
+        toggleBodyClass('high-contrast', IIMTheme.loadIIMSettings().highContrast);
+        notifyChange();
     };
     IIMTheme.setAnimations = function (enabled) {
-        if (!enabled) document.body.classList.add('no-animations');
-        else document.body.classList.remove('no-animations');
-        localStorage.setItem('iim-animations', enabled.toString());
-    };
-    // Custom background image (overrides theme cover)
-    IIMTheme.setCustomBackground = function (imageUrl) {
-        if (imageUrl) {
-            document.body.style.backgroundImage = 'url(' + imageUrl + ')';
-            document.body.style.backgroundSize = 'cover';
-            document.body.style.backgroundPosition = 'center';
-            document.body.style.backgroundAttachment = 'fixed';
-            // Remove bg-cover-* from <html>
-            const html = document.documentElement;
-            html.className = html.className.replace(/\bbg-cover-\d+\b/g, '').trim();
-            localStorage.setItem('iim-custom-bg', imageUrl);
+        if (enabled === null || enabled === undefined) localStorage.removeItem('iim-animations');
+        else localStorage.setItem('iim-animations', enabled.toString());
+        toggleBodyClass('no-animations', !IIMTheme.loadIIMSettings().animations);
+        notifyChange();
+    };
+    // Drops explicit mode, contrast and animation choices so all three follow the OS again
+    IIMTheme.followSystemPreferences = function () {
+        IIMTheme.setThemeMode('auto');
+        IIMTheme.setHighContrast(null);
+        IIMTheme.setAnimations(null);
+        return true;
+    };
+    // --- Custom background (overrides theme cover) ---
+    // Only local images: a picked file, or a data: URL from older settings and
+    // profiles. The image is checked, downscaled and re-encoded, kept as a Blob in
+    // IndexedDB and shown through an object URL, so nothing user-supplied reaches
+    // CSS text and air-gapped machines never fetch a remote URL.
+    const BACKGROUND_DB = 'iim-theme';
+    const BACKGROUND_STORE = 'assets';
+    const BACKGROUND_KEY = 'custom-background';
+    // 'stored' while IndexedDB holds the image (older versions kept the URL itself here)
+    const BACKGROUND_FLAG = 'iim-custom-bg';
+    const BACKGROUND_OVERLAY_KEY = 'iim-custom-bg-overlay';
+    const BACKGROUND_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+    const BACKGROUND_MAX_BYTES = 20 * 1024 * 1024;
+    const BACKGROUND_MAX_EDGE = 2560;
+    const DATA_IMAGE_URL = /^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/=]+)$/;
+    let backgroundUrl = null;
+
+    function openBackgroundDb() {
+        return new Promise(function (resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(BACKGROUND_DB, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(BACKGROUND_STORE);
+            };
+            request.onsuccess = function () { resolve(request.result); };
+            request.onerror = function () { reject(request.error); };
+        });
+    }
+
+    function backgroundTransaction(mode, run) {
+        return openBackgroundDb().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                const tx = db.transaction(BACKGROUND_STORE, mode);
+                const request = run(tx.objectStore(BACKGROUND_STORE));
+                tx.oncomplete = function () {
+                    db.close();
+                    resolve(request.result);
+                };
+                tx.onerror = tx.onabort = function () {
+                    db.close();
+                    reject(tx.error);
+                };
+            });
+        });
+    }
+
+    function dataUrlToBlob(url) {
+        const match = DATA_IMAGE_URL.exec(url);
+        let binary;
+        try {
+            binary = atob(match[2]);
+        } catch (error) {
+            throw new Error('The image data is damaged');
+        }
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: match[1] });
+    }
+
+    function decodeImage(blob) {
+        if (window.createImageBitmap) return createImageBitmap(blob);
+        return new Promise(function (resolve, reject) {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = function () {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = function () {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image decoding failed'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Resolves with a JPEG no larger than BACKGROUND_MAX_EDGE on its long side.
+    // Re-encoding also drops metadata and anything appended to the image data.
+    function prepareBackground(blob) {
+        if (!BACKGROUND_TYPES.includes(blob.type)) {
+            return Promise.reject(new Error('Use a PNG, JPEG, WebP or GIF image'));
+        }
+        if (blob.size > BACKGROUND_MAX_BYTES) {
+            return Promise.reject(new Error('The image is larger than 20MB'));
+        }
+        return decodeImage(blob).catch(function () {
+            throw new Error('The file could not be read as an image');
+        }).then(function (image) {
+            const scale = Math.min(1, BACKGROUND_MAX_EDGE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            if (image.close) image.close();
+            return new Promise(function (resolve, reject) {
+                canvas.toBlob(function (result) {
+                    if (result) resolve(result);
+                    else reject(new Error('The image could not be converted'));
+                }, 'image/jpeg', 0.85);
+            });
+        });
+    }
+
+    function showBackground(blob) {
+        if (backgroundUrl) URL.revokeObjectURL(backgroundUrl);
+        backgroundUrl = URL.createObjectURL(blob);
+        document.body.style.setProperty('--iim-custom-bg-image', 'url("' + backgroundUrl + '")');
+        document.body.classList.add('iim-custom-background');
+        // Remove bg-cover-* from <html>
+        const html = document.documentElement;
+        html.className = html.className.replace(/\bbg-cover-\d+\b/g, '').trim();
+    }
+
+    function hideBackground() {
+        if (backgroundUrl) URL.revokeObjectURL(backgroundUrl);
+        backgroundUrl = null;
+        document.body.style.removeProperty('--iim-custom-bg-image');
+        document.body.classList.remove('iim-custom-background');
+    }
+
+    // Rejects with a message suitable for the user when the image is not accepted
+    function useBackground(value) {
+        let source;
+        if (value instanceof Blob) {
+            source = Promise.resolve(value);
+        } else if (typeof value === 'string' && DATA_IMAGE_URL.test(value)) {
+            // Decoded inside the chain, so bad base64 rejects instead of throwing
+            source = Promise.resolve(value).then(dataUrlToBlob);
         } else {
-            document.body.style.backgroundImage = '';
-            localStorage.removeItem('iim-custom-bg');
+            return Promise.reject(new Error('Custom backgrounds must be local image files'));
+        }
+        return source.then(prepareBackground).then(function (prepared) {
+            showBackground(prepared);
+            return backgroundTransaction('readwrite', function (store) {
+                return store.put({ blob: prepared, savedAt: new Date().toISOString() }, BACKGROUND_KEY);
+            }).then(function () {
+                localStorage.setItem(BACKGROUND_FLAG, 'stored');
+            }, function (error) {
+                // Still shown; it just will not survive a reload
+                console.warn('Custom background could not be stored:', error);
+                localStorage.removeItem(BACKGROUND_FLAG);
+            });
+        });
+    }
+
+    // Accepts a Blob/File or a data:image URL; '' removes the background.
+    // Resolves false when the value is rejected (remote URLs always are).
+    IIMTheme.setCustomBackground = function (value) {
+        if (!value) {
+            hideBackground();
+            localStorage.removeItem(BACKGROUND_FLAG);
+            return backgroundTransaction('readwrite', function (store) {
+                return store.delete(BACKGROUND_KEY);
+            }).then(function () { return true; }, function () { return true; });
         }
+        return useBackground(value).then(function () { return true; }, function (error) {
+            console.warn('Custom background rejected:', error.message);
+            return false;
+        });
     };
+
+    // Picks an image through a file input; resolves { applied, error }
+    IIMTheme.uploadCustomBackground = function () {
+        let input = document.querySelector('.iim-custom-background-input');
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'file';
+            input.accept = BACKGROUND_TYPES.join(',');
+            input.className = 'iim-custom-background-input';
+            input.hidden = true;
+            document.body.appendChild(input);
+        }
+        return new Promise(function (resolve) {
+            function finish(result) {
+                input.removeEventListener('change', onChange);
+                input.removeEventListener('cancel', onCancel);
+                input.value = '';
+                resolve(result);
+            }
+            function onChange() {
+                const file = input.files[0];
+                if (!file) {
+                    finish({ applied: false, error: null });
+                    return;
+                }
+                useBackground(file).then(function () {
+                    finish({ applied: true, error: null });
+                }, function (error) {
+                    finish({ applied: false, error: error.message });
+                });
+            }
+            function onCancel() {
+                finish({ applied: false, error: null });
+            }
+            input.addEventListener('change', onChange);
+            input.addEventListener('cancel', onCancel);
+            IIMTheme.triggerFileInput('.iim-custom-background-input');
+        });
+    };
+
+    // Object URL of the background being shown, or ''
+    IIMTheme.getCustomBackgroundUrl = function () {
+        return backgroundUrl || '';
+    };
+
+    // Dim (0-0.8) and blur (0-20px) layered over the background for readability
+    IIMTheme.getBackgroundOverlay = function () {
+        let overlay = {};
+        try {
+            overlay = JSON.parse(localStorage.getItem(BACKGROUND_OVERLAY_KEY) || '{}') || {};
+        } catch (e) {
+            overlay = {};
+        }
+        return {
+            dim: clamp(overlay.dim, 0, 0.8, 0.3),
+            blur: clamp(overlay.blur, 0, 20, 0)
+        };
+    };
+    IIMTheme.setBackgroundOverlay = function (dim, blur) {
+        const overlay = { dim: clamp(dim, 0, 0.8, 0.3), blur: clamp(blur, 0, 20, 0) };
+        localStorage.setItem(BACKGROUND_OVERLAY_KEY, JSON.stringify(overlay));
+        applyBackgroundOverlay();
+        return true;
+    };
+
+    function clamp(value, min, max, fallback) {
+        const number = Number(value);
+        if (value === null || value === undefined || value === '' || !isFinite(number)) return fallback;
+        return Math.min(max, Math.max(min, number));
+    }
+
+    function applyBackgroundOverlay() {
+        const overlay = IIMTheme.getBackgroundOverlay();
+        document.body.style.setProperty('--iim-custom-bg-dim', String(overlay.dim));
+        document.body.style.setProperty('--iim-custom-bg-blur', overlay.blur + 'px');
+    }
+
+    function restoreBackground() {
+        applyBackgroundOverlay();
+        const flag = localStorage.getItem(BACKGROUND_FLAG);
+        if (!flag) return;
+        if (flag !== 'stored') {
+            // An older version's raw URL; only inline images are carried over
+            localStorage.removeItem(BACKGROUND_FLAG);
+            if (DATA_IMAGE_URL.test(flag)) IIMTheme.setCustomBackground(flag);
+            return;
+        }
+        backgroundTransaction('readonly', function (store) {
+            return store.get(BACKGROUND_KEY);
+        }).then(function (record) {
+            if (!record || !record.blob) throw new Error('Stored background is missing');
+            showBackground(record.blob);
+        }).catch(function (error) {
+            // Site data cleared or the write never finished: fall back to the theme cover
+            console.warn('Custom background could not be restored:', error);
+            localStorage.removeItem(BACKGROUND_FLAG);
+            hideBackground();
+            const cover = getCookie('app-theme-cover');
+            if (cover) IIMTheme.setThemeCover(cover);
+            if (window.IIM && window.IIM.showNotification) {
+                window.IIM.showNotification(text('theme.backgroundMissing'), 'warning');
+            }
+        });
+    }
+    // Settings in effect: the user's choice where there is one, otherwise the OS preference
     IIMTheme.loadIIMSettings = function () {
+        const highContrast = localStorage.getItem('iim-high-contrast');
+        const animations = localStorage.getItem('iim-animations');
         return {
             compactMode: localStorage.getItem('iim-compact-mode') === 'true',
-            highContrast: localStorage.getItem('iim-high-contrast') === 'true',
-            animations: localStorage.getItem('iim-animations') !== 'false',
-            customBackground: localStorage.getItem('iim-custom-bg') || ''
+            highContrast: highContrast !== null ? highContrast === 'true' : systemHighContrast(),
+            animations: animations !== null ? animations !== 'false' : systemAnimations(),
+            customBackground: IIMTheme.getCustomBackgroundUrl()
         };
     };
     IIMTheme.applyIIMSettings = function (settings) {
@@ -159,24 +525,464 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
         if (settings.customBackground) IIMTheme.setCustomBackground(settings.customBackground);
     };
     IIMTheme.resetToDefaults = function () {
-        IIMTheme.setThemeMode('dark');
+        IIMTheme.setThemeMode('auto');
         IIMTheme.setThemeColor('');
         IIMTheme.setThemeCover('');
         IIMTheme.setDirection('ltr');
         IIMTheme.setCompactMode(false);
-        IIMTheme.setHighContrast(false);
-        IIMTheme.setAnimations(true);
+        IIMTheme.setHighContrast(null);
+        IIMTheme.setAnimations(null);
         IIMTheme.setCustomBackground('');
+        IIMTheme.resetVariables();
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
         localStorage.removeItem('iim-compact-mode');
-        localStorage.removeItem('iim-high-contrast');
-        localStorage.removeItem('iim-animations');
-        localStorage.removeItem('iim-custom-bg');
+        localStorage.removeItem(BACKGROUND_OVERLAY_KEY);
+        applyBackgroundOverlay();
     };
     IIMTheme.exportSettings = function () {
         var hudSettings = IIMTheme.getCurrentSettings();
         var iimSettings = IIMTheme.loadIIMSettings();
+        // The background image stays on this machine; its object URL means nothing elsewhere
+        delete iimSettings.customBackground;
         return { ...hudSettings, ...iimSettings };
     };
+    // --- CSS variable editor ---
+    // Only these custom properties can be edited, previewed or imported
+    const EDITABLE_VARIABLES = [
+        { name: '--iim-primary', label: 'theme.variablePrimary', type: 'color' },
+        { name: '--iim-primary-dark', label: 'theme.variablePrimaryDark', type: 'color' },
+        { name: '--iim-secondary', label: 'theme.variableSecondary', type: 'color' },
+        { name: '--iim-tertiary', label: 'theme.variableTertiary', type: 'color' },
+        { name: '--iim-success', label: 'theme.variableSuccess', type: 'color' },
+        { name: '--iim-danger', label: 'theme.variableDanger', type: 'color' },
+        { name: '--iim-warning', label: 'theme.variableWarning', type: 'color' },
+        { name: '--iim-info', label: 'theme.variableInfo', type: 'color' },
+        { name: '--iim-font-scale', label: 'theme.variableFontScale', type: 'scale', min: 0.8, max: 1.5, step: 0.05 },
+        { name: '--iim-spacing-scale', label: 'theme.variableSpacing', type: 'scale', min: 0.5, max: 1.5, step: 0.05 }
+    ];
+    const VARIABLES_KEY = 'iim-theme-variables';
+    let previewing = false;
+    let editor = null;
+
+    function findVariable(name) {
+        return EDITABLE_VARIABLES.find(function (variable) { return variable.name === name; });
+    }
+
+    // Returns the normalized value, or null if it is not valid for the variable
+    function normalizeVariable(variable, value) {
+        if (variable.type === 'color') {
+            return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? value.toLowerCase() : null;
+        }
+        const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+        if (!isFinite(number) || number < variable.min || number > variable.max) return null;
+        return String(number);
+    }
+
+    function validateVariables(variables, errors, path) {
+        const clean = {};
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+            errors.push(path + ' must be an object');
+            return clean;
+        }
+        Object.keys(variables).forEach(function (name) {
+            const variable = findVariable(name);
+            if (!variable) {
+                errors.push(path + '.' + name + ' is not an editable variable');
+                return;
+            }
+            const value = normalizeVariable(variable, variables[name]);
+            if (value === null) {
+                errors.push(path + '.' + name + (variable.type === 'color'
+                    ? ' must be a hex color'
+                    : ' must be a number from ' + variable.min + ' to ' + variable.max));
+                return;
+            }
+            clean[name] = value;
+        });
+        return clean;
+    }
+
+    function readStoredVariables() {
+        try {
+            // Invalid entries are dropped rather than applied
+            return validateVariables(JSON.parse(localStorage.getItem(VARIABLES_KEY) || '{}'), [], 'variables');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Replaces every editable variable on <html>; missing ones fall back to the stylesheet
+    function setVariables(variables) {
+        const style = document.documentElement.style;
+        EDITABLE_VARIABLES.forEach(function (variable) {
+            if (variables[variable.name] !== undefined) style.setProperty(variable.name, variables[variable.name]);
+            else style.removeProperty(variable.name);
+        });
+        // Font and spacing scales change message heights
+        if (window.IIM && window.IIM.messageList) window.IIM.messageList.refresh();
+    }
+
+    IIMTheme.getEditableVariables = function () {
+        return EDITABLE_VARIABLES.map(function (variable) { return Object.assign({}, variable); });
+    };
+
+    // Saved overrides only; unset variables use the stylesheet values
+    IIMTheme.getVariables = function () {
+        return readStoredVariables();
+    };
+
+    // Shows variables without saving them; applyVariables or cancelPreview ends the preview
+    IIMTheme.previewVariables = function (variables) {
+        const errors = [];
+        const clean = validateVariables(variables, errors, 'variables');
+        if (errors.length) return false;
+        previewing = true;
+        setVariables(Object.assign(readStoredVariables(), clean));
+        return true;
+    };
+
+    IIMTheme.cancelPreview = function () {
+        if (!previewing) return;
+        previewing = false;
+        setVariables(readStoredVariables());
+    };
+
+    // Saves and applies a full set of overrides; anything not in it goes back to default
+    IIMTheme.applyVariables = function (variables) {
+        const errors = [];
+        const clean = validateVariables(variables || {}, errors, 'variables');
+        if (errors.length) return false;
+        previewing = false;
+        if (Object.keys(clean).length) localStorage.setItem(VARIABLES_KEY, JSON.stringify(clean));
+        else localStorage.removeItem(VARIABLES_KEY);
+        setVariables(clean);
+        return true;
+    };
+
+    IIMTheme.resetVariables = function () {
+        return IIMTheme.applyVariables({});
+    };
+
+    // Floating editor: every change is previewed live, Apply saves, Cancel restores
+    IIMTheme.openVariableEditor = function () {
+        if (editor) {
+            editor.hidden = false;
+            return true;
+        }
+        const saved = readStoredVariables();
+        const computed = getComputedStyle(document.documentElement);
+
+        editor = document.createElement('section');
+        editor.className = 'iim-theme-editor';
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-label', text('theme.variables'));
+
+        const title = document.createElement('h2');
+        title.className = 'iim-theme-editor-title';
+        title.textContent = text('theme.variables');
+        editor.appendChild(title);
+
+        const inputs = {};
+        EDITABLE_VARIABLES.forEach(function (variable) {
+            const row = document.createElement('label');
+            row.className = 'iim-theme-editor-row';
+            const name = document.createElement('span');
+            name.textContent = text(variable.label);
+            const input = document.createElement('input');
+            const current = saved[variable.name] || computed.getPropertyValue(variable.name).trim();
+            if (variable.type === 'color') {
+                input.type = 'color';
+                input.value = normalizeVariable(variable, current) && current.length === 7 ? current : '#000000';
+            } else {
+                input.type = 'range';
+                input.min = variable.min;
+                input.max = variable.max;
+                input.step = variable.step;
+                input.value = normalizeVariable(variable, current) || '1';
+            }
+            input.dataset.variable = variable.name;
+            const value = document.createElement('output');
+            value.textContent = input.value;
+            input.addEventListener('input', function () {
+                value.textContent = input.value;
+                // Only variables the user touched are overridden
+                input.dataset.changed = 'true';
+                IIMTheme.previewVariables(collect());
+            });
+            row.append(name, input, value);
+            editor.appendChild(row);
+            inputs[variable.name] = input;
+            if (saved[variable.name] !== undefined) input.dataset.changed = 'true';
+        });
+
+        function collect() {
+            const variables = {};
+            Object.keys(inputs).forEach(function (name) {
+                if (inputs[name].dataset.changed) variables[name] = inputs[name].value;
+            });
+            return variables;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'iim-theme-editor-actions';
+        [
+            [text('common.reset', 'Reset'), false, function () {
+                IIMTheme.resetVariables();
+                close();
+            }],
+            [text('common.cancel', 'Cancel'), false, function () {
+                IIMTheme.cancelPreview();
+                close();
+            }],
+            [text('common.apply', 'Apply'), true, function () {
+                IIMTheme.applyVariables(collect());
+                close();
+            }]
+        ].forEach(function (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm ' + (action[1] ? 'btn-theme' : 'btn-outline-secondary');
+            button.textContent = action[0];
+            button.addEventListener('click', action[2]);
+            actions.appendChild(button);
+        });
+        editor.appendChild(actions);
+        editor.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                IIMTheme.cancelPreview();
+                close();
+            }
+        });
+
+        function close() {
+            editor.remove();
+            editor = null;
+        }
+
+        document.body.appendChild(editor);
+        editor.querySelector('input').focus();
+        return true;
+    };
+
+    // --- Theme profiles ---
+    // A profile is the settings the user chose plus the variable overrides, under a name.
+    // Contrast and animations that only follow the OS are left out, and so is the text
+    // direction, which follows the locale; applying a profile without them follows those again.
+    // Exported profiles are JSON: { format, version, name, settings, variables }.
+    const PROFILE_FORMAT = 'iim-theme-profile';
+    const PROFILE_VERSION = 1;
+    const PROFILES_KEY = 'iim-theme-profiles';
+    const ACTIVE_PROFILE_KEY = 'iim-theme-active-profile';
+    const SETTING_RULES = {
+        themeMode: function (v) { return v === 'dark' || v === 'light' || v === 'auto'; },
+        themeClass: function (v) { return v === '' || /^theme-[a-z0-9-]+$/.test(v); },
+        themeCover: function (v) { return v === '' || /^bg-cover-\d+$/.test(v); },
+        themeDirection: function (v) { return v === 'ltr' || v === 'rtl'; },
+        compactMode: function (v) { return typeof v === 'boolean'; },
+        highContrast: function (v) { return typeof v === 'boolean'; },
+        animations: function (v) { return typeof v === 'boolean'; },
+        // Only inline images; a profile must not point the app at another origin
+        customBackground: function (v) {
+            return v === '' || (typeof v === 'string' && v.length <= 8 * 1024 * 1024 && DATA_IMAGE_URL.test(v));
+        }
+    };
+
+    function chosenSettings() {
+        const settings = IIMTheme.exportSettings();
+        delete settings.themeDirection;
+        if (localStorage.getItem('iim-high-contrast') === null) delete settings.highContrast;
+        if (localStorage.getItem('iim-animations') === null) delete settings.animations;
+        return settings;
+    }
+
+    function readProfiles() {
+        try {
+            const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || '{}');
+            return profiles && typeof profiles === 'object' ? profiles : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function writeProfiles(profiles) {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    }
+
+    function cleanName(name) {
+        return typeof name === 'string' ? name.trim() : '';
+    }
+
+    // Returns { valid, errors, profile } where profile is the normalized copy
+    IIMTheme.validateProfile = function (data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, errors: ['Profile must be a JSON object'], profile: null };
+        }
+        if (data.format !== PROFILE_FORMAT) errors.push('format must be "' + PROFILE_FORMAT + '"');
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROFILE_VERSION) {
+            errors.push('version ' + data.version + ' is not supported');
+        }
+        const name = cleanName(data.name);
+        if (!name || name.length > 64) errors.push('name must be 1 to 64 characters');
+
+        const settings = {};
+        if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+            errors.push('settings must be an object');
+        } else {
+            Object.keys(data.settings).forEach(function (key) {
+                if (!SETTING_RULES[key]) errors.push('settings.' + key + ' is not a known setting');
+                else if (!SETTING_RULES[key](data.settings[key])) errors.push('settings.' + key + ' has an invalid value');
+                else settings[key] = data.settings[key];
+            });
+        }
+        const variables = validateVariables(data.variables || {}, errors, 'variables');
+
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            profile: errors.length ? null : {
+                format: PROFILE_FORMAT,
+                version: PROFILE_VERSION,
+                name: name,
+                settings: settings,
+                variables: variables
+            }
+        };
+    };
+
+    IIMTheme.listProfiles = function () {
+        const profiles = readProfiles();
+        return Object.keys(profiles).sort().map(function (name) {
+            return { name: name, savedAt: profiles[name].savedAt || null };
+        });
+    };
+
+    IIMTheme.getActiveProfile = function () {
+        const name = localStorage.getItem(ACTIVE_PROFILE_KEY);
+        return name && readProfiles()[name] ? name : null;
+    };
+
+    // Saves the current look under name, replacing a profile with the same name
+    IIMTheme.saveProfile = function (name) {
+        name = cleanName(name);
+        if (!name || name.length > 64) return false;
+        const settings = chosenSettings();
+        const profiles = readProfiles();
+        profiles[name] = {
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            name: name,
+            settings: settings,
+            variables: readStoredVariables(),
+            savedAt: new Date().toISOString()
+        };
+        writeProfiles(profiles);
+        localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+        return true;
+    };
+
+    IIMTheme.applyProfile = function (name) {
+        const profile = readProfiles()[name];
+        if (!profile) return false;
+        const result = IIMTheme.validateProfile(profile);
+        if (!result.valid) return false;
+
+        const settings = result.profile.settings;
+        if (settings.themeMode !== undefined) IIMTheme.setThemeMode(settings.themeMode);
+        if (settings.themeClass !== undefined) IIMTheme.setThemeColor(settings.themeClass);
+        if (settings.themeCover !== undefined) IIMTheme.setThemeCover(settings.themeCover);
+        // Older profiles saved themeDirection; the locale decides it now (see iim-i18n.js)
+        IIMTheme.applyIIMSettings(settings);
+        if (settings.highContrast === undefined) IIMTheme.setHighContrast(null);
+        if (settings.animations === undefined) IIMTheme.setAnimations(null);
+        IIMTheme.applyVariables(result.profile.variables);
+        localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+        return true;
+    };
+
+    IIMTheme.deleteProfile = function (name) {
+        const profiles = readProfiles();
+        if (!profiles[name]) return false;
+        delete profiles[name];
+        writeProfiles(profiles);
+        if (localStorage.getItem(ACTIVE_PROFILE_KEY) === name) localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        return true;
+    };
+
+    // JSON for a saved profile, or for the current look when name is omitted
+    IIMTheme.exportProfile = function (name) {
+        let profile;
+        if (name) {
+            profile = readProfiles()[name];
+            if (!profile) return null;
+        } else {
+            profile = {
+                format: PROFILE_FORMAT,
+                version: PROFILE_VERSION,
+                name: 'Current',
+                settings: chosenSettings(),
+                variables: readStoredVariables()
+            };
+        }
+        const copy = Object.assign({}, profile);
+        delete copy.savedAt;
+        return JSON.stringify(copy, null, 2);
+    };
+
+    IIMTheme.downloadProfile = function (name) {
+        const json = IIMTheme.exportProfile(name);
+        if (json === null) return false;
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'iim-theme-' + (name || 'current').replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() + '.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+        return true;
+    };
+
+    // Validates and saves a profile from JSON text (not applied).
+    // Returns { imported, name, errors }.
+    IIMTheme.importProfile = function (json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (e) {
+            return { imported: false, name: null, errors: ['File is not valid JSON'] };
+        }
+        const result = IIMTheme.validateProfile(data);
+        if (!result.valid) return { imported: false, name: null, errors: result.errors };
+
+        const profiles = readProfiles();
+        profiles[result.profile.name] = Object.assign({ savedAt: new Date().toISOString() }, result.profile);
+        writeProfiles(profiles);
+        return { imported: true, name: result.profile.name, errors: [] };
+    };
+
+    // Lets the user pick a profile file; resolves with importProfile's result
+    IIMTheme.importProfileFile = function () {
+        return new Promise(function (resolve) {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', function () {
+                const file = input.files[0];
+                if (!file) {
+                    resolve({ imported: false, name: null, errors: [] });
+                    return;
+                }
+                file.text().then(function (text) {
+                    resolve(IIMTheme.importProfile(text));
+                }, function () {
+                    resolve({ imported: false, name: null, errors: ['File could not be read'] });
+                });
+            });
+            input.click();
+        });
+    };
+
     IIMTheme.triggerFileInput = function (selector) {
         var input = document.querySelector(selector);
         if (input) {
@@ -186,4 +992,10 @@ window.IIMThemeIntegration = window.IIMThemeIntegration || {};
         return false;
     };
 
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", restoreTheme);
+    } else {
+        restoreTheme();
+    }
+
 })(window.IIMThemeIntegration);
@@ -0,0 +1,510 @@
+// IIM Uploads - chunked, resumable evidence uploads
+// Each file is hashed (SHA-256) before upload so the server can verify integrity
+// and skip duplicates, then sent in fixed-size chunks. Upload ids are remembered
+// per session + hash, so re-dropping a file after a network drop resumes it.
+//
+// Server protocol:
+//   POST   /files/uploads                      create; may answer { duplicate, result }
+//   GET    /files/uploads/{id}                 { receivedChunks: [index, ...] }
+//   PUT    /files/uploads/{id}/chunks/{index}  raw chunk bytes
+//   POST   /files/uploads/{id}/complete        processed file (same shape as /files/process)
+//   DELETE /files/uploads/{id}                 abandon
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const RESUME_KEY = 'iim_upload_resume';
+    const ACTIVE_STATES = ['hashing', 'uploading', 'retrying', 'paused'];
+    const uploads = [];
+    let active = 0;
+
+    IIM.i18n.addMessages('en', {
+        'uploads.queued': 'Queued',
+        'uploads.hashing': 'Hashing {percent}',
+        'uploads.uploading': 'Uploading {percent}',
+        'uploads.retrying': 'Retrying (attempt {attempt} of {total})',
+        'uploads.paused': 'Waiting for network',
+        'uploads.completed': 'Uploaded - SHA-256 {hash}...',
+        'uploads.cancelled': 'Cancelled',
+        'uploads.failed': 'Upload failed'
+    });
+
+    IIM.uploads = {
+        // Queues a file; resolves with the processed file data from the server
+        enqueue: function(file, metadata = {}, sessionId = IIM.state.currentSession) {
+            const upload = {
+                id: IIM.generateId(),
+                file: file,
+                metadata: metadata,
+                sessionId: sessionId,
+                status: 'queued',
+                sha256: null,
+                uploadId: null,
+                hashedBytes: 0,
+                uploadedBytes: 0,
+                attempt: 0,
+                error: null,
+                controller: null,
+                element: null
+            };
+            createDeferred(upload);
+            uploads.push(upload);
+            renderUpload(upload);
+            pump();
+            return upload.promise;
+        },
+
+        cancel: function(id) {
+            const upload = find(id);
+            if (!upload || upload.status === 'completed') return false;
+
+            if (upload.controller) {
+                upload.controller.abort();
+            }
+            if (upload.uploadId) {
+                request('DELETE', `/files/uploads/${upload.uploadId}`).catch(() => {});
+            }
+            forgetResume(upload);
+
+            const wasQueued = upload.status === 'queued';
+            setStatus(upload, 'cancelled');
+            if (wasQueued) {
+                upload.reject(new DOMException('Upload cancelled', 'AbortError'));
+            }
+            return true;
+        },
+
+        retry: function(id) {
+            const upload = find(id);
+            if (!upload || (upload.status !== 'failed' && upload.status !== 'cancelled')) return null;
+
+            upload.error = null;
+            upload.attempt = 0;
+            createDeferred(upload);
+            setStatus(upload, 'queued');
+            pump();
+            return upload.promise;
+        },
+
+        // Sends unfinished uploads again from the start, e.g. once the API endpoint
+        // has changed; their server-side upload ids belong to the old endpoint.
+        // Callers' promises stay pending and settle when the new attempt does.
+        restartActive: function() {
+            // Hashing doesn't involve the server; a hashed file may already be opening one
+            const restarting = uploads.filter(upload => ['uploading', 'retrying', 'paused'].includes(upload.status) ||
+                (upload.status === 'hashing' && upload.sha256));
+            restarting.forEach(upload => {
+                upload.restarting = true;
+                if (upload.controller) upload.controller.abort();
+            });
+            return restarting.length;
+        },
+
+        getAll: function() {
+            return uploads.map(upload => ({
+                id: upload.id,
+                name: upload.file.name,
+                size: upload.file.size,
+                status: upload.status,
+                sha256: upload.sha256,
+                uploadedBytes: upload.uploadedBytes,
+                error: upload.error
+            }));
+        },
+
+        // Drops a failed or cancelled upload from the list, e.g. once it is kept for later
+        // (see iim-offline.js); its resume point stays, so sending it again picks up there
+        discard: function(id) {
+            const index = uploads.findIndex(upload => upload.id === id);
+            if (index === -1 || !['cancelled', 'failed'].includes(uploads[index].status)) return false;
+            if (uploads[index].element) uploads[index].element.remove();
+            uploads.splice(index, 1);
+            return true;
+        },
+
+        clearFinished: function() {
+            for (let i = uploads.length - 1; i >= 0; i--) {
+                if (['completed', 'cancelled', 'failed'].includes(uploads[i].status)) {
+                    if (uploads[i].element) uploads[i].element.remove();
+                    uploads.splice(i, 1);
+                }
+            }
+        }
+    };
+
+    // --- Scheduling ---
+    function pump() {
+        while (active < IIM.config.maxParallelUploads) {
+            const next = uploads.find(upload => upload.status === 'queued');
+            if (!next) break;
+            run(next);
+        }
+    }
+
+    function run(upload) {
+        active++;
+        // Claim it now: pump() keeps looking for 'queued' uploads, and an already
+        // hashed one (retried or restarted) would otherwise stay queued until later
+        setStatus(upload, upload.sha256 ? 'uploading' : 'hashing');
+        // A cancelled run can still be settling when retry() starts the next one; it
+        // settles its own caller's promise and leaves the upload to the current run
+        const controller = new AbortController();
+        const signal = controller.signal;
+        const settle = { resolve: upload.resolve, reject: upload.reject };
+        const current = () => upload.controller === controller;
+        upload.controller = controller;
+        IIM.showProcessingIndicator(true);
+
+        hashFile(upload, signal)
+            .then(() => openUpload(upload, signal))
+            .then(server => {
+                if (server.duplicate) {
+                    upload.uploadedBytes = upload.file.size;
+                    return server.result;
+                }
+                return sendChunks(upload, server.receivedChunks || [], signal)
+                    .then(() => withRetry(upload, () => request('POST', `/files/uploads/${upload.uploadId}/complete`, {
+                        json: { sha256: upload.sha256 },
+                        signal: signal
+                    }), signal));
+            })
+            .then(result => {
+                // Finished after all, but the caller was told it was cancelled
+                if (!current()) {
+                    settle.reject(new DOMException('Upload cancelled', 'AbortError'));
+                    return;
+                }
+                forgetResume(upload);
+                setStatus(upload, 'completed');
+                settle.resolve(Object.assign({ sha256: upload.sha256 }, result));
+                setTimeout(() => {
+                    if (upload.status === 'completed' && upload.element) upload.element.remove();
+                }, 5000);
+            })
+            .catch(error => {
+                if (!current() || (signal.aborted && !upload.restarting)) {
+                    settle.reject(new DOMException('Upload cancelled', 'AbortError'));
+                    return;
+                }
+                if (upload.restarting) {
+                    upload.restarting = false;
+                    forgetResume(upload);
+                    upload.uploadId = null;
+                    upload.uploadedBytes = 0;
+                    upload.attempt = 0;
+                    setStatus(upload, 'queued');
+                    return;
+                }
+                console.error(`Upload of ${upload.file.name} failed:`, error);
+                upload.error = error.message || 'Upload failed';
+                setStatus(upload, 'failed');
+                // Lets callers offer IIM.uploads.retry for this upload
+                error.uploadId = upload.id;
+                settle.reject(error);
+            })
+            .finally(() => {
+                active--;
+                if (current()) upload.controller = null;
+                if (!uploads.some(u => ACTIVE_STATES.includes(u.status))) {
+                    IIM.showProcessingIndicator(false);
+                }
+                pump();
+            });
+    }
+
+    // --- Steps ---
+    function hashFile(upload, signal) {
+        if (upload.sha256) return Promise.resolve(upload.sha256);
+
+        setStatus(upload, 'hashing');
+        return IIM.sha256.digestBlob(upload.file, done => {
+            upload.hashedBytes = done;
+            renderUpload(upload);
+        }, signal).then(sha256 => {
+            upload.sha256 = sha256;
+            return sha256;
+        });
+    }
+
+    function openUpload(upload, signal) {
+        const resume = loadResume();
+        const key = resumeKey(upload);
+        const create = () => withRetry(upload, () => request('POST', '/files/uploads', {
+            json: Object.assign({}, upload.metadata, {
+                fileName: upload.file.name,
+                size: upload.file.size,
+                contentType: upload.file.type || 'application/octet-stream',
+                lastModified: upload.file.lastModified,
+                sha256: upload.sha256,
+                sessionId: upload.sessionId,
+                chunkSize: IIM.config.uploadChunkSize,
+                totalChunks: chunkCount(upload.file)
+            }),
+            signal: signal
+        }), signal).then(server => {
+            upload.uploadId = server.uploadId;
+            if (!server.duplicate) {
+                resume[key] = server.uploadId;
+                saveResume(resume);
+            }
+            return server;
+        });
+
+        if (!resume[key]) return create();
+
+        upload.uploadId = resume[key];
+        return withRetry(upload, () => request('GET', `/files/uploads/${upload.uploadId}`, { signal: signal }), signal)
+            .catch(error => {
+                // The server forgot the upload (expired or completed); start over
+                if (error.status === 404) {
+                    delete resume[key];
+                    saveResume(resume);
+                    return create();
+                }
+                throw error;
+            });
+    }
+
+    function sendChunks(upload, receivedChunks, signal) {
+        const chunkSize = IIM.config.uploadChunkSize;
+        const total = chunkCount(upload.file);
+        const received = new Set(receivedChunks);
+
+        upload.uploadedBytes = 0;
+        received.forEach(index => {
+            upload.uploadedBytes += chunkBounds(upload.file, index, chunkSize).size;
+        });
+        setStatus(upload, 'uploading');
+
+        const sendFrom = function(index) {
+            if (index >= total) return Promise.resolve();
+            if (received.has(index)) return sendFrom(index + 1);
+
+            const bounds = chunkBounds(upload.file, index, chunkSize);
+            return withRetry(upload, () => request('PUT', `/files/uploads/${upload.uploadId}/chunks/${index}`, {
+                body: upload.file.slice(bounds.start, bounds.end),
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${bounds.start}-${Math.max(bounds.start, bounds.end - 1)}/${upload.file.size}`
+                },
+                signal: signal
+            }), signal).then(() => {
+                upload.uploadedBytes += bounds.size;
+                setStatus(upload, 'uploading');
+                return sendFrom(index + 1);
+            });
+        };
+        return sendFrom(0);
+    }
+
+    // Retries transient failures with exponential backoff; waits out offline periods
+    function withRetry(upload, operation, signal) {
+        const attemptOnce = function() {
+            return operation().catch(error => {
+                if (signal.aborted) throw error;
+
+                const permanent = error.status >= 400 && error.status < 500 &&
+                    error.status !== 408 && error.status !== 429;
+                if (permanent || upload.attempt >= IIM.config.uploadRetries) throw error;
+
+                upload.attempt++;
+                const resumeStatus = upload.status;
+                const delay = Math.min(IIM.config.reconnectMaxDelay,
+                    IIM.config.reconnectBaseDelay * Math.pow(2, upload.attempt)) * (0.5 + Math.random() / 2);
+
+                setStatus(upload, navigator.onLine === false ? 'paused' : 'retrying');
+                return waitForRetry(delay, signal).then(() => {
+                    setStatus(upload, resumeStatus);
+                    return attemptOnce();
+                });
+            }).then(result => {
+                upload.attempt = 0;
+                return result;
+            });
+        };
+        return attemptOnce();
+    }
+
+    function waitForRetry(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                signal.removeEventListener('abort', abort);
+                resolve();
+            };
+            const abort = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            };
+            // While offline there is no point in timing out; resume as soon as we're back
+            const timer = navigator.onLine === false ? null : setTimeout(done, delay);
+            window.addEventListener('online', done);
+            signal.addEventListener('abort', abort);
+        });
+    }
+
+    // --- HTTP ---
+    // Every evidence call (/files/uploads*) goes through here, so unless a host without
+    // sign-in turns requireUploadAuth off, evidence never goes to the server anonymously
+    function request(method, path, options = {}) {
+        const auth = IIM.config.requireUploadAuth ? 'required' : 'optional';
+        return IIM.http.request(method, path, Object.assign({ auth: auth }, options));
+    }
+
+    // --- Helpers ---
+    function find(id) {
+        return uploads.find(upload => upload.id === id);
+    }
+
+    function createDeferred(upload) {
+        upload.promise = new Promise((resolve, reject) => {
+            upload.resolve = resolve;
+            upload.reject = reject;
+        });
+        // Failures are surfaced in the upload list; don't report them as unhandled
+        upload.promise.catch(() => {});
+    }
+
+    function chunkCount(file) {
+        // A zero-byte file still needs one (empty) chunk to complete
+        return Math.max(1, Math.ceil(file.size / IIM.config.uploadChunkSize));
+    }
+
+    function chunkBounds(file, index, chunkSize) {
+        const start = index * chunkSize;
+        const end = Math.min(start + chunkSize, file.size);
+        return { start: start, end: end, size: Math.max(0, end - start) };
+    }
+
+    function resumeKey(upload) {
+        return `${upload.sessionId}:${upload.sha256}`;
+    }
+
+    function loadResume() {
+        try {
+            return JSON.parse(localStorage.getItem(RESUME_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveResume(resume) {
+        localStorage.setItem(RESUME_KEY, JSON.stringify(resume));
+    }
+
+    function forgetResume(upload) {
+        if (!upload.sha256) return;
+        const resume = loadResume();
+        delete resume[resumeKey(upload)];
+        saveResume(resume);
+    }
+
+    // --- UI ---
+    function setStatus(upload, status) {
+        upload.status = status;
+        renderUpload(upload);
+    }
+
+    function getUploadList() {
+        let list = document.querySelector('.iim-upload-list');
+        if (!list) {
+            list = document.createElement('div');
+            list.className = 'iim-upload-list';
+            list.setAttribute('aria-live', 'polite');
+            document.body.appendChild(list);
+        }
+        return list;
+    }
+
+    function renderUpload(upload) {
+        if (!upload.element) {
+            const item = document.createElement('div');
+            item.className = 'iim-upload-item';
+            item.dataset.uploadId = upload.id;
+
+            const name = document.createElement('div');
+            name.className = 'iim-upload-name iim-truncate';
+            name.textContent = upload.file.name;
+            name.title = upload.file.name;
+
+            const status = document.createElement('div');
+            status.className = 'iim-upload-status';
+
+            const progress = document.createElement('progress');
+            progress.className = 'iim-upload-progress';
+            progress.max = 100;
+
+            const actions = document.createElement('div');
+            actions.className = 'iim-upload-actions';
+
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'iim-upload-retry';
+            retryButton.textContent = IIM.t('common.retry');
+            retryButton.addEventListener('click', () => IIM.uploads.retry(upload.id));
+
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'iim-upload-cancel';
+            cancelButton.textContent = IIM.t('common.cancel');
+            cancelButton.addEventListener('click', () => IIM.uploads.cancel(upload.id));
+
+            actions.appendChild(retryButton);
+            actions.appendChild(cancelButton);
+            item.appendChild(name);
+            item.appendChild(status);
+            item.appendChild(progress);
+            item.appendChild(actions);
+            getUploadList().appendChild(item);
+            upload.element = item;
+        }
+
+        const size = upload.file.size || 1;
+        let text;
+        let percent = 0;
+        switch (upload.status) {
+            case 'queued':
+                text = IIM.t('uploads.queued');
+                break;
+            case 'hashing':
+                percent = Math.floor(upload.hashedBytes / size * 100);
+                text = IIM.t('uploads.hashing', { percent: formatPercent(percent) });
+                break;
+            case 'uploading':
+                percent = Math.floor(upload.uploadedBytes / size * 100);
+                text = IIM.t('uploads.uploading', { percent: formatPercent(percent) });
+                break;
+            case 'retrying':
+                percent = Math.floor(upload.uploadedBytes / size * 100);
+                text = IIM.t('uploads.retrying', { attempt: upload.attempt, total: IIM.config.uploadRetries });
+                break;
+            case 'paused':
+                percent = Math.floor(upload.uploadedBytes / size * 100);
+                text = IIM.t('uploads.paused');
+                break;
+            case 'completed':
+                percent = 100;
+                text = IIM.t('uploads.completed', { hash: upload.sha256.slice(0, 12) });
+                break;
+            case 'cancelled':
+                text = IIM.t('uploads.cancelled');
+                break;
+            default:
+                text = upload.error || IIM.t('uploads.failed');
+        }
+
+        upload.element.className = `iim-upload-item ${upload.status}`;
+        upload.element.querySelector('.iim-upload-status').textContent = text;
+        upload.element.querySelector('.iim-upload-progress').value = percent;
+        upload.element.querySelector('.iim-upload-retry').hidden = !['failed', 'cancelled'].includes(upload.status);
+        upload.element.querySelector('.iim-upload-cancel').hidden = ['completed', 'cancelled', 'failed'].includes(upload.status);
+    }
+
+    function formatPercent(percent) {
+        return IIM.i18n.formatNumber(percent / 100, { style: 'percent' });
+    }
+
+})(window.IIM);
@@ -0,0 +1,203 @@
+// IIM Zip - minimal ZIP archive writer/reader for session bundles
+// Entries are stored uncompressed: evidence is usually already compressed, and
+// this keeps the archive readable by any unzip tool without a deflate dependency.
+window.IIM = window.IIM || {};
+
+(function(IIM) {
+    'use strict';
+
+    const LOCAL_HEADER = 0x04034b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const MAX_SIZE = 0xffffffff;
+    const UTF8_FLAG = 0x0800;
+    const SLICE_SIZE = 4 * 1024 * 1024;
+
+    let crcTable = null;
+
+    IIM.zip = {
+        // entries: [{ path, data: Blob | string | Uint8Array, modified?: Date }]; resolves with a Blob
+        create: function(entries) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const central = [];
+            let offset = 0;
+
+            return entries.reduce((chain, entry) => chain.then(() => {
+                const blob = toBlob(entry.data);
+                if (blob.size > MAX_SIZE || offset > MAX_SIZE) {
+                    throw new Error(`${entry.path} is too large for a ZIP bundle`);
+                }
+
+                return crc32(blob).then(crc => {
+                    const name = encoder.encode(entry.path);
+                    const { time, date } = dosDateTime(entry.modified || new Date());
+
+                    const local = new DataView(new ArrayBuffer(30));
+                    local.setUint32(0, LOCAL_HEADER, true);
+                    local.setUint16(4, 20, true); // version needed
+                    local.setUint16(6, UTF8_FLAG, true);
+                    local.setUint16(8, 0, true); // stored
+                    local.setUint16(10, time, true);
+                    local.setUint16(12, date, true);
+                    local.setUint32(14, crc, true);
+                    local.setUint32(18, blob.size, true);
+                    local.setUint32(22, blob.size, true);
+                    local.setUint16(26, name.length, true);
+                    local.setUint16(28, 0, true);
+
+                    const header = new DataView(new ArrayBuffer(46));
+                    header.setUint32(0, CENTRAL_HEADER, true);
+                    header.setUint16(4, 20, true); // version made by
+                    header.setUint16(6, 20, true);
+                    header.setUint16(8, UTF8_FLAG, true);
+                    header.setUint16(10, 0, true);
+                    header.setUint16(12, time, true);
+                    header.setUint16(14, date, true);
+                    header.setUint32(16, crc, true);
+                    header.setUint32(20, blob.size, true);
+                    header.setUint32(24, blob.size, true);
+                    header.setUint16(28, name.length, true);
+                    header.setUint32(42, offset, true);
+
+                    parts.push(local, name, blob);
+                    central.push(header, name);
+                    offset += 30 + name.length + blob.size;
+                });
+            }), Promise.resolve()).then(() => {
+                const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+                if (entries.length > 0xffff || offset + centralSize > MAX_SIZE) {
+                    throw new Error('Session bundle is too large for a ZIP archive');
+                }
+
+                const end = new DataView(new ArrayBuffer(22));
+                end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+                end.setUint16(8, entries.length, true);
+                end.setUint16(10, entries.length, true);
+                end.setUint32(12, centralSize, true);
+                end.setUint32(16, offset, true);
+
+                return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
+            });
+        },
+
+        // Resolves with [{ path, size, crc32, blob }]; entry data is sliced lazily from the archive
+        read: function(blob) {
+            // The end record is 22 bytes plus an optional comment of up to 64KB
+            const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+            return blob.slice(tailStart).arrayBuffer().then(buffer => {
+                const tail = new DataView(buffer);
+                let endOffset = -1;
+                for (let i = buffer.byteLength - 22; i >= 0; i--) {
+                    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+                        endOffset = i;
+                        break;
+                    }
+                }
+                if (endOffset === -1) {
+                    throw new Error('Not a ZIP archive');
+                }
+
+                const count = tail.getUint16(endOffset + 10, true);
+                const centralSize = tail.getUint32(endOffset + 12, true);
+                const centralOffset = tail.getUint32(endOffset + 16, true);
+                return blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer()
+                    .then(central => readCentralDirectory(blob, new DataView(central), count));
+            });
+        },
+
+        crc32: function(data) {
+            return crc32(toBlob(data));
+        }
+    };
+
+    function readCentralDirectory(blob, view, count) {
+        const decoder = new TextDecoder();
+        const headers = [];
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== CENTRAL_HEADER) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const method = view.getUint16(position + 10, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const path = decoder.decode(new Uint8Array(view.buffer, position + 46, nameLength));
+
+            if (method !== 0) {
+                throw new Error(`Unsupported compression for ${path}; only stored entries can be read`);
+            }
+
+            headers.push({
+                path: path,
+                crc32: view.getUint32(position + 16, true),
+                size: view.getUint32(position + 24, true),
+                localOffset: view.getUint32(position + 42, true)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        // Local headers may carry a different extra field length than the central one
+        return Promise.all(headers.map(header => {
+            return blob.slice(header.localOffset, header.localOffset + 30).arrayBuffer().then(buffer => {
+                const local = new DataView(buffer);
+                if (local.getUint32(0, true) !== LOCAL_HEADER) {
+                    throw new Error(`Corrupt ZIP entry ${header.path}`);
+                }
+                const dataStart = header.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+                return {
+                    path: header.path,
+                    size: header.size,
+                    crc32: header.crc32,
+                    blob: blob.slice(dataStart, dataStart + header.size)
+                };
+            });
+        }));
+    }
+
+    function toBlob(data) {
+        return data instanceof Blob ? data : new Blob([data]);
+    }
+
+    function crc32(blob) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        let offset = 0;
+        const next = function() {
+            if (offset >= blob.size) {
+                return Promise.resolve((crc ^ 0xffffffff) >>> 0);
+            }
+            const end = Math.min(offset + SLICE_SIZE, blob.size);
+            return blob.slice(offset, end).arrayBuffer().then(buffer => {
+                const bytes = new Uint8Array(buffer);
+                for (let i = 0; i < bytes.length; i++) {
+                    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+                }
+                offset = end;
+                return next();
+            });
+        };
+        return next();
+    }
+
+    function dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+})(window.IIM);
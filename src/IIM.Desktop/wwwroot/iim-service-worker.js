@@ -0,0 +1,4 @@
+// IIM Service Worker - the host's copy, beside index.html
+// A service worker only controls pages in its own folder, so it is registered from
+// here; the worker itself ships with IIM.Components (see js/iim-service-worker.js).
+importScripts('_content/IIM.Components/js/iim-service-worker.js');
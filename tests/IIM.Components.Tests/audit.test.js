@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { load } = require('./browser');
+
+// Stands in for the IndexedDB audit store in iim-session-store.js
+const stored = [];
+const sessionStore = {
+    isSupported: () => true,
+    appendAuditEntry: build => {
+        const entry = build(stored[stored.length - 1] || null);
+        stored.push(entry);
+        return Promise.resolve(entry);
+    },
+    getAuditEntries: () => Promise.resolve(stored.map(entry => Object.assign({}, entry)))
+};
+
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-sha256.js', 'iim-session-export.js', 'iim-audit.js'], {
+    generateId: () => crypto.randomUUID(),
+    showNotification: () => {},
+    sessionStore: sessionStore
+});
+
+test.beforeEach(async () => {
+    stored.length = 0;
+    IIM.audit.setUser({ id: 'analyst-1' });
+    for (const action of ['session.create', 'message.send', 'file.upload', 'session.export']) {
+        await IIM.audit.record(action, { action: action }, 's1');
+    }
+});
+
+test('entries are chained by hash in the order they were recorded', async () => {
+    const entries = await IIM.audit.getEntries();
+    assert.deepEqual(entries.map(entry => [entry.seq, entry.action, entry.user]), [
+        [1, 'session.create', 'analyst-1'],
+        [2, 'message.send', 'analyst-1'],
+        [3, 'file.upload', 'analyst-1'],
+        [4, 'session.export', 'analyst-1']
+    ]);
+    assert.strictEqual(entries[0].previousHash, '0'.repeat(64));
+    entries.slice(1).forEach((entry, i) => assert.strictEqual(entry.previousHash, entries[i].hash));
+    assert.deepEqual(await IIM.audit.verify(), { valid: true, count: 4, breaks: [] });
+});
+
+test('verify reports an entry that was edited', async () => {
+    stored[1].action = 'message.delete';
+    assert.deepEqual(await IIM.audit.verify(), { valid: false, count: 4, breaks: [{ seq: 2, reason: 'hash_mismatch' }] });
+});
+
+test('verify reports an edit that was covered by recomputing the hash', async () => {
+    stored[1].user = 'someone-else';
+    stored[1].hash = '1'.repeat(64);
+    const result = await IIM.audit.verify();
+    assert.deepEqual(result.breaks, [{ seq: 2, reason: 'hash_mismatch' }, { seq: 3, reason: 'chain_broken' }]);
+});
+
+test('verify reports an entry that was removed', async () => {
+    stored.splice(2, 1);
+    assert.deepEqual(await IIM.audit.verify(), {
+        valid: false,
+        count: 3,
+        breaks: [{ seq: 4, reason: 'sequence_gap' }, { seq: 4, reason: 'chain_broken' }]
+    });
+
+    stored.shift();
+    const result = await IIM.audit.verify();
+    assert.deepEqual(result.breaks.slice(0, 2), [{ seq: 2, reason: 'sequence_gap' }, { seq: 2, reason: 'chain_broken' }]);
+});
@@ -0,0 +1,220 @@
+// Loads IIM.Components scripts into this Node process the way a page would: as
+// classic scripts sharing one global window. Only the browser surface the pure
+// modules touch is provided: a small DOM (elements, text, fragments and
+// attributes), localStorage and navigator. Each test file runs in its own
+// process under `node --test`, so the globals set here do not leak between files.
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = path.join(__dirname, '..', '..', 'src', 'IIM.Components', 'wwwroot', 'js');
+
+class Node {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.childNodes = [];
+        this.parentNode = null;
+    }
+
+    appendChild(child) {
+        if (child.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+            child.childNodes.slice().forEach(node => this.appendChild(node));
+            return child;
+        }
+        if (child.parentNode) child.remove();
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(typeof child === 'string' ? new Text(child) : child));
+    }
+
+    replaceWith(node) {
+        const parent = this.parentNode;
+        if (!parent) return;
+        if (node.parentNode) node.remove();
+        parent.childNodes[parent.childNodes.indexOf(this)] = node;
+        node.parentNode = parent;
+        this.parentNode = null;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(node => { node.parentNode = null; });
+        this.childNodes = [];
+        if (value !== '' && value !== null && value !== undefined) this.appendChild(new Text(String(value)));
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+}
+Node.ELEMENT_NODE = 1;
+Node.TEXT_NODE = 3;
+Node.DOCUMENT_FRAGMENT_NODE = 11;
+
+class Text extends Node {
+    constructor(data) {
+        super(Node.TEXT_NODE);
+        this.data = data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+}
+
+class DocumentFragment extends Node {
+    constructor() {
+        super(Node.DOCUMENT_FRAGMENT_NODE);
+    }
+}
+
+class Element extends Node {
+    constructor(tagName) {
+        super(Node.ELEMENT_NODE);
+        this.tagName = tagName.toUpperCase();
+        this.attributes = [];
+        this.style = {};
+        this.dataset = {};
+        this.value = '';
+    }
+
+    // Class selectors ('.name') and tag[attr="value"], which is all the modules query for
+    querySelector(selector) {
+        return findElements(this, element => matches(element, selector)).shift() || null;
+    }
+
+    getAttribute(name) {
+        const attr = this.attributes.find(candidate => candidate.name === name.toLowerCase());
+        return attr ? attr.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const attr = this.attributes.find(candidate => candidate.name === name.toLowerCase());
+        if (attr) attr.value = String(value);
+        else this.attributes.push({ name: name.toLowerCase(), value: String(value) });
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(attr => attr.name !== name.toLowerCase());
+    }
+
+    // The properties the modules set directly are reflected as attributes, as in a browser
+    get className() { return this.getAttribute('class') || ''; }
+    set className(value) { this.setAttribute('class', value); }
+    get title() { return this.getAttribute('title') || ''; }
+    set title(value) { this.setAttribute('title', value); }
+    get name() { return this.getAttribute('name') || ''; }
+    set name(value) { this.setAttribute('name', value); }
+    get content() { return this.getAttribute('content') || ''; }
+    set content(value) { this.setAttribute('content', value); }
+    get type() { return this.getAttribute('type') || ''; }
+    set type(value) { this.setAttribute('type', value); }
+    get checked() { return this.hasAttribute('checked'); }
+    set checked(value) { toggleAttribute(this, 'checked', value); }
+    get disabled() { return this.hasAttribute('disabled'); }
+    set disabled(value) { toggleAttribute(this, 'disabled', value); }
+}
+
+function matches(element, selector) {
+    if (/^\.[\w-]+$/.test(selector)) return element.className.split(/\s+/).includes(selector.slice(1));
+    const attribute = /^(\w+)\[([\w-]+)="([^"]*)"\]$/.exec(selector);
+    if (!attribute) throw new Error(`Unsupported selector in tests: ${selector}`);
+    return element.tagName === attribute[1].toUpperCase() && element.getAttribute(attribute[2]) === attribute[3];
+}
+
+function toggleAttribute(element, name, on) {
+    if (on) element.setAttribute(name, '');
+    else element.removeAttribute(name);
+}
+
+function createStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear()
+    };
+}
+
+// Every element below root (not root itself) for which test(element) is true
+function findElements(root, test = () => true) {
+    const found = [];
+    root.childNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (test(node)) found.push(node);
+        found.push(...findElements(node, test));
+    });
+    return found;
+}
+
+let installed = false;
+
+function install() {
+    if (installed) return;
+    installed = true;
+    const document = {
+        readyState: 'complete',
+        currentScript: null,
+        baseURI: 'http://localhost/',
+        head: new Element('head'),
+        body: new Element('body'),
+        documentElement: new Element('html'),
+        createElement: tag => new Element(tag),
+        createTextNode: text => new Text(String(text)),
+        createDocumentFragment: () => new DocumentFragment(),
+        querySelector: selector => document.head.querySelector(selector) || document.body.querySelector(selector),
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    Object.assign(globalThis, {
+        window: globalThis,
+        document: document,
+        Node: Node,
+        localStorage: createStorage(),
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    if (!globalThis.navigator) globalThis.navigator = {};
+}
+
+// Runs the named files from wwwroot/js in order and returns window.IIM.
+// preset seeds window.IIM first (e.g. { config: { interopTimeout: 50 } }).
+function load(files, preset = {}) {
+    install();
+    window.IIM = Object.assign(window.IIM || {}, preset);
+    files.forEach(file => {
+        const filename = path.join(SCRIPTS, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+    });
+    return window.IIM;
+}
+
+module.exports = { load, findElements };
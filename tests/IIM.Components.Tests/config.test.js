@@ -0,0 +1,186 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+// The page: a meta tag naming the environment and a configuration file beside it
+load([]);
+document.baseURI = 'https://iim.example/app/';
+[
+    ['iim-config', JSON.stringify({ apiEndpoint: '/api', messageLimit: 50, profiles: { staging: { messageLimit: 60, uploadRetries: 4 } } })],
+    ['iim-environment', 'staging']
+].forEach(([name, content]) => {
+    const meta = document.createElement('meta');
+    meta.name = name;
+    meta.content = content;
+    document.head.appendChild(meta);
+});
+
+const requested = [];
+const configFile = {
+    messageLimit: 70,
+    uploadRetries: 5,
+    maxParallelUploads: 99,
+    profiles: { staging: { uploadRetries: 6 }, production: { messageLimit: 200 } }
+};
+globalThis.fetch = url => {
+    requested.push(url);
+    return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(JSON.stringify(configFile))) });
+};
+
+const notifications = [];
+const warnings = [];
+const reactions = [];
+const initErrors = [];
+let initCalls = 0;
+const warn = console.warn;
+const error = console.error;
+console.warn = message => warnings.push(message);
+console.error = (message, detail) => initErrors.push([message, detail && detail.message]);
+
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-interop.js', 'iim-config.js'], {
+    config: {
+        messageLimit: 100,
+        maxParallelUploads: 3,
+        uploadRetries: 3,
+        requireUploadAuth: true,
+        apiEndpoint: 'https://localhost:7001/api',
+        wsEndpoint: 'wss://localhost:7001/ws',
+        supportedFormats: ['.pdf', '.txt'],
+        notificationDurations: { success: 3000, info: 4000, warning: 6000, error: 8000 }
+    },
+    init: () => {
+        initCalls++;
+        throw new Error('init broke');
+    },
+    showNotification: (message, type) => notifications.push([message, type]),
+    connection: { getEndpoint: () => 'wss://localhost:7001/ws', reconnect: url => reactions.push(['reconnect', url]) },
+    uploads: { restartActive: () => reactions.push(['restartActive']) },
+    models: { fetch: () => Promise.resolve(reactions.push(['models.fetch'])) },
+    audit: { flush: () => Promise.resolve(reactions.push(['audit.flush'])) }
+});
+
+test.after(() => {
+    console.warn = warn;
+    console.error = error;
+});
+
+test('startup reads the meta tag and the file, then starts IIM and logs if that fails', async () => {
+    const result = await IIM.configuration.ready;
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.deepEqual(requested, ['https://iim.example/app/iim-config.json']);
+    assert.deepEqual(result.errors, ['file: maxParallelUploads must be at most 16']);
+    assert.deepEqual(notifications, [['1 configuration value was ignored; see the console for details', 'warning']]);
+    assert.strictEqual(initCalls, 1);
+    assert.deepEqual(initErrors, [['IIM failed to start:', 'init broke']]);
+});
+
+test('sources layer meta, then file, then host, each followed by its profile', async () => {
+    await IIM.configuration.ready;
+    assert.strictEqual(IIM.configuration.getEnvironment(), 'staging');
+    assert.deepEqual(IIM.configuration.getProfiles().sort(), ['production', 'staging']);
+
+    // Relative endpoints resolve against the page
+    assert.strictEqual(IIM.config.apiEndpoint, 'https://iim.example/api');
+    assert.strictEqual(IIM.configuration.getSource('apiEndpoint'), 'meta');
+    // The file beats the meta tag's staging profile, and the file's profile beats the file
+    assert.strictEqual(IIM.config.messageLimit, 70);
+    assert.strictEqual(IIM.configuration.getSource('messageLimit'), 'file');
+    assert.strictEqual(IIM.config.uploadRetries, 6);
+    assert.strictEqual(IIM.configuration.getSource('uploadRetries'), 'file:staging');
+    assert.strictEqual(IIM.config.maxParallelUploads, 3);
+    assert.strictEqual(IIM.configuration.getSource('maxParallelUploads'), 'default');
+});
+
+test('the host wins until its overrides are dropped', async () => {
+    await IIM.configuration.ready;
+    const revision = IIM.state.configRevision;
+    assert.deepEqual(IIM.configuration.update({ messageLimit: 80 }), { changed: ['messageLimit'], errors: [] });
+    assert.strictEqual(IIM.config.messageLimit, 80);
+    assert.strictEqual(IIM.configuration.getSource('messageLimit'), 'host');
+    assert.deepEqual(IIM.state.configKeys, ['messageLimit']);
+    assert.strictEqual(IIM.state.configRevision, revision + 1);
+
+    IIM.configuration.update({ messageLimit: null });
+    assert.strictEqual(IIM.config.messageLimit, 70);
+
+    IIM.configuration.update({ uploadRetries: 9 });
+    assert.deepEqual(IIM.configuration.reset().changed, ['uploadRetries']);
+    assert.strictEqual(IIM.config.uploadRetries, 6);
+});
+
+test('choosing another environment swaps the profiles', async () => {
+    await IIM.configuration.ready;
+    const heard = [];
+    const off = IIM.interop.on('configChanged', payload => heard.push(payload));
+
+    IIM.configuration.setEnvironment('production');
+    assert.strictEqual(IIM.config.messageLimit, 200);
+    assert.strictEqual(IIM.configuration.getSource('messageLimit'), 'file:production');
+    assert.strictEqual(IIM.config.uploadRetries, 5);
+
+    IIM.configuration.setEnvironment(null);
+    assert.strictEqual(IIM.configuration.getEnvironment(), 'staging');
+    assert.strictEqual(IIM.config.messageLimit, 70);
+    off();
+    assert.deepEqual(heard, [
+        { keys: ['messageLimit', 'uploadRetries'], environment: 'production' },
+        { keys: ['messageLimit', 'uploadRetries'], environment: 'staging' }
+    ]);
+});
+
+test('values that break the schema are reported and skipped', async () => {
+    await IIM.configuration.ready;
+    const before = JSON.parse(JSON.stringify(IIM.config));
+    const result = IIM.configuration.update({
+        maxParallelUploads: 2.5,
+        uploadRetries: -1,
+        apiEndpoint: 'ftp://files.example',
+        supportedFormats: ['pdf'],
+        requireUploadAuth: 'yes',
+        notificationDurations: { fatal: 1 },
+        noSuchSetting: 1,
+        profiles: []
+    });
+    assert.deepEqual(result.changed, []);
+    assert.deepEqual(result.errors, [
+        'host: maxParallelUploads must be a whole number',
+        'host: uploadRetries must be at least 0',
+        'host: apiEndpoint must use http: or https:',
+        'host: supportedFormats must be a list of extensions such as ".pdf"',
+        'host: requireUploadAuth must be true or false',
+        'host: notificationDurations must map success, info, warning, error to milliseconds',
+        'host: unknown setting noSuchSetting',
+        'host: profiles must map environment names to settings'
+    ]);
+    assert.deepEqual(IIM.config, before);
+    assert.deepEqual(IIM.configuration.update('nope').errors, ['Configuration must be an object']);
+});
+
+test('valid values are normalised', async () => {
+    await IIM.configuration.ready;
+    IIM.configuration.update({
+        supportedFormats: ['.PDF', '.Log'],
+        notificationDurations: { error: 0 },
+        requireUploadAuth: false
+    });
+    assert.deepEqual(IIM.config.supportedFormats, ['.pdf', '.log']);
+    assert.deepEqual(IIM.config.notificationDurations, { success: 3000, info: 4000, warning: 6000, error: 0 });
+    assert.strictEqual(IIM.config.requireUploadAuth, false);
+    IIM.configuration.reset();
+    assert.strictEqual(IIM.config.requireUploadAuth, true);
+});
+
+test('endpoint changes reconnect the socket and restart API work', async () => {
+    await IIM.configuration.ready;
+    reactions.length = 0;
+    IIM.configuration.update({ wsEndpoint: '/ws', apiEndpoint: 'https://api.example/v2/' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(IIM.config.wsEndpoint, 'wss://iim.example/ws');
+    assert.strictEqual(IIM.config.apiEndpoint, 'https://api.example/v2');
+    assert.deepEqual(reactions, [['reconnect', 'wss://iim.example/ws'], ['restartActive'], ['models.fetch'], ['audit.flush']]);
+    IIM.configuration.reset();
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+const IIM = load(['iim-file-types.js']);
+
+function file(bytes, name) {
+    return Object.assign(new Blob([new Uint8Array(bytes)]), { name: name });
+}
+
+function utf16(text, bigEndian) {
+    const bytes = bigEndian ? [0xfe, 0xff] : [0xff, 0xfe];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        bytes.push(...(bigEndian ? [code >> 8, code & 0xff] : [code & 0xff, code >> 8]));
+    }
+    return bytes;
+}
+
+test('binary formats are recognised by their signature', async () => {
+    assert.strictEqual(await IIM.fileTypes.detect(file([0x25, 0x50, 0x44, 0x46, 0x2d, 0x31], 'a.bin')), 'pdf');
+    assert.strictEqual(await IIM.fileTypes.detect(file([0x4d, 0x5a, 0x90, 0x00], 'report.pdf')), 'executable');
+    assert.strictEqual(await IIM.fileTypes.detect(file([0xff, 0xfb, 0x90, 0x00], 'a.mp3')), 'mp3');
+});
+
+test('UTF-8 text and JSON are recognised whatever the name', async () => {
+    const bytes = text => Array.from(Buffer.from(text));
+    assert.strictEqual(await IIM.fileTypes.detect(file(bytes('time,event\n1,café\n'), 'noext')), 'text');
+    assert.strictEqual(await IIM.fileTypes.detect(file(bytes('﻿  {"a": 1}'), 'data')), 'json');
+});
+
+test('UTF-16 text with a byte order mark is text, not MP3', async () => {
+    assert.strictEqual(await IIM.fileTypes.detect(file(utf16('Event log\r\n'), 'events.log')), 'text');
+    assert.strictEqual(await IIM.fileTypes.detect(file(utf16('Event log\r\n', true), 'events.txt')), 'text');
+    assert.strictEqual(await IIM.fileTypes.detect(file(utf16('[1, 2]'), 'export')), 'json');
+});
+
+test('single-byte encodings are accepted only for text extensions', async () => {
+    // "café;naïve" in Windows-1252
+    const latin1 = [0x63, 0x61, 0x66, 0xe9, 0x3b, 0x6e, 0x61, 0xef, 0x76, 0x65, 0x0d, 0x0a];
+    assert.strictEqual(await IIM.fileTypes.detect(file(latin1, 'export.csv')), 'text');
+    assert.strictEqual(await IIM.fileTypes.detect(file(latin1, 'export.dat')), null);
+    assert.strictEqual(await IIM.fileTypes.detect(file([0x61, 0xe9, 0x01, 0x02], 'dump.txt')), null);
+    assert.strictEqual(await IIM.fileTypes.detect(file([0x61, 0x00, 0x62], 'dump.txt')), null);
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+// fetch answers from a queue of statuses and records what it was sent
+let statuses = [];
+const sent = [];
+globalThis.fetch = (url, init) => {
+    sent.push({ url: url, headers: init.headers });
+    const status = statuses.length ? statuses.shift() : 200;
+    return Promise.resolve({
+        status: status,
+        ok: status >= 200 && status < 300,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve({ status: status })
+    });
+};
+
+const redirects = [];
+globalThis.location = { href: 'https://iim.example/app/', assign: url => redirects.push(url) };
+
+let ids = 0;
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-interop.js', 'iim-http.js'], {
+    config: { apiEndpoint: 'https://api.example', tokenRefreshMargin: 0, authRedirectUrl: '/signin', interopTimeout: 100 },
+    generateId: () => `id-${++ids}`
+});
+document.baseURI = location.href;
+
+const authFailures = [];
+IIM.interop.on('authFailed', payload => authFailures.push(payload));
+
+// Hands out token-1, token-2, ... and counts how often it was asked
+function provider(fail) {
+    const calls = { count: 0 };
+    IIM.http.setTokenProvider(() => {
+        calls.count++;
+        return fail && calls.count > 1 ? Promise.reject(new Error('session expired')) : `token-${calls.count}`;
+    });
+    return calls;
+}
+
+test.beforeEach(() => {
+    IIM.http.clearToken();
+    statuses = [];
+    sent.length = 0;
+    authFailures.length = 0;
+});
+
+test('requests carry the bearer token and a correlation id', async () => {
+    provider();
+    assert.deepEqual(await IIM.http.request('GET', '/models'), { status: 200 });
+    assert.strictEqual(sent[0].url, 'https://api.example/models');
+    assert.strictEqual(sent[0].headers.Authorization, 'Bearer token-1');
+    assert.ok(sent[0].headers['X-Correlation-ID']);
+});
+
+test('a 401 refreshes the token and retries once with the same correlation id', async () => {
+    const calls = provider();
+    await IIM.http.getToken();
+    statuses = [401, 200];
+
+    assert.deepEqual(await IIM.http.request('GET', '/models'), { status: 200 });
+    assert.strictEqual(calls.count, 2);
+    assert.deepEqual(sent.map(request => request.headers.Authorization), ['Bearer token-1', 'Bearer token-2']);
+    assert.strictEqual(sent[1].headers['X-Correlation-ID'], sent[0].headers['X-Correlation-ID']);
+    assert.deepEqual(authFailures, []);
+    assert.deepEqual(redirects, []);
+});
+
+test('a second 401 is a hard failure that tells the host and redirects to sign in', async () => {
+    provider();
+    statuses = [401, 401];
+
+    await assert.rejects(IIM.http.request('GET', '/models', { correlationId: 'c-1' }), { status: 401, code: 'unauthorized', correlationId: 'c-1' });
+    assert.strictEqual(sent.length, 2);
+    assert.deepEqual(authFailures, [{ reason: 'unauthorized', correlationId: 'c-1' }]);
+    assert.deepEqual(redirects, ['https://iim.example/signin?returnUrl=https%3A%2F%2Fiim.example%2Fapp%2F']);
+});
+
+test('a failed refresh is a hard failure and the retry is not sent', async () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        provider(true);
+        await IIM.http.getToken();
+        statuses = [401];
+        await assert.rejects(IIM.http.request('GET', '/models'), { status: 401, code: 'refresh_failed' });
+    } finally {
+        console.error = error;
+    }
+    assert.strictEqual(sent.length, 1);
+    assert.deepEqual(authFailures.map(failure => failure.reason), ['refresh_failed']);
+    // The page is already on its way to sign in
+    assert.strictEqual(redirects.length, 1);
+});
+
+test('without a token provider a 401 is an ordinary error', async () => {
+    statuses = [401];
+    await assert.rejects(IIM.http.request('GET', '/models'), error => error.status === 401 && error.code === undefined);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].headers.Authorization, undefined);
+    assert.deepEqual(authFailures, []);
+});
+
+test('required auth is never sent without a token', async () => {
+    await assert.rejects(IIM.http.request('POST', '/files/uploads', { auth: 'required', json: {} }), { status: 401, code: 'no_token' });
+    assert.strictEqual(sent.length, 0);
+
+    IIM.http.setToken('pushed');
+    await IIM.http.request('POST', '/files/uploads', { auth: 'required', json: {} });
+    assert.strictEqual(sent[0].headers.Authorization, 'Bearer pushed');
+    assert.strictEqual(sent[0].headers['Content-Type'], 'application/json');
+});
+
+test('socket URLs carry the token and a correlation id', async () => {
+    provider();
+    const url = new URL(await IIM.http.socketUrl('wss://iim.example/ws'));
+    assert.strictEqual(url.searchParams.get('access_token'), 'token-1');
+    assert.ok(url.searchParams.get('correlationId'));
+});
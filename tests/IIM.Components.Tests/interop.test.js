@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+const IIM = load(['iim-interop.js'], { config: { interopTimeout: 50 } });
+
+const errors = [];
+IIM.interop.on('interopError', detail => errors.push(detail));
+
+test.beforeEach(() => {
+    IIM.interop.unregister();
+    errors.length = 0;
+});
+
+test('register needs something that looks like a DotNetObjectReference', () => {
+    assert.throws(() => IIM.interop.register({}), { code: 'invalid_reference' });
+    assert.strictEqual(IIM.interop.isRegistered(), false);
+});
+
+test('events raised before registration are delivered once .NET registers', async () => {
+    assert.strictEqual(await IIM.interop.emit('sessionSelected', { sessionId: 's1' }), false);
+    assert.strictEqual(await IIM.interop.emit('modelSelected', { modelId: 'm1' }), false);
+
+    const double = IIM.interop.createTestDouble();
+    IIM.interop.register(double);
+    assert.strictEqual(await IIM.interop.emit('sessionSelected', { sessionId: 's2' }), true);
+
+    assert.deepEqual(double.events, [
+        { name: 'sessionSelected', payload: { sessionId: 's1' } },
+        { name: 'modelSelected', payload: { modelId: 'm1' } },
+        { name: 'sessionSelected', payload: { sessionId: 's2' } }
+    ]);
+    assert.ok(double.calls.every(call => call.method === 'OnInteropEvent'));
+});
+
+test('JS listeners hear events whether or not .NET is registered', async () => {
+    const heard = [];
+    const off = IIM.interop.on('contextChanged', payload => heard.push(payload.included.length));
+    await IIM.interop.emit('contextChanged', { sessionId: 's1', included: ['a'] });
+    IIM.interop.register(IIM.interop.createTestDouble());
+    await IIM.interop.emit('contextChanged', { sessionId: 's1', included: ['a', 'b'] });
+    off();
+    await IIM.interop.emit('contextChanged', { sessionId: 's1', included: [] });
+    assert.deepEqual(heard, [1, 2]);
+});
+
+test('emit reports unknown events and bad payloads and resolves false instead of throwing', async () => {
+    const double = IIM.interop.createTestDouble();
+    IIM.interop.register(double);
+    const error = console.error;
+    console.error = () => {};
+    try {
+        let unknown;
+        assert.doesNotThrow(() => { unknown = IIM.interop.emit('noSuchEvent', {}); });
+        assert.strictEqual(await unknown, false);
+        assert.strictEqual(await IIM.interop.emit('sessionSelected', {}), false);
+        assert.strictEqual(await IIM.interop.emit('sessionSelected', { sessionId: 7 }), false);
+        assert.strictEqual(await IIM.interop.emit('contextChanged', []), false);
+    } finally {
+        console.error = error;
+    }
+
+    assert.deepEqual(errors.map(detail => [detail.event, detail.code]), [
+        ['noSuchEvent', 'unknown_event'],
+        ['sessionSelected', 'invalid_payload'],
+        ['sessionSelected', 'invalid_payload'],
+        ['contextChanged', 'invalid_payload']
+    ]);
+    assert.match(errors[1].message, /missing sessionId/);
+    assert.match(errors[2].message, /must be string, got number/);
+    assert.match(errors[3].message, /payload must be an object/);
+    assert.deepEqual(double.events, []);
+});
+
+test('optional fields may be left out', async () => {
+    IIM.interop.register(IIM.interop.createTestDouble());
+    assert.strictEqual(await IIM.interop.emit('interopError', { code: 'x', message: 'y' }), true);
+    assert.strictEqual(IIM.interop.validate('interopError', { code: 'x', message: 'y', method: 'M' }), true);
+});
+
+test('emit resolves false when the .NET handler fails', async () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        IIM.interop.register(IIM.interop.createTestDouble({ OnInteropEvent: () => { throw new Error('handler broke'); } }));
+        assert.strictEqual(await IIM.interop.emit('sessionSelected', { sessionId: 's1' }), false);
+    } finally {
+        console.error = error;
+    }
+    assert.deepEqual(errors.map(detail => [detail.event, detail.code, detail.message]), [['sessionSelected', 'remote_error', 'handler broke']]);
+});
+
+test('request calls the named method and resolves with its result', async () => {
+    const double = IIM.interop.createTestDouble({
+        SendMessage: (content, options) => `stream for ${content} replacing ${options.replaces}`,
+        Later: () => Promise.resolve(42)
+    });
+    IIM.interop.register(double);
+
+    assert.strictEqual(await IIM.interop.request('SendMessage', ['hello', { replaces: 'm1' }]), 'stream for hello replacing m1');
+    assert.strictEqual(await IIM.interop.request('Later'), 42);
+    assert.deepEqual(double.calls, [
+        { method: 'SendMessage', args: ['hello', { replaces: 'm1' }] },
+        { method: 'Later', args: [] }
+    ]);
+});
+
+test('request rejects with an InteropError when it cannot succeed', async () => {
+    await assert.rejects(IIM.interop.request('SendMessage', ['hi']), { name: 'InteropError', code: 'not_registered' });
+
+    IIM.interop.register(IIM.interop.createTestDouble({
+        Broken: () => { throw new Error('model not loaded'); },
+        Slow: () => new Promise(resolve => setTimeout(resolve, 200))
+    }));
+    await assert.rejects(IIM.interop.request('Missing'), { code: 'remote_error', message: /not JSInvokable/ });
+    await assert.rejects(IIM.interop.request('Broken'), { code: 'remote_error', message: 'Broken failed: model not loaded' });
+    await assert.rejects(IIM.interop.request('Slow', [], { timeout: 20 }), { code: 'timeout', message: /within 20ms/ });
+    await assert.rejects(IIM.interop.request('Slow'), { code: 'timeout', message: /within 50ms/ });
+
+    assert.deepEqual(errors.map(detail => [detail.method, detail.code]), [
+        ['SendMessage', 'not_registered'],
+        ['Missing', 'remote_error'],
+        ['Broken', 'remote_error'],
+        ['Slow', 'timeout'],
+        ['Slow', 'timeout']
+    ]);
+});
+
+test('events received from .NET reach JS listeners only', () => {
+    const double = IIM.interop.createTestDouble();
+    IIM.interop.register(double);
+    const heard = [];
+    IIM.interop.on('configChanged', payload => heard.push(payload.environment));
+    IIM.interop.receive('configChanged', { keys: ['apiEndpoint'], environment: 'staging' });
+    assert.deepEqual(heard, ['staging']);
+    assert.deepEqual(double.calls, []);
+    assert.throws(() => IIM.interop.receive('configChanged', { keys: 'apiEndpoint', environment: 'x' }), { code: 'invalid_payload' });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, findElements } = require('./browser');
+
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-markdown.js']);
+
+function tags(root) {
+    return findElements(root).map(element => element.tagName);
+}
+
+function hrefs(root) {
+    return findElements(root, element => element.tagName === 'A').map(link => link.getAttribute('href'));
+}
+
+test('raw HTML in markdown is rendered as text', () => {
+    const payloads = [
+        '<script>alert(1)</script>',
+        '<img src=x onerror="alert(1)">',
+        '<svg onload=alert(1)>',
+        '<iframe src="javascript:alert(1)"></iframe>',
+        '**bold <a href="javascript:alert(1)">x</a>**',
+        '| a |\n|---|\n| <img src=x onerror=alert(1)> |'
+    ];
+    payloads.forEach(source => {
+        const fragment = IIM.markdown.render(source);
+        const found = tags(fragment);
+        ['SCRIPT', 'IMG', 'SVG', 'IFRAME'].forEach(tag => assert.ok(!found.includes(tag), `${source} produced <${tag}>`));
+        assert.deepEqual(hrefs(fragment).filter(Boolean), [], `${source} produced a link`);
+        const attributes = findElements(fragment).flatMap(element => element.attributes.map(attr => attr.name));
+        assert.ok(!attributes.some(name => name.startsWith('on')), `${source} produced an event handler`);
+    });
+    assert.match(IIM.markdown.render('<script>alert(1)</script>').textContent, /<script>alert\(1\)<\/script>/);
+});
+
+test('code blocks keep markup as text', () => {
+    const fragment = IIM.markdown.render('```html\n<script>alert(1)</script>\n```');
+    assert.ok(!tags(fragment).includes('SCRIPT'));
+    const code = findElements(fragment, element => element.tagName === 'CODE')[0];
+    assert.strictEqual(code.getAttribute('class'), 'language-html');
+    assert.strictEqual(code.textContent, '<script>alert(1)</script>');
+});
+
+test('links with unsafe schemes lose their target', () => {
+    [
+        '[x](javascript:alert(1))',
+        '[x](JaVaScRiPt:alert(1))',
+        '[x](vbscript:msgbox(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD4=)',
+        '[x](//evil.example/path)',
+        '[x](/\\evil.example)',
+        '[x](\\\\evil.example)'
+    ].forEach(source => {
+        const fragment = IIM.markdown.renderInline(source);
+        assert.deepEqual(hrefs(fragment), [], source);
+        assert.strictEqual(fragment.textContent, 'x', source);
+    });
+});
+
+test('safe links open outside the app without a referrer', () => {
+    const link = findElements(IIM.markdown.renderInline('[report](https://example.com/a?b=1)'))[0];
+    assert.strictEqual(link.tagName, 'A');
+    assert.strictEqual(link.getAttribute('href'), 'https://example.com/a?b=1');
+    assert.strictEqual(link.getAttribute('target'), '_blank');
+    assert.strictEqual(link.getAttribute('rel'), 'noopener noreferrer nofollow');
+    assert.strictEqual(link.getAttribute('referrerpolicy'), 'no-referrer');
+
+    const anchor = findElements(IIM.markdown.renderInline('[top](#summary)'))[0];
+    assert.strictEqual(anchor.getAttribute('href'), '#summary');
+    assert.strictEqual(anchor.getAttribute('target'), null);
+});
+
+test('isSafeUrl ignores the whitespace and control characters browsers drop', () => {
+    assert.strictEqual(IIM.markdown.isSafeUrl('https://example.com'), true);
+    assert.strictEqual(IIM.markdown.isSafeUrl('mailto:analyst@example.com'), true);
+    assert.strictEqual(IIM.markdown.isSafeUrl('/relative/path'), true);
+    assert.strictEqual(IIM.markdown.isSafeUrl('#anchor'), true);
+    assert.strictEqual(IIM.markdown.isSafeUrl(' javascript:alert(1)'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('java\tscript:alert(1)'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('java\nscript:alert(1)'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('\u0001javascript:alert(1)'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('file:///etc/passwd'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('//evil.example'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('/\\evil.example'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl('\\\\evil.example'), false);
+    assert.strictEqual(IIM.markdown.isSafeUrl(null), false);
+});
+
+test('sanitize strips elements, attributes and URLs outside the allowlist', () => {
+    const root = document.createDocumentFragment();
+    const div = document.createElement('div');
+    div.setAttribute('onclick', 'alert(1)');
+    div.setAttribute('class', 'iim-note');
+    div.setAttribute('data-iim-index', '3');
+    div.setAttribute('data-other', 'x');
+    const script = document.createElement('script');
+    script.textContent = 'alert(1)';
+    const link = document.createElement('a');
+    link.setAttribute('href', 'javascript:alert(1)');
+    link.textContent = 'click';
+    const cell = document.createElement('td');
+    cell.setAttribute('style', 'background: url(javascript:alert(1))');
+    const aligned = document.createElement('td');
+    aligned.setAttribute('style', 'text-align: center;');
+    const classed = document.createElement('span');
+    classed.setAttribute('class', 'iim-x" onmouseover="alert(1)');
+    div.append(script, link, cell, aligned, classed);
+    root.appendChild(div);
+
+    IIM.markdown.sanitize(root);
+
+    assert.deepEqual(div.attributes.map(attr => attr.name), ['class', 'data-iim-index']);
+    assert.ok(!tags(root).includes('SCRIPT'));
+    assert.strictEqual(div.childNodes[0].nodeType, Node.TEXT_NODE);
+    assert.strictEqual(div.childNodes[0].textContent, 'alert(1)');
+    assert.strictEqual(link.hasAttribute('href'), false);
+    assert.strictEqual(cell.hasAttribute('style'), false);
+    assert.strictEqual(aligned.getAttribute('style'), 'text-align: center;');
+    assert.strictEqual(classed.hasAttribute('class'), false);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+// The models API. Each POST .../load or .../unload answers with the outcome in
+// server.outcomes (default: done at once), or stays open when it is 'pending' and
+// the result arrives later over model_status, as with a real backend.
+const server = {
+    catalogue: null,
+    posts: [],
+    outcomes: {},
+    unreachable: false,
+
+    request(method, path) {
+        if (method === 'GET') return Promise.resolve(this.catalogue);
+        if (this.unreachable) return Promise.reject(Object.assign(new TypeError('Failed to fetch'), { network: true }));
+        const [, id, action] = path.match(/^\/models\/([^/]+)\/(load|unload)$/);
+        this.posts.push(`${action} ${id}`);
+        const outcome = this.outcomes[id] || (action === 'load' ? 'loaded' : 'unloaded');
+        return Promise.resolve(outcome === 'pending' ? null : { status: outcome, error: outcome === 'error' ? 'Out of GPU memory' : undefined });
+    }
+};
+
+const notifications = [];
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-models.js'], {
+    config: { modelMemoryBudget: 10, modelOperationTimeout: 1000 },
+    http: { request: (method, path) => server.request(method, path) },
+    offline: { isUnreachable: error => !!(error && error.network) },
+    showNotification: (message, type) => notifications.push([message, type]),
+    formatFileSize: bytes => `${bytes} B`
+});
+
+function status(id) {
+    return IIM.state.models.find(model => model.id === id).status;
+}
+
+function statuses() {
+    return IIM.state.models.map(model => `${model.id}:${model.status}`);
+}
+
+test.beforeEach(async () => {
+    server.posts = [];
+    server.outcomes = {};
+    server.unreachable = false;
+    notifications.length = 0;
+    server.catalogue = {
+        memoryBudget: 10,
+        models: [
+            { id: 'a', memory: 4, status: 'loaded', lastUsed: 1 },
+            { id: 'b', memory: 4, status: 'loaded', lastUsed: 2 },
+            { id: 'c', memoryBytes: 5 },
+            { id: 'huge', memory: 11 }
+        ]
+    };
+    await IIM.models.fetch();
+});
+
+test('the catalogue is normalised into the store', () => {
+    assert.deepEqual(statuses(), ['a:loaded', 'b:loaded', 'c:unloaded', 'huge:unloaded']);
+    assert.strictEqual(IIM.state.models[2].memory, 5);
+    assert.strictEqual(IIM.state.models[2].name, 'c');
+    assert.deepEqual(IIM.models.getMemoryUsage(), { used: 8, budget: 10, available: 2 });
+});
+
+test('loads and unloads run one at a time, in order', async () => {
+    server.outcomes.b = 'pending';
+    const unloading = IIM.models.unload('b');
+    const loading = IIM.models.load('c');
+
+    assert.strictEqual(IIM.models.getQueueLength(), 2);
+    assert.strictEqual(status('c'), 'queued');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepEqual(server.posts, ['unload b']);
+    assert.strictEqual(status('b'), 'unloading');
+
+    IIM.models.handleStatus({ modelId: 'b', status: 'unloaded' });
+    await unloading;
+    const loaded = await loading;
+    assert.strictEqual(loaded.status, 'loaded');
+    assert.deepEqual(server.posts, ['unload b', 'load c']);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.strictEqual(IIM.models.getQueueLength(), 0);
+});
+
+test('progress from model_status is clamped and recorded', () => {
+    IIM.models.handleStatus({ modelId: 'c', status: 'loading', progress: 1.5, memory: 6 });
+    assert.deepEqual([status('c'), IIM.state.models[2].progress, IIM.state.models[2].memory], ['loading', 1, 6]);
+    IIM.models.handleStatus({ modelId: 'unknown-model', status: 'loading' });
+    IIM.models.handleStatus({});
+});
+
+test('a load that does not fit is refused unless eviction is allowed', async () => {
+    await assert.rejects(IIM.models.load('c'), { message: 'Not enough memory to load c; unload another model first' });
+    assert.strictEqual(status('c'), 'error');
+    assert.deepEqual(server.posts, []);
+    assert.strictEqual(notifications[0][1], 'error');
+});
+
+test('eviction unloads the least recently used models first', async () => {
+    await IIM.models.load('c', { evict: true });
+    assert.deepEqual(server.posts, ['unload a', 'load c']);
+    assert.deepEqual(statuses(), ['a:unloaded', 'b:loaded', 'c:loaded', 'huge:unloaded']);
+});
+
+test('models named in keep are not evicted', async () => {
+    await IIM.models.load('c', { evict: true, keep: ['a'] });
+    assert.deepEqual(server.posts, ['unload b', 'load c']);
+    assert.strictEqual(status('a'), 'loaded');
+
+    await assert.rejects(IIM.models.load('huge', { evict: true }), { message: 'huge needs 11 B, more than the 10 B memory budget' });
+    assert.deepEqual(server.posts, ['unload b', 'load c']);
+});
+
+test('nothing is evicted when that still would not make room', async () => {
+    await assert.rejects(IIM.models.load('c', { evict: true, keep: ['a', 'b'] }), {
+        message: 'Not enough memory to load c, even after unloading other models'
+    });
+    assert.deepEqual(server.posts, []);
+    assert.strictEqual(status('b'), 'loaded');
+});
+
+test('a model that fails to load is marked with the reason', async () => {
+    await IIM.models.unload('a');
+    server.outcomes.c = 'error';
+    await assert.rejects(IIM.models.load('c'), { message: 'Out of GPU memory' });
+    assert.strictEqual(status('c'), 'error');
+    assert.strictEqual(IIM.state.models[2].error, 'Out of GPU memory');
+});
+
+test('switching to a model while the server is unreachable leaves it queued', async () => {
+    await IIM.models.unload('a');
+    server.unreachable = true;
+    await assert.rejects(IIM.models.switchTo('c'), { network: true });
+    assert.strictEqual(status('c'), 'queued');
+    assert.deepEqual(notifications, []);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const vm = require('node:vm');
+const { resolveObjectURL } = require('node:buffer');
+const { load } = require('./browser');
+
+const IIM = load(['iim-sha256.js']);
+
+// FIPS 180-4 / NIST example vectors
+const VECTORS = [
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'],
+    ['abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu',
+        'cf5b16a778af8380036ce59e7b0492370b249b11e8f07a51afac45037afee9d1'],
+    ['a'.repeat(1000000), 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0']
+];
+
+function oracle(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+// Runs the worker script digestBlob generates in a context of its own, as a browser would
+class FakeWorker {
+    constructor(url) {
+        FakeWorker.started++;
+        this.terminated = false;
+        const post = data => setImmediate(() => {
+            if (!this.terminated) this.onmessage({ data: data });
+        });
+        this.scope = { postMessage: post, DOMException: DOMException, Promise: Promise };
+        this.scope.self = this.scope;
+        this.ready = resolveObjectURL(url).text().then(source => vm.runInNewContext(source, this.scope));
+    }
+
+    postMessage(data) {
+        this.ready.then(() => this.scope.onmessage({ data: data }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+function withWorker(run) {
+    FakeWorker.started = 0;
+    globalThis.Worker = FakeWorker;
+    return Promise.resolve().then(run).finally(() => {
+        delete globalThis.Worker;
+    });
+}
+
+test('digestText matches the known-answer vectors', () => {
+    VECTORS.forEach(([text, expected]) => {
+        assert.strictEqual(IIM.sha256.digestText(text), expected, `${text.slice(0, 20)}... (${text.length} chars)`);
+    });
+});
+
+test('digestText hashes the UTF-8 encoding', () => {
+    assert.strictEqual(IIM.sha256.digestText('évidence ✓'), oracle(Buffer.from('évidence ✓', 'utf8')));
+});
+
+test('incremental updates match a single update at every block boundary', () => {
+    const bytes = crypto.randomBytes(300);
+    const whole = oracle(bytes);
+    [1, 55, 56, 63, 64, 65, 119, 128, 299].forEach(split => {
+        const hasher = IIM.sha256.create();
+        hasher.update(bytes.subarray(0, split));
+        hasher.update(bytes.subarray(split));
+        assert.strictEqual(hasher.digest(), whole, `split at ${split}`);
+    });
+});
+
+test('lengths around the padding boundary match node:crypto', () => {
+    for (let length = 50; length <= 130; length++) {
+        const bytes = crypto.randomBytes(length);
+        assert.strictEqual(IIM.sha256.create().update(bytes).digest(), oracle(bytes), `${length} bytes`);
+    }
+});
+
+test('digestBlob reads across slices and reports progress', async () => {
+    // Larger than one 4MB slice, and not a multiple of it
+    const bytes = crypto.randomBytes(4 * 1024 * 1024 + 12345);
+    const progress = [];
+    const digest = await IIM.sha256.digestBlob(new Blob([bytes]), (done, total) => progress.push([done, total]));
+    assert.strictEqual(digest, oracle(bytes));
+    assert.deepEqual(progress, [[4 * 1024 * 1024, bytes.length], [bytes.length, bytes.length]]);
+});
+
+test('digestBlob stops with an AbortError when the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(IIM.sha256.digestBlob(new Blob(['evidence']), null, controller.signal), { name: 'AbortError' });
+});
+
+test('digestBlob hashes in a worker when the page can start one', () => withWorker(async () => {
+    const bytes = crypto.randomBytes(4 * 1024 * 1024 + 99);
+    const progress = [];
+    const digest = await IIM.sha256.digestBlob(new Blob([bytes]), done => progress.push(done));
+    assert.strictEqual(FakeWorker.started, 1);
+    assert.strictEqual(digest, oracle(bytes));
+    assert.deepEqual(progress, [4 * 1024 * 1024, bytes.length]);
+}));
+
+test('aborting stops the worker', () => withWorker(async () => {
+    const controller = new AbortController();
+    const pending = IIM.sha256.digestBlob(new Blob(['evidence']), null, controller.signal);
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+}));
+
+test('digestBlob falls back to the main thread when a worker is refused', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    globalThis.Worker = function() {
+        throw new Error('Refused by Content-Security-Policy');
+    };
+    try {
+        assert.strictEqual(await IIM.sha256.digestBlob(new Blob(['abc'])), VECTORS[1][1]);
+    } finally {
+        delete globalThis.Worker;
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./browser');
+
+const IIM = load(['iim-store.js']);
+
+function counterStore() {
+    return IIM.createStore({
+        'count/added': (state, { amount }) => Object.assign({}, state, { count: state.count + amount }),
+        'count/kept': state => state,
+        'label/changed': (state, { label }) => Object.assign({}, state, { label: label })
+    }, { count: 0, label: 'a', nested: { items: [1] } });
+}
+
+test('dispatch produces a new frozen snapshot', () => {
+    const store = counterStore();
+    const before = store.getState();
+    const after = store.dispatch('count/added', { amount: 2 });
+    assert.notStrictEqual(after, before);
+    assert.strictEqual(after.count, 2);
+    assert.strictEqual(before.count, 0);
+    assert.ok(Object.isFrozen(after));
+    assert.ok(Object.isFrozen(after.nested.items));
+    assert.throws(() => { after.count = 5; }, TypeError);
+});
+
+test('unknown actions and dispatching from a reducer throw', () => {
+    const store = IIM.createStore({
+        'nested/dispatch': state => {
+            store.dispatch('nested/dispatch');
+            return state;
+        }
+    }, {});
+    assert.throws(() => store.dispatch('nothing/here'), /Unknown action: nothing\/here/);
+    assert.throws(() => store.dispatch('nested/dispatch'), /while another action is being reduced/);
+});
+
+test('subscribers hear only about the part they selected', () => {
+    const store = counterStore();
+    const counts = [];
+    const labels = [];
+    store.subscribe(state => state.count, (value, previous) => counts.push([value, previous]));
+    const unsubscribe = store.subscribe(state => state.label, value => labels.push(value), { immediate: true });
+
+    store.dispatch('count/added', { amount: 1 });
+    store.dispatch('count/kept');
+    store.dispatch('label/changed', { label: 'b' });
+    unsubscribe();
+    store.dispatch('label/changed', { label: 'c' });
+    store.dispatch('count/added', { amount: 1 });
+
+    assert.deepEqual(counts, [[1, 0], [2, 1]]);
+    assert.deepEqual(labels, ['a', 'b']);
+});
+
+test('a failing subscriber does not stop the others', () => {
+    const store = counterStore();
+    const heard = [];
+    const error = console.error;
+    console.error = () => {};
+    try {
+        store.subscribe(state => state.count, () => { throw new Error('boom'); });
+        store.subscribe(state => state.count, value => heard.push(value));
+        store.dispatch('count/added', { amount: 3 });
+    } finally {
+        console.error = error;
+    }
+    assert.deepEqual(heard, [3]);
+});
+
+test('the action log keeps what was dispatched once logging is on', () => {
+    const store = counterStore();
+    store.dispatch('count/added', { amount: 1 });
+    store.setLogging(true);
+    store.dispatch('count/added', { amount: 1 });
+    store.dispatch('count/kept');
+    assert.deepEqual(store.getLog().map(entry => [entry.type, entry.changed]), [['count/added', true], ['count/kept', false]]);
+    store.setLogging(false);
+    assert.deepEqual(store.getLog(), []);
+});
+
+test('shallowEqual compares one level deep', () => {
+    const shared = { id: 1 };
+    assert.strictEqual(IIM.createStore.shallowEqual([shared, 2], [shared, 2]), true);
+    assert.strictEqual(IIM.createStore.shallowEqual({ a: shared }, { a: { id: 1 } }), false);
+    assert.strictEqual(IIM.createStore.shallowEqual({ a: 1 }, { a: 1, b: 2 }), false);
+    assert.strictEqual(IIM.createStore.shallowEqual(null, {}), false);
+});
+
+test('session and message actions update IIM.state', () => {
+    IIM.store.dispatch('session/created', { session: { id: 's1', name: 'Case', messages: [] } });
+    IIM.store.dispatch('message/added', { sessionId: 's1', message: { role: 'user', content: 'q1' } });
+    IIM.store.dispatch('message/added', { sessionId: 's1', message: { role: 'assistant', content: 'a1' } });
+    IIM.store.dispatch('message/updated', { sessionId: 's1', messageIndex: 1, changes: { pinned: true } });
+
+    assert.strictEqual(IIM.state.currentSession, 's1');
+    let session = IIM.state.sessions[0];
+    assert.deepEqual(session.messages.map(message => [message.content, !!message.pinned]), [['q1', false], ['a1', true]]);
+
+    IIM.store.dispatch('message/revised', { sessionId: 's1', messageIndex: 1, branch: { id: 'b1', type: 'revision' } });
+    session = IIM.state.sessions[0];
+    assert.deepEqual(session.messages.map(message => message.content), ['q1']);
+    assert.deepEqual(session.branches.map(branch => [branch.id, branch.messages.map(message => message.content)]), [['b1', ['a1']]]);
+
+    // Unknown sessions leave the state as it was, unknown indexes the session
+    const before = IIM.state;
+    IIM.store.dispatch('session/updated', { sessionId: 'missing', changes: { name: 'x' } });
+    assert.strictEqual(IIM.state, before);
+    IIM.store.dispatch('message/updated', { sessionId: 's1', messageIndex: 9, changes: { pinned: true } });
+    assert.strictEqual(IIM.state.sessions[0], session);
+});
+
+test('sessions/loaded keeps sessions created before storage opened', () => {
+    IIM.store.dispatch('session/created', { session: { id: 'unsaved', messages: [] } });
+    IIM.store.dispatch('sessions/loaded', { sessions: [{ id: 's1', messages: [] }, { id: 'stored', messages: [] }] });
+    assert.deepEqual(IIM.state.sessions.map(session => session.id), ['unsaved', 's1', 'stored']);
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { load } = require('./browser');
+
+// An in-memory version of the /files/uploads protocol (see iim-uploads.js).
+// hold(index) keeps that chunk's PUT pending until release(), or until it is aborted.
+const server = {
+    uploads: new Map(),
+    calls: [],
+    held: new Map(),
+    holding: new Set(),
+    failChunk: null,
+
+    reset() {
+        this.uploads.clear();
+        this.calls = [];
+        this.held.clear();
+        this.holding.clear();
+        this.failChunk = null;
+    },
+
+    hold(index) {
+        this.holding.add(index);
+    },
+
+    release(index) {
+        this.holding.delete(index);
+        (this.held.get(index) || []).forEach(resume => resume());
+        this.held.delete(index);
+    },
+
+    request(method, path, options = {}) {
+        this.calls.push({ method: method, path: path, auth: options.auth });
+        if (options.signal && options.signal.aborted) return Promise.reject(new DOMException('Aborted', 'AbortError'));
+        const [, id, , index] = path.match(/^\/files\/uploads(?:\/([^/]+))?(\/chunks\/(\d+))?/);
+
+        if (method === 'POST' && !id) {
+            const uploadId = `u${this.uploads.size + 1}`;
+            this.uploads.set(uploadId, { meta: options.json, chunks: new Map() });
+            return Promise.resolve({ uploadId: uploadId });
+        }
+        const upload = this.uploads.get(id);
+        if (!upload) return Promise.reject(Object.assign(new Error('Not found'), { status: 404 }));
+        if (method === 'GET') return Promise.resolve({ receivedChunks: Array.from(upload.chunks.keys()) });
+        if (method === 'DELETE') {
+            this.uploads.delete(id);
+            return Promise.resolve(null);
+        }
+        if (method === 'PUT') {
+            const chunk = Number(index);
+            if (this.failChunk === chunk) return Promise.reject(Object.assign(new Error('Bad chunk'), { status: 400 }));
+            const store = () => options.body.text().then(text => { upload.chunks.set(chunk, text); return null; });
+            if (!this.holding.has(chunk)) return store();
+            return new Promise((resolve, reject) => {
+                if (!this.held.has(chunk)) this.held.set(chunk, []);
+                this.held.get(chunk).push(() => resolve(store()));
+                options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+            });
+        }
+        // POST .../complete
+        const content = Array.from(upload.chunks.keys()).sort((a, b) => a - b).map(key => upload.chunks.get(key)).join('');
+        return Promise.resolve({ uploadId: id, content: content, sha256: options.json.sha256 });
+    }
+};
+
+const IIM = load(['iim-store.js', 'iim-i18n.js', 'iim-sha256.js', 'iim-uploads.js'], {
+    config: {
+        maxParallelUploads: 2,
+        uploadChunkSize: 4,
+        uploadRetries: 2,
+        reconnectBaseDelay: 1,
+        reconnectMaxDelay: 2,
+        requireUploadAuth: true
+    },
+    generateId: () => crypto.randomUUID(),
+    showProcessingIndicator: () => {},
+    http: { request: (method, path, options) => server.request(method, path, options) }
+});
+
+function file(text, name = 'evidence.log') {
+    return Object.assign(new Blob([text], { type: 'text/plain' }), { name: name, lastModified: 0 });
+}
+
+function settle(promise) {
+    return promise.then(value => ({ value: value }), error => ({ error: error }));
+}
+
+function waitFor(condition) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > 2000) return reject(new Error('Timed out waiting'));
+            setTimeout(check, 1);
+        };
+        check();
+    });
+}
+
+function latest() {
+    const all = IIM.uploads.getAll();
+    return all[all.length - 1];
+}
+
+test.beforeEach(() => {
+    server.reset();
+    localStorage.clear();
+    IIM.uploads.clearFinished();
+});
+
+test('files are hashed, sent in chunks and completed with their hash', async () => {
+    const result = await IIM.uploads.enqueue(file('0123456789'), { detectedType: 'text' }, 's1');
+    const sha256 = crypto.createHash('sha256').update('0123456789').digest('hex');
+
+    assert.strictEqual(result.content, '0123456789');
+    assert.strictEqual(result.sha256, sha256);
+    assert.deepEqual(server.calls.map(call => `${call.method} ${call.path}`), [
+        'POST /files/uploads',
+        'PUT /files/uploads/u1/chunks/0',
+        'PUT /files/uploads/u1/chunks/1',
+        'PUT /files/uploads/u1/chunks/2',
+        'POST /files/uploads/u1/complete'
+    ]);
+    assert.ok(server.calls.every(call => call.auth === 'required'));
+    assert.strictEqual(server.uploads.get('u1').meta.totalChunks, 3);
+    assert.strictEqual(latest().status, 'completed');
+});
+
+test('a failed upload resumes from the chunks the server already has', async () => {
+    server.failChunk = 1;
+    const first = await settle(IIM.uploads.enqueue(file('0123456789'), {}, 's1'));
+    assert.strictEqual(first.error.status, 400);
+    assert.strictEqual(latest().status, 'failed');
+
+    server.failChunk = null;
+    server.calls = [];
+    const second = await IIM.uploads.enqueue(file('0123456789'), {}, 's1');
+    assert.strictEqual(second.content, '0123456789');
+    assert.deepEqual(server.calls.map(call => `${call.method} ${call.path}`), [
+        'GET /files/uploads/u1',
+        'PUT /files/uploads/u1/chunks/1',
+        'PUT /files/uploads/u1/chunks/2',
+        'POST /files/uploads/u1/complete'
+    ]);
+});
+
+test('cancel aborts the upload, tells the server and rejects with an AbortError', async () => {
+    server.hold(1);
+    const pending = settle(IIM.uploads.enqueue(file('0123456789'), {}, 's1'));
+    await waitFor(() => server.held.has(1));
+
+    assert.strictEqual(IIM.uploads.cancel(latest().id), true);
+    const outcome = await pending;
+    assert.strictEqual(outcome.error.name, 'AbortError');
+    assert.strictEqual(latest().status, 'cancelled');
+    assert.ok(server.calls.some(call => call.method === 'DELETE' && call.path === '/files/uploads/u1'));
+    assert.strictEqual(localStorage.getItem('iim_upload_resume'), '{}');
+});
+
+test('retrying straight after a cancel is not disturbed by the cancelled run', async () => {
+    server.hold(1);
+    const first = settle(IIM.uploads.enqueue(file('0123456789'), {}, 's1'));
+    await waitFor(() => server.held.has(1));
+    const id = latest().id;
+
+    IIM.uploads.cancel(id);
+    // Before the cancelled run has settled
+    const second = settle(IIM.uploads.retry(id));
+    assert.strictEqual((await first).error.name, 'AbortError');
+    await waitFor(() => server.held.has(1) && server.uploads.size === 1);
+
+    // The retried run can still be cancelled, and restarted without throwing
+    assert.strictEqual(IIM.uploads.restartActive(), 1);
+    await waitFor(() => server.calls.filter(call => call.path === '/files/uploads').length === 3);
+    server.release(1);
+    const outcome = await second;
+    assert.strictEqual(outcome.error, undefined);
+    assert.strictEqual(outcome.value.content, '0123456789');
+    assert.strictEqual(latest().status, 'completed');
+});
+
+test('a retried upload can be cancelled again', async () => {
+    server.hold(2);
+    const first = settle(IIM.uploads.enqueue(file('0123456789'), {}, 's1'));
+    await waitFor(() => server.held.has(2));
+    const id = latest().id;
+    IIM.uploads.cancel(id);
+    const second = settle(IIM.uploads.retry(id));
+    await first;
+    await waitFor(() => server.held.get(2) && server.held.get(2).length === 2);
+
+    assert.strictEqual(IIM.uploads.cancel(id), true);
+    assert.strictEqual((await second).error.name, 'AbortError');
+    assert.strictEqual(latest().status, 'cancelled');
+});
+
+test('only failed or cancelled uploads can be retried', async () => {
+    await IIM.uploads.enqueue(file('abc'), {}, 's1');
+    assert.strictEqual(IIM.uploads.retry(latest().id), null);
+    assert.strictEqual(IIM.uploads.retry('missing'), null);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { load } = require('./browser');
+
+const IIM = load(['iim-zip.js']);
+
+test('crc32 matches the standard check values', async () => {
+    assert.strictEqual(await IIM.zip.crc32('123456789'), 0xcbf43926);
+    assert.strictEqual(await IIM.zip.crc32(''), 0);
+    assert.strictEqual(await IIM.zip.crc32('The quick brown fox jumps over the lazy dog'), 0x414fa339);
+});
+
+test('crc32 agrees with zlib for binary data', async () => {
+    if (!zlib.crc32) return; // Node 20.15+
+    const bytes = new Uint8Array(70000).map((_, i) => (i * 31 + 7) & 0xff);
+    assert.strictEqual(await IIM.zip.crc32(bytes), zlib.crc32(bytes));
+});
+
+test('archives read back with the same paths, sizes and contents', async () => {
+    const binary = new Uint8Array([0, 1, 2, 254, 255]);
+    const archive = await IIM.zip.create([
+        { path: 'manifest.json', data: '{"version":1}' },
+        { path: 'evidence/café ✓.bin', data: binary, modified: new Date(2024, 1, 29, 13, 45, 10) },
+        { path: 'evidence/empty.txt', data: new Blob([]) }
+    ]);
+    assert.strictEqual(archive.type, 'application/zip');
+
+    const entries = await IIM.zip.read(archive);
+    assert.deepEqual(entries.map(entry => [entry.path, entry.size]), [
+        ['manifest.json', 13],
+        ['evidence/café ✓.bin', 5],
+        ['evidence/empty.txt', 0]
+    ]);
+    assert.strictEqual(await entries[0].blob.text(), '{"version":1}');
+    assert.deepEqual(new Uint8Array(await entries[1].blob.arrayBuffer()), binary);
+    for (const entry of entries) {
+        assert.strictEqual(entry.crc32, await IIM.zip.crc32(entry.blob), entry.path);
+    }
+});
+
+test('archives start with a local header and end with the end-of-directory record', async () => {
+    const archive = new DataView(await (await IIM.zip.create([{ path: 'a.txt', data: 'a' }])).arrayBuffer());
+    assert.strictEqual(archive.getUint32(0, true), 0x04034b50);
+    assert.strictEqual(archive.getUint32(archive.byteLength - 22, true), 0x06054b50);
+    assert.strictEqual(archive.getUint16(archive.byteLength - 22 + 10, true), 1);
+});
+
+test('read rejects data that is not a ZIP archive', async () => {
+    await assert.rejects(IIM.zip.read(new Blob(['just some text'])), /Not a ZIP archive/);
+});
+
+test('read rejects a damaged central directory', async () => {
+    const bytes = new Uint8Array(await (await IIM.zip.create([{ path: 'a.txt', data: 'a' }])).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const centralOffset = view.getUint32(bytes.length - 22 + 16, true);
+    bytes[centralOffset] ^= 0xff;
+    await assert.rejects(IIM.zip.read(new Blob([bytes])), /Corrupt ZIP central directory/);
+});